@@ -17,5 +17,21 @@ export default {
 
   BUFFER_LOW_WATER_LINE_RATE: 1,
   // If the buffer is greater than the high water line, we won't switch down
-  BUFFER_HIGH_WATER_LINE: 30
+  BUFFER_HIGH_WATER_LINE: 30,
+  // How long, in ms, a streamed low latency segment request may go without receiving
+  // any bytes before it is considered timed-out
+  LOW_LATENCY_STALL_TIMEOUT: 5000,
+  // The live latency, in seconds, to aim for during low latency playback
+  LOW_LATENCY_TARGET_LATENCY: 3,
+  // The share of the estimated bandwidth the low latency selector will use when the
+  // buffer is empty
+  LOW_LATENCY_MIN_BANDWIDTH_SHARE: 0.5,
+  // The playback rate bounds used to hold latency near the target during low
+  // latency playback
+  LOW_LATENCY_MIN_PLAYBACK_RATE: 0.9,
+  LOW_LATENCY_MAX_PLAYBACK_RATE: 1.1,
+  // How far, in seconds, latency may drift past the target before seeking back to it
+  LOW_LATENCY_MAX_DRIFT: 5,
+  // How often, in ms, playback metrics are handed to registered metrics reporters
+  METRICS_REPORT_INTERVAL: 2000
 };
@@ -1,7 +1,14 @@
 import videojs from 'video.js';
 import {
   parse as parseMpd,
-  parseUTCTiming
+  parseUTCTimings,
+  parseDate,
+  stringToMpdXml,
+  applyPatch,
+  findRemoteElements,
+  resolveRemoteElement,
+  keepLocalElement,
+  RESOLVE_TO_ZERO
 } from 'mpd-parser';
 import {
   refreshDelay,
@@ -20,31 +27,123 @@ import {toUint8} from '@videojs/vhs-utils/dist/byte-helpers';
 
 const { EventTarget, mergeOptions } = videojs;
 
+// remote elements may resolve to content with remote elements of its own, which are
+// only resolved this many times to stop circular references
+const MAX_REMOTE_ELEMENT_DEPTH = 5;
+
+// the client clock drifts from the server clock, so live mpds sync it again when they
+// are refreshed at least this many ms after the last sync
+const CLOCK_SYNC_INTERVAL = 60 * 1000;
+
+/**
+ * Returns the key a BaseURL is excluded by. BaseURLs that share a serviceLocation are
+ * served from the same location, e.g. a CDN, so a failure excludes all of them.
+ *
+ * @param {Object} baseUrl
+ *        A BaseURL of a playlist, as parsed by mpd-parser
+ * @return {string}
+ *         The serviceLocation of the BaseURL, or the BaseURL itself
+ */
+const baseUrlLocation = ({ baseUrl, serviceLocation }) => serviceLocation || baseUrl;
+
+/**
+ * Switches a playlist with alternative BaseURLs to the first one that has not been
+ * excluded. mpd-parser resolves segments against the preferred BaseURL, so the resolved
+ * URIs of the playlist's segments, init segments and sidx are rewritten to the selected
+ * BaseURL, which is stored as the playlist's `activeBaseUrl`.
+ *
+ * @param {Object} playlist
+ *        The playlist to select a BaseURL for
+ * @param {Object} excludedLocations
+ *        Locations of BaseURLs that requests have failed for
+ * @return {boolean}
+ *         Whether the playlist has a BaseURL that is not excluded
+ */
+export const selectBaseUrl = (playlist, excludedLocations = {}) => {
+  if (!playlist.baseUrls) {
+    return false;
+  }
+
+  const next = playlist.baseUrls.filter((baseUrl) =>
+    !excludedLocations[baseUrlLocation(baseUrl)])[0];
+
+  if (!next) {
+    return false;
+  }
+
+  const current = playlist.activeBaseUrl || playlist.baseUrls[0].baseUrl;
+  // init segments are shared between segments, so track what was already rewritten
+  const rebased = [];
+  const rebase = (object) => {
+    if (!object || rebased.indexOf(object) !== -1 ||
+        typeof object.resolvedUri !== 'string' ||
+        object.resolvedUri.indexOf(current) !== 0) {
+      return;
+    }
+
+    rebased.push(object);
+    object.resolvedUri = next.baseUrl + object.resolvedUri.slice(current.length);
+  };
+
+  if (next.baseUrl !== current) {
+    rebase(playlist.sidx);
+    (playlist.segments || []).forEach((segment) => {
+      rebase(segment);
+      rebase(segment.map);
+    });
+  }
+
+  playlist.activeBaseUrl = next.baseUrl;
+
+  return true;
+};
+
 /**
  * Parses the master XML string and updates playlist URI references.
  *
  * @param {Object} config
  *        Object of arguments
- * @param {string} config.masterXml
- *        The mpd XML
+ * @param {string|Node} config.masterXml
+ *        The mpd XML, or the MPD node once MPD Patches have been applied to it
  * @param {string} config.srcUrl
  *        The mpd URL
  * @param {Date} config.clientOffset
  *         A time difference between server and client
  * @param {Object} config.sidxMapping
  *        SIDX mappings for moof/mdat URIs and byte ranges
+ * @param {Object} [config.excludedLocations]
+ *        Locations of BaseURLs that requests have failed for
+ * @param {Object} [config.periodCache]
+ *        Parse results of the Periods of a patched mpd, see mpd-parser's applyPatch
  * @return {Object}
  *         The parsed mpd manifest object
  */
-export const parseMasterXml = ({ masterXml, srcUrl, clientOffset, sidxMapping }) => {
+export const parseMasterXml = ({
+  masterXml,
+  srcUrl,
+  clientOffset,
+  sidxMapping,
+  excludedLocations = {},
+  periodCache
+}) => {
   const master = parseMpd(masterXml, {
     manifestUri: srcUrl,
     clientOffset,
-    sidxMapping
+    sidxMapping,
+    periodCache
   });
 
   addPropertiesToMaster(master, srcUrl);
 
+  // keep requesting from the BaseURLs that playback has failed over to
+  if (Object.keys(excludedLocations).length) {
+    master.playlists
+      .concat(master.iFramePlaylists || [], master.imagePlaylists || [])
+      .forEach((playlist) => {
+        selectBaseUrl(playlist, excludedLocations);
+      });
+  }
+
   return master;
 };
 
@@ -68,6 +167,29 @@ export const updateMaster = (oldMaster, newMaster) => {
     minimumUpdatePeriod: newMaster.minimumUpdatePeriod
   });
 
+  // the publish time, service description, events, patch location, I-frame and
+  // thumbnail playlists may be changed or dropped by a refreshed mpd
+  const replacedKeys = [
+    'publishTime',
+    'serviceDescription',
+    'eventStream',
+    'patchLocation',
+    'iFramePlaylists',
+    'imagePlaylists'
+  ];
+
+  replacedKeys.forEach((key) => {
+    if (newMaster[key]) {
+      update[key] = newMaster[key];
+    } else {
+      delete update[key];
+    }
+
+    if (JSON.stringify(newMaster[key]) !== JSON.stringify(oldMaster[key])) {
+      noChanges = false;
+    }
+  });
+
   // First update the playlists in playlist list
   for (let i = 0; i < newMaster.playlists.length; i++) {
     const playlistUpdate = updatePlaylist(update, newMaster.playlists[i]);
@@ -104,6 +226,32 @@ export const updateMaster = (oldMaster, newMaster) => {
   return update;
 };
 
+/**
+ * Returns whether MPD Patches can be requested from the PatchLocation of a parsed mpd. A
+ * PatchLocation with a ttl can only be used for that many seconds after the
+ * MPD@publishTime.
+ *
+ * @param {Object} master
+ *        The parsed mpd object
+ * @param {number} [clientOffset=0]
+ *        The offset of the server clock from the client clock, in milliseconds
+ * @return {boolean}
+ *         Whether the mpd has a PatchLocation that has not expired
+ */
+export const canRequestPatch = (master, clientOffset = 0) => {
+  const patchLocation = master && master.patchLocation;
+
+  if (!patchLocation) {
+    return false;
+  }
+
+  if (typeof patchLocation.ttl !== 'number' || typeof master.publishTime !== 'number') {
+    return true;
+  }
+
+  return (Date.now() + clientOffset) / 1000 < master.publishTime + patchLocation.ttl;
+};
+
 export const generateSidxKey = (sidxInfo) => {
   // should be non-inclusive
   const sidxByteRangeEnd =
@@ -168,12 +316,20 @@ export const compareSidxEntry = (playlists, oldSidxMapping) => {
  *  @param {string} srcUrl the mpd url
  *  @param {Date} clientOffset a time difference between server and client (passed through and not used)
  *  @param {Object} oldSidxMapping the SIDX to compare against
+ *  @param {Object} [periodCache] parse results of the Periods of a patched mpd
  */
-export const filterChangedSidxMappings = (masterXml, srcUrl, clientOffset, oldSidxMapping) => {
+export const filterChangedSidxMappings = (
+  masterXml,
+  srcUrl,
+  clientOffset,
+  oldSidxMapping,
+  periodCache
+) => {
   // Don't pass current sidx mapping
   const master = parseMpd(masterXml, {
     manifestUri: srcUrl,
-    clientOffset
+    clientOffset,
+    periodCache
   });
 
   const videoSidx = compareSidxEntry(master.playlists, oldSidxMapping);
@@ -287,6 +443,9 @@ export default class DashPlaylistLoader extends EventTarget {
       // TODO: reset sidxMapping between period changes
       // once multi-period is refactored
       this.masterPlaylistLoader_.sidxMapping_ = {};
+      this.masterPlaylistLoader_.excludedLocations_ = {};
+      // the content of resolved remote elements, by their uri
+      this.masterPlaylistLoader_.remoteElementCache_ = {};
     } else {
       this.masterPlaylistLoader_ = masterPlaylistLoader;
       this.childPlaylist_ = srcUrlOrPlaylist;
@@ -318,6 +477,66 @@ export default class DashPlaylistLoader extends EventTarget {
     }
   }
 
+  /**
+   * Get the latency and playback rate targets signalled by the ServiceDescription of
+   * the mpd, if any.
+   *
+   * @return {Object|undefined}
+   *         The service description, with latency in seconds
+   */
+  serviceDescription() {
+    const master = this.masterPlaylistLoader_.master;
+
+    return master && master.serviceDescription;
+  }
+
+  /**
+   * Excludes the location of the BaseURL that a request for the playlist failed for,
+   * and switches every playlist requested from that location to its next BaseURL. Once
+   * every location of the playlist has failed, they are no longer excluded, so they are
+   * retried rather than being lost for the rest of playback.
+   *
+   * @param {Object} playlist
+   *        The playlist that a request failed for
+   * @return {boolean}
+   *         Whether the playlist switched to another BaseURL, if false the failure
+   *         should be handled as an error of the playlist
+   */
+  excludeBaseUrl(playlist) {
+    if (!playlist || !playlist.baseUrls) {
+      return false;
+    }
+
+    const loader = this.masterPlaylistLoader_;
+    const activeBaseUrl = playlist.activeBaseUrl || playlist.baseUrls[0].baseUrl;
+    const current = playlist.baseUrls.filter(({ baseUrl }) => baseUrl === activeBaseUrl)[0];
+
+    if (!current) {
+      return false;
+    }
+
+    loader.excludedLocations_[baseUrlLocation(current)] = true;
+
+    if (!selectBaseUrl(playlist, loader.excludedLocations_)) {
+      playlist.baseUrls.forEach((baseUrl) => {
+        delete loader.excludedLocations_[baseUrlLocation(baseUrl)];
+      });
+      return false;
+    }
+
+    if (loader.master) {
+      loader.master.playlists
+        .concat(loader.master.iFramePlaylists || [], loader.master.imagePlaylists || [])
+        .forEach((masterPlaylist) => {
+          selectBaseUrl(masterPlaylist, loader.excludedLocations_);
+        });
+    }
+
+    videojs.log.warn(`Switching from BaseURL ${activeBaseUrl} to ${playlist.activeBaseUrl}`);
+
+    return true;
+  }
+
   sidxRequestFinished_(playlist, master, startingState, doneFn) {
     return (err, request) => {
       // disposed
@@ -329,6 +548,19 @@ export default class DashPlaylistLoader extends EventTarget {
       this.request = null;
 
       if (err) {
+        // retry the sidx from the next BaseURL of the playlist, if it has one
+        if (!err.internal && this.excludeBaseUrl(playlist)) {
+          this.request = requestSidx_(
+            this,
+            playlist.sidx,
+            playlist,
+            this.vhs_.xhr,
+            { handleManifestRedirects: this.handleManifestRedirects },
+            this.sidxRequestFinished_(playlist, master, startingState, doneFn)
+          );
+          return;
+        }
+
         // use the provided error or create one
         // see requestSidx_ for the container request
         // that can cause this.
@@ -546,6 +778,7 @@ export default class DashPlaylistLoader extends EventTarget {
       }
 
       this.masterPlaylistLoader_.masterXml_ = req.responseText;
+      this.masterPlaylistLoader_.periodCache_ = null;
 
       if (req.responseHeaders && req.responseHeaders.date) {
         this.masterLoaded_ = Date.parse(req.responseHeaders.date);
@@ -560,62 +793,80 @@ export default class DashPlaylistLoader extends EventTarget {
   }
 
   /**
-   * Parses the master xml for UTCTiming node to sync the client clock to the server
-   * clock. If the UTCTiming node requires a HEAD or GET request, that request is made.
+   * Parses the master xml for UTCTiming nodes to sync the client clock to the server
+   * clock. The UTCTiming nodes are tried in order, making a HEAD or GET request if
+   * needed, until one of them succeeds. If none do, the first sync falls back to the
+   * Date header of the mpd response and later syncs keep the last offset.
    *
    * @param {Function} done
    *        Function to call when clock sync has completed
    */
   syncClientServerClock_(done) {
-    const utcTiming = parseUTCTiming(this.masterPlaylistLoader_.masterXml_);
-
-    // No UTCTiming element found in the mpd. Use Date header from mpd request as the
-    // server clock
-    if (utcTiming === null) {
-      this.masterPlaylistLoader_.clientOffset_ = this.masterLoaded_ - Date.now();
-      return done();
-    }
-
-    if (utcTiming.method === 'DIRECT') {
-      this.masterPlaylistLoader_.clientOffset_ = utcTiming.value - Date.now();
-      return done();
-    }
-
-    this.request = this.vhs_.xhr({
-      uri: resolveUrl(this.masterPlaylistLoader_.srcUrl, utcTiming.value),
-      method: utcTiming.method,
-      withCredentials: this.withCredentials
-    }, (error, req) => {
-      // disposed
-      if (!this.request) {
-        return;
+    const loader = this.masterPlaylistLoader_;
+    const isResync = typeof this.lastClockSync_ === 'number';
+    // the time of a direct UTCTiming is only correct when the mpd is received
+    const utcTimings = parseUTCTimings(loader.masterXml_)
+      .filter(({ method }) => !isResync || method !== 'DIRECT');
+
+    this.lastClockSync_ = Date.now();
+
+    const syncNext = (index) => {
+      const utcTiming = utcTimings[index];
+
+      // No UTCTiming element succeeded, or none was found in the mpd. Use Date header
+      // from mpd request as the server clock
+      if (!utcTiming) {
+        if (!isResync) {
+          loader.clientOffset_ = this.masterLoaded_ - Date.now();
+        }
+        return done();
       }
 
-      if (error) {
-        // sync request failed, fall back to using date header from mpd
-        // TODO: log warning
-        this.masterPlaylistLoader_.clientOffset_ = this.masterLoaded_ - Date.now();
+      if (utcTiming.method === 'DIRECT') {
+        if (isNaN(utcTiming.value)) {
+          return syncNext(index + 1);
+        }
+
+        loader.clientOffset_ = utcTiming.value - Date.now();
         return done();
       }
 
-      let serverTime;
+      const uri = resolveUrl(loader.srcUrl, utcTiming.value);
 
-      if (utcTiming.method === 'HEAD') {
-        if (!req.responseHeaders || !req.responseHeaders.date) {
-          // expected date header not preset, fall back to using date header from mpd
-          // TODO: log warning
-          serverTime = this.masterLoaded_;
-        } else {
-          serverTime = Date.parse(req.responseHeaders.date);
+      this.request = this.vhs_.xhr({
+        uri,
+        method: utcTiming.method,
+        withCredentials: this.withCredentials
+      }, (error, req) => {
+        // disposed
+        if (!this.request) {
+          return;
         }
-      } else {
-        serverTime = Date.parse(req.responseText);
-      }
 
-      this.masterPlaylistLoader_.clientOffset_ = serverTime - Date.now();
+        // clear the loader's request reference
+        this.request = null;
 
-      done();
-    });
+        let serverTime = NaN;
+
+        if (!error && utcTiming.method === 'HEAD') {
+          serverTime = req.responseHeaders && req.responseHeaders.date ?
+            Date.parse(req.responseHeaders.date) : NaN;
+        } else if (!error) {
+          serverTime = parseDate(req.responseText);
+        }
+
+        if (isNaN(serverTime)) {
+          videojs.log.warn(`Failed to sync the clock with the time server at ${uri}`);
+          return syncNext(index + 1);
+        }
+
+        loader.clientOffset_ = serverTime - Date.now();
+
+        done();
+      });
+    };
+
+    syncNext(0);
   }
 
   haveMaster_() {
@@ -628,7 +879,9 @@ export default class DashPlaylistLoader extends EventTarget {
         masterXml: this.masterPlaylistLoader_.masterXml_,
         srcUrl: this.masterPlaylistLoader_.srcUrl,
         clientOffset: this.masterPlaylistLoader_.clientOffset_,
-        sidxMapping: this.masterPlaylistLoader_.sidxMapping_
+        sidxMapping: this.masterPlaylistLoader_.sidxMapping_,
+        excludedLocations: this.masterPlaylistLoader_.excludedLocations_,
+        periodCache: this.masterPlaylistLoader_.periodCache_
       }));
       // We have the master playlist at this point, so
       // trigger this to allow MasterPlaylistController
@@ -678,13 +931,114 @@ export default class DashPlaylistLoader extends EventTarget {
    * xml refresh timer if specificed by the manifest.
    */
   onClientServerClockSync_() {
-    this.haveMaster_();
+    this.resolveRemoteElements_(() => {
+      this.haveMaster_();
 
-    if (!this.hasPendingRequest() && !this.media_) {
-      this.media(this.master.playlists[0]);
+      if (!this.hasPendingRequest() && !this.media_) {
+        this.media(this.master.playlists[0]);
+      }
+
+      this.updateMinimumUpdatePeriodTimeout_();
+    });
+  }
+
+  /**
+   * Resolves the remote elements of the master xml that are actuated on load, replacing
+   * them with the elements requested from their xlink:href, one request at a time.
+   * Remote elements that can't be requested or parsed keep their local content. The
+   * content of each xlink:href is only requested once, as refreshed mpds usually repeat
+   * the remote elements that were already resolved.
+   *
+   * @param {Function} done
+   *        Function to call when the remote elements have been resolved
+   * @param {number} [depth=0]
+   *        The number of times remote content has been resolved
+   */
+  resolveRemoteElements_(done, depth = 0) {
+    const loader = this.masterPlaylistLoader_;
+
+    if (typeof loader.masterXml_ === 'string') {
+      // only mpds with xlinks need to be parsed before the master manifest is
+      if (loader.masterXml_.indexOf('xlink') === -1) {
+        return done();
+      }
+
+      try {
+        loader.masterXml_ = stringToMpdXml(loader.masterXml_);
+        loader.periodCache_ = {};
+      } catch (e) {
+        // invalid xml is reported when the master xml is parsed
+        return done();
+      }
     }
 
-    this.updateMinimumUpdatePeriodTimeout_();
+    const remoteElements = findRemoteElements(loader.masterXml_);
+
+    if (!remoteElements.length) {
+      return done();
+    }
+
+    if (depth >= MAX_REMOTE_ELEMENT_DEPTH) {
+      videojs.log.warn(`Remote elements nested more than ${MAX_REMOTE_ELEMENT_DEPTH} deep were not resolved`);
+      remoteElements.forEach(keepLocalElement);
+      return done();
+    }
+
+    const resolveNext = (index) => {
+      const remoteElement = remoteElements[index];
+
+      // resolved content may have remote elements of its own
+      if (!remoteElement) {
+        return this.resolveRemoteElements_(done, depth + 1);
+      }
+
+      if (remoteElement.href === RESOLVE_TO_ZERO) {
+        resolveRemoteElement(remoteElement, '', loader.periodCache_);
+        return resolveNext(index + 1);
+      }
+
+      const uri = resolveUrl(loader.srcUrl, remoteElement.href);
+
+      if (loader.remoteElementCache_.hasOwnProperty(uri)) {
+        resolveRemoteElement(
+          remoteElement,
+          loader.remoteElementCache_[uri],
+          loader.periodCache_
+        );
+        return resolveNext(index + 1);
+      }
+
+      this.request = this.vhs_.xhr({
+        uri,
+        withCredentials: this.withCredentials
+      }, (error, req) => {
+        // disposed
+        if (!this.request) {
+          return;
+        }
+
+        // clear the loader's request reference
+        this.request = null;
+
+        if (!error) {
+          try {
+            resolveRemoteElement(remoteElement, req.responseText, loader.periodCache_);
+            loader.remoteElementCache_[uri] = req.responseText;
+          } catch (e) {
+            error = e;
+          }
+        }
+
+        if (error) {
+          videojs.log.warn(`Failed to resolve the remote element at ${uri}, using its local content`);
+          keepLocalElement(remoteElement);
+        }
+
+        resolveNext(index + 1);
+      });
+    };
+
+    resolveNext(0);
   }
 
   /**
@@ -708,10 +1062,79 @@ export default class DashPlaylistLoader extends EventTarget {
   }
 
   /**
-   * Sends request to refresh the master xml and updates the parsed master manifest
-   * TODO: Does the client offset need to be recalculated when the xml is refreshed?
+   * Refreshes the master xml and updates the parsed master manifest. When the mpd has a
+   * PatchLocation that has not expired, only an MPD Patch with the changes to the mpd is
+   * requested. The client clock is synced again first if it has not been for a while.
    */
   refreshXml_() {
+    if (Date.now() - this.lastClockSync_ >= CLOCK_SYNC_INTERVAL) {
+      this.syncClientServerClock_(this.refreshXml_.bind(this));
+      return;
+    }
+
+    if (canRequestPatch(this.master, this.masterPlaylistLoader_.clientOffset_)) {
+      this.requestPatch_(resolveUrl(
+        this.masterPlaylistLoader_.srcUrl,
+        this.master.patchLocation.uri
+      ));
+      return;
+    }
+
+    this.requestXml_();
+  }
+
+  /**
+   * Requests an MPD Patch and applies it to the master xml. The patched mpd is kept as a
+   * parsed document, so that Periods the patch did not change are not parsed again. If
+   * the patch can't be requested or applied, e.g. because it was generated for another
+   * version of the mpd, the whole master xml is requested instead.
+   *
+   * @param {string} uri
+   *        The resolved uri of the MPD Patch
+   */
+  requestPatch_(uri) {
+    this.request = this.vhs_.xhr({
+      uri,
+      withCredentials: this.withCredentials
+    }, (error, req) => {
+      // disposed
+      if (!this.request) {
+        return;
+      }
+
+      // clear the loader's request reference
+      this.request = null;
+
+      const loader = this.masterPlaylistLoader_;
+
+      if (!error) {
+        try {
+          if (typeof loader.masterXml_ === 'string') {
+            loader.masterXml_ = stringToMpdXml(loader.masterXml_);
+            loader.periodCache_ = {};
+          }
+
+          applyPatch(loader.masterXml_, req.responseText, loader.periodCache_);
+        } catch (e) {
+          error = e;
+        }
+      }
+
+      // a patch that failed part way may have left the mpd incomplete, which the full
+      // refresh replaces
+      if (error) {
+        this.requestXml_();
+        return;
+      }
+
+      this.resolveRemoteElements_(this.handleUpdatedXml_.bind(this));
+    });
+  }
+
+  /**
+   * Sends request to refresh the whole master xml and updates the parsed master manifest
+   */
+  requestXml_() {
     // The srcUrl here *may* need to pass through handleManifestsRedirects when
     // sidx is implemented
     this.request = this.vhs_.xhr({
@@ -741,65 +1164,77 @@ export default class DashPlaylistLoader extends EventTarget {
       }
 
       this.masterPlaylistLoader_.masterXml_ = req.responseText;
+      this.masterPlaylistLoader_.periodCache_ = null;
 
-      // This will filter out updated sidx info from the mapping
-      this.masterPlaylistLoader_.sidxMapping_ = filterChangedSidxMappings(
-        this.masterPlaylistLoader_.masterXml_,
-        this.masterPlaylistLoader_.srcUrl,
-        this.masterPlaylistLoader_.clientOffset_,
-        this.masterPlaylistLoader_.sidxMapping_
-      );
+      this.resolveRemoteElements_(this.handleUpdatedXml_.bind(this));
+    });
+  }
 
-      const master = parseMasterXml({
-        masterXml: this.masterPlaylistLoader_.masterXml_,
-        srcUrl: this.masterPlaylistLoader_.srcUrl,
-        clientOffset: this.masterPlaylistLoader_.clientOffset_,
-        sidxMapping: this.masterPlaylistLoader_.sidxMapping_
-      });
-      const updatedMaster = updateMaster(this.master, master);
-      const currentSidxInfo = this.media().sidx;
-
-      if (updatedMaster) {
-        if (currentSidxInfo) {
-          const sidxKey = generateSidxKey(currentSidxInfo);
-
-          // the sidx was updated, so the previous mapping was removed
-          if (!this.masterPlaylistLoader_.sidxMapping_[sidxKey]) {
-            const playlist = this.media();
-
-            this.request = requestSidx_(
-              this,
-              playlist.sidx,
-              playlist,
-              this.vhs_.xhr,
-              { handleManifestRedirects: this.handleManifestRedirects },
-              this.sidxRequestFinished_(playlist, master, this.state, (newMaster, sidx) => {
-                if (!newMaster || !sidx) {
-                  throw new Error('failed to request sidx on minimumUpdatePeriod');
-                }
-
-                // update loader's sidxMapping with parsed sidx box
-                this.masterPlaylistLoader_.sidxMapping_[sidxKey].sidx = sidx;
-
-                this.updateMinimumUpdatePeriodTimeout_();
-
-                // TODO: do we need to reload the current playlist?
-                this.refreshMedia_(this.media().id);
-
-                return;
-              })
-            );
-          }
-        } else {
-          this.updateMainManifest_(updatedMaster);
-          if (this.media_) {
-            this.media_ = this.master.playlists[this.media_.id];
-          }
+  /**
+   * Parses the refreshed master xml and updates the master manifest, requesting the sidx
+   * of the active playlist again if it changed
+   */
+  handleUpdatedXml_() {
+    // This will filter out updated sidx info from the mapping
+    this.masterPlaylistLoader_.sidxMapping_ = filterChangedSidxMappings(
+      this.masterPlaylistLoader_.masterXml_,
+      this.masterPlaylistLoader_.srcUrl,
+      this.masterPlaylistLoader_.clientOffset_,
+      this.masterPlaylistLoader_.sidxMapping_,
+      this.masterPlaylistLoader_.periodCache_
+    );
+
+    const master = parseMasterXml({
+      masterXml: this.masterPlaylistLoader_.masterXml_,
+      srcUrl: this.masterPlaylistLoader_.srcUrl,
+      clientOffset: this.masterPlaylistLoader_.clientOffset_,
+      sidxMapping: this.masterPlaylistLoader_.sidxMapping_,
+      excludedLocations: this.masterPlaylistLoader_.excludedLocations_,
+      periodCache: this.masterPlaylistLoader_.periodCache_
+    });
+    const updatedMaster = updateMaster(this.master, master);
+    const currentSidxInfo = this.media().sidx;
+
+    if (updatedMaster) {
+      if (currentSidxInfo) {
+        const sidxKey = generateSidxKey(currentSidxInfo);
+
+        // the sidx was updated, so the previous mapping was removed
+        if (!this.masterPlaylistLoader_.sidxMapping_[sidxKey]) {
+          const playlist = this.media();
+
+          this.request = requestSidx_(
+            this,
+            playlist.sidx,
+            playlist,
+            this.vhs_.xhr,
+            { handleManifestRedirects: this.handleManifestRedirects },
+            this.sidxRequestFinished_(playlist, master, this.state, (newMaster, sidx) => {
+              if (!newMaster || !sidx) {
+                throw new Error('failed to request sidx on minimumUpdatePeriod');
+              }
+
+              // update loader's sidxMapping with parsed sidx box
+              this.masterPlaylistLoader_.sidxMapping_[sidxKey].sidx = sidx;
+
+              this.updateMinimumUpdatePeriodTimeout_();
+
+              // TODO: do we need to reload the current playlist?
+              this.refreshMedia_(this.media().id);
+
+              return;
+            })
+          );
+        }
+      } else {
+        this.updateMainManifest_(updatedMaster);
+        if (this.media_) {
+          this.media_ = this.master.playlists[this.media_.id];
         }
       }
+    }
 
-      this.updateMinimumUpdatePeriodTimeout_();
-    });
+    this.updateMinimumUpdatePeriodTimeout_();
   }
 
   /**
@@ -817,7 +1252,9 @@ export default class DashPlaylistLoader extends EventTarget {
       masterXml: this.masterPlaylistLoader_.masterXml_,
       srcUrl: this.masterPlaylistLoader_.srcUrl,
       clientOffset: this.masterPlaylistLoader_.clientOffset_,
-      sidxMapping: this.masterPlaylistLoader_.sidxMapping_
+      sidxMapping: this.masterPlaylistLoader_.sidxMapping_,
+      excludedLocations: this.masterPlaylistLoader_.excludedLocations_,
+      periodCache: this.masterPlaylistLoader_.periodCache_
     });
 
     const updatedMaster = updateMaster(oldMaster, newMaster);
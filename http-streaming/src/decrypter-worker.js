@@ -1,5 +1,5 @@
 /* global self */
-import { Decrypter } from 'aes-decrypter';
+import { Decrypter, decrypt } from 'aes-decrypter';
 import { createTransferableMessage } from './bin-utils';
 
 /**
@@ -29,6 +29,19 @@ const DecrypterWorker = function(self) {
       data.iv.byteLength / 4
     );
 
+    // partial messages are the leading blocks of a segment that is decrypted as it
+    // is received. They have no padding, and are decrypted synchronously so that the
+    // results are posted in the order the blocks were sent.
+    if (data.partial) {
+      const bytes = decrypt(encrypted, key, iv);
+
+      self.postMessage(createTransferableMessage({
+        source: data.source,
+        decrypted: bytes
+      }), [bytes.buffer]);
+      return;
+    }
+
     /* eslint-disable no-new, handle-callback-err */
     new Decrypter(
       encrypted,
@@ -0,0 +1,288 @@
+/**
+ * @file latency-controller.js
+ *
+ * Holds low latency live playback close to a target latency by nudging the
+ * playback rate, falling back to a seek when the drift grows too large.
+ */
+import window from 'global/window';
+import Config from './config';
+import { timeUntilRebuffer } from './ranges';
+import logger from './util/logger';
+
+// How often, in ms, latency is checked and the playback rate adjusted
+const CHECK_LATENCY_DELAY = 500;
+
+// Drift, in seconds, that is tolerated without changing the playback rate
+const LATENCY_DEADBAND = 0.05;
+
+// How far, in seconds, latency may exceed the target while still being
+// considered at the live edge
+const LIVE_EDGE_TOLERANCE = 1;
+
+// Don't speed up playback when less than this many seconds are buffered, as
+// it would only bring the next stall closer
+const MIN_CATCH_UP_BUFFER = 0.5;
+
+// How far, in seconds, a seek to correct latency stays from the end of the seekable
+// range, as the latest segments may not be available yet
+const SEEKABLE_END_MARGIN = 1;
+
+/**
+ * Calculates the playback rate that moves latency toward the target. The rate
+ * follows a sigmoid around 1 so that small drifts are corrected gently and
+ * large drifts approach, but never exceed, the allowed bounds.
+ *
+ * @param {Object} options
+ *        Options object
+ * @param {number} options.drift
+ *        Current latency minus target latency, in seconds
+ * @param {number} options.targetLatency
+ *        The latency being aimed for, in seconds
+ * @param {number} options.minPlaybackRate
+ *        The slowest allowed playback rate
+ * @param {number} options.maxPlaybackRate
+ *        The fastest allowed playback rate
+ * @return {number}
+ *         The playback rate to use
+ */
+export const calculatePlaybackRate = ({
+  drift,
+  targetLatency,
+  minPlaybackRate,
+  maxPlaybackRate
+}) => {
+  if (Math.abs(drift) <= LATENCY_DEADBAND) {
+    return 1;
+  }
+
+  const range = drift > 0 ? maxPlaybackRate - 1 : 1 - minPlaybackRate;
+  const scale = 5 / Math.max(targetLatency, 1);
+  const sigmoid = 2 / (1 + Math.exp(-scale * drift)) - 1;
+  const rate = 1 + range * sigmoid;
+
+  return Math.min(Math.max(rate, minPlaybackRate), maxPlaybackRate);
+};
+
+/**
+ * The LatencyController checks the live latency of playback periodically and speeds up
+ * or slows down playback to keep it at the target latency.
+ *
+ * @class LatencyController
+ */
+export default class LatencyController {
+  /**
+   * Represents a LatencyController object.
+   *
+   * @class
+   * @param {Object} options
+   *        Options object
+   * @param {Tech} options.tech
+   *        The tech whose playback rate is controlled
+   * @param {Function} options.latency
+   *        Returns the current live latency in seconds, or null if unknown
+   * @param {Function} options.seekTo
+   *        Seeks the tech to the given time
+   * @param {Function} [options.serviceDescription]
+   *        Returns the latency and playback rate targets signalled by the manifest,
+   *        which are used when no explicit target or bounds are provided
+   * @param {number} [options.targetLatency]
+   *        The latency to aim for, in seconds
+   * @param {number} [options.minPlaybackRate]
+   *        The slowest playback rate used to let latency grow
+   * @param {number} [options.maxPlaybackRate]
+   *        The fastest playback rate used to catch up
+   * @param {number} [options.maxDrift]
+   *        Drift, in seconds, beyond which a seek is used instead of the rate
+   */
+  constructor(options) {
+    this.tech_ = options.tech;
+    this.latency_ = options.latency;
+    this.seekTo_ = options.seekTo;
+    this.serviceDescription_ = options.serviceDescription || (() => null);
+    this.options_ = {
+      targetLatency: options.targetLatency,
+      minPlaybackRate: options.minPlaybackRate,
+      maxPlaybackRate: options.maxPlaybackRate,
+      maxDrift: options.maxDrift
+    };
+    this.updateTargets_();
+
+    this.timer_ = null;
+    this.playbackRate_ = 1;
+    this.atLiveEdge_ = false;
+    this.logger_ = logger('LatencyController');
+
+    this.logger_('initialize');
+
+    const startHandler = () => this.start_();
+    const stopHandler = () => this.stop_();
+
+    this.tech_.on('play', startHandler);
+    this.tech_.on('pause', stopHandler);
+
+    // Define the dispose function to clean up our events
+    this.dispose = () => {
+      this.logger_('dispose');
+      this.tech_.off('play', startHandler);
+      this.tech_.off('pause', stopHandler);
+      this.stop_();
+    };
+
+    if (!this.tech_.paused()) {
+      this.start_();
+    }
+  }
+
+  /**
+   * Whether the latency is currently within tolerance of the target latency.
+   *
+   * @return {boolean}
+   *         True if playback is considered to be at the live edge
+   */
+  atLiveEdge() {
+    return this.atLiveEdge_;
+  }
+
+  /**
+   * Update the target latency and playback rate bounds, preferring explicitly provided
+   * values, then those signalled by the manifest's service description, then the
+   * configured defaults.
+   *
+   * @private
+   */
+  updateTargets_() {
+    const serviceDescription = this.serviceDescription_() || {};
+    const latency = serviceDescription.latency || {};
+    const playbackRate = serviceDescription.playbackRate || {};
+
+    this.targetLatency = this.options_.targetLatency || latency.target ||
+      Config.LOW_LATENCY_TARGET_LATENCY;
+    this.minPlaybackRate = this.options_.minPlaybackRate || playbackRate.min ||
+      Config.LOW_LATENCY_MIN_PLAYBACK_RATE;
+    this.maxPlaybackRate = this.options_.maxPlaybackRate || playbackRate.max ||
+      Config.LOW_LATENCY_MAX_PLAYBACK_RATE;
+    this.maxDrift = this.options_.maxDrift ||
+      (latency.max > this.targetLatency && latency.max - this.targetLatency) ||
+      Config.LOW_LATENCY_MAX_DRIFT;
+  }
+
+  /**
+   * Start periodically checking latency
+   *
+   * @private
+   */
+  start_() {
+    this.stop_();
+    this.timer_ = window.setInterval(() => this.checkLatency_(), CHECK_LATENCY_DELAY);
+  }
+
+  /**
+   * Stop checking latency and restore normal playback speed
+   *
+   * @private
+   */
+  stop_() {
+    window.clearInterval(this.timer_);
+    this.timer_ = null;
+    this.setPlaybackRate_(1);
+  }
+
+  /**
+   * Compare the current latency against the target latency and correct for any
+   * drift, either by adjusting the playback rate or by seeking.
+   *
+   * @private
+   */
+  checkLatency_() {
+    if (this.tech_.paused() || this.tech_.seeking()) {
+      return;
+    }
+
+    this.updateTargets_();
+
+    const latency = this.latency_();
+
+    if (typeof latency !== 'number' || isNaN(latency)) {
+      this.setPlaybackRate_(1);
+      return;
+    }
+
+    this.updateLiveEdge_(latency);
+
+    const drift = latency - this.targetLatency;
+
+    if (drift > this.maxDrift) {
+      const currentTime = this.tech_.currentTime();
+      const seekable = this.tech_.seekable();
+      let seekTime = currentTime + drift;
+
+      // an inaccurate latency must not seek past the content that can be played
+      if (seekable.length) {
+        seekTime = Math.min(
+          seekTime,
+          seekable.end(seekable.length - 1) - SEEKABLE_END_MARGIN
+        );
+      }
+
+      // otherwise the playback rate catches up as much as it can
+      if (seekTime > currentTime) {
+        this.logger_(`latency ${latency} exceeds target ${this.targetLatency} by more ` +
+          `than ${this.maxDrift}, seeking from ${currentTime} to ${seekTime}`);
+        this.setPlaybackRate_(1);
+        this.seekTo_(seekTime);
+        this.tech_.trigger('latencyseek');
+        return;
+      }
+    }
+
+    let playbackRate = calculatePlaybackRate({
+      drift,
+      targetLatency: this.targetLatency,
+      minPlaybackRate: this.minPlaybackRate,
+      maxPlaybackRate: this.maxPlaybackRate
+    });
+    const bufferLevel = timeUntilRebuffer(this.tech_.buffered(), this.tech_.currentTime());
+
+    if (playbackRate > 1 && bufferLevel < MIN_CATCH_UP_BUFFER) {
+      playbackRate = 1;
+    }
+
+    this.setPlaybackRate_(playbackRate);
+  }
+
+  /**
+   * Track whether playback is at the live edge, triggering `liveedgechange` on
+   * the tech when that changes.
+   *
+   * @param {number} latency
+   *        The current latency in seconds
+   * @private
+   */
+  updateLiveEdge_(latency) {
+    const atLiveEdge = latency <= this.targetLatency + LIVE_EDGE_TOLERANCE;
+
+    if (atLiveEdge === this.atLiveEdge_) {
+      return;
+    }
+
+    this.atLiveEdge_ = atLiveEdge;
+    this.logger_(`${atLiveEdge ? 'reached' : 'fell behind'} the live edge at latency ${latency}`);
+    this.tech_.trigger('liveedgechange');
+  }
+
+  /**
+   * Set the tech's playback rate if it differs from the last rate we set.
+   *
+   * @param {number} playbackRate
+   *        The playback rate to use
+   * @private
+   */
+  setPlaybackRate_(playbackRate) {
+    if (playbackRate === this.playbackRate_) {
+      return;
+    }
+
+    this.playbackRate_ = playbackRate;
+    this.tech_.setPlaybackRate(playbackRate);
+  }
+}
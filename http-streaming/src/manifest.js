@@ -9,6 +9,161 @@ export const createPlaylistID = (index, uri) => {
   return `${index}-${uri}`;
 };
 
+/**
+ * Parses the attribute list of an m3u8 tag into an object keyed by attribute name.
+ * Quoted strings are unquoted, all other values are left as strings.
+ *
+ * @param {string} attributeString
+ *        The attribute list following the tag name
+ * @return {Object}
+ *         The attributes of the tag
+ */
+const parseAttributeList = (attributeString) => {
+  const attributes = {};
+  const attributeRegex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+
+  while ((match = attributeRegex.exec(attributeString))) {
+    attributes[match[1]] = match[2].replace(/^"(.*)"$/, '$1');
+  }
+
+  return attributes;
+};
+
+const parseDecimal = (value) => typeof value === 'undefined' ? void 0 : parseFloat(value);
+const parseInteger = (value) => typeof value === 'undefined' ? void 0 : parseInt(value, 10);
+
+/**
+ * Parses the low latency HLS tags of a media playlist, which the m3u8-parser ignores,
+ * and adds them to the parsed manifest in place:
+ *
+ * - `serverControl` from EXT-X-SERVER-CONTROL
+ * - `partTargetDuration` from EXT-X-PART-INF
+ * - `parts` on each segment from the EXT-X-PART tags preceding its URI
+ * - `preloadSegment` with the `parts` and `preloadHints` of the segment that is still
+ *   being produced, which follow the last segment URI
+ * - `skip` from EXT-X-SKIP, for playlist delta updates
+ * - `renditionReports` from EXT-X-RENDITION-REPORT
+ *
+ * @param {string} manifestString
+ *        The downloaded manifest string
+ * @param {Object} manifest
+ *        The manifest object of the m3u8-parser
+ */
+const parseLowLatencyTags = (manifestString, manifest) => {
+  const segments = manifest.segments || [];
+  let segmentIndex = 0;
+  let parts = [];
+  const preloadHints = [];
+  // a part BYTERANGE without an offset starts where the previous part of the same
+  // resource ended
+  let lastByterange = null;
+
+  manifestString.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+
+    if (!line) {
+      return;
+    }
+
+    if (line[0] !== '#') {
+      if (parts.length && segments[segmentIndex]) {
+        segments[segmentIndex].parts = parts;
+      }
+      parts = [];
+      segmentIndex++;
+      return;
+    }
+
+    const separator = line.indexOf(':');
+    const tagName = separator === -1 ? line : line.slice(0, separator);
+    const attributes = parseAttributeList(line.slice(separator + 1));
+
+    switch (tagName) {
+    case '#EXT-X-SERVER-CONTROL':
+      manifest.serverControl = {
+        canBlockReload: attributes['CAN-BLOCK-RELOAD'] === 'YES',
+        canSkipUntil: parseDecimal(attributes['CAN-SKIP-UNTIL']),
+        canSkipDateranges: attributes['CAN-SKIP-DATERANGES'] === 'YES',
+        holdBack: parseDecimal(attributes['HOLD-BACK']),
+        partHoldBack: parseDecimal(attributes['PART-HOLD-BACK'])
+      };
+      break;
+    case '#EXT-X-PART-INF':
+      manifest.partTargetDuration = parseDecimal(attributes['PART-TARGET']);
+      break;
+    case '#EXT-X-PART': {
+      const part = {
+        uri: attributes.URI,
+        duration: parseDecimal(attributes.DURATION),
+        independent: attributes.INDEPENDENT === 'YES',
+        gap: attributes.GAP === 'YES'
+      };
+
+      if (attributes.BYTERANGE) {
+        const [length, offset] = attributes.BYTERANGE.split('@');
+        let previousEnd = 0;
+
+        if (lastByterange && lastByterange.uri === part.uri) {
+          previousEnd = lastByterange.end;
+        }
+
+        part.byterange = {
+          length: parseInteger(length),
+          offset: typeof offset !== 'undefined' ? parseInteger(offset) : previousEnd
+        };
+        lastByterange = {
+          uri: part.uri,
+          end: part.byterange.offset + part.byterange.length
+        };
+      }
+
+      parts.push(part);
+      break;
+    }
+    case '#EXT-X-PRELOAD-HINT': {
+      const hint = {
+        type: attributes.TYPE,
+        uri: attributes.URI
+      };
+
+      if (typeof attributes['BYTERANGE-START'] !== 'undefined' ||
+          typeof attributes['BYTERANGE-LENGTH'] !== 'undefined') {
+        hint.byterange = {
+          offset: parseInteger(attributes['BYTERANGE-START']) || 0
+        };
+
+        // without a length, the hint is for the rest of the resource
+        if (typeof attributes['BYTERANGE-LENGTH'] !== 'undefined') {
+          hint.byterange.length = parseInteger(attributes['BYTERANGE-LENGTH']);
+        }
+      }
+
+      preloadHints.push(hint);
+      break;
+    }
+    case '#EXT-X-SKIP':
+      manifest.skip = {
+        skippedSegments: parseInteger(attributes['SKIPPED-SEGMENTS']),
+        recentlyRemovedDateranges: attributes['RECENTLY-REMOVED-DATERANGES'] ?
+          attributes['RECENTLY-REMOVED-DATERANGES'].split('\t') : []
+      };
+      break;
+    case '#EXT-X-RENDITION-REPORT':
+      manifest.renditionReports = (manifest.renditionReports || []).concat({
+        uri: attributes.URI,
+        lastMsn: parseInteger(attributes['LAST-MSN']),
+        lastPart: parseInteger(attributes['LAST-PART'])
+      });
+      break;
+    }
+  });
+
+  if (parts.length || preloadHints.length) {
+    manifest.preloadSegment = { parts, preloadHints };
+  }
+};
+
 /**
  * Parses a given m3u8 playlist
  *
@@ -34,6 +189,10 @@ export const parseManifest = ({
   parser.push(manifestString);
   parser.end();
 
+  if (!parser.manifest.playlists) {
+    parseLowLatencyTags(manifestString, parser.manifest);
+  }
+
   return parser.manifest;
 };
 
@@ -221,6 +380,21 @@ export const addPropertiesToMaster = (master, uri) => {
     master.playlists[phonyUri] = properties.playlists[0];
   });
 
+  // I-frame and thumbnail playlists are kept out of the playlists list, so they are
+  // never selected for playback, but are set up the same way for the I-frame
+  // representations and thumbnails APIs
+  [
+    ['iframe', master.iFramePlaylists],
+    ['image', master.imagePlaylists]
+  ].forEach(([type, playlists]) => {
+    (playlists || []).forEach((playlist, i) => {
+      const phonyUri = playlist.uri || `placeholder-uri-${type}-${i}`;
+
+      setupMediaPlaylist({ playlist, uri: phonyUri, id: createPlaylistID(i, phonyUri) });
+      playlist.resolvedUri = resolveUrl(master.uri, playlist.uri);
+    });
+  });
+
   setupMediaPlaylists(master);
   resolveMediaGroupUris(master);
 };
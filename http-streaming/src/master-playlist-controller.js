@@ -11,7 +11,12 @@ import VTTSegmentLoader from './vtt-segment-loader';
 import * as Ranges from './ranges';
 import videojs from 'video.js';
 import { updateAdCues } from './ad-cue-tags';
+import {
+  createEventStreamTrackIfNotExists,
+  addEventStreamCues
+} from './util/text-tracks';
 import SyncController from './sync-controller';
+import MetricsController from './metrics-controller';
 import TimelineChangeController from './timeline-change-controller';
 import Decrypter from 'worker!./decrypter-worker.worker.js';
 import Config from './config';
@@ -38,7 +43,8 @@ const loaderStats = [
   'mediaRequestsTimedout',
   'mediaRequestsErrored',
   'mediaTransferDuration',
-  'mediaBytesTransferred'
+  'mediaBytesTransferred',
+  'mediaChunksDropped'
 ];
 const sumLoaderStat = function(stat) {
   return this.audioSegmentLoader_[stat] +
@@ -118,8 +124,6 @@ const shouldSwitchToMedia = function({
   return false;
 };
 
-var currentTimeOffset = 0;
-
 /**
  * the master playlist controller controller all interactons
  * between playlists and segmentloaders. At this time this mainly
@@ -226,7 +230,10 @@ export class MasterPlaylistController extends videojs.EventTarget {
       cacheEncryptionKeys,
       handlePartialData,
       sourceUpdater: this.sourceUpdater_,
-      timelineChangeController: this.timelineChangeController_
+      timelineChangeController: this.timelineChangeController_,
+      clientOffset: () => this.masterPlaylistLoader_.clientOffset_ || 0,
+      excludeBaseUrl: (playlist) => this.sourceType_ === 'dash' &&
+        this.masterPlaylistLoader_.excludeBaseUrl(playlist)
     };
 
     // The source type check not only determines whether a special DASH playlist loader
@@ -238,64 +245,6 @@ export class MasterPlaylistController extends videojs.EventTarget {
       new PlaylistLoader(src, this.vhs_, this.requestOptions_);
     this.setupMasterPlaylistLoaderListeners_();
 
-    function getStats(vhs, playbackStartTime) {
-      //console.log("getStats");
-
-      if (vhs)
-      {
-
-        let currentPlaybackTimeMs = vhs.tech_.currentTime() * 1000;
-        console.log("Stats: vhs currenTime: " + currentPlaybackTimeMs + " playbackStartTime: " + playbackStartTime);
-        
-        if (!currentTimeOffset && currentPlaybackTimeMs > 0)
-        {
-          currentTimeOffset = currentPlaybackTimeMs - 2000; // 2000: the first time function getStat() is called is 2 seconds from the initilization of the master-playlist-controller.
-		  //return;
-        }
-         
-        //let currentWallTimeMs = Date.now() - playbackStartTime + 3.5;
-
-		let currentWallTimeMs;
-		let currentWallTimeMsRelative;
-
-		if (currentTimeOffset)
-		{
-			currentWallTimeMs = Date.now();
-			currentWallTimeMsRelative = currentWallTimeMs - playbackStartTime;
-			console.log("Stats: currentWallTimeMsRelative: " + currentWallTimeMsRelative);
-		}
-
-/*
-		let currentPlaybackTimeMs = vhs.tech_.currentTime() * 1000;
-		let currentWallTimeMs = Date.now();
-
-        console.log("Stats: currentPlaybackTime: " + currentPlaybackTimeMs + " currentWallTime: " + currentWallTimeMs);
-        //console.log("Stats: bufferedSegments: " + player.metrics.bufferedSegments.amountOfBufferedVideoSegments);
-        console.log("Stats: latency: " + latency/1000);
-*/
-
-		let latency = currentWallTimeMsRelative - currentPlaybackTimeMs;
-
-		console.log("Stats: latency (ms): " + latency);
-
-		var metrics = {};
-
-    	//metrics.bufferedSeconds = buffered.end(0) - buffered.start(0);
-    	metrics.latency = latency/1000;
-
-    	let url = "http://localhost:5001/metrics";
-    	let metricsRequest = new XMLHttpRequest();
-
-    	metricsRequest.open("POST", url, true); // false for synchronous request
-    	metricsRequest.send(JSON.stringify(metrics));
-      }
-
-      setTimeout(getStats, 2000, vhs, playbackStartTime);
-    }
-
-    const playbackStartTime = Date.now();
-    setTimeout(getStats, 2000, this, playbackStartTime);
-
     // setup segment loaders
     // combined audio/video or just video when alternate audio track is selected
     this.mainSegmentLoader_ =
@@ -331,10 +280,21 @@ export class MasterPlaylistController extends videojs.EventTarget {
     // mediaRequestsErrored_
     // mediaTransferDuration_
     // mediaBytesTransferred_
+    // mediaChunksDropped_
     loaderStats.forEach((stat) => {
       this[stat + '_'] = sumLoaderStat.bind(this, stat);
     });
 
+    this.metricsController_ = new MetricsController({
+      tech: this.tech_,
+      master: () => this.master(),
+      media: () => this.masterPlaylistLoader_.media(),
+      timestampOffset: () => this.sourceUpdater_.videoTimestampOffset(),
+      clientOffset: () => this.masterPlaylistLoader_.clientOffset_,
+      liveEdgeLatency: () => this.liveEdgeLatency_(),
+      mediaChunksDropped: () => this.mediaChunksDropped_()
+    });
+
     this.logger_ = logger('MPC');
 
     this.triggeredFmp4Usage = false;
@@ -679,6 +639,11 @@ export class MasterPlaylistController extends videojs.EventTarget {
       this.onSyncInfoUpdate_();
     });
 
+    // event times can only be mapped to player time once media has been appended
+    this.mainSegmentLoader_.on('appended', () => {
+      this.addEventStreamCues_();
+    });
+
     this.mainSegmentLoader_.on('timestampoffset', () => {
       this.tech_.trigger({type: 'usage', name: 'vhs-timestamp-offset'});
       this.tech_.trigger({type: 'usage', name: 'hls-timestamp-offset'});
@@ -1300,6 +1265,48 @@ export class MasterPlaylistController extends videojs.EventTarget {
     return Vhs.Playlist.duration(media);
   }
 
+  /**
+   * The live latency, in seconds, of the current playback position.
+   *
+   * @return {number|null}
+   *         The live latency, or null if the stream is not live or there isn't
+   *         enough information to tell
+   */
+  liveLatency() {
+    return this.metricsController_.latency();
+  }
+
+  /**
+   * Calculate how far, in seconds, the playhead is behind the end of the active media
+   * playlist. This is used as the live latency when playback can't be mapped to
+   * wallclock time.
+   *
+   * @return {number|null}
+   *         The distance from the end of the playlist, or null if the stream is not
+   *         live or there isn't enough information to tell
+   * @private
+   */
+  liveEdgeLatency_() {
+    const media = this.masterPlaylistLoader_ && this.masterPlaylistLoader_.media();
+
+    if (!media || media.endList) {
+      return null;
+    }
+
+    const expired = this.syncController_.getExpiredTime(media, this.duration());
+
+    if (expired === null) {
+      return null;
+    }
+
+    // the parts of the segment being produced may already be buffered
+    const preloadDuration = media.preloadSegment ?
+      media.preloadSegment.parts.reduce((total, part) => total + part.duration, 0) : 0;
+
+    return Vhs.Playlist.playlistEnd(media, expired) + preloadDuration -
+      this.tech_.currentTime();
+  }
+
   /**
    * check the seekable range
    *
@@ -1477,6 +1484,7 @@ export class MasterPlaylistController extends videojs.EventTarget {
     this.subtitleSegmentLoader_.dispose();
     this.sourceUpdater_.dispose();
     this.timelineChangeController_.dispose();
+    this.metricsController_.dispose();
 
     this.stopABRTimer_();
 
@@ -1789,6 +1797,28 @@ export class MasterPlaylistController extends videojs.EventTarget {
     updateAdCues(media, this.cueTagsTrack_, offset);
   }
 
+  /**
+   * Adds the events of the MPD's EventStreams as cues on the event stream text track.
+   * Event times are assumed to count from the same origin as the media time of the
+   * content, as is the case when the Period has no presentationTimeOffset.
+   *
+   * @private
+   */
+  addEventStreamCues_() {
+    const master = this.master();
+
+    if (!master || !master.eventStream) {
+      return;
+    }
+
+    createEventStreamTrackIfNotExists(this.inbandTextTracks_, this.tech_);
+    addEventStreamCues({
+      inbandTextTracks: this.inbandTextTracks_,
+      events: master.eventStream,
+      timestampOffset: this.sourceUpdater_.videoTimestampOffset()
+    });
+  }
+
   /**
    * Calculates the desired forward buffer length based on current time
    *
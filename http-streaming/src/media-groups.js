@@ -4,21 +4,59 @@ import DashPlaylistLoader from './dash-playlist-loader';
 import noop from './util/noop';
 
 /**
- * Convert the properties of an HLS track into an audioTrackKind.
+ * Whether the CHARACTERISTICS of a track include the provided characteristic
+ *
+ * @param {Object} properties
+ *        The media group properties of the track
+ * @param {string} characteristic
+ *        The characteristic to look for
+ * @return {boolean}
+ *         Whether the track has the characteristic
+ * @private
+ */
+const hasCharacteristic_ = (properties, characteristic) =>
+  !!properties.characteristics &&
+  properties.characteristics.split(',').indexOf(characteristic) >= 0;
+
+/**
+ * Convert the properties of an HLS track into an audioTrackKind. DASH tracks may also
+ * have the roles of their AdaptationSet.
  *
  * @private
  */
 const audioTrackKind_ = (properties) => {
+  const roles = properties.roles || [];
   let kind = properties.default ? 'main' : 'alternative';
 
-  if (properties.characteristics &&
-      properties.characteristics.indexOf('public.accessibility.describes-video') >= 0) {
+  if (hasCharacteristic_(properties, 'public.accessibility.describes-video')) {
     kind = 'main-desc';
+  } else if (roles.indexOf('dub') >= 0) {
+    kind = 'translation';
+  } else if (roles.indexOf('commentary') >= 0) {
+    kind = 'commentary';
   }
 
   return kind;
 };
 
+/**
+ * Convert the properties of an HLS or DASH subtitle track into a textTrackKind.
+ * Subtitles that also describe music and sound, such as SDH, are captions.
+ *
+ * @param {Object} properties
+ *        The media group properties of the track
+ * @return {string}
+ *         The kind of the text track
+ * @private
+ */
+const subtitleTrackKind_ = (properties) => {
+  if (hasCharacteristic_(properties, 'public.accessibility.describes-music-and-sound')) {
+    return 'captions';
+  }
+
+  return 'subtitles';
+};
+
 /**
  * Pause provided segment loader and playlist loader if active
  *
@@ -556,7 +594,7 @@ export const initialize = {
         if (typeof tracks[variantLabel] === 'undefined') {
           const track = tech.addRemoteTextTrack({
             id: variantLabel,
-            kind: 'subtitles',
+            kind: subtitleTrackKind_(properties),
             default: properties.default && properties.autoselect,
             language: properties.language,
             label: variantLabel
@@ -0,0 +1,911 @@
+/**
+ * @file media-segment-fetch.js
+ *
+ * Streams fragmented MP4 (CMAF) media segments using the fetch API so that each
+ * chunk (a moof/mdat pair) can be handed to the segment loader as soon as it has been
+ * fully received, rather than waiting on the whole segment as `mediaSegmentRequest`
+ * does. Used for low latency DASH playback. AES-128 encrypted segments are decrypted
+ * progressively, as their blocks arrive, and MPEG-TS (or AAC) segments are transmuxed
+ * progressively, so that they can be streamed as well.
+ */
+import window from 'global/window';
+import videojs from 'video.js';
+import mp4probe from 'mux.js/lib/mp4/probe';
+import { detectContainerForBytes } from '@videojs/vhs-utils/dist/containers';
+import {
+  handleErrors,
+  handleSegmentBytes,
+  REQUEST_ERRORS
+} from './media-segment-request';
+import { segmentXhrHeaders } from './xhr';
+import { createTransferableMessage } from './bin-utils';
+
+const AES_BLOCK_SIZE = 16;
+
+/**
+ * Concatenates two Uint8Arrays
+ *
+ * @param {Uint8Array} first
+ *        the bytes to place first
+ * @param {Uint8Array} second
+ *        the bytes to append after the first
+ * @return {Uint8Array}
+ *         the combined bytes
+ */
+export const concatTypedArrays = (first, second) => {
+  if (!first.length) {
+    return second;
+  }
+
+  const result = new Uint8Array(first.length + second.length);
+
+  result.set(first);
+  result.set(second, first.length);
+
+  return result;
+};
+
+const parseUint32 = (data, offset) => {
+  return ((data[offset] << 24) |
+    (data[offset + 1] << 16) |
+    (data[offset + 2] << 8) |
+    data[offset + 3]) >>> 0;
+};
+
+const parseIsoBoxType = (data, offset) => {
+  return String.fromCharCode(
+    data[offset],
+    data[offset + 1],
+    data[offset + 2],
+    data[offset + 3]
+  );
+};
+
+// Seconds between the NTP epoch (1900) and the unix epoch (1970)
+const NTP_UNIX_EPOCH_OFFSET = 2208988800;
+
+/**
+ * Parses the first top level ProducerReferenceTime (prft) box in the provided bytes,
+ * which maps the media time of the chunk that follows it to the wallclock time at
+ * which it was produced.
+ *
+ * @param {Uint8Array} data
+ *        the bytes of a chunk of media
+ * @param {Object} timescales
+ *        the timescales of the tracks in the init segment, keyed by track id
+ * @return {Object|null}
+ *         an object with the `trackId`, `wallClockTime` (in seconds since the unix
+ *         epoch) and `presentationTime` (in seconds) of the box, or null if the bytes
+ *         contain no prft box for a known track
+ */
+export const parseProducerReferenceTime = (data, timescales) => {
+  let offset = 0;
+
+  while (offset + 8 <= data.byteLength) {
+    const boxSize = parseUint32(data, offset);
+    const boxType = parseIsoBoxType(data, offset + 4);
+
+    if (boxSize < 8 || offset + boxSize > data.byteLength) {
+      return null;
+    }
+
+    if (boxType === 'prft') {
+      const version = data[offset + 8];
+      const trackId = parseUint32(data, offset + 12);
+      const ntpSeconds = parseUint32(data, offset + 16);
+      const ntpFraction = parseUint32(data, offset + 20);
+      const mediaTime = version === 0 ?
+        parseUint32(data, offset + 24) :
+        parseUint32(data, offset + 24) * Math.pow(2, 32) + parseUint32(data, offset + 28);
+      const timescale = timescales && timescales[trackId];
+
+      if (!timescale) {
+        return null;
+      }
+
+      return {
+        trackId,
+        wallClockTime: ntpSeconds - NTP_UNIX_EPOCH_OFFSET + ntpFraction / Math.pow(2, 32),
+        presentationTime: mediaTime / timescale
+      };
+    }
+
+    offset += boxSize;
+  }
+
+  return null;
+};
+
+/**
+ * Reads a null terminated string
+ *
+ * @param {Uint8Array} data
+ *        the bytes to read from
+ * @param {number} offset
+ *        offset of the first character
+ * @param {number} end
+ *        offset to stop reading at if no null terminator is found
+ * @return {Object}
+ *         an object with the `string` and the `offset` just past its terminator
+ */
+const parseCString = (data, offset, end) => {
+  let string = '';
+
+  while (offset < end && data[offset] !== 0) {
+    string += String.fromCharCode(data[offset]);
+    offset++;
+  }
+
+  return { string, offset: offset + 1 };
+};
+
+/**
+ * Parses the top level DASH event message (emsg) boxes in the provided bytes.
+ *
+ * @param {Uint8Array} data
+ *        the bytes of a chunk of media
+ * @param {number} segmentStartTime
+ *        the earliest presentation time of the segment, in seconds of media time, which
+ *        the presentation time of a version 0 box is relative to
+ * @return {Object[]}
+ *         a list of events with `schemeIdUri`, `value`, `id`, `start` and `end` (in
+ *         seconds of media time) and `messageData` (as a Uint8Array)
+ */
+export const parseEmsgBoxes = (data, segmentStartTime) => {
+  const events = [];
+  let offset = 0;
+
+  while (offset + 8 <= data.byteLength) {
+    const boxSize = parseUint32(data, offset);
+    const boxType = parseIsoBoxType(data, offset + 4);
+    const boxEnd = offset + boxSize;
+
+    if (boxSize < 8 || boxEnd > data.byteLength) {
+      break;
+    }
+
+    if (boxType === 'emsg') {
+      const version = data[offset + 8];
+      let position = offset + 12;
+      let schemeIdUri;
+      let value;
+      let timescale;
+      let start;
+
+      if (version === 0) {
+        schemeIdUri = parseCString(data, position, boxEnd);
+        value = parseCString(data, schemeIdUri.offset, boxEnd);
+        position = value.offset;
+        timescale = parseUint32(data, position);
+        start = segmentStartTime + parseUint32(data, position + 4) / timescale;
+        position += 8;
+      } else {
+        timescale = parseUint32(data, position);
+        start = (parseUint32(data, position + 4) * Math.pow(2, 32) +
+          parseUint32(data, position + 8)) / timescale;
+        position += 12;
+      }
+
+      const duration = parseUint32(data, position);
+      const id = parseUint32(data, position + 4);
+
+      position += 8;
+
+      if (version !== 0) {
+        schemeIdUri = parseCString(data, position, boxEnd);
+        value = parseCString(data, schemeIdUri.offset, boxEnd);
+        position = value.offset;
+      }
+
+      events.push({
+        schemeIdUri: schemeIdUri.string,
+        value: value.string,
+        id,
+        start,
+        // a duration of 0xFFFFFFFF is unknown
+        end: duration === 0xFFFFFFFF ? Infinity : start + duration / timescale,
+        messageData: data.slice(Math.min(position, boxEnd), boxEnd)
+      });
+    }
+
+    offset = boxEnd;
+  }
+
+  return events;
+};
+
+/**
+ * Walks the top level ISO BMFF boxes in the provided bytes looking for the last
+ * complete box of one of the requested types.
+ *
+ * @param {string[]} types
+ *        box types to search for, e.g. ['mdat']
+ * @param {Uint8Array} data
+ *        the bytes to search
+ * @param {number} [offset=0]
+ *        offset of a top level box boundary to start searching from
+ * @return {Object}
+ *         an object with `found`, `lastCompletedOffset` and `size` properties. If a
+ *         box was found, `lastCompletedOffset` is the offset of the matching box and
+ *         `size` is its size. Otherwise `lastCompletedOffset` is the end of the last
+ *         complete box and may be used as the `offset` for the next search.
+ */
+export const findLastTopIsoBoxCompleted = (types, data, offset = 0) => {
+  // 8 = size (uint32) + type (4 characters)
+  if (!data || offset + 8 >= data.byteLength) {
+    return { found: false, lastCompletedOffset: 0 };
+  }
+
+  let boxInfo;
+  let lastCompletedOffset = 0;
+
+  while (offset + 8 <= data.byteLength) {
+    const boxSize = parseUint32(data, offset);
+    const boxType = parseIsoBoxType(data, offset + 4);
+
+    if (boxSize === 0) {
+      break;
+    }
+
+    if (offset + boxSize <= data.byteLength) {
+      if (types.indexOf(boxType) >= 0) {
+        boxInfo = { found: true, lastCompletedOffset: offset, size: boxSize };
+      } else {
+        lastCompletedOffset = offset + boxSize;
+      }
+    }
+
+    offset += boxSize;
+  }
+
+  return boxInfo || { found: false, lastCompletedOffset };
+};
+
+/**
+ * Estimates network bandwidth from the bursts in which chunks of a segment were
+ * received. When chunks are streamed as they are encoded, most of the time spent on a
+ * request is the server waiting on the encoder. Dividing the bytes of a segment by the
+ * time taken to download it would therefore only measure the bitrate of the content.
+ * Instead, each chunk is timed on its own, from the end of the chunk before it.
+ *
+ * @param {Object[]} bursts
+ *        a list of objects with `bytes` and `duration` (in ms) properties, one for
+ *        each chunk that was received
+ * @return {number}
+ *         the estimated bandwidth in bits per second, or NaN if the bursts were too
+ *         short to measure
+ */
+export const estimateBurstBandwidth = (bursts) => {
+  let bytes = 0;
+  let duration = 0;
+
+  bursts.forEach((burst) => {
+    // a burst with no measurable duration says nothing about the network beyond that
+    // it is faster than the clock resolution
+    if (burst.duration > 0 && burst.bytes > 0) {
+      bytes += burst.bytes;
+      duration += burst.duration;
+    }
+  });
+
+  if (!duration) {
+    return NaN;
+  }
+
+  // Multiply by 8000 to convert from bytes/millisecond to bits/second
+  return Math.floor((bytes / duration) * 8 * 1000);
+};
+
+/**
+ * Whether the bytes of a segment must be decrypted before they are used. Segments with
+ * a SAMPLE-AES key only have encrypted samples, which are left for EME to decrypt.
+ *
+ * @param {Object} key
+ *        the key of the segment, if any
+ * @return {boolean}
+ *         whether the segment is AES-128 encrypted
+ */
+export const isAes128 = (key) => !!key && (!key.method || key.method === 'AES-128');
+
+/**
+ * Reads 16 bytes as the four big-endian words of an AES-128 key or IV
+ *
+ * @param {Uint8Array} bytes
+ *        bytes that end with the 16 bytes to read
+ * @return {Uint32Array}
+ *         the words of the last 16 bytes
+ */
+const blockWords = (bytes) => {
+  const view = new DataView(
+    bytes.buffer,
+    bytes.byteOffset + bytes.byteLength - AES_BLOCK_SIZE,
+    AES_BLOCK_SIZE
+  );
+
+  return new Uint32Array([
+    view.getUint32(0),
+    view.getUint32(4),
+    view.getUint32(8),
+    view.getUint32(12)
+  ]);
+};
+
+/**
+ * Probes the init segment for its tracks and timescales and saves them on the map
+ *
+ * @param {Object} map
+ *        the segment's map object, with the init segment in `map.bytes`
+ */
+const parseInitSegment = (map) => {
+  const type = detectContainerForBytes(map.bytes);
+
+  if (type !== 'mp4') {
+    return;
+  }
+
+  mp4probe.tracks(map.bytes).forEach((track) => {
+    map.tracks = map.tracks || {};
+
+    // only support one track of each type for now
+    if (map.tracks[track.type]) {
+      return;
+    }
+
+    map.tracks[track.type] = track;
+
+    if (track.id && track.timescale) {
+      map.timescales = map.timescales || {};
+      map.timescales[track.id] = track.timescale;
+    }
+  });
+};
+
+/**
+ * Reports track info and start time for the segment, based on the init segment and
+ * the first complete chunk of media
+ *
+ * @param {Object} segment
+ *        a simplified copy of the segmentInfo object from SegmentLoader
+ * @param {Uint8Array} bytes
+ *        the first chunk of media
+ * @param {Function} trackInfoFn
+ *        a callback that receives track info
+ * @param {Function} timingInfoFn
+ *        a callback that receives timing info
+ * @return {number}
+ *         the start time of the segment, in seconds of media time
+ */
+const handleTrackAndTimingInfo = (segment, bytes, trackInfoFn, timingInfoFn) => {
+  // segments without an init segment have no tracks or timescales to go by
+  const map = segment.map || {};
+  const tracks = map.tracks || {};
+  const trackInfo = {
+    isFmp4: !!segment.isFmp4,
+    hasVideo: !!tracks.video,
+    hasAudio: !!tracks.audio
+  };
+
+  // encrypted tracks will have the codecs listed in the playlist rather than the
+  // init segment
+  if (tracks.audio && tracks.audio.codec && tracks.audio.codec !== 'enca') {
+    trackInfo.audioCodec = tracks.audio.codec;
+  }
+
+  if (tracks.video && tracks.video.codec && tracks.video.codec !== 'encv') {
+    trackInfo.videoCodec = tracks.video.codec;
+  }
+
+  if (tracks.video && tracks.audio) {
+    trackInfo.isMuxed = true;
+  }
+
+  trackInfoFn(segment, trackInfo);
+
+  const timingInfo = mp4probe.startTime(map.timescales || {}, bytes);
+
+  if (trackInfo.hasAudio && !trackInfo.isMuxed) {
+    timingInfoFn(segment, 'audio', 'start', timingInfo);
+  }
+
+  if (trackInfo.hasVideo) {
+    timingInfoFn(segment, 'video', 'start', timingInfo);
+  }
+
+  return timingInfo;
+};
+
+/**
+ * Requests a fragmented MP4 media segment (and its init segment, if one is needed and
+ * not yet cached) using fetch, and streams each complete chunk to the segment loader
+ * as it arrives. MPEG-TS and AAC segments are instead pushed to the transmuxer as they
+ * arrive, and the fMP4 data it produces is passed to `dataFn`.
+ *
+ * All state is kept per request, so any number of requests, for any type of loader, may
+ * be in flight at once.
+ *
+ * @param {Function} xhr
+ *        the xhr function of the loader, whose `fetch` makes the requests, so that they
+ *        go through the same request hooks as xhr requests
+ * @param {Object} xhrOptions
+ *        the base options to provide to all requests
+ * @param {WebWorker} [decryptionWorker]
+ *        a WebWorker interface to AES-128 decryption routines, needed for segments
+ *        with an AES-128 key
+ * @param {Object} segment
+ *        a simplified copy of the segmentInfo object from SegmentLoader
+ * @param {number} stallTimeout
+ *        milliseconds to wait for more bytes before timing out the request, or 0 to
+ *        never time out
+ * @param {Function} abortFn
+ *        a callback called (only once) if the request was aborted
+ * @param {Function} trackInfoFn
+ *        a callback that receives track info
+ * @param {Function} timingInfoFn
+ *        a callback that receives timing info
+ * @param {Function} [videoSegmentTimingInfoFn]
+ *        a callback that receives the video segment timing info of transmuxed segments
+ * @param {Function} [id3Fn]
+ *        a callback that receives the ID3 metadata of transmuxed segments
+ * @param {Function} [captionsFn]
+ *        a callback that receives the captions of transmuxed segments
+ * @param {Function} [transmuxingFn]
+ *        a callback that is executed once a segment is found to need transmuxing,
+ *        before any of its bytes are pushed to the transmuxer
+ * @param {Function} [producerReferenceTimeFn]
+ *        a callback that receives the mapping of any prft box in a chunk, see
+ *        `parseProducerReferenceTime`
+ * @param {Function} [emsgFn]
+ *        a callback that receives the events of any emsg boxes in a chunk, see
+ *        `parseEmsgBoxes`
+ * @param {Function} chunkFn
+ *        a callback that receives each complete chunk of media, as
+ *        (segment, {data, type}, isFirstChunk)
+ * @param {Function} dataFn
+ *        a callback that receives any bytes left over once the segment is complete, or
+ *        the transmuxed data of transmuxed segments
+ * @param {Function} doneFn
+ *        a callback that is executed once the segment has been fully streamed, or the
+ *        request failed
+ * @return {Function} a function that, when invoked, immediately aborts the request
+ */
+export const mediaSegmentFetch = ({
+  xhr,
+  xhrOptions,
+  decryptionWorker,
+  segment,
+  stallTimeout,
+  abortFn,
+  trackInfoFn,
+  timingInfoFn,
+  videoSegmentTimingInfoFn,
+  id3Fn,
+  captionsFn,
+  transmuxingFn,
+  producerReferenceTimeFn,
+  emsgFn,
+  chunkFn,
+  dataFn,
+  doneFn
+}) => {
+  const decrypting = isAes128(segment.key);
+  const state = {
+    finished: false,
+    initPending: !!(segment.map && !segment.map.bytes),
+    keyPending: decrypting && !segment.key.bytes,
+    // all bytes of the media have been read
+    mediaDone: false,
+    // encrypted bytes that have not been sent to the decryption worker yet
+    encrypted: new Uint8Array(),
+    iv: decrypting ? segment.key.iv : null,
+    decryptsPending: 0,
+    // whether the segment is transmuxed, decided on its first bytes
+    transmuxing: null,
+    flushing: false,
+    chunksHandled: 0,
+    // media time of the start of the segment, once known
+    startTime: 0,
+    // chunks that arrived before the init segment
+    queuedChunks: [],
+    // bytes that do not yet make up a complete chunk
+    remaining: new Uint8Array(),
+    reader: null,
+    decryptionHandler: null,
+    stallTimeout: null,
+    requestTime: Date.now(),
+    bytesReceived: 0,
+    // when the chunk currently being received started, the end of the chunk before it
+    // or the start of the response
+    burstStart: Date.now(),
+    bursts: []
+  };
+  const type = () => segment.map && segment.map.tracks && segment.map.tracks.audio ?
+    'audio' : 'video';
+  let keyRequest = null;
+  let initRequest = null;
+  let mediaRequest = null;
+
+  // segments and init segments that are byte ranges of a file, e.g. from a sidx, are
+  // requested with the same Range headers as mediaSegmentRequest uses
+  const requestOptions = (segmentOrMap) => videojs.mergeOptions(xhrOptions, {
+    uri: segmentOrMap.resolvedUri,
+    headers: segmentXhrHeaders(segmentOrMap)
+  });
+
+  const clearStallTimeout = () => {
+    window.clearTimeout(state.stallTimeout);
+    state.stallTimeout = null;
+  };
+
+  // stop all network activity for this request and report the outcome exactly once
+  const end = (error, result = {}) => {
+    if (state.finished) {
+      return;
+    }
+    state.finished = true;
+    state.queuedChunks.length = 0;
+    clearStallTimeout();
+
+    if (state.decryptionHandler) {
+      decryptionWorker.removeEventListener('message', state.decryptionHandler);
+    }
+
+    const roundTripTime = Date.now() - state.requestTime;
+    let bandwidth = estimateBurstBandwidth(state.bursts);
+
+    // If no chunk took long enough to measure, fall back to the (conservative)
+    // bitrate of the entire request
+    if (isNaN(bandwidth)) {
+      bandwidth = Math.floor((state.bytesReceived / (roundTripTime || 1)) * 8 * 1000);
+    }
+
+    segment.stats = {
+      bandwidth,
+      bytesReceived: state.bytesReceived,
+      roundTripTime
+    };
+
+    if (error) {
+      // the key or init segment request may fail before the media is requested
+      const aborted = !!mediaRequest && mediaRequest.aborted;
+
+      [keyRequest, initRequest, mediaRequest]
+        .forEach((request) => request && request.abort());
+      if (state.reader) {
+        state.reader.cancel().catch(() => {});
+      }
+      if (aborted && abortFn) {
+        abortFn();
+      }
+    }
+
+    doneFn(error, segment, result);
+  };
+
+  // a chunked transfer that stops delivering bytes would otherwise never finish
+  const resetStallTimeout = () => {
+    clearStallTimeout();
+
+    if (!stallTimeout) {
+      return;
+    }
+
+    state.stallTimeout = window.setTimeout(() => {
+      mediaRequest.timedout = true;
+      end(handleErrors(null, mediaRequest));
+    }, stallTimeout);
+  };
+
+  // failures of the fetch itself, e.g., network errors or the request being canceled,
+  // and errors thrown while handling the bytes it received
+  const handleFailure = (request) => (error) => {
+    if (!state.finished) {
+      end(handleErrors(error, request));
+    }
+  };
+
+  // the callback of a request, that ends the request if the response is an error
+  const handleResponse = (responseFn) => (error, request, response) => {
+    if (state.finished) {
+      return;
+    }
+
+    if (error) {
+      end(handleErrors(error, request));
+      return;
+    }
+
+    resetStallTimeout();
+    responseFn(response);
+  };
+
+  // pushes the bytes of a ts or aac segment to the transmuxer, transferring them
+  const transmuxBytes = (bytes, isPartial) => handleSegmentBytes({
+    segment,
+    bytes,
+    isPartial,
+    trackInfoFn,
+    timingInfoFn,
+    videoSegmentTimingInfoFn,
+    id3Fn,
+    captionsFn,
+    dataFn,
+    doneFn: (error, doneSegment, result) => end(error, result)
+  });
+
+  const finish = () => {
+    if (state.finished ||
+        state.flushing ||
+        state.initPending ||
+        state.keyPending ||
+        state.decryptsPending ||
+        !state.mediaDone) {
+      return;
+    }
+
+    segment.endOfAllRequests = Date.now();
+
+    // all bytes have been pushed already, flushing completes the segment
+    if (state.transmuxing) {
+      state.flushing = true;
+      transmuxBytes(new Uint8Array(), false);
+      return;
+    }
+    dataFn(segment, { data: state.remaining, type: type() });
+    end(null);
+  };
+
+  const handleChunk = (bytes) => {
+    if (state.finished) {
+      return;
+    }
+
+    // We only start passing along data after both the init segment and the first media
+    // chunk are received.
+    if (state.initPending) {
+      state.queuedChunks.push(bytes);
+      return;
+    }
+
+    if (!state.chunksHandled) {
+      state.startTime =
+        handleTrackAndTimingInfo(segment, bytes, trackInfoFn, timingInfoFn);
+    }
+
+    // track and timing info may cause an abort
+    if (state.finished) {
+      return;
+    }
+
+    if (producerReferenceTimeFn) {
+      const producerReferenceTime =
+        parseProducerReferenceTime(bytes, segment.map && segment.map.timescales);
+
+      if (producerReferenceTime) {
+        producerReferenceTimeFn(segment, producerReferenceTime);
+      }
+    }
+
+    if (emsgFn) {
+      const events = parseEmsgBoxes(bytes, state.startTime);
+
+      if (events.length) {
+        emsgFn(segment, events);
+      }
+    }
+
+    state.chunksHandled++;
+    chunkFn(segment, { data: bytes, type: type() }, state.chunksHandled === 1);
+  };
+
+  const handleInitSegment = (bytes) => {
+    if (state.finished) {
+      return;
+    }
+
+    segment.map.bytes = new Uint8Array(bytes);
+    parseInitSegment(segment.map);
+    state.initPending = false;
+
+    state.queuedChunks.forEach(handleChunk);
+    state.queuedChunks.length = 0;
+
+    finish();
+  };
+
+  // splits the (decrypted) bytes of the media into chunks
+  const handleMediaData = (bytes) => {
+    // Segments without an init segment may be MPEG-TS or AAC, which has no chunks to
+    // look for, so it is transmuxed as it arrives instead. Bandwidth is then measured
+    // over the whole request.
+    if (state.transmuxing === null) {
+      const container = segment.map ? 'mp4' : detectContainerForBytes(bytes);
+
+      segment.isFmp4 = container === 'mp4';
+      state.transmuxing =
+        !!segment.transmuxer && (container === 'ts' || container === 'aac');
+      if (state.transmuxing) {
+        segment.container = container;
+        if (transmuxingFn) {
+          transmuxingFn(segment);
+        }
+      }
+    }
+
+    if (state.transmuxing) {
+      // the bytes are copied as they may be a view of a larger buffer
+      transmuxBytes(new Uint8Array(bytes), true);
+      return;
+    }
+
+    state.remaining = concatTypedArrays(state.remaining, bytes);
+
+    const boxInfo = findLastTopIsoBoxCompleted(['mdat'], state.remaining);
+
+    if (boxInfo.found) {
+      const now = Date.now();
+      const chunkEnd = boxInfo.lastCompletedOffset + boxInfo.size;
+      const chunk = state.remaining.subarray(0, chunkEnd);
+
+      state.remaining = state.remaining.subarray(chunkEnd);
+      state.bursts.push({ bytes: chunk.length, duration: now - state.burstStart });
+      state.burstStart = now;
+
+      handleChunk(new Uint8Array(chunk));
+    }
+  };
+
+  // Sends the complete AES blocks received so far to the decryption worker. CBC
+  // decryption of a block only depends on the block before it, so the blocks can be
+  // decrypted as they arrive, with the last block sent as the IV of the next ones. The
+  // last block may end with padding though, so it is held back until all bytes are read.
+  const decryptBytes = () => {
+    if (state.keyPending) {
+      return;
+    }
+
+    const bytes = state.encrypted;
+    const length = state.mediaDone ?
+      bytes.length :
+      bytes.length - 1 - ((bytes.length - 1) % AES_BLOCK_SIZE);
+
+    if (length <= 0) {
+      return;
+    }
+
+    const encrypted = new Uint8Array(bytes.subarray(0, length));
+    const message = {
+      source: segment.requestId,
+      encrypted,
+      key: segment.key.bytes,
+      iv: state.iv
+    };
+
+    if (!state.mediaDone) {
+      message.partial = true;
+      state.iv = blockWords(encrypted);
+    }
+
+    state.encrypted = bytes.subarray(length);
+    state.decryptsPending++;
+    decryptionWorker.postMessage(
+      createTransferableMessage(message),
+      [encrypted.buffer]
+    );
+  };
+
+  // the worker responds to the messages of a request in the order they were sent
+  const handleDecryptedBytes = (event) => {
+    if (event.data.source !== segment.requestId || state.finished) {
+      return;
+    }
+
+    const decrypted = event.data.decrypted;
+
+    state.decryptsPending--;
+    handleMediaData(new Uint8Array(
+      decrypted.bytes,
+      decrypted.byteOffset,
+      decrypted.byteLength
+    ));
+    finish();
+  };
+
+  const handleKey = (bytes) => {
+    if (state.finished) {
+      return;
+    }
+
+    if (bytes.byteLength !== AES_BLOCK_SIZE) {
+      end({
+        status: keyRequest.status,
+        message: 'Invalid HLS key at URL: ' + keyRequest.uri,
+        code: REQUEST_ERRORS.FAILURE,
+        xhr: keyRequest
+      });
+      return;
+    }
+
+    segment.key.bytes = blockWords(new Uint8Array(bytes));
+    state.keyPending = false;
+
+    decryptBytes();
+    finish();
+  };
+
+  const handleMediaBytes = ({value, done}) => {
+    if (state.finished) {
+      return;
+    }
+
+    if (done) {
+      clearStallTimeout();
+      state.mediaDone = true;
+      if (decrypting) {
+        decryptBytes();
+      }
+      finish();
+      return;
+    }
+
+    resetStallTimeout();
+
+    if (value && value.length) {
+      state.bytesReceived += value.length;
+
+      if (decrypting) {
+        state.encrypted = concatTypedArrays(state.encrypted, value);
+        decryptBytes();
+      } else {
+        handleMediaData(value);
+      }
+    }
+
+    return state.reader.read()
+      .then(handleMediaBytes, handleFailure(mediaRequest))
+      .catch(handleFailure(mediaRequest));
+  };
+
+  resetStallTimeout();
+
+  if (decrypting) {
+    state.decryptionHandler = handleDecryptedBytes;
+    decryptionWorker.addEventListener('message', handleDecryptedBytes);
+  }
+
+  if (state.keyPending) {
+    const handleKeyResponse = handleResponse((response) =>
+      response.arrayBuffer()
+        .then(handleKey, handleFailure(keyRequest))
+        .catch(handleFailure(keyRequest)));
+
+    keyRequest = xhr.fetch(
+      videojs.mergeOptions(xhrOptions, { uri: segment.key.resolvedUri }),
+      handleKeyResponse
+    );
+  }
+
+  if (state.initPending) {
+    const handleInitResponse = handleResponse((response) =>
+      response.arrayBuffer()
+        .then(handleInitSegment, handleFailure(initRequest))
+        .catch(handleFailure(initRequest)));
+
+    initRequest = xhr.fetch(requestOptions(segment.map), handleInitResponse);
+  }
+
+  const handleMediaResponse = handleResponse((response) => {
+    state.reader = response.body.getReader();
+    state.burstStart = Date.now();
+
+    return state.reader.read()
+      .then(handleMediaBytes, handleFailure(mediaRequest))
+      .catch(handleFailure(mediaRequest));
+  });
+
+  mediaRequest = xhr.fetch(requestOptions(segment), handleMediaResponse);
+
+  return () => {
+    mediaRequest.abort();
+    end(handleErrors(null, mediaRequest));
+  };
+};
@@ -71,7 +71,7 @@ const getProgressStats = (progressEvent) => {
  * @param {Error|null} error - if non-null signals an error occured with the XHR
  * @param {Object} request -  the XHR request that possibly generated the error
  */
-const handleErrors = (error, request) => {
+export const handleErrors = (error, request) => {
   if (request.timedout) {
     return {
       status: request.status,
@@ -368,7 +368,19 @@ const transmuxAndNotify = ({
   });
 };
 
-const handleSegmentBytes = ({
+/**
+ * Handles the bytes of a segment, probing fmp4 segments and transmuxing ts and aac
+ * segments. Partial bytes of a segment are transmuxed as they are received, and the
+ * segment is completed once it is handled without `isPartial`.
+ *
+ * @param {Object} segment - a simplified copy of the segmentInfo object
+ *                           from SegmentLoader
+ * @param {Uint8Array|ArrayBuffer} bytes - the bytes to handle, which are transferred to
+ *                                         the transmuxer
+ * @param {boolean} isPartial - whether more bytes of the segment will follow
+ * @param {Function} doneFn - a callback that is executed once the segment is handled
+ */
+export const handleSegmentBytes = ({
   segment,
   bytes,
   isPartial,
@@ -0,0 +1,305 @@
+/**
+ * @file metrics-controller.js
+ */
+import window from 'global/window';
+import videojs from 'video.js';
+import Config from './config';
+import { timeUntilRebuffer } from './ranges';
+import logger from './util/logger';
+
+/**
+ * Finds the segment of a playlist that contains a player time. Only segments that have
+ * been appended, and so have accurate player start and end times, are considered.
+ *
+ * @param {Object} playlist
+ *        The media playlist to search
+ * @param {number} time
+ *        The player time to find a segment for
+ * @return {Object|null}
+ *         The segment containing the time, or null if none is known
+ */
+const findAppendedSegmentForTime = (playlist, time) => {
+  if (!playlist || !playlist.segments) {
+    return null;
+  }
+
+  for (let i = playlist.segments.length - 1; i >= 0; i--) {
+    const segment = playlist.segments[i];
+
+    if (typeof segment.start === 'number' && typeof segment.end === 'number' &&
+        segment.start <= time && time <= segment.end) {
+      return segment;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Maps a player time to wallclock time using a ProducerReferenceTime, either from a prft
+ * box in the appended segment containing the time or from the manifest.
+ *
+ * @param {Object} playlist
+ *        The active media playlist
+ * @param {number} time
+ *        The player time to map
+ * @param {number} timestampOffset
+ *        The offset from media time to player time, in seconds
+ * @return {number|null}
+ *         The wallclock time in milliseconds since the epoch, or null if unknown
+ */
+export const producerReferenceTimeWallClock = (playlist, time, timestampOffset) => {
+  const segment = findAppendedSegmentForTime(playlist, time);
+  const producerReferenceTime = (segment && segment.producerReferenceTime) ||
+    (playlist && playlist.producerReferenceTime);
+
+  if (!producerReferenceTime || typeof timestampOffset !== 'number') {
+    return null;
+  }
+
+  const mediaTime = time - timestampOffset;
+
+  return (producerReferenceTime.wallClockTime +
+    mediaTime - producerReferenceTime.presentationTime) * 1000;
+};
+
+/**
+ * Maps a player time to wallclock time using the EXT-X-PROGRAM-DATE-TIME (or equivalent)
+ * of the segment containing it.
+ *
+ * @param {Object} playlist
+ *        The active media playlist
+ * @param {number} time
+ *        The player time to map
+ * @return {number|null}
+ *         The wallclock time in milliseconds since the epoch, or null if unknown
+ */
+export const programDateTimeWallClock = (playlist, time) => {
+  const segment = findAppendedSegmentForTime(playlist, time);
+
+  if (!segment || !segment.dateTimeObject) {
+    return null;
+  }
+
+  return segment.dateTimeObject.getTime() + (time - segment.start) * 1000;
+};
+
+/**
+ * Maps a player time to wallclock time using the availabilityStartTime of a DASH
+ * manifest. The media time of the content is assumed to count from the
+ * availabilityStartTime, as is the case when the Period starts at zero with no
+ * presentationTimeOffset.
+ *
+ * @param {Object} master
+ *        The master manifest
+ * @param {number} time
+ *        The player time to map
+ * @param {number} timestampOffset
+ *        The offset from media time to player time, in seconds
+ * @return {number|null}
+ *         The wallclock time in milliseconds since the epoch, or null if unknown
+ */
+export const availabilityStartTimeWallClock = (master, time, timestampOffset) => {
+  if (!master || typeof master.availabilityStartTime !== 'number' ||
+      typeof timestampOffset !== 'number') {
+    return null;
+  }
+
+  return (master.availabilityStartTime + time - timestampOffset) * 1000;
+};
+
+/**
+ * The MetricsController gathers playback metrics such as live latency and buffer level,
+ * and periodically hands them to any reporters registered by integrators.
+ *
+ * @class MetricsController
+ * @extends videojs.EventTarget
+ */
+export default class MetricsController extends videojs.EventTarget {
+  /**
+   * Creates a MetricsController, which starts reporting once a reporter is added.
+   *
+   * @param {Object} options
+   *        Options object
+   * @param {Tech} options.tech
+   *        The tech being played back
+   * @param {Function} options.master
+   *        Returns the master manifest
+   * @param {Function} options.media
+   *        Returns the active media playlist
+   * @param {Function} options.timestampOffset
+   *        Returns the offset from media time to player time, in seconds
+   * @param {Function} options.clientOffset
+   *        Returns the difference between server and client clocks, in milliseconds
+   * @param {Function} options.liveEdgeLatency
+   *        Returns the distance, in seconds, from the playhead to the end of the live
+   *        playlist. Used when no wallclock mapping is available.
+   * @param {Function} options.mediaChunksDropped
+   *        Returns the number of streamed media chunks that were dropped
+   */
+  constructor(options) {
+    super();
+
+    this.tech_ = options.tech;
+    this.master_ = options.master;
+    this.media_ = options.media;
+    this.timestampOffset_ = options.timestampOffset;
+    this.clientOffset_ = options.clientOffset;
+    this.liveEdgeLatency_ = options.liveEdgeLatency;
+    this.mediaChunksDropped_ = options.mediaChunksDropped;
+
+    this.reporters_ = [];
+    this.reportTimer_ = null;
+    this.logger_ = logger('MetricsController');
+  }
+
+  /**
+   * Maps a player time to wallclock time, using the most accurate mapping available.
+   *
+   * @param {number} time
+   *        The player time to map
+   * @return {number|null}
+   *         The wallclock time in milliseconds since the epoch, or null if unknown
+   */
+  wallClockTime(time) {
+    const media = this.media_();
+    const timestampOffset = this.timestampOffset_();
+    const producerReferenceTime =
+      producerReferenceTimeWallClock(media, time, timestampOffset);
+
+    if (producerReferenceTime !== null) {
+      return producerReferenceTime;
+    }
+
+    const programDateTime = programDateTimeWallClock(media, time);
+
+    if (programDateTime !== null) {
+      return programDateTime;
+    }
+
+    return availabilityStartTimeWallClock(this.master_(), time, timestampOffset);
+  }
+
+  /**
+   * The live latency, in seconds, of the current playback position.
+   *
+   * @return {number|null}
+   *         The live latency, or null if the stream is not live or there isn't
+   *         enough information to tell
+   */
+  latency() {
+    const media = this.media_();
+
+    if (!media || media.endList) {
+      return null;
+    }
+
+    const wallClockTime = this.wallClockTime(this.tech_.currentTime());
+
+    if (wallClockTime === null) {
+      return this.liveEdgeLatency_();
+    }
+
+    return (Date.now() + (this.clientOffset_() || 0) - wallClockTime) / 1000;
+  }
+
+  /**
+   * The amount of content, in seconds, buffered ahead of the playhead.
+   *
+   * @return {number}
+   *         The buffer level
+   */
+  bufferLevel() {
+    return Math.max(timeUntilRebuffer(this.tech_.buffered(), this.tech_.currentTime()), 0);
+  }
+
+  /**
+   * A snapshot of the current playback metrics.
+   *
+   * @return {Object}
+   *         The metrics
+   */
+  metrics() {
+    return {
+      latency: this.latency(),
+      bufferLevel: this.bufferLevel(),
+      mediaChunksDropped: this.mediaChunksDropped_(),
+      playbackRate: this.tech_.playbackRate(),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Register a function to be called with a snapshot of the playback metrics every
+   * `Config.METRICS_REPORT_INTERVAL` milliseconds.
+   *
+   * @param {Function} reporter
+   *        The function to call with the metrics
+   */
+  addReporter(reporter) {
+    if (this.reporters_.indexOf(reporter) !== -1) {
+      return;
+    }
+
+    this.reporters_.push(reporter);
+
+    if (!this.reportTimer_) {
+      this.reportTimer_ =
+        window.setInterval(() => this.report_(), Config.METRICS_REPORT_INTERVAL);
+    }
+  }
+
+  /**
+   * Stop calling a previously registered reporter.
+   *
+   * @param {Function} reporter
+   *        The reporter to remove
+   */
+  removeReporter(reporter) {
+    const index = this.reporters_.indexOf(reporter);
+
+    if (index !== -1) {
+      this.reporters_.splice(index, 1);
+    }
+
+    if (!this.reporters_.length) {
+      this.stopReporting_();
+    }
+  }
+
+  /**
+   * Call every registered reporter with the current metrics
+   *
+   * @private
+   */
+  report_() {
+    const metrics = this.metrics();
+
+    this.reporters_.slice().forEach((reporter) => {
+      try {
+        reporter(metrics);
+      } catch (e) {
+        this.logger_('metrics reporter threw', e);
+      }
+    });
+  }
+
+  /**
+   * Stop the reporting timer
+   *
+   * @private
+   */
+  stopReporting_() {
+    window.clearInterval(this.reportTimer_);
+    this.reportTimer_ = null;
+  }
+
+  /**
+   * dispose of the MetricsController, removing its reporters and listeners
+   */
+  dispose() {
+    this.reporters_ = [];
+    this.stopReporting_();
+    this.off();
+  }
+}
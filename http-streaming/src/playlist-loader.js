@@ -44,6 +44,22 @@ export const updateSegments = (original, update, offset) => {
   return result;
 };
 
+/**
+ * Resolves the URIs of low latency HLS parts or preload hints
+ *
+ * @param {Object[]} [parts]
+ *        The parts or preload hints
+ * @param {string} baseUri
+ *        The URI of the playlist they are listed in
+ */
+const resolvePartUris = (parts, baseUri) => {
+  (parts || []).forEach((part) => {
+    if (!part.resolvedUri) {
+      part.resolvedUri = resolveUrl(baseUri, part.uri);
+    }
+  });
+};
+
 export const resolveSegmentUris = (segment, baseUri) => {
   if (!segment.resolvedUri) {
     segment.resolvedUri = resolveUrl(baseUri, segment.uri);
@@ -54,8 +70,96 @@ export const resolveSegmentUris = (segment, baseUri) => {
   if (segment.map && !segment.map.resolvedUri) {
     segment.map.resolvedUri = resolveUrl(baseUri, segment.map.uri);
   }
+  resolvePartUris(segment.parts, baseUri);
+};
+
+/**
+ * Restores the segments that a playlist delta update (EXT-X-SKIP) left out, from the
+ * previous version of the playlist. As the parser only counts the discontinuities it
+ * sees, the discontinuity starts and timelines of the update are corrected for the
+ * skipped segments.
+ *
+ * @param {Object} original
+ *        The previous version of the media playlist
+ * @param {Object} update
+ *        The delta update of the media playlist
+ * @return {boolean}
+ *         Whether the skipped segments were restored. When the previous version of the
+ *         playlist doesn't have all of them, the update can't be used.
+ */
+export const restoreSkippedSegments = (original, update) => {
+  const skippedSegments = update.skip.skippedSegments;
+  const offset = update.mediaSequence - (original && original.mediaSequence);
+
+  if (!original || !original.segments || !(offset >= 0) ||
+      offset + skippedSegments > original.segments.length) {
+    return false;
+  }
+
+  const skipped = original.segments.slice(offset, offset + skippedSegments);
+  const skippedDiscontinuities = skipped.filter((segment) => segment.discontinuity).length;
+
+  update.segments.forEach((segment) => {
+    segment.timeline += skippedDiscontinuities;
+  });
+  update.discontinuityStarts = skipped
+    .map((segment, i) => segment.discontinuity ? i : -1)
+    .filter((index) => index !== -1)
+    .concat((update.discontinuityStarts || []).map((index) => index + skippedSegments));
+  update.segments = skipped.concat(update.segments);
+  delete update.skip;
+
+  return true;
+};
+
+/**
+ * Adds the low latency HLS delivery directives to the URI of a live media playlist
+ * refresh. When the server can block playlist reloads, the request asks for the next
+ * part (or segment) that isn't in the playlist yet, and the server holds the response
+ * until it is available. When the server supports delta updates, it is asked to skip
+ * the older segments, which are restored from the current playlist.
+ *
+ * @param {string} uri
+ *        The URI of the media playlist
+ * @param {Object} media
+ *        The current version of the media playlist
+ * @param {boolean} [skip=true]
+ *        Whether to ask for a delta update
+ * @return {string}
+ *         The URI with the delivery directives, if any
+ */
+export const addDeliveryDirectives = (uri, media, skip = true) => {
+  const serverControl = media.serverControl;
+  const directives = [];
+
+  if (!serverControl || media.endList) {
+    return uri;
+  }
+
+  if (serverControl.canBlockReload) {
+    directives.push(`_HLS_msn=${media.mediaSequence + media.segments.length}`);
+
+    if (media.partTargetDuration) {
+      const preloadParts = media.preloadSegment ? media.preloadSegment.parts.length : 0;
+
+      directives.push(`_HLS_part=${preloadParts}`);
+    }
+  }
+
+  if (skip && serverControl.canSkipUntil) {
+    directives.push('_HLS_skip=YES');
+  }
+
+  if (!directives.length) {
+    return uri;
+  }
+
+  return uri + (uri.indexOf('?') === -1 ? '?' : '&') + directives.join('&');
 };
 
+const preloadPartCount = (playlist) =>
+  playlist.preloadSegment ? playlist.preloadSegment.parts.length : 0;
+
 /**
   * Returns a new master playlist that is the result of merging an
   * updated media playlist into the original version. If the
@@ -77,17 +181,27 @@ export const updateMaster = (master, media) => {
   }
 
   // consider the playlist unchanged if the number of segments is equal, the media
-  // sequence number is unchanged, and this playlist hasn't become the end of the playlist
+  // sequence number is unchanged, this playlist hasn't become the end of the playlist,
+  // and no parts were added to the segment being produced
   if (playlist.segments &&
       media.segments &&
       playlist.segments.length === media.segments.length &&
       playlist.endList === media.endList &&
-      playlist.mediaSequence === media.mediaSequence) {
+      playlist.mediaSequence === media.mediaSequence &&
+      preloadPartCount(playlist) === preloadPartCount(media)) {
     return null;
   }
 
   const mergedPlaylist = mergeOptions(playlist, media);
 
+  // the segment being produced and the rendition reports only describe the latest
+  // version of the playlist, so they are not kept when the update doesn't have them
+  ['preloadSegment', 'renditionReports'].forEach((property) => {
+    if (!media[property]) {
+      delete mergedPlaylist[property];
+    }
+  });
+
   // if the update could overlap existing segment information, merge the two segment lists
   if (playlist.segments) {
     mergedPlaylist.segments = updateSegments(
@@ -102,6 +216,11 @@ export const updateMaster = (master, media) => {
     resolveSegmentUris(segment, mergedPlaylist.resolvedUri);
   });
 
+  if (mergedPlaylist.preloadSegment) {
+    resolvePartUris(mergedPlaylist.preloadSegment.parts, mergedPlaylist.resolvedUri);
+    resolvePartUris(mergedPlaylist.preloadSegment.preloadHints, mergedPlaylist.resolvedUri);
+  }
+
   // TODO Right now in the playlists array there are two references to each playlist, one
   // that is referenced by index, and one by URI. The index reference may no longer be
   // necessary.
@@ -131,7 +250,13 @@ export const refreshDelay = (media, update) => {
   const lastSegment = media.segments[media.segments.length - 1];
   let delay;
 
-  if (update && lastSegment && lastSegment.duration) {
+  if (media.serverControl && media.serverControl.canBlockReload && update) {
+    // the server holds blocking reloads until the next part or segment is available
+    delay = 0;
+  } else if (media.partTargetDuration) {
+    // low latency playlists change with every part
+    delay = media.partTargetDuration * (update ? 1000 : 500);
+  } else if (update && lastSegment && lastSegment.duration) {
     delay = lastSegment.duration * 1000;
   } else {
     // if the playlist is unchanged since the last reload or last segment duration
@@ -182,8 +307,16 @@ export default class PlaylistLoader extends EventTarget {
 
       this.state = 'HAVE_CURRENT_METADATA';
 
+      const uri = addDeliveryDirectives(
+        resolveUrl(this.master.uri, this.media().uri),
+        this.media(),
+        !this.skipUnavailable_
+      );
+
+      this.skipUnavailable_ = false;
+
       this.request = this.vhs_.xhr({
-        uri: resolveUrl(this.master.uri, this.media().uri),
+        uri,
         withCredentials: this.withCredentials
       }, (error, req) => {
         // disposed
@@ -257,6 +390,13 @@ export default class PlaylistLoader extends EventTarget {
       id
     });
 
+    if (playlist.skip && !restoreSkippedSegments(this.master.playlists[id], playlist)) {
+      // the delta update skipped segments that aren't known, so reload the full playlist
+      this.skipUnavailable_ = true;
+      this.trigger('mediaupdatetimeout');
+      return;
+    }
+
     // merge this playlist into the master
     const update = updateMaster(this.master, playlist);
 
@@ -563,6 +703,28 @@ export default class PlaylistLoader extends EventTarget {
     return typeof this.src === 'string' ? this.src : this.src.uri;
   }
 
+  /**
+   * Get the target latency of a low latency HLS stream, in the shape of a DASH
+   * ServiceDescription. Parts are loaded when the playlist has them, so PART-HOLD-BACK
+   * is preferred over HOLD-BACK.
+   *
+   * @return {Object|undefined}
+   *         The service description, with latency in seconds
+   */
+  serviceDescription() {
+    const media = this.media();
+    const serverControl = media && media.serverControl;
+
+    if (!serverControl) {
+      return;
+    }
+
+    const target = (media.partTargetDuration && serverControl.partHoldBack) ||
+      serverControl.holdBack;
+
+    return target ? { latency: { target } } : void 0;
+  }
+
   /**
    * Given a manifest object that's either a master or media playlist, trigger the proper
    * events and set the state of the playlist loader.
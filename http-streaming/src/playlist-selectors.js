@@ -2,6 +2,7 @@ import window from 'global/window';
 import Config from './config';
 import Playlist from './playlist';
 import { codecsForPlaylist } from './util/codecs.js';
+import { timeUntilRebuffer as timeUntilRebuffer_ } from './ranges';
 import logger from './util/logger';
 
 const logFn = logger('PlaylistSelector');
@@ -358,6 +359,74 @@ export const movingAverageBandwidthSelector = function(decay) {
   };
 };
 
+/**
+ * Chooses the appropriate media playlist for low latency live playback, where only a
+ * second or two of content is buffered at any time. This is a heuristic, not an
+ * implementation of a low latency ABR algorithm such as L2A or LoL+.
+ *
+ * Bandwidth is tracked with a fast and a slow exponential-weighted moving average and
+ * the lower of the two is used, so that drops in bandwidth are reacted to quickly while
+ * increases have to be sustained before switching up. The result is then scaled down
+ * as the buffer drains below half of the target latency, and by the playback rate, since
+ * catching up to the live edge consumes content faster than real time.
+ *
+ * Expects to be called within the context of an instance of VhsHandler
+ *
+ * @param {Object} [options]
+ *        Object of options for the selector
+ * @param {number} [options.fastDecay=0.5]
+ *        decay of the fast moving average, between 0 and 1
+ * @param {number} [options.slowDecay=0.1]
+ *        decay of the slow moving average, between 0 and 1
+ * @return {Function} a function which can be invoked to create a new
+ * playlist selector function.
+ */
+export const lowLatencyHeuristicSelector = function({
+  fastDecay = 0.5,
+  slowDecay = 0.1
+} = {}) {
+  let fastAverage = -1;
+  let slowAverage = -1;
+
+  if (fastDecay < 0 || fastDecay > 1 || slowDecay < 0 || slowDecay > 1) {
+    throw new Error('Moving average bandwidth decay must be between 0 and 1.');
+  }
+
+  return function() {
+    const pixelRatio = this.useDevicePixelRatio ? window.devicePixelRatio || 1 : 1;
+    const targetLatency = (this.latencyController_ && this.latencyController_.targetLatency) ||
+      this.targetLatency || Config.LOW_LATENCY_TARGET_LATENCY;
+    const playbackRate = Math.max(this.tech_.playbackRate() || 1, 1);
+    const bufferLevel = Math.max(
+      timeUntilRebuffer_(this.tech_.buffered(), this.tech_.currentTime()),
+      0
+    );
+
+    if (fastAverage < 0) {
+      fastAverage = this.systemBandwidth;
+      slowAverage = this.systemBandwidth;
+    }
+
+    fastAverage = fastDecay * this.systemBandwidth + (1 - fastDecay) * fastAverage;
+    slowAverage = slowDecay * this.systemBandwidth + (1 - slowDecay) * slowAverage;
+
+    // With a full buffer all of the bandwidth may be used. With an empty one only the
+    // minimum share is used, leaving headroom to refill the buffer.
+    const bufferRatio = Math.min(bufferLevel / (targetLatency / 2), 1);
+    const bufferShare = Config.LOW_LATENCY_MIN_BANDWIDTH_SHARE +
+      (1 - Config.LOW_LATENCY_MIN_BANDWIDTH_SHARE) * bufferRatio;
+    const bandwidth = Math.min(fastAverage, slowAverage) * bufferShare / playbackRate;
+
+    return simpleSelector(
+      this.playlists.master,
+      bandwidth,
+      parseInt(safeGetComputedStyle(this.tech_.el(), 'width'), 10) * pixelRatio,
+      parseInt(safeGetComputedStyle(this.tech_.el(), 'height'), 10) * pixelRatio,
+      this.limitRenditionByPlayerDimensions
+    );
+  };
+};
+
 /**
  * Chooses the appropriate media playlist based on the potential to rebuffer
  *
@@ -412,6 +412,72 @@ export const getMediaInfoForTime = function(
   };
 };
 
+/**
+ * Determine the index and estimated starting time of the segment that contains a
+ * playback position in a playlist that is not loaded for playback, such as an I-frame
+ * or thumbnail playlist. Live DASH segments are found by their availability times when
+ * the wallclock time of the position is known, otherwise the sync points found for the
+ * playlists that are loaded are used.
+ *
+ * @param {Object} playlist the playlist to query
+ * @param {number} currentTime the playback position to find the segment for
+ * @param {SyncController} syncController the sync controller of the playback
+ * @param {number} presentationDuration the duration of the presentation
+ * @param {number} currentTimeline the timeline being played
+ * @param {number|null} [wallClockTime] the wallclock time of the playback position, in
+ * milliseconds since the epoch
+ * @return {Object|null} the mediaIndex and startTime of the segment, or null if the
+ * position cannot be mapped to the playlist yet
+ */
+export const getMediaInfoForSyncedTime = function(
+  playlist,
+  currentTime,
+  syncController,
+  presentationDuration,
+  currentTimeline,
+  wallClockTime
+) {
+  if (!playlist || !playlist.segments || !playlist.segments.length) {
+    return null;
+  }
+
+  if (typeof playlist.segments[0].availabilityStartTime === 'number' &&
+      typeof wallClockTime === 'number') {
+    const time = wallClockTime / 1000;
+
+    for (let i = 0; i < playlist.segments.length; i++) {
+      const segment = playlist.segments[i];
+      // segments become available once they have been completely produced, or
+      // @availabilityTimeOffset seconds earlier when they are delivered in chunks
+      const segmentStart = segment.availabilityStartTime +
+        (segment.availabilityTimeOffset || 0) - segment.duration;
+
+      if (segmentStart <= time && time < segmentStart + segment.duration) {
+        return {
+          mediaIndex: i,
+          startTime: currentTime - (time - segmentStart)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  const syncPoint =
+    syncController.getSyncPoint(playlist, presentationDuration, currentTimeline, currentTime);
+
+  if (!syncPoint) {
+    return null;
+  }
+
+  return getMediaInfoForTime(
+    playlist,
+    currentTime,
+    syncPoint.segmentIndex,
+    syncPoint.time
+  );
+};
+
 /**
  * Check whether the playlist is blacklisted or not.
  *
@@ -547,6 +613,7 @@ export default {
   seekable,
   safeLiveIndex,
   getMediaInfoForTime,
+  getMediaInfoForSyncedTime,
   isEnabled,
   isDisabled,
   isBlacklisted,
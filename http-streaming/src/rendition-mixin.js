@@ -1,4 +1,4 @@
-import { isIncompatible, isEnabled } from './playlist.js';
+import { isIncompatible, isEnabled, getMediaInfoForSyncedTime } from './playlist.js';
 import { codecsForPlaylist } from './util/codecs.js';
 
 /**
@@ -86,16 +86,102 @@ class Representation {
 }
 
 /**
- * A mixin function that adds the `representations` api to an instance
- * of the VhsHandler class
+ * The I-frame representation object encapsulates the publicly visible information in an
+ * I-frame (DASH trick-mode) playlist. These playlists are never selected for playback,
+ * instead players can fetch their segments to show previews while seeking.
+ *
+ * @class IFrameRepresentation
+ */
+class IFrameRepresentation {
+  /**
+   * Creates the I-frame representation of a playlist
+   *
+   * @param {VhsHandler} vhsHandler
+   *        The VhsHandler of the source
+   * @param {Object} playlist
+   *        The I-frame playlist
+   */
+  constructor(vhsHandler, playlist) {
+    const mpc = vhsHandler.masterPlaylistController_;
+
+    if (playlist.attributes.RESOLUTION) {
+      const resolution = playlist.attributes.RESOLUTION;
+
+      this.width = resolution.width;
+      this.height = resolution.height;
+    }
+
+    this.bandwidth = playlist.attributes.BANDWIDTH;
+
+    this.codecs = codecsForPlaylist(mpc.master(), playlist);
+
+    this.playlist = playlist;
+
+    this.id = playlist.id;
+
+    // The id of the AdaptationSet this playlist provides fast forward and rewind for
+    this.trickModeFor = playlist.trickModeFor;
+
+    /**
+     * Returns the segment of the I-frame playlist for a time on the player's timeline.
+     * Live playlists are refreshed, so the latest version of the playlist is used.
+     *
+     * @param {number} time - The time to get the segment for
+     * @return {Object|null} The resolved `uri`, `byterange` and init segment `map` of
+     * the segment, with its `start` time and `duration`, or null if the time cannot be
+     * mapped to the playlist yet
+     */
+    this.segmentForTime = (time) => {
+      const current = (vhsHandler.playlists.master.iFramePlaylists || [])
+        .filter((iFramePlaylist) => iFramePlaylist.id === this.id)[0];
+      const mediaInfo = getMediaInfoForSyncedTime(
+        current,
+        time,
+        mpc.syncController_,
+        mpc.duration(),
+        mpc.mainSegmentLoader_.currentTimeline_,
+        mpc.metricsController_.wallClockTime(time)
+      );
+
+      if (!mediaInfo) {
+        return null;
+      }
+
+      const { mediaIndex, startTime } = mediaInfo;
+      const segment = current.segments[mediaIndex];
+      const iFrameSegment = {
+        uri: segment.resolvedUri,
+        start: startTime,
+        duration: segment.duration
+      };
+
+      if (segment.byterange) {
+        iFrameSegment.byterange = segment.byterange;
+      }
+
+      if (segment.map) {
+        iFrameSegment.map = {
+          uri: segment.map.resolvedUri,
+          byterange: segment.map.byterange
+        };
+      }
+
+      return iFrameSegment;
+    };
+  }
+}
+
+/**
+ * A mixin function that adds the `representations` and `iFrameRepresentations`
+ * apis to an instance of the VhsHandler class
  *
  * @param {VhsHandler} vhsHandler - An instance of VhsHandler to add the
- * representation API into
+ * representation APIs into
  */
 const renditionSelectionMixin = function(vhsHandler) {
   const playlists = vhsHandler.playlists;
 
-  // Add a single API-specific function to the VhsHandler instance
+  // Add the API-specific functions to the VhsHandler instance
   vhsHandler.representations = () => {
     if (!playlists || !playlists.master || !playlists.master.playlists) {
       return [];
@@ -106,6 +192,16 @@ const renditionSelectionMixin = function(vhsHandler) {
       .filter((media) => !isIncompatible(media))
       .map((e, i) => new Representation(vhsHandler, e, e.id));
   };
+
+  vhsHandler.iFrameRepresentations = () => {
+    if (!playlists || !playlists.master || !playlists.master.iFramePlaylists) {
+      return [];
+    }
+    return playlists
+      .master
+      .iFramePlaylists
+      .map((playlist) => new IFrameRepresentation(vhsHandler, playlist));
+  };
 };
 
 export default renditionSelectionMixin;
@@ -7,8 +7,7 @@ import Config from './config';
 import window from 'global/window';
 import { initSegmentId, segmentKeyId } from './bin-utils';
 import { mediaSegmentRequest, REQUEST_ERRORS } from './media-segment-request';
-import { audioSegmentFetch } from './audio-segment-fetch';
-import { videoSegmentFetch } from './video-segment-fetch';
+import { mediaSegmentFetch, isAes128 } from './media-segment-fetch';
 import TransmuxWorker from 'worker!./transmuxer-worker.worker.js';
 import segmentTransmuxer from './segment-transmuxer';
 import { TIME_FUDGE_FACTOR, timeUntilRebuffer as timeUntilRebuffer_ } from './ranges';
@@ -19,6 +18,8 @@ import {
   createCaptionsTrackIfNotExists,
   createMetadataTrackIfNotExists,
   addMetadata,
+  createEventStreamTrackIfNotExists,
+  addEventStreamCues,
   addCaptionData,
   removeCuesFromTrack
 } from './util/text-tracks';
@@ -112,6 +113,26 @@ const segmentInfoString = (segmentInfo) => {
 
 const timingInfoPropertyForMedia = (mediaType) => `${mediaType}TimingInfo`;
 
+/**
+ * Returns how long to wait before a segment may be requested. Segments of a live DASH
+ * manifest carry the wallclock time, on the server's clock, from which they are
+ * available. Chunked segments become available before they are complete.
+ *
+ * @param {Object} segment
+ *        The segment to be requested
+ * @param {number} [clientOffset=0]
+ *        The difference between the server and client clocks, in milliseconds
+ * @return {number}
+ *         Milliseconds until the segment is available, or 0 if it is available now
+ */
+export const segmentAvailabilityDelay = (segment, clientOffset = 0) => {
+  if (!segment || typeof segment.availabilityStartTime !== 'number') {
+    return 0;
+  }
+
+  return Math.max(0, segment.availabilityStartTime * 1000 - (Date.now() + clientOffset));
+};
+
 /**
  * Returns the timestamp offset to use for the segment.
  *
@@ -337,6 +358,10 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.roundTrip = NaN;
     this.resetStats_();
     this.mediaIndex = null;
+    // the number of parts appended of the low latency HLS segment after mediaIndex, while
+    // it is loaded part by part
+    this.partIndex = null;
+    this.partialSegmentTiming_ = null;
 
     // private settings
     this.hasPlayed_ = settings.hasPlayed;
@@ -357,6 +382,8 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.state_ = 'INIT';
     this.handlePartialData_ = settings.handlePartialData;
     this.timelineChangeController_ = settings.timelineChangeController;
+    this.clientOffset_ = settings.clientOffset || (() => 0);
+    this.excludeBaseUrl_ = settings.excludeBaseUrl || (() => false);
     this.shouldSaveSegmentTimingInfo_ = true;
 
     // private instance variables
@@ -397,7 +424,8 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.loadQueue_ = [];
     this.metadataQueue_ = {
       id3: [],
-      caption: []
+      caption: [],
+      emsg: []
     };
 
     // Fragmented mp4 playback
@@ -487,6 +515,12 @@ export default class SegmentLoader extends videojs.EventTarget {
   createTransmuxer_() {
     const transmuxer = new TransmuxWorker();
 
+    this.initTransmuxer_(transmuxer);
+
+    return transmuxer;
+  }
+
+  initTransmuxer_(transmuxer) {
     transmuxer.postMessage({
       action: 'init',
       options: {
@@ -496,8 +530,6 @@ export default class SegmentLoader extends videojs.EventTarget {
         handlePartialData: this.handlePartialData_
       }
     });
-
-    return transmuxer;
   }
 
   /**
@@ -513,6 +545,7 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.mediaRequestsErrored = 0;
     this.mediaTransferDuration = 0;
     this.mediaSecondsLoaded = 0;
+    this.mediaChunksDropped = 0;
   }
 
   /**
@@ -597,6 +630,7 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.loadQueue_ = [];
     this.metadataQueue_.id3 = [];
     this.metadataQueue_.caption = [];
+    this.metadataQueue_.emsg = [];
     this.timelineChangeController_.clearPendingTimelineChange(this.loaderType_);
   }
 
@@ -886,12 +920,15 @@ export default class SegmentLoader extends videojs.EventTarget {
       // we need to update the referenced segment so that timing information is
       // saved for the new playlist's segment, however, if the segment fell off the
       // playlist, we can leave the old reference and just lose the timing info
-      if (segmentInfo.mediaIndex >= 0) {
+      // parts keep their own segment object, as the segment they belong to may not be
+      // in the playlist yet
+      if (segmentInfo.mediaIndex >= 0 && !segmentInfo.part) {
         segmentInfo.segment = newPlaylist.segments[segmentInfo.mediaIndex];
       }
     }
 
     this.syncController_.saveExpiredSegmentInfo(oldPlaylist, newPlaylist);
+    this.completePartialSegment_();
   }
 
   /**
@@ -965,12 +1002,15 @@ export default class SegmentLoader extends videojs.EventTarget {
       segmentTransmuxer.reset(this.transmuxer_);
     }
     this.mediaIndex = null;
+    this.partIndex = null;
+    this.partialSegmentTiming_ = null;
     this.syncPoint_ = null;
     this.isPendingTimestampOffset_ = false;
     this.callQueue_ = [];
     this.loadQueue_ = [];
     this.metadataQueue_.id3 = [];
     this.metadataQueue_.caption = [];
+    this.metadataQueue_.emsg = [];
     this.abort();
 
     if (this.transmuxer_) {
@@ -1054,8 +1094,11 @@ export default class SegmentLoader extends videojs.EventTarget {
    */
   monitorBufferTick_() {
     console.log("monitorBufferTick_: this.state: " + this.state);
+    let delay = CHECK_BUFFER_DELAY;
+
     if (this.state === 'READY') {
-      this.fillBuffer_();
+      // check again as soon as a segment that isn't available yet becomes available
+      delay = Math.min(this.fillBuffer_() || CHECK_BUFFER_DELAY, CHECK_BUFFER_DELAY);
     }
 
     if (this.checkBufferTimeout_) {
@@ -1064,7 +1107,7 @@ export default class SegmentLoader extends videojs.EventTarget {
 
     this.checkBufferTimeout_ = window.setTimeout(
       this.monitorBufferTick_.bind(this),
-      CHECK_BUFFER_DELAY
+      delay
     );
   }
 
@@ -1075,6 +1118,9 @@ export default class SegmentLoader extends videojs.EventTarget {
    * Note: this function should only ever be called by monitorBuffer_
    * and never directly
    *
+   * @return {number|undefined}
+   *         Milliseconds until the next segment may be requested, if it is not
+   *         available yet
    * @private
    */
   fillBuffer_() {
@@ -1111,6 +1157,14 @@ export default class SegmentLoader extends videojs.EventTarget {
       return;
     }
 
+    const availabilityDelay =
+      segmentAvailabilityDelay(segmentInfo.segment, this.clientOffset_());
+
+    if (availabilityDelay > 0) {
+      this.logger_(`${segmentInfo.uri} is available in ${availabilityDelay}ms`);
+      return availabilityDelay;
+    }
+
     segmentInfo.timestampOffset = timestampOffsetForSegment({
       segmentTimeline: segmentInfo.timeline,
       currentTimeline: this.currentTimeline_,
@@ -1217,6 +1271,19 @@ export default class SegmentLoader extends videojs.EventTarget {
 
       nextMediaIndex = currentMediaIndex + 1;
 
+      // at the live edge of a low latency HLS playlist, the segment that is still being
+      // produced is loaded part by part, and once a segment is loaded that way it is
+      // finished that way
+      if (this.useFetch &&
+          (this.partIndex !== null || nextMediaIndex === playlist.segments.length)) {
+        return this.generatePartInfo_(
+          playlist,
+          nextMediaIndex,
+          this.partIndex || 0,
+          this.partIndex ? lastBufferedEnd : startOfSegment
+        );
+      }
+
     // There is a sync-point but the lack of a mediaIndex indicates that
     // we need to make a good conservative guess about which segment to
     // fetch
@@ -1300,12 +1367,17 @@ export default class SegmentLoader extends videojs.EventTarget {
     return Math.max(playlist.segments.length - 1, 0);
   }
 
-  generateSegmentInfo_(playlist, mediaIndex, startOfSegment, isSyncRequest) {
-    if (mediaIndex < 0 || mediaIndex >= playlist.segments.length) {
+  generateSegmentInfo_(
+    playlist,
+    mediaIndex,
+    startOfSegment,
+    isSyncRequest,
+    segment = playlist.segments[mediaIndex]
+  ) {
+    if (mediaIndex < 0 || !segment) {
       return null;
     }
 
-    const segment = playlist.segments[mediaIndex];
     const audioBuffered = this.sourceUpdater_.audioBuffered();
     const videoBuffered = this.sourceUpdater_.videoBuffered();
     let audioAppendStart;
@@ -1363,6 +1435,110 @@ export default class SegmentLoader extends videojs.EventTarget {
     };
   }
 
+  /**
+   * Generates the segment info to load a part of a low latency HLS segment. Parts are
+   * loaded as segments of their own, which inherit the timeline, init segment and key
+   * of the segment they belong to. The parts of the segment that is still being
+   * produced are those of the playlist's preload segment, followed by the part its
+   * preload hint points to, which the server sends as soon as it is produced.
+   *
+   * @param {Object} playlist
+   *        The media playlist
+   * @param {number} mediaIndex
+   *        The index of the segment the part belongs to, which is the length of the
+   *        segment list for the segment being produced
+   * @param {number} partIndex
+   *        The index of the part in the segment
+   * @param {number} startOfPart
+   *        The estimated start of the part
+   * @return {Object|null}
+   *         The segment info of the part, or null if the part isn't listed yet or the
+   *         segment is AES-128 encrypted
+   */
+  generatePartInfo_(playlist, mediaIndex, partIndex, startOfPart) {
+    const segment = playlist.segments[mediaIndex];
+    const parent = segment || playlist.segments[playlist.segments.length - 1];
+    let parts = [];
+
+    // every part of an AES-128 segment but the first is decrypted with the last cipher
+    // block of the part before it as its IV, so encrypted segments are only loaded whole
+    if (!parent || isAes128(parent.key)) {
+      return null;
+    }
+
+    if (segment) {
+      parts = segment.parts || [];
+    } else if (playlist.preloadSegment) {
+      parts = playlist.preloadSegment.parts.concat(playlist.preloadSegment.preloadHints
+        .filter(({ type }) => type === 'PART')
+        .map((hint) => ({
+          uri: hint.uri,
+          resolvedUri: hint.resolvedUri,
+          byterange: hint.byterange,
+          duration: playlist.partTargetDuration
+        })));
+    }
+
+    const part = parts[partIndex];
+
+    if (!part) {
+      return null;
+    }
+
+    const segmentInfo = this.generateSegmentInfo_(playlist, mediaIndex, startOfPart, false, {
+      uri: part.uri,
+      resolvedUri: part.resolvedUri,
+      byterange: part.byterange,
+      duration: part.duration,
+      timeline: parent.timeline,
+      map: parent.map,
+      key: parent.key
+    });
+
+    segmentInfo.part = part;
+    segmentInfo.partIndex = partIndex;
+
+    this.logger_(`generatePartInfo_ returning part ${partIndex} of [${mediaIndex}]`);
+
+    return segmentInfo;
+  }
+
+  /**
+   * Moves on from a low latency HLS segment that is loaded part by part once the
+   * playlist lists it as a complete segment and all of its parts are appended, saving
+   * the timing of the parts to the segment. If the complete segment no longer lists its
+   * parts, or is AES-128 encrypted, it is loaded whole instead.
+   *
+   * @private
+   */
+  completePartialSegment_() {
+    if (this.partIndex === null || !this.playlist_) {
+      return;
+    }
+
+    const segment = this.playlist_.segments[this.mediaIndex + 1];
+    const hasParts = segment && segment.parts && !isAes128(segment.key);
+
+    if (!segment || (hasParts && this.partIndex < segment.parts.length)) {
+      return;
+    }
+
+    if (hasParts) {
+      const timing = this.partialSegmentTiming_ || {};
+
+      if (typeof segment.start !== 'number' && typeof timing.start === 'number') {
+        segment.start = timing.start;
+      }
+      if (typeof segment.end !== 'number' && typeof timing.end === 'number') {
+        segment.end = timing.end;
+      }
+      this.mediaIndex++;
+    }
+
+    this.partIndex = null;
+    this.partialSegmentTiming_ = null;
+  }
+
   /**
    * Determines if the network has enough bandwidth to complete the current segment
    * request in a timely manner. If not, the request will be aborted early and bandwidth
@@ -1482,6 +1658,40 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.trigger('progress');
   }
 
+  /**
+   * Switches to handling partial data once a streamed segment is found to need
+   * transmuxing, as MPEG-TS and AAC segments are transmuxed as their bytes arrive.
+   * Streamed fMP4 segments are appended chunk by chunk instead, and are not affected.
+   *
+   * @param {Object} simpleSegment
+   *        the segment being transmuxed
+   * @private
+   */
+  handleTransmuxing_(simpleSegment) {
+    if (this.checkForAbort_(simpleSegment.requestId) || this.handlePartialData_) {
+      return;
+    }
+
+    this.handlePartialData_ = true;
+    // the transmuxer starts over in partial mode, before any bytes of the segment are
+    // pushed to it, so it needs the timestamp offset of the segment again
+    this.initTransmuxer_(this.transmuxer_);
+
+    const segmentInfo = this.pendingSegment_;
+    let timestampOffset = this.loaderType_ === 'main' ?
+      this.sourceUpdater_.videoTimestampOffset() :
+      this.sourceUpdater_.audioTimestampOffset();
+
+    if (typeof segmentInfo.timestampOffset === 'number') {
+      timestampOffset = segmentInfo.timestampOffset;
+    }
+
+    this.transmuxer_.postMessage({
+      action: 'setTimestampOffset',
+      timestampOffset
+    });
+  }
+
   handleTrackInfo_(simpleSegment, trackInfo) {
     console.log("handleTrackInfo_");
 
@@ -1563,6 +1773,23 @@ export default class SegmentLoader extends videojs.EventTarget {
     }
   }
 
+  /**
+   * Saves the wallclock mapping of a prft box on the segment, for latency measurement
+   *
+   * @param {Object} simpleSegment
+   *        the segment the prft box was received for
+   * @param {Object} producerReferenceTime
+   *        the mapping from media time to wallclock time
+   * @private
+   */
+  handleProducerReferenceTime_(simpleSegment, producerReferenceTime) {
+    if (this.checkForAbort_(simpleSegment.requestId)) {
+      return;
+    }
+
+    this.pendingSegment_.segment.producerReferenceTime = producerReferenceTime;
+  }
+
   handleCaptions_(simpleSegment, captionData) {
     //this.earlyAbortWhenNeeded_(simpleSegment.stats);
 
@@ -1668,12 +1895,59 @@ export default class SegmentLoader extends videojs.EventTarget {
     });
   }
 
+  /**
+   * Adds the events of emsg boxes in a streamed chunk as cues on the event stream text
+   * track. When the playlist signals InbandEventStreams, only events of those schemes
+   * are added.
+   *
+   * @param {Object} simpleSegment
+   *        the segment the emsg boxes were received for
+   * @param {Object[]} events
+   *        the events, with start and end in media time
+   * @private
+   */
+  handleEmsg_(simpleSegment, events) {
+    if (this.checkForAbort_(simpleSegment.requestId)) {
+      return;
+    }
+
+    const segmentInfo = this.pendingSegment_;
+
+    // we need to have appended data in order for the timestamp offset to be set
+    if (!segmentInfo.hasAppendedData_) {
+      this.metadataQueue_.emsg.push(this.handleEmsg_.bind(this, simpleSegment, events));
+      return;
+    }
+
+    const inbandEventStreams = segmentInfo.playlist.inbandEventStreams;
+    const signalledEvents = !inbandEventStreams ? events : events.filter((event) =>
+      inbandEventStreams.some(({ schemeIdUri, value }) =>
+        schemeIdUri === event.schemeIdUri &&
+        (typeof value === 'undefined' || value === event.value)));
+    const timestampOffset = this.sourceUpdater_.videoTimestampOffset() === null ?
+      this.sourceUpdater_.audioTimestampOffset() :
+      this.sourceUpdater_.videoTimestampOffset();
+
+    if (!signalledEvents.length) {
+      return;
+    }
+
+    createEventStreamTrackIfNotExists(this.inbandTextTracks_, this.vhs_.tech_);
+    addEventStreamCues({
+      inbandTextTracks: this.inbandTextTracks_,
+      events: signalledEvents,
+      timestampOffset
+    });
+  }
+
   processMetadataQueue_() {
     this.metadataQueue_.id3.forEach((fn) => fn());
     this.metadataQueue_.caption.forEach((fn) => fn());
+    this.metadataQueue_.emsg.forEach((fn) => fn());
 
     this.metadataQueue_.id3 = [];
     this.metadataQueue_.caption = [];
+    this.metadataQueue_.emsg = [];
   }
 
   processCallQueue_() {
@@ -1808,7 +2082,12 @@ export default class SegmentLoader extends videojs.EventTarget {
   }
 
   handleMediaChunk_(simpleSegment, result, firstChunk) {
-    console.log("handleMediaChunk_");
+    // the request may have been aborted while this chunk was in flight, in which case
+    // appending it would put data at the wrong position
+    if (this.checkForAbort_(simpleSegment.requestId)) {
+      this.mediaChunksDropped += 1;
+      return;
+    }
 
     if (this.mediaSource_.readyState === 'closed') {
       return;
@@ -1831,6 +2110,12 @@ export default class SegmentLoader extends videojs.EventTarget {
       segmentInfo.segment.map = simpleSegment.map;
     }
 
+    // cache the key with the first chunk, so that it is kept even if the rest of the
+    // segment is aborted
+    if (simpleSegment.key) {
+      this.segmentKey(simpleSegment.key, true);
+    }
+
     //console.log("handleMediaChunk_: isFmp4: " + simpleSegment.isFmp4);
     segmentInfo.isFmp4 = simpleSegment.isFmp4;
     segmentInfo.timingInfo = segmentInfo.timingInfo || {};
@@ -2001,8 +2286,9 @@ export default class SegmentLoader extends videojs.EventTarget {
 
     // In case of fetching a segment chunk by chunk, handleData_() is only called after
     // all the media chunks are appended using handleMediaChunk_(). As a result, there is no
-    // more data to append, do not call appendData_().
-    if (!this.useFetch) {
+    // more data to append, do not call appendData_(). Transmuxed segments are not split
+    // into chunks though, and their data is appended here as it is transmuxed.
+    if (!this.useFetch || !segmentInfo.isFmp4) {
       this.appendData_(segmentInfo, result, true);
     }
   }
@@ -2260,50 +2546,45 @@ export default class SegmentLoader extends videojs.EventTarget {
 
     const simpleSegment = this.createSimplifiedSegmentObj_(segmentInfo);
 
-    // XHR
-    if (!this.useFetch) {
-    	segmentInfo.abortRequests = mediaSegmentRequest({
-      	  xhr: this.vhs_.xhr,
-      	  xhrOptions: this.xhrOptions_,
-      	  decryptionWorker: this.decrypter_,
-      	  segment: simpleSegment,
-      		handlePartialData: this.handlePartialData_,
-      		abortFn: this.handleAbort_.bind(this), // function abort() is called by abortRequests().
-      		progressFn: this.handleProgress_.bind(this), // XHR supports progress event, Fetch does not
-      		trackInfoFn: this.handleTrackInfo_.bind(this), // called when the set of tracks (video, audio) is identified, assign trackInfo to pendingSegment.
-      		timingInfoFn: this.handleTimingInfo_.bind(this), // called when timingInfo is extracted from the segment.
-      		videoSegmentTimingInfoFn: this.handleVideoSegmentTimingInfo_.bind(this, segmentInfo.requestId),
-      		captionsFn: this.handleCaptions_.bind(this), // can be ignored for low-latency PoC
-      		id3Fn: this.handleId3_.bind(this), // can be ignored for low-latency PoC
-      		dataFn: this.handleData_.bind(this), // process the segment media data
-      		doneFn: this.segmentRequestFinished_.bind(this)
-    	});
-    }
-	  // Fetch
-    else {
-      if (this.loaderType_ === 'audio')
-      {
-		    segmentInfo.abortRequests = audioSegmentFetch({
-			    segment: simpleSegment,
-			    trackInfoFn: this.handleTrackInfo_.bind(this),
-			    timingInfoFn: this.handleTimingInfo_.bind(this),
-          dataFn: this.handleData_.bind(this),
-          chunkFn: this.handleMediaChunk_.bind(this),
-          doneFn: this.segmentRequestFinished_.bind(this)
-        });
-      }
-      else if (this.loaderType_ === 'main')
-      {
-		    segmentInfo.abortRequests = videoSegmentFetch({
-			    segment: simpleSegment,
-			    trackInfoFn: this.handleTrackInfo_.bind(this),
-			    timingInfoFn: this.handleTimingInfo_.bind(this),
-          dataFn: this.handleData_.bind(this),
-          chunkFn: this.handleMediaChunk_.bind(this),
-          doneFn: this.segmentRequestFinished_.bind(this)
-        });
-      }
-	  }
+    if (this.useFetch) {
+      segmentInfo.abortRequests = mediaSegmentFetch({
+        xhr: this.vhs_.xhr,
+        xhrOptions: this.xhrOptions_,
+        decryptionWorker: this.decrypter_,
+        segment: simpleSegment,
+        stallTimeout: Config.LOW_LATENCY_STALL_TIMEOUT,
+        abortFn: this.handleAbort_.bind(this),
+        trackInfoFn: this.handleTrackInfo_.bind(this),
+        timingInfoFn: this.handleTimingInfo_.bind(this),
+        videoSegmentTimingInfoFn: this.handleVideoSegmentTimingInfo_.bind(this, segmentInfo.requestId),
+        captionsFn: this.handleCaptions_.bind(this),
+        id3Fn: this.handleId3_.bind(this),
+        transmuxingFn: this.handleTransmuxing_.bind(this),
+        producerReferenceTimeFn: this.handleProducerReferenceTime_.bind(this),
+        emsgFn: this.handleEmsg_.bind(this),
+        chunkFn: this.handleMediaChunk_.bind(this),
+        dataFn: this.handleData_.bind(this),
+        doneFn: this.segmentRequestFinished_.bind(this)
+      });
+      return;
+    }
+
+    segmentInfo.abortRequests = mediaSegmentRequest({
+      xhr: this.vhs_.xhr,
+      xhrOptions: this.xhrOptions_,
+      decryptionWorker: this.decrypter_,
+      segment: simpleSegment,
+      handlePartialData: this.handlePartialData_,
+      abortFn: this.handleAbort_.bind(this),
+      progressFn: this.handleProgress_.bind(this),
+      trackInfoFn: this.handleTrackInfo_.bind(this),
+      timingInfoFn: this.handleTimingInfo_.bind(this),
+      videoSegmentTimingInfoFn: this.handleVideoSegmentTimingInfo_.bind(this, segmentInfo.requestId),
+      captionsFn: this.handleCaptions_.bind(this),
+      id3Fn: this.handleId3_.bind(this),
+      dataFn: this.handleData_.bind(this),
+      doneFn: this.segmentRequestFinished_.bind(this)
+    });
   }
 
   /**
@@ -2369,6 +2650,7 @@ export default class SegmentLoader extends videojs.EventTarget {
 
       simpleSegment.key = this.segmentKey(segment.key);
       simpleSegment.key.iv = iv;
+      simpleSegment.key.method = segment.key.method;
     }
 
     if (segment.map) {
@@ -2427,10 +2709,7 @@ export default class SegmentLoader extends videojs.EventTarget {
       return; 
     }
 
-    if (!this.useFetch)
-    {
-      this.saveTransferStats_(simpleSegment.stats);
-    }
+    this.saveTransferStats_(simpleSegment.stats);
 
     // The request was aborted and the SegmentLoader has already been reset
     if (!this.pendingSegment_) {
@@ -2450,6 +2729,8 @@ export default class SegmentLoader extends videojs.EventTarget {
     // an error occurred from the active pendingSegment_ so reset everything
     if (error) {
       console.log("pendingSegment_ set to null: error in segmentRequestFinished");
+      const { playlist, uri } = this.pendingSegment_;
+
       this.pendingSegment_ = null;
       this.state = 'READY';
 
@@ -2468,20 +2749,26 @@ export default class SegmentLoader extends videojs.EventTarget {
         return;
       }
 
+      this.mediaRequestsErrored += 1;
+
+      // the segment may still be available from another BaseURL of the playlist, e.g.
+      // on another CDN, so retry it from there before blacklisting the playlist
+      if (this.excludeBaseUrl_(playlist)) {
+        this.logger_(`request for ${uri} failed, retrying from ${playlist.activeBaseUrl}`);
+        this.monitorBuffer_();
+        return;
+      }
+
       // if control-flow has arrived here, then the error is real
       // emit an error event to blacklist the current playlist
-      this.mediaRequestsErrored += 1;
       this.error(error);
       this.trigger('error');
       return;
     }
 
-    if (!this.useFetch)
-    {
-      // the response was a success so set any bandwidth stats the request
-      // generated for ABR purposes
-      this.saveBandwidthRelatedStats_(simpleSegment.stats);
-    }
+    // the response was a success so set any bandwidth stats the request
+    // generated for ABR purposes
+    this.saveBandwidthRelatedStats_(simpleSegment.stats);
 
     const segmentInfo = this.pendingSegment_;
 
@@ -2873,12 +3160,23 @@ export default class SegmentLoader extends videojs.EventTarget {
     }
     this.trigger('progress');
 
-    this.mediaIndex = segmentInfo.mediaIndex;
+    if (segmentInfo.part) {
+      this.partialSegmentTiming_ = {
+        start: segmentInfo.partIndex === 0 ?
+          segment.start : (this.partialSegmentTiming_ || {}).start,
+        end: segment.end
+      };
+      this.mediaIndex = segmentInfo.mediaIndex - 1;
+      this.partIndex = segmentInfo.partIndex + 1;
+      this.completePartialSegment_();
+    } else {
+      this.mediaIndex = segmentInfo.mediaIndex;
+    }
 
     // any time an update finishes and the last segment is in the
     // buffer, end the stream. this ensures the "ended" event will
     // fire if playback reaches that point.
-    if (this.isEndOfStream_(segmentInfo.mediaIndex, segmentInfo.playlist)) {
+    if (this.isEndOfStream_(this.mediaIndex, segmentInfo.playlist)) {
       this.endOfStream();
     }
 
@@ -0,0 +1,94 @@
+/**
+ * @file thumbnails.js
+ */
+import { getMediaInfoForSyncedTime } from './playlist.js';
+
+/**
+ * Provides scrub bar previews from the thumbnail playlists of a manifest. Each segment
+ * of a thumbnail playlist is an image made of a grid of tiles, that evenly split the
+ * duration of the segment between them.
+ *
+ * @class Thumbnails
+ */
+export default class Thumbnails {
+  /**
+   * Creates the thumbnails API of a VhsHandler
+   *
+   * @param {VhsHandler} vhsHandler - The VhsHandler whose manifest has the thumbnails
+   */
+  constructor(vhsHandler) {
+    this.vhsHandler_ = vhsHandler;
+  }
+
+  /**
+   * The thumbnail playlist previews are taken from, which is the one with the most
+   * detailed images. Live playlists are refreshed, so the latest version is returned.
+   *
+   * @return {Object|null} The thumbnail playlist, or null if there is none
+   */
+  playlist() {
+    const loader = this.vhsHandler_.playlists;
+    const imagePlaylists = loader && loader.master && loader.master.imagePlaylists;
+
+    if (!imagePlaylists || !imagePlaylists.length) {
+      return null;
+    }
+
+    return imagePlaylists.reduce((best, playlist) =>
+      (playlist.attributes.BANDWIDTH || 0) > (best.attributes.BANDWIDTH || 0) ?
+        playlist : best);
+  }
+
+  /**
+   * Returns the thumbnail for a time on the player's timeline.
+   *
+   * @param {number} time - The time to get the thumbnail for
+   * @return {Object|null} The resolved `uri` of the image containing the thumbnail,
+   * the `start` time and `duration` the thumbnail covers and, when the size of the
+   * image is known, the `x`, `y`, `width` and `height` of the thumbnail in the image.
+   * Null if there are no thumbnails or the time cannot be mapped to them yet.
+   */
+  getThumbnailAt(time) {
+    const playlist = this.playlist();
+    const mpc = this.vhsHandler_.masterPlaylistController_;
+
+    if (!playlist || !mpc) {
+      return null;
+    }
+
+    const mediaInfo = getMediaInfoForSyncedTime(
+      playlist,
+      time,
+      mpc.syncController_,
+      mpc.duration(),
+      mpc.mainSegmentLoader_.currentTimeline_,
+      mpc.metricsController_.wallClockTime(time)
+    );
+
+    if (!mediaInfo) {
+      return null;
+    }
+
+    const segment = playlist.segments[mediaInfo.mediaIndex];
+    const { columns, rows, width, height } = playlist.tiles;
+    const tileDuration = segment.duration / (columns * rows);
+    const index = Math.min(
+      Math.max(Math.floor((time - mediaInfo.startTime) / tileDuration), 0),
+      columns * rows - 1
+    );
+    const thumbnail = {
+      uri: segment.resolvedUri,
+      start: mediaInfo.startTime + index * tileDuration,
+      duration: tileDuration
+    };
+
+    if (typeof width === 'number' && typeof height === 'number') {
+      thumbnail.x = (index % columns) * width;
+      thumbnail.y = Math.floor(index / columns) * height;
+      thumbnail.width = width;
+      thumbnail.height = height;
+    }
+
+    return thumbnail;
+  }
+}
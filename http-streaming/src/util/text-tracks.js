@@ -215,6 +215,85 @@ export const createMetadataTrackIfNotExists = (inbandTextTracks, dispatchType, t
   inbandTextTracks.metadataTrack_.inBandMetadataTrackDispatchType = dispatchType;
 };
 
+/**
+ * Create the text track for DASH events on video.js if it does not exist
+ *
+ * @param {Object} inbandTextTracks a reference to current inbandTextTracks
+ * @param {Object} tech the video.js tech
+ * @private
+ */
+export const createEventStreamTrackIfNotExists = (inbandTextTracks, tech) => {
+  if (inbandTextTracks.eventStreamTrack_) {
+    return;
+  }
+
+  inbandTextTracks.eventStreamTrack_ = tech.addRemoteTextTrack({
+    kind: 'metadata',
+    label: 'Event Stream'
+  }, false).track;
+  // the events that have cues on the track, by their scheme, value and id
+  inbandTextTracks.eventStreamEvents_ = {};
+};
+
+/**
+ * Add cues for DASH events, from either MPD EventStreams or emsg boxes, to the event
+ * stream text track. Events that have already been added, identified by their scheme,
+ * value and id, are remembered and skipped, as the same event is usually signalled many
+ * times.
+ *
+ * @param {Object} options
+ *        Options object
+ * @param {Object} options.inbandTextTracks
+ *        The inband text tracks
+ * @param {Array} options.events
+ *        The events, with start and end in media time
+ * @param {number} options.timestampOffset
+ *        The timestamp offset of the source buffer
+ * @private
+ */
+export const addEventStreamCues = ({
+  inbandTextTracks,
+  events,
+  timestampOffset
+}) => {
+  const Cue = window.WebKitDataCue || window.VTTCue;
+  const eventStreamTrack = inbandTextTracks.eventStreamTrack_;
+
+  if (!events || !eventStreamTrack) {
+    return;
+  }
+
+  const addedEvents = inbandTextTracks.eventStreamEvents_;
+
+  events.forEach((event) => {
+    const startTime = event.start + timestampOffset;
+    let endTime = event.end + timestampOffset;
+    const key = JSON.stringify([event.schemeIdUri, event.value, event.id]);
+
+    if (typeof startTime !== 'number' || window.isNaN(startTime) || startTime < 0 ||
+        !(startTime < Infinity) || addedEvents.hasOwnProperty(key)) {
+      return;
+    }
+
+    addedEvents[key] = true;
+
+    // events of unknown duration last until the end of the presentation
+    if (!(endTime < Infinity)) {
+      endTime = Number.MAX_VALUE;
+    }
+
+    const cue = new Cue(
+      startTime,
+      Math.max(startTime, endTime),
+      typeof event.messageData === 'string' ? event.messageData : ''
+    );
+
+    cue.value = event;
+
+    eventStreamTrack.addCue(cue);
+  });
+};
+
 /**
  * Remove cues from a track on video.js.
  *
@@ -20,13 +20,16 @@ import videojs from 'video.js';
 import { MasterPlaylistController } from './master-playlist-controller';
 import Config from './config';
 import renditionSelectionMixin from './rendition-mixin';
+import Thumbnails from './thumbnails';
 import PlaybackWatcher from './playback-watcher';
+import LatencyController from './latency-controller';
 import SourceUpdater from './source-updater';
 import reloadSourceOnError from './reload-source-on-error';
 import {
   lastBandwidthSelector,
   lowestBitrateCompatibleVariantSelector,
   movingAverageBandwidthSelector,
+  lowLatencyHeuristicSelector,
   comparePlaylistBandwidth,
   comparePlaylistResolution
 } from './playlist-selectors.js';
@@ -51,6 +54,7 @@ const Vhs = {
   INITIAL_PLAYLIST_SELECTOR: lowestBitrateCompatibleVariantSelector,
   lastBandwidthSelector,
   movingAverageBandwidthSelector,
+  lowLatencyHeuristicSelector,
   comparePlaylistBandwidth,
   comparePlaylistResolution,
 
@@ -67,7 +71,14 @@ const Vhs = {
   'MAX_BUFFER_LOW_WATER_LINE',
   'EXPERIMENTAL_MAX_BUFFER_LOW_WATER_LINE',
   'BUFFER_LOW_WATER_LINE_RATE',
-  'BANDWIDTH_VARIANCE'
+  'BANDWIDTH_VARIANCE',
+  'LOW_LATENCY_STALL_TIMEOUT',
+  'LOW_LATENCY_TARGET_LATENCY',
+  'LOW_LATENCY_MIN_BANDWIDTH_SHARE',
+  'LOW_LATENCY_MIN_PLAYBACK_RATE',
+  'LOW_LATENCY_MAX_PLAYBACK_RATE',
+  'LOW_LATENCY_MAX_DRIFT',
+  'METRICS_REPORT_INTERVAL'
 ].forEach((prop) => {
   Object.defineProperty(Vhs, prop, {
     get() {
@@ -165,17 +176,23 @@ const emeKeySystems = (keySystemOptions, videoPlaylist, audioPlaylist) => {
   for (const keySystem in keySystemOptions) {
     keySystemContentTypes[keySystem] = {audioContentType, videoContentType};
 
-    if (videoPlaylist.contentProtection &&
-        videoPlaylist.contentProtection[keySystem] &&
-        videoPlaylist.contentProtection[keySystem].pssh) {
-      keySystemContentTypes[keySystem].pssh =
-        videoPlaylist.contentProtection[keySystem].pssh;
+    const contentProtection =
+      videoPlaylist.contentProtection && videoPlaylist.contentProtection[keySystem];
+    const options = keySystemOptions[keySystem];
+
+    if (contentProtection && contentProtection.pssh) {
+      keySystemContentTypes[keySystem].pssh = contentProtection.pssh;
     }
 
     // videojs-contrib-eme accepts the option of specifying: 'com.some.cdm': 'url'
     // so we need to prevent overwriting the URL entirely
-    if (typeof keySystemOptions[keySystem] === 'string') {
-      keySystemContentTypes[keySystem].url = keySystemOptions[keySystem];
+    if (typeof options === 'string') {
+      keySystemContentTypes[keySystem].url = options;
+
+    // the license server signalled in the manifest is used when the source has none
+    } else if (contentProtection && contentProtection.laurl &&
+        !(options && (options.url || options.licenseUri || options.getLicense))) {
+      keySystemContentTypes[keySystem].url = contentProtection.laurl;
     }
   }
 
@@ -603,7 +620,9 @@ class VhsHandler extends Component {
       'handlePartialData',
       'playlistSelector',
       'initialPlaylistSelector',
-      'experimentalBufferBasedABR'
+      'experimentalBufferBasedABR',
+      'experimentalLowLatencyDash',
+      'targetLatency'
     ].forEach((option) => {
       if (typeof this.source_[option] !== 'undefined') {
         this.options_[option] = this.source_[option];
@@ -612,6 +631,7 @@ class VhsHandler extends Component {
 
     this.limitRenditionByPlayerDimensions = this.options_.limitRenditionByPlayerDimensions;
     this.useDevicePixelRatio = this.options_.useDevicePixelRatio;
+    this.targetLatency = this.options_.targetLatency;
   }
   /**
    * called when player.src gets called, handle a new source
@@ -642,6 +662,20 @@ class VhsHandler extends Component {
       masterPlaylistController: this.masterPlaylistController_
     }));
 
+    if (this.options_.experimentalLowLatencyDash) {
+      this.latencyController_ = new LatencyController({
+        tech: this.tech_,
+        latency: () => this.masterPlaylistController_.liveLatency(),
+        seekTo: this.options_.seekTo,
+        serviceDescription: () => {
+          const loader = this.masterPlaylistController_.masterPlaylistLoader_;
+
+          return loader.serviceDescription && loader.serviceDescription();
+        },
+        targetLatency: this.targetLatency
+      });
+    }
+
     this.masterPlaylistController_.on('error', () => {
       const player = videojs.players[this.tech_.options_.playerId];
       let error = this.masterPlaylistController_.error;
@@ -655,10 +689,12 @@ class VhsHandler extends Component {
       player.error(error);
     });
 
-    const defaultSelector = this.options_.experimentalBufferBasedABR ?
+    let defaultSelector = this.options_.experimentalBufferBasedABR ?
       Vhs.movingAverageBandwidthSelector(0.55) : Vhs.STANDARD_PLAYLIST_SELECTOR;
 
-    // console.log('!!!!!!low-latency-mode? ' + this.options_.experimentalLowLatencyDash);
+    if (this.options_.experimentalLowLatencyDash) {
+      defaultSelector = Vhs.lowLatencyHeuristicSelector();
+    }
 
     // `this` in selectPlaylist should be the VhsHandler for backwards
     // compatibility with < v2
@@ -672,6 +708,7 @@ class VhsHandler extends Component {
     // re-expose some internal objects for backwards compatibility with < v2
     this.playlists = this.masterPlaylistController_.masterPlaylistLoader_;
     this.mediaSource = this.masterPlaylistController_.mediaSource;
+    this.thumbnails = new Thumbnails(this);
 
     // Proxy assignment of some properties to the master playlist
     // controller. Using a custom property for backwards compatibility
@@ -781,6 +818,22 @@ class VhsHandler extends Component {
         get: () => this.masterPlaylistController_.mediaSecondsLoaded_() || 0,
         enumerable: true
       },
+      mediaChunksDropped: {
+        get: () => this.masterPlaylistController_.mediaChunksDropped_() || 0,
+        enumerable: true
+      },
+      latency: {
+        get: () => this.masterPlaylistController_.liveLatency(),
+        enumerable: true
+      },
+      bufferLevel: {
+        get: () => this.masterPlaylistController_.metricsController_.bufferLevel(),
+        enumerable: true
+      },
+      playbackRate: {
+        get: () => this.tech_.playbackRate(),
+        enumerable: true
+      },
       buffered: {
         get: () => timeRangesToArray(this.tech_.buffered()),
         enumerable: true
@@ -965,6 +1018,9 @@ class VhsHandler extends Component {
     if (this.playbackWatcher_) {
       this.playbackWatcher_.dispose();
     }
+    if (this.latencyController_) {
+      this.latencyController_.dispose();
+    }
     if (this.masterPlaylistController_) {
       this.masterPlaylistController_.dispose();
     }
@@ -1003,6 +1059,27 @@ class VhsHandler extends Component {
     });
   }
 
+  /**
+   * Register a function to be called periodically with a snapshot of the playback
+   * metrics: live latency, buffer level, dropped media chunks and playback rate.
+   *
+   * @param {Function} reporter
+   *        The function to call with the metrics
+   */
+  addMetricsReporter(reporter) {
+    this.masterPlaylistController_.metricsController_.addReporter(reporter);
+  }
+
+  /**
+   * Stop calling a previously registered metrics reporter.
+   *
+   * @param {Function} reporter
+   *        The reporter to remove
+   */
+  removeMetricsReporter(reporter) {
+    this.masterPlaylistController_.metricsController_.removeReporter(reporter);
+  }
+
   // the player must be playing before calling this
   seekToProgramTime(programTime, callback, pauseAfterSeek = true, retryCount = 2) {
     return seekToProgramTime({
@@ -10,6 +10,7 @@
  * @return {Request} the xhr request that is going to be made
  */
 import videojs from 'video.js';
+import window from 'global/window';
 
 const {
   xhr: videojsXHR,
@@ -55,24 +56,124 @@ const callbackWrapper = function(request, error, response, callback) {
   callback(error, request);
 };
 
-const xhrFactory = function() {
-  const xhr = function XhrFunction(options, callback) {
-    // Add a default timeout
-    options = mergeOptions({
-      timeout: 45e3
-    }, options);
+/**
+ * Adds the default timeout to the options of a request, and lets the `beforeRequest`
+ * function of the player, or else the global one, modify them. Requests made with
+ * either videojs.xhr or fetch go through this, so the same hooks apply to both.
+ *
+ * @param {Object} options the options for the request
+ * @param {Function} xhr the xhr function of the player
+ * @return {Object} the options to make the request with
+ */
+const requestOptions = function(options, xhr) {
+  // Add a default timeout
+  options = mergeOptions({
+    timeout: 45e3
+  }, options);
 
-    // Allow an optional user-specified function to modify the option
-    // object before we construct the xhr request
-    const beforeRequest = XhrFunction.beforeRequest || videojs.Vhs.xhr.beforeRequest;
+  // Allow an optional user-specified function to modify the option
+  // object before we construct the xhr request
+  const beforeRequest = xhr.beforeRequest || videojs.Vhs.xhr.beforeRequest;
 
-    if (beforeRequest && typeof beforeRequest === 'function') {
-      const newOptions = beforeRequest(options);
+  if (beforeRequest && typeof beforeRequest === 'function') {
+    const newOptions = beforeRequest(options);
 
-      if (newOptions) {
-        options = newOptions;
-      }
+    if (newOptions) {
+      options = newOptions;
     }
+  }
+
+  return options;
+};
+
+/**
+ * Makes a request with the fetch API, so that the response body can be read as it
+ * streams in. The request object carries the same properties as the xhr objects of
+ * videojs.xhr, so that responses and errors can be handled the same way for both.
+ *
+ * The callback is called once the response headers are received, or the request fails,
+ * with the fetch Response to read the body from. The timeout only covers the time until
+ * the response headers are received, as a streamed body arrives only as fast as the
+ * media it contains is produced. An aborted request does not call the callback.
+ *
+ * @param {Object} options the options for the request, after requestOptions
+ * @param {Function} callback the callback to call with the error, request and response
+ * @return {Object} the request that is going to be made
+ */
+const fetchRequest = function(options, callback) {
+  const controller = window.AbortController ? new window.AbortController() : null;
+  const request = {
+    uri: options.uri,
+    headers: options.headers || {},
+    status: 0,
+    statusText: '',
+    responseURL: '',
+    aborted: false,
+    timedout: false,
+    requestTime: Date.now()
+  };
+  let timeout = null;
+  let finished = false;
+
+  const finish = (error, response) => {
+    window.clearTimeout(timeout);
+
+    if (finished || request.aborted) {
+      return;
+    }
+    finished = true;
+    callback(error, request, response);
+  };
+
+  request.abort = () => {
+    window.clearTimeout(timeout);
+    request.aborted = true;
+
+    if (controller) {
+      controller.abort();
+    }
+  };
+
+  if (options.timeout) {
+    timeout = window.setTimeout(() => {
+      const error = new Error('Request timed out at URL: ' + request.uri);
+
+      error.code = 'ETIMEDOUT';
+      request.timedout = true;
+      finish(error);
+
+      if (controller) {
+        controller.abort();
+      }
+    }, options.timeout);
+  }
+
+  window.fetch(request.uri, {
+    method: options.method || 'GET',
+    headers: request.headers,
+    credentials: options.withCredentials ? 'include' : 'same-origin',
+    signal: controller ? controller.signal : undefined
+  }).then((response) => {
+    request.responseTime = Date.now();
+    request.status = response.status;
+    request.statusText = response.statusText;
+    request.responseURL = response.url;
+    request.responseHeaders = {};
+    response.headers.forEach((value, name) => {
+      request.responseHeaders[name] = value;
+    });
+
+    // emulate the status codes videojs.xhr requests fail with
+    finish(response.ok ? null : new Error('Fetch Failed with a response of: ' +
+      response.status), response);
+  }, finish);
+
+  return request;
+};
+
+const xhrFactory = function() {
+  const xhr = function XhrFunction(options, callback) {
+    options = requestOptions(options, XhrFunction);
 
     const request = videojsXHR(options, function(error, response) {
       return callbackWrapper(request, error, response, callback);
@@ -88,6 +189,18 @@ const xhrFactory = function() {
     return request;
   };
 
+  /**
+   * Makes a request with the fetch API, with the same options and hooks as the xhr
+   * function, see fetchRequest
+   *
+   * @param {Object} options the options for the request
+   * @param {Function} callback the callback to call when the response headers arrive
+   * @return {Object} the request that is going to be made
+   */
+  xhr.fetch = function(options, callback) {
+    return fetchRequest(requestOptions(options, xhr), callback);
+  };
+
   return xhr;
 };
 
@@ -96,9 +209,15 @@ const xhrFactory = function() {
  * HTTP Range requests
  *
  * @param {Object} byterange - an object with two values defining the start and end
- *                             of a byte-range
+ *                             of a byte-range. Without a length, the range is the
+ *                             rest of the resource from the offset.
+ * @return {string} the value of the Range header
  */
 const byterangeStr = function(byterange) {
+  if (typeof byterange.length !== 'number') {
+    return 'bytes=' + byterange.offset + '-';
+  }
+
   // `byterangeEnd` is one less than `offset + length` because the HTTP range
   // header uses inclusive ranges
   const byterangeEnd = byterange.offset + byterange.length - 1;
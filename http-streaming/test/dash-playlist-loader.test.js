@@ -7,7 +7,8 @@ import {
   generateSidxKey,
   compareSidxEntry,
   filterChangedSidxMappings,
-  parseMasterXml
+  parseMasterXml,
+  selectBaseUrl
 } from '../src/dash-playlist-loader';
 import xhrFactory from '../src/xhr';
 import {
@@ -78,6 +79,140 @@ QUnit.test('updateMaster: returns falsy when there are no changes', function(ass
   assert.deepEqual(updateMaster(master, master), null);
 });
 
+QUnit.test('updateMaster: updates serviceDescription', function(assert) {
+  const master = {
+    playlists: [],
+    mediaGroups: {
+      AUDIO: {},
+      SUBTITLES: {}
+    },
+    duration: 0,
+    minimumUpdatePeriod: 0,
+    serviceDescription: {
+      latency: { target: 3 }
+    }
+  };
+  const update = {
+    playlists: [],
+    mediaGroups: {
+      AUDIO: {},
+      SUBTITLES: {}
+    },
+    duration: 0,
+    minimumUpdatePeriod: 0,
+    serviceDescription: {
+      latency: { target: 2 }
+    }
+  };
+
+  assert.deepEqual(
+    updateMaster(master, update).serviceDescription,
+    { latency: { target: 2 } },
+    'updated the service description'
+  );
+
+  delete update.serviceDescription;
+  assert.notOk(
+    'serviceDescription' in updateMaster(master, update),
+    'removed the service description'
+  );
+  assert.equal(updateMaster(update, update), null, 'no changes');
+});
+
+QUnit.test('updateMaster: updates eventStream', function(assert) {
+  const master = {
+    playlists: [],
+    mediaGroups: {
+      AUDIO: {},
+      SUBTITLES: {}
+    },
+    duration: 0,
+    minimumUpdatePeriod: 0
+  };
+  const update = {
+    playlists: [],
+    mediaGroups: {
+      AUDIO: {},
+      SUBTITLES: {}
+    },
+    duration: 0,
+    minimumUpdatePeriod: 0,
+    eventStream: [{ schemeIdUri: 'urn:custom', id: '1', start: 10, end: 20 }]
+  };
+
+  assert.deepEqual(
+    updateMaster(master, update).eventStream,
+    [{ schemeIdUri: 'urn:custom', id: '1', start: 10, end: 20 }],
+    'added the events'
+  );
+  assert.equal(updateMaster(update, update), null, 'no changes');
+});
+
+QUnit.test('updateMaster: updates iFramePlaylists', function(assert) {
+  const master = {
+    playlists: [],
+    mediaGroups: {
+      AUDIO: {},
+      SUBTITLES: {}
+    },
+    duration: 0,
+    minimumUpdatePeriod: 0,
+    iFramePlaylists: [{ id: '0-trick', segments: [{ uri: '1.m4s' }] }]
+  };
+  const update = {
+    playlists: [],
+    mediaGroups: {
+      AUDIO: {},
+      SUBTITLES: {}
+    },
+    duration: 0,
+    minimumUpdatePeriod: 0,
+    iFramePlaylists: [{ id: '0-trick', segments: [{ uri: '1.m4s' }, { uri: '2.m4s' }] }]
+  };
+
+  assert.deepEqual(
+    updateMaster(master, update).iFramePlaylists,
+    update.iFramePlaylists,
+    'updated the I-frame playlists'
+  );
+  assert.equal(updateMaster(update, update), null, 'no changes');
+  assert.notOk(
+    updateMaster(master, Object.assign({}, update, { iFramePlaylists: undefined }))
+      .iFramePlaylists,
+    'removed the I-frame playlists'
+  );
+});
+
+QUnit.test('updateMaster: updates imagePlaylists', function(assert) {
+  const master = {
+    playlists: [],
+    mediaGroups: {
+      AUDIO: {},
+      SUBTITLES: {}
+    },
+    duration: 0,
+    minimumUpdatePeriod: 0,
+    imagePlaylists: [{ id: '0-thumbs', segments: [{ uri: '1.jpg' }] }]
+  };
+  const update = {
+    playlists: [],
+    mediaGroups: {
+      AUDIO: {},
+      SUBTITLES: {}
+    },
+    duration: 0,
+    minimumUpdatePeriod: 0,
+    imagePlaylists: [{ id: '0-thumbs', segments: [{ uri: '1.jpg' }, { uri: '2.jpg' }] }]
+  };
+
+  assert.deepEqual(
+    updateMaster(master, update).imagePlaylists,
+    update.imagePlaylists,
+    'updated the thumbnail playlists'
+  );
+  assert.equal(updateMaster(update, update), null, 'no changes');
+});
+
 QUnit.test('updateMaster: updates playlists', function(assert) {
   const master = {
     playlists: [{
@@ -386,6 +521,105 @@ QUnit.test('updateMaster: updates minimumUpdatePeriod', function(assert) {
   );
 });
 
+const baseUrlPlaylist = (id) => {
+  const map = { uri: '', resolvedUri: 'https://cdn1.com/' + id + '/init.mp4' };
+
+  return {
+    id,
+    baseUrls: [
+      { baseUrl: 'https://cdn1.com/' + id + '/', serviceLocation: 'cdn1' },
+      { baseUrl: 'https://cdn2.com/' + id + '/', serviceLocation: 'cdn2' }
+    ],
+    segments: [{
+      uri: '1.m4s',
+      resolvedUri: 'https://cdn1.com/' + id + '/1.m4s',
+      map
+    }, {
+      uri: 'https://other.com/2.m4s',
+      resolvedUri: 'https://other.com/2.m4s',
+      map
+    }]
+  };
+};
+
+QUnit.test('selectBaseUrl: resolves segments against the first BaseURL that is not excluded', function(assert) {
+  const playlist = baseUrlPlaylist('video');
+
+  assert.notOk(selectBaseUrl({ segments: [] }, {}), 'no BaseURLs to select');
+  assert.ok(selectBaseUrl(playlist, {}), 'selected a BaseURL');
+  assert.equal(playlist.activeBaseUrl, 'https://cdn1.com/video/', 'kept the first BaseURL');
+  assert.equal(
+    playlist.segments[0].resolvedUri,
+    'https://cdn1.com/video/1.m4s',
+    'did not change the segment'
+  );
+
+  assert.ok(selectBaseUrl(playlist, { cdn1: true }), 'selected a BaseURL');
+  assert.equal(playlist.activeBaseUrl, 'https://cdn2.com/video/', 'switched BaseURL');
+  assert.equal(
+    playlist.segments[0].resolvedUri,
+    'https://cdn2.com/video/1.m4s',
+    'resolved the segment against the new BaseURL'
+  );
+  assert.equal(
+    playlist.segments[0].map.resolvedUri,
+    'https://cdn2.com/video/init.mp4',
+    'resolved the init segment against the new BaseURL'
+  );
+  assert.equal(
+    playlist.segments[1].resolvedUri,
+    'https://other.com/2.m4s',
+    'did not change an absolute segment uri'
+  );
+
+  assert.notOk(
+    selectBaseUrl(playlist, { cdn1: true, cdn2: true }),
+    'no BaseURL left to select'
+  );
+  assert.equal(playlist.activeBaseUrl, 'https://cdn2.com/video/', 'kept the BaseURL');
+});
+
+QUnit.test('excludeBaseUrl: switches playlists from the failed location', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+  const video = baseUrlPlaylist('video');
+  const audio = baseUrlPlaylist('audio');
+
+  loader.master = { playlists: [video, audio] };
+
+  assert.notOk(loader.excludeBaseUrl({ segments: [] }), 'no BaseURLs to switch to');
+  assert.ok(loader.excludeBaseUrl(video), 'switched to the next BaseURL');
+  assert.deepEqual(loader.excludedLocations_, { cdn1: true }, 'excluded the location');
+  assert.equal(video.activeBaseUrl, 'https://cdn2.com/video/', 'switched the playlist');
+  assert.equal(
+    audio.segments[0].resolvedUri,
+    'https://cdn2.com/audio/1.m4s',
+    'switched other playlists from the same location'
+  );
+  assert.equal(this.env.log.warn.calls, 1, 'logged a warning');
+  assert.notOk(loader.excludeBaseUrl(video), 'no BaseURL left to switch to');
+});
+
+QUnit.test('excludeBaseUrl: retries locations once all of them failed', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+  const video = baseUrlPlaylist('video');
+
+  loader.master = { playlists: [video] };
+
+  assert.ok(loader.excludeBaseUrl(video), 'switched to the next BaseURL');
+  assert.notOk(loader.excludeBaseUrl(video), 'no BaseURL left to switch to');
+  assert.deepEqual(loader.excludedLocations_, {}, 'no longer excludes the locations');
+
+  assert.ok(loader.excludeBaseUrl(video), 'switched BaseURL again');
+  assert.equal(video.activeBaseUrl, 'https://cdn1.com/video/', 'retried the first BaseURL');
+  assert.equal(
+    video.segments[0].resolvedUri,
+    'https://cdn1.com/video/1.m4s',
+    'resolved the segment against the retried BaseURL'
+  );
+  assert.deepEqual(loader.excludedLocations_, { cdn2: true }, 'excluded the failed location');
+  assert.equal(this.env.log.warn.calls, 2, 'logged a warning for each switch');
+});
+
 QUnit.test('generateSidxKey: generates correct key', function(assert) {
   const sidxInfo = {
     byterange: {
@@ -1690,6 +1924,358 @@ QUnit.test('refreshXml_: updates media playlist reference if master changed', fu
   );
 });
 
+const patchableMpd = `
+  <MPD id="live" type="dynamic" publishTime="2021-01-01T00:00:00Z"
+    availabilityStartTime="1970-01-01T00:00:00Z" minimumUpdatePeriod="PT2S">
+    <PatchLocation>patch.mpd</PatchLocation>
+    <Period id="0" start="PT0S">
+      <AdaptationSet id="1" mimeType="video/mp4">
+        <SegmentTemplate media="$Time$.mp4" timescale="1">
+          <SegmentTimeline>
+            <S t="0" d="2" />
+          </SegmentTimeline>
+        </SegmentTemplate>
+        <Representation id="video" bandwidth="1000" width="640" height="360" />
+      </AdaptationSet>
+    </Period>
+  </MPD>
+`;
+
+const mpdPatch = `
+  <Patch xmlns="urn:mpeg:dash:schema:mpd-patch:2020" mpdId="live"
+    originalPublishTime="2021-01-01T00:00:00Z" publishTime="2021-01-01T00:00:02Z">
+    <add sel="/MPD/Period[@id='0']/AdaptationSet[@id='1']/SegmentTemplate/SegmentTimeline">
+      <S t="2" d="2" />
+    </add>
+  </Patch>
+`;
+
+QUnit.test('refreshXml_: applies the MPD Patch from the PatchLocation', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), patchableMpd);
+
+  assert.equal(loader.media().segments.length, 1, 'one segment');
+
+  loader.refreshXml_();
+
+  assert.strictEqual(this.requests.length, 1, 'patch is being requested');
+  assert.ok(/\/patch\.mpd$/.test(this.requests[0].uri), 'requested the PatchLocation');
+
+  this.requests.shift().respond(200, null, mpdPatch);
+
+  assert.equal(loader.media().segments.length, 2, 'added the segment from the patch');
+  assert.equal(typeof loader.masterXml_, 'object', 'kept the patched mpd');
+  assert.deepEqual(Object.keys(loader.periodCache_), ['0'], 'cached the parsed Period');
+});
+
+QUnit.test('refreshXml_: requests the whole MPD if the MPD Patch fails', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), patchableMpd);
+  loader.refreshXml_();
+  this.requests.shift().respond(200, null, mpdPatch.replace(
+    'originalPublishTime="2021-01-01T00:00:00Z"',
+    'originalPublishTime="2020-01-01T00:00:00Z"'
+  ));
+
+  assert.strictEqual(this.requests.length, 1, 'mpd is being requested');
+  assert.equal(this.requests[0].uri, loader.srcUrl, 'requested the mpd');
+
+  this.requests.shift().respond(200, null, patchableMpd.replace(
+    '<S t="0" d="2" />',
+    '<S t="0" d="2" r="1" />'
+  ));
+
+  assert.equal(loader.media().segments.length, 2, 'updated from the mpd');
+  assert.equal(typeof loader.masterXml_, 'string', 'kept the mpd string');
+  assert.strictEqual(loader.periodCache_, null, 'no period cache');
+});
+
+QUnit.test('refreshXml_: follows the PatchLocation of the patched mpd', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), patchableMpd);
+  loader.refreshXml_();
+  this.requests.shift().respond(200, null, mpdPatch.replace('</Patch>', `
+    <replace sel="/MPD/PatchLocation"><PatchLocation>patch2.mpd</PatchLocation></replace>
+  </Patch>`));
+
+  assert.equal(loader.master.patchLocation.uri, 'patch2.mpd', 'replaced the PatchLocation');
+
+  loader.refreshXml_();
+
+  assert.ok(/\/patch2\.mpd$/.test(this.requests[0].uri), 'requested the new PatchLocation');
+
+  this.requests.shift().respond(200, null, `
+    <Patch xmlns="urn:mpeg:dash:schema:mpd-patch:2020" mpdId="live"
+      originalPublishTime="2021-01-01T00:00:02Z" publishTime="2021-01-01T00:00:04Z">
+      <remove sel="/MPD/PatchLocation" />
+    </Patch>
+  `);
+
+  assert.notOk(loader.master.patchLocation, 'removed the PatchLocation');
+
+  loader.refreshXml_();
+
+  assert.equal(this.requests[0].uri, loader.srcUrl, 'requested the mpd');
+});
+
+QUnit.test('refreshXml_: requests the whole MPD once the PatchLocation expires', function(assert) {
+  const directTimingMpd = (serverTime) => patchableMpd.replace(
+    '<PatchLocation>',
+    `<UTCTiming schemeIdUri="urn:mpeg:dash:utc:direct:2014" value="${serverTime}" />
+    <PatchLocation ttl="10">`
+  );
+  let loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), directTimingMpd('2021-01-01T00:00:09Z'));
+  loader.refreshXml_();
+
+  assert.ok(/\/patch\.mpd$/.test(this.requests[0].uri), 'requested the PatchLocation');
+
+  loader.dispose();
+  this.requests.length = 0;
+  loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), directTimingMpd('2021-01-01T00:00:11Z'));
+  loader.refreshXml_();
+
+  assert.equal(this.requests[0].uri, loader.srcUrl, 'requested the mpd');
+});
+
+const remoteMpd = `
+  <MPD xmlns:xlink="http://www.w3.org/1999/xlink" type="static"
+    mediaPresentationDuration="PT4S">
+    <Period id="main" xlink:href="period.mpd" xlink:actuate="onLoad">
+      <AdaptationSet mimeType="video/mp4">
+        <SegmentTemplate media="local-$Number$.mp4" duration="4" timescale="1" />
+        <Representation id="video" bandwidth="1000" width="640" height="360" />
+      </AdaptationSet>
+    </Period>
+  </MPD>
+`;
+
+const remotePeriod = `
+  <Period id="main">
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate media="remote-$Number$.mp4" duration="2" timescale="1" />
+      <Representation id="video" bandwidth="1000" width="640" height="360" />
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4" xlink:actuate="onLoad"
+      xlink:href="urn:mpeg:dash:resolve-to-zero:2013">
+      <SegmentTemplate media="audio-$Number$.mp4" duration="2" timescale="1" />
+      <Representation id="audio" bandwidth="100" />
+    </AdaptationSet>
+  </Period>
+`;
+
+QUnit.test('resolveRemoteElements_: resolves remote elements before parsing', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), remoteMpd);
+
+  assert.strictEqual(this.requests.length, 1, 'remote Period is being requested');
+  assert.ok(/\/period\.mpd$/.test(this.requests[0].uri), 'requested the xlink:href');
+  assert.equal(loader.state, 'HAVE_NOTHING', 'did not parse the mpd yet');
+
+  this.requests.shift().respond(200, null, remotePeriod);
+  this.clock.tick(1);
+
+  assert.strictEqual(this.requests.length, 0, 'no request to resolve to zero');
+  assert.equal(loader.master.playlists.length, 1, 'removed the audio');
+  assert.deepEqual(
+    loader.media().segments.map(({ uri }) => uri),
+    ['remote-1.mp4', 'remote-2.mp4'],
+    'segments of the remote Period'
+  );
+});
+
+QUnit.test('resolveRemoteElements_: keeps the local content on failures', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), remoteMpd);
+  this.requests.shift().respond(404);
+  this.clock.tick(1);
+
+  assert.equal(this.env.log.warn.calls, 1, 'logged a warning');
+  assert.deepEqual(
+    loader.media().segments.map(({ uri }) => uri),
+    ['local-1.mp4'],
+    'segments of the local Period'
+  );
+});
+
+QUnit.test('resolveRemoteElements_: resolves remote elements of refreshes', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+  const refreshedMpd = patchableMpd.replace(
+    '<MPD ',
+    '<MPD xmlns:xlink="http://www.w3.org/1999/xlink" '
+  ).replace('</MPD>', `
+    <Period id="ad" xlink:href="ad.mpd" xlink:actuate="onLoad" />
+  </MPD>`);
+
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), patchableMpd);
+  loader.requestXml_();
+  this.requests.shift().respond(200, null, refreshedMpd);
+
+  assert.strictEqual(this.requests.length, 1, 'remote Period is being requested');
+  assert.ok(/\/ad\.mpd$/.test(this.requests[0].uri), 'requested the xlink:href');
+
+  this.requests.shift().respond(200, null, `
+    <Period id="ad" start="PT2S">
+      <AdaptationSet id="1" mimeType="video/mp4">
+        <SegmentTemplate media="ad-$Time$.mp4" timescale="1">
+          <SegmentTimeline>
+            <S t="0" d="2" />
+          </SegmentTimeline>
+        </SegmentTemplate>
+        <Representation id="video" bandwidth="1000" width="640" height="360" />
+      </AdaptationSet>
+    </Period>
+  `);
+
+  assert.deepEqual(
+    loader.media().segments.map(({ uri }) => uri),
+    ['0.mp4', 'ad-0.mp4'],
+    'updated with the remote Period'
+  );
+  assert.deepEqual(Object.keys(loader.periodCache_), ['0', 'ad'], 'cached the parsed Periods');
+});
+
+QUnit.test('resolveRemoteElements_: requests each remote element once', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+  const adPeriod = (id, start) => `
+    <Period id="${id}" start="PT${start}S">
+      <AdaptationSet id="1" mimeType="video/mp4">
+        <SegmentTemplate media="${id}-$Time$.mp4" timescale="1">
+          <SegmentTimeline>
+            <S t="0" d="2" />
+          </SegmentTimeline>
+        </SegmentTemplate>
+        <Representation id="video" bandwidth="1000" width="640" height="360" />
+      </AdaptationSet>
+    </Period>
+  `;
+  const refreshedMpd = (periods) => patchableMpd.replace(
+    '<MPD ',
+    '<MPD xmlns:xlink="http://www.w3.org/1999/xlink" '
+  ).replace('</MPD>', periods + '</MPD>');
+  const firstAd = '<Period id="ad1" xlink:href="ad1.mpd" xlink:actuate="onLoad" />';
+  const secondAd = '<Period id="ad2" xlink:href="ad2.mpd" xlink:actuate="onLoad" />';
+
+  loader.load();
+  this.standardXHRResponse(this.requests.shift(), patchableMpd);
+  loader.requestXml_();
+  this.requests.shift().respond(200, null, refreshedMpd(firstAd));
+  this.requests.shift().respond(200, null, adPeriod('ad1', 2));
+
+  loader.requestXml_();
+  this.requests.shift().respond(200, null, refreshedMpd(firstAd + secondAd));
+
+  assert.strictEqual(this.requests.length, 1, 'only the new remote Period is requested');
+  assert.ok(/\/ad2\.mpd$/.test(this.requests[0].uri), 'requested the new xlink:href');
+
+  this.requests.shift().respond(200, null, adPeriod('ad2', 4));
+
+  assert.deepEqual(
+    loader.media().segments.map(({ uri }) => uri),
+    ['0.mp4', 'ad1-0.mp4', 'ad2-0.mp4'],
+    'updated with the remote Periods'
+  );
+
+  loader.requestXml_();
+  this.requests.shift().respond(200, null, refreshedMpd(firstAd + secondAd));
+
+  assert.strictEqual(this.requests.length, 0, 'resolved remote Periods are not requested');
+  assert.deepEqual(
+    loader.media().segments.map(({ uri }) => uri),
+    ['0.mp4', 'ad1-0.mp4', 'ad2-0.mp4'],
+    'kept the remote Periods'
+  );
+});
+
+const utcTimingMpd = patchableMpd.replace('<Period', `
+    <UTCTiming schemeIdUri="urn:mpeg:dash:utc:ntp:2014" value="time.example.com" />
+    <UTCTiming schemeIdUri="urn:mpeg:dash:utc:http-head:2014" value="head" />
+    <UTCTiming schemeIdUri="urn:mpeg:dash:utc:http-xsdate:2014" value="xsdate" />
+    <Period`);
+
+QUnit.test('syncClientServerClock_: falls back through the UTCTimings', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+
+  loader.load();
+  this.requests.shift().respond(200, null, utcTimingMpd);
+
+  assert.strictEqual(this.requests.length, 1, 'time server is being requested');
+  assert.ok(/\/head$/.test(this.requests[0].uri), 'skipped the ntp scheme');
+  assert.equal(this.requests[0].method, 'HEAD', 'HEAD request');
+
+  this.requests.shift().respond(200);
+
+  assert.equal(this.env.log.warn.calls, 1, 'logged a warning');
+  assert.strictEqual(this.requests.length, 1, 'next time server is being requested');
+  assert.ok(/\/xsdate$/.test(this.requests[0].uri), 'requested the next UTCTiming');
+  assert.equal(this.requests[0].method, 'GET', 'GET request');
+
+  this.requests.shift().respond(200, null, '1970-01-01 00:00:10.0000001\n');
+
+  assert.equal(loader.clientOffset_, 10000, 'synced the clock');
+  assert.ok(loader.master, 'parsed the mpd');
+});
+
+QUnit.test('syncClientServerClock_: uses the Date header if all UTCTimings fail', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+
+  loader.load();
+  this.requests.shift().respond(200, { date: 'Thu, 01 Jan 1970 00:00:05 GMT' }, utcTimingMpd);
+  this.requests.shift().respond(404);
+  this.requests.shift().respond(200, null, 'not a date');
+
+  assert.equal(this.env.log.warn.calls, 2, 'logged warnings');
+  assert.equal(loader.clientOffset_, 5000, 'used the Date header');
+  assert.ok(loader.master, 'parsed the mpd');
+});
+
+QUnit.test('refreshXml_: syncs the clock again after a while', function(assert) {
+  const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
+  const mpd = utcTimingMpd.replace('<PatchLocation>patch.mpd</PatchLocation>', '');
+
+  loader.load();
+  this.requests.shift().respond(200, null, mpd);
+  this.requests.shift().respond(200, { date: 'Thu, 01 Jan 1970 00:00:01 GMT' });
+
+  assert.equal(loader.clientOffset_, 1000, 'synced the clock');
+
+  // select the media
+  this.clock.tick(1);
+  loader.refreshXml_();
+
+  assert.strictEqual(this.requests.length, 1, 'mpd is being requested');
+  assert.equal(this.requests[0].uri, loader.srcUrl, 'did not sync the clock');
+
+  this.requests.shift().respond(200, null, mpd);
+  loader.lastClockSync_ -= 60 * 1000;
+  loader.refreshXml_();
+
+  assert.ok(/\/head$/.test(this.requests[0].uri), 'synced the clock again');
+
+  this.requests.shift().respond(404);
+  this.requests.shift().respond(404);
+
+  assert.equal(this.env.log.warn.calls, 2, 'logged warnings');
+  assert.equal(loader.clientOffset_, 1000, 'kept the last offset');
+  assert.strictEqual(this.requests.length, 1, 'mpd is being requested');
+  assert.equal(this.requests[0].uri, loader.srcUrl, 'refreshed the mpd');
+});
+
 QUnit.test('sidxRequestFinished_: updates master with sidx information', function(assert) {
   const loader = new DashPlaylistLoader('dash.mpd', this.fakeVhs);
   const fakePlaylist = {
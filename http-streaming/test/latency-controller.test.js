@@ -0,0 +1,232 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import videojs from 'video.js';
+import {
+  default as LatencyController,
+  calculatePlaybackRate
+} from '../src/latency-controller';
+
+const createTech = () => {
+  const tech = new videojs.EventTarget();
+
+  tech.paused_ = true;
+  tech.currentTime_ = 10;
+  tech.playbackRate_ = 1;
+  tech.buffered_ = videojs.createTimeRanges([[0, 12]]);
+  tech.seekable_ = videojs.createTimeRanges([[0, 30]]);
+  tech.paused = () => tech.paused_;
+  tech.seeking = () => false;
+  tech.currentTime = () => tech.currentTime_;
+  tech.buffered = () => tech.buffered_;
+  tech.seekable = () => tech.seekable_;
+  tech.setPlaybackRate = (rate) => {
+    tech.playbackRate_ = rate;
+  };
+
+  return tech;
+};
+
+QUnit.module('LatencyController', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers();
+    this.tech = createTech();
+    this.latency = 3;
+    this.seeks = [];
+    this.latencyController = new LatencyController({
+      tech: this.tech,
+      latency: () => this.latency,
+      seekTo: (time) => this.seeks.push(time),
+      targetLatency: 3,
+      minPlaybackRate: 0.9,
+      maxPlaybackRate: 1.1,
+      maxDrift: 5
+    });
+    this.play = () => {
+      this.tech.paused_ = false;
+      this.tech.trigger('play');
+    };
+  },
+  afterEach() {
+    this.latencyController.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('does not adjust the playback rate while paused', function(assert) {
+  this.latency = 6;
+  this.clock.tick(2000);
+
+  assert.equal(this.tech.playbackRate_, 1, 'playback rate is unchanged');
+});
+
+QUnit.test('speeds up playback when behind the target latency', function(assert) {
+  this.play();
+  this.latency = 4;
+  this.clock.tick(500);
+
+  assert.ok(this.tech.playbackRate_ > 1, 'playback sped up');
+  assert.ok(this.tech.playbackRate_ <= 1.1, 'playback rate is within bounds');
+});
+
+QUnit.test('slows down playback when ahead of the target latency', function(assert) {
+  this.play();
+  this.latency = 2;
+  this.clock.tick(500);
+
+  assert.ok(this.tech.playbackRate_ < 1, 'playback slowed down');
+  assert.ok(this.tech.playbackRate_ >= 0.9, 'playback rate is within bounds');
+});
+
+QUnit.test('does not speed up when the buffer is nearly empty', function(assert) {
+  this.play();
+  this.latency = 4;
+  this.tech.buffered_ = videojs.createTimeRanges([[0, 10.2]]);
+  this.clock.tick(500);
+
+  assert.equal(this.tech.playbackRate_, 1, 'playback rate is unchanged');
+});
+
+QUnit.test('seeks when drift exceeds the max drift', function(assert) {
+  let latencySeeks = 0;
+
+  this.tech.on('latencyseek', () => latencySeeks++);
+  this.play();
+  this.latency = 10;
+  this.clock.tick(500);
+
+  assert.deepEqual(this.seeks, [17], 'seeked forward by the drift');
+  assert.equal(latencySeeks, 1, 'triggered latencyseek');
+  assert.equal(this.tech.playbackRate_, 1, 'playback rate is unchanged');
+});
+
+QUnit.test('does not seek past the end of the seekable range', function(assert) {
+  let latencySeeks = 0;
+
+  this.tech.on('latencyseek', () => latencySeeks++);
+  this.tech.seekable_ = videojs.createTimeRanges([[0, 15]]);
+  this.play();
+  this.latency = 10;
+  this.clock.tick(500);
+
+  assert.deepEqual(this.seeks, [14], 'seeked to before the end of the seekable range');
+  assert.equal(latencySeeks, 1, 'triggered latencyseek');
+
+  this.tech.currentTime_ = 14;
+  this.tech.buffered_ = videojs.createTimeRanges([[0, 16]]);
+  this.clock.tick(500);
+
+  assert.deepEqual(this.seeks, [14], 'did not seek without room to seek to');
+  assert.equal(latencySeeks, 1, 'did not trigger latencyseek');
+  assert.ok(this.tech.playbackRate_ > 1, 'sped up playback instead');
+});
+
+QUnit.test('triggers liveedgechange when reaching or leaving the live edge', function(assert) {
+  let liveEdgeChanges = 0;
+
+  this.tech.on('liveedgechange', () => liveEdgeChanges++);
+  this.play();
+  this.clock.tick(500);
+
+  assert.equal(liveEdgeChanges, 1, 'triggered liveedgechange');
+  assert.ok(this.latencyController.atLiveEdge(), 'at the live edge');
+
+  this.clock.tick(500);
+  assert.equal(liveEdgeChanges, 1, 'no change while still at the live edge');
+
+  this.latency = 6;
+  this.clock.tick(500);
+  assert.equal(liveEdgeChanges, 2, 'triggered liveedgechange');
+  assert.notOk(this.latencyController.atLiveEdge(), 'not at the live edge');
+});
+
+QUnit.test('restores the playback rate on pause and dispose', function(assert) {
+  this.play();
+  this.latency = 4;
+  this.clock.tick(500);
+  assert.ok(this.tech.playbackRate_ > 1, 'playback sped up');
+
+  this.tech.paused_ = true;
+  this.tech.trigger('pause');
+  assert.equal(this.tech.playbackRate_, 1, 'playback rate restored on pause');
+
+  this.play();
+  this.clock.tick(500);
+  assert.ok(this.tech.playbackRate_ > 1, 'playback sped up');
+
+  this.latencyController.dispose();
+  assert.equal(this.tech.playbackRate_, 1, 'playback rate restored on dispose');
+});
+
+QUnit.test('ignores unknown latency', function(assert) {
+  this.play();
+  this.latency = null;
+  this.clock.tick(500);
+
+  assert.equal(this.tech.playbackRate_, 1, 'playback rate is unchanged');
+  assert.deepEqual(this.seeks, [], 'did not seek');
+});
+
+QUnit.test('uses the service description when no targets are provided', function(assert) {
+  let serviceDescription = {
+    latency: { target: 2, max: 4 },
+    playbackRate: { min: 0.95, max: 1.05 }
+  };
+
+  this.latencyController.dispose();
+  this.latencyController = new LatencyController({
+    tech: this.tech,
+    latency: () => this.latency,
+    seekTo: (time) => this.seeks.push(time),
+    serviceDescription: () => serviceDescription
+  });
+
+  assert.equal(this.latencyController.targetLatency, 2, 'target latency from manifest');
+  assert.equal(this.latencyController.minPlaybackRate, 0.95, 'min rate from manifest');
+  assert.equal(this.latencyController.maxPlaybackRate, 1.05, 'max rate from manifest');
+  assert.equal(this.latencyController.maxDrift, 2, 'max drift from max latency');
+
+  this.play();
+  this.latency = 10;
+  this.clock.tick(500);
+  assert.deepEqual(this.seeks, [18], 'seeked back to the target latency');
+
+  serviceDescription = null;
+  this.clock.tick(500);
+  assert.equal(this.latencyController.targetLatency, 3, 'falls back to the default');
+});
+
+QUnit.test('prefers explicit targets over the service description', function(assert) {
+  this.latencyController.dispose();
+  this.latencyController = new LatencyController({
+    tech: this.tech,
+    latency: () => this.latency,
+    seekTo: (time) => this.seeks.push(time),
+    serviceDescription: () => ({ latency: { target: 2 }, playbackRate: { max: 1.5 } }),
+    targetLatency: 4
+  });
+
+  assert.equal(this.latencyController.targetLatency, 4, 'explicit target latency');
+  assert.equal(this.latencyController.maxPlaybackRate, 1.5, 'max rate from manifest');
+});
+
+QUnit.module('calculatePlaybackRate');
+
+QUnit.test('stays within bounds and is neutral near the target', function(assert) {
+  const options = {targetLatency: 3, minPlaybackRate: 0.8, maxPlaybackRate: 1.2};
+
+  assert.equal(calculatePlaybackRate(Object.assign({drift: 0}, options)), 1, 'no drift');
+  assert.equal(calculatePlaybackRate(Object.assign({drift: 0.01}, options)), 1, 'small drift');
+  assert.ok(
+    calculatePlaybackRate(Object.assign({drift: 100}, options)) <= 1.2,
+    'large positive drift is bounded'
+  );
+  assert.ok(
+    calculatePlaybackRate(Object.assign({drift: -100}, options)) >= 0.8,
+    'large negative drift is bounded'
+  );
+  assert.ok(
+    calculatePlaybackRate(Object.assign({drift: 2}, options)) >
+      calculatePlaybackRate(Object.assign({drift: 1}, options)),
+    'larger drift catches up faster'
+  );
+});
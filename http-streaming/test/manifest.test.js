@@ -4,7 +4,8 @@ import {
   setupMediaPlaylists,
   resolveMediaGroupUris,
   masterForMedia,
-  addPropertiesToMaster
+  addPropertiesToMaster,
+  parseManifest
 } from '../src/manifest';
 import {
   useFakeEnvironment,
@@ -365,6 +366,46 @@ QUnit.test('adds placeholder URIs to media groups if necessary', function(assert
   );
 });
 
+QUnit.test('sets up I-frame and thumbnail playlists apart from the playlists', function(assert) {
+  const master = {
+    mediaGroups: {},
+    playlists: [{
+      attributes: {}
+    }],
+    iFramePlaylists: [{
+      attributes: {},
+      iFramesOnly: true
+    }],
+    imagePlaylists: [{
+      attributes: {},
+      tiles: { columns: 1, rows: 1 }
+    }]
+  };
+
+  addPropertiesToMaster(master, 'some-uri');
+
+  assert.equal(
+    master.iFramePlaylists[0].uri,
+    'placeholder-uri-iframe-0',
+    'added placeholder uri'
+  );
+  assert.equal(
+    master.iFramePlaylists[0].id,
+    '0-placeholder-uri-iframe-0',
+    'added id'
+  );
+  assert.notOk(
+    master.playlists[master.iFramePlaylists[0].id],
+    'not referenced by the playlists'
+  );
+  assert.equal(
+    master.imagePlaylists[0].id,
+    '0-placeholder-uri-image-0',
+    'added thumbnail playlist id'
+  );
+  assert.equal(master.playlists.length, 1, 'not added to the playlists');
+});
+
 QUnit.test('adds resolvedUri for media group URIs', function(assert) {
   const master = {
     mediaGroups: {
@@ -390,3 +431,75 @@ QUnit.test('adds resolvedUri for media group URIs', function(assert) {
     'did not add resolvedUri when no uri'
   );
 });
+
+QUnit.module('parseManifest');
+
+QUnit.test('parses low latency HLS tags', function(assert) {
+  const manifest = parseManifest({
+    manifestString: [
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:4',
+      '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,CAN-SKIP-UNTIL=24,' +
+        'PART-HOLD-BACK=3.012,HOLD-BACK=12',
+      '#EXT-X-PART-INF:PART-TARGET=1.004',
+      '#EXT-X-MEDIA-SEQUENCE:10',
+      '#EXT-X-SKIP:SKIPPED-SEGMENTS=3',
+      '#EXTINF:4,',
+      'fileSequence13.mp4',
+      '#EXT-X-PART:DURATION=2,URI="filePart14.mp4",BYTERANGE="100@0",INDEPENDENT=YES',
+      '#EXT-X-PART:DURATION=2,URI="filePart14.mp4",BYTERANGE="200"',
+      '#EXTINF:4,',
+      'fileSequence14.mp4',
+      '#EXT-X-PART:DURATION=1,URI="filePart15.0.mp4",INDEPENDENT=YES',
+      '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="filePart15.1.mp4"',
+      '#EXT-X-PRELOAD-HINT:TYPE=MAP,URI="init.mp4",BYTERANGE-START=100,BYTERANGE-LENGTH=50',
+      '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="fileSequence15.mp4",BYTERANGE-START=2000',
+      '#EXT-X-RENDITION-REPORT:URI="../1M/waitForMSN.php",LAST-MSN=15,LAST-PART=0'
+    ].join('\n')
+  });
+
+  assert.deepEqual(manifest.serverControl, {
+    canBlockReload: true,
+    canSkipUntil: 24,
+    canSkipDateranges: false,
+    holdBack: 12,
+    partHoldBack: 3.012
+  }, 'parsed the server control');
+  assert.equal(manifest.partTargetDuration, 1.004, 'parsed the part target duration');
+  assert.deepEqual(manifest.skip, {
+    skippedSegments: 3,
+    recentlyRemovedDateranges: []
+  }, 'parsed the skip');
+  assert.notOk(manifest.segments[0].parts, 'no parts for the first segment');
+  assert.deepEqual(manifest.segments[1].parts, [{
+    uri: 'filePart14.mp4',
+    duration: 2,
+    independent: true,
+    gap: false,
+    byterange: { length: 100, offset: 0 }
+  }, {
+    uri: 'filePart14.mp4',
+    duration: 2,
+    independent: false,
+    gap: false,
+    byterange: { length: 200, offset: 100 }
+  }], 'parsed the parts of the segment');
+  assert.deepEqual(manifest.preloadSegment, {
+    parts: [{
+      uri: 'filePart15.0.mp4',
+      duration: 1,
+      independent: true,
+      gap: false
+    }],
+    preloadHints: [
+      { type: 'PART', uri: 'filePart15.1.mp4' },
+      { type: 'MAP', uri: 'init.mp4', byterange: { offset: 100, length: 50 } },
+      { type: 'PART', uri: 'fileSequence15.mp4', byterange: { offset: 2000 } }
+    ]
+  }, 'parsed the segment being produced');
+  assert.deepEqual(manifest.renditionReports, [{
+    uri: '../1M/waitForMSN.php',
+    lastMsn: 15,
+    lastPart: 0
+  }], 'parsed the rendition reports');
+});
@@ -1197,6 +1197,77 @@ QUnit.test('initialize subtitles correctly uses DASH source type', function(asse
   done();
 });
 
+QUnit.test('initialize audio maps roles and characteristics to kinds', function(assert) {
+  // allow async methods to resolve before next test
+  const done = assert.async();
+
+  this.master.mediaGroups.AUDIO.aud1 = {
+    'en (main)': {
+      default: true,
+      language: 'en',
+      roles: ['main'],
+      playlists: ['playlist-1']
+    },
+    'en (description)': {
+      default: false,
+      language: 'en',
+      roles: ['description'],
+      characteristics: 'public.accessibility.describes-video',
+      playlists: ['playlist-2']
+    },
+    'fr (dub)': { default: false, language: 'fr', roles: ['dub'], playlists: ['playlist-3'] },
+    'en (commentary)': {
+      default: false,
+      language: 'en',
+      roles: ['commentary'],
+      playlists: ['playlist-4']
+    }
+  };
+  this.settings.sourceType = 'dash';
+
+  MediaGroups.initialize.AUDIO('AUDIO', this.settings);
+
+  const { tracks } = this.mediaTypes.AUDIO;
+
+  assert.equal(tracks['en (main)'].kind, 'main', 'main audio');
+  assert.equal(tracks['en (description)'].kind, 'main-desc', 'audio description');
+  assert.equal(tracks['fr (dub)'].kind, 'translation', 'dubbed audio');
+  assert.equal(tracks['en (commentary)'].kind, 'commentary', 'commentary');
+  assert.equal(tracks['en (commentary)'].label, 'en (commentary)', 'labelled');
+
+  done();
+});
+
+QUnit.test('initialize subtitles maps characteristics to kinds', function(assert) {
+  // allow async methods to resolve before next test
+  const done = assert.async();
+
+  this.master.mediaGroups.SUBTITLES.sub1 = {
+    'en (subtitle)': { language: 'en', playlists: ['playlist-1'] },
+    'en (subtitle, hard-of-hearing)': {
+      language: 'en',
+      characteristics: 'public.accessibility.transcribes-spoken-dialog,' +
+        'public.accessibility.describes-music-and-sound',
+      playlists: ['playlist-2']
+    }
+  };
+  this.settings.sourceType = 'dash';
+
+  MediaGroups.initialize.AUDIO('AUDIO', this.settings);
+  MediaGroups.initialize.SUBTITLES('SUBTITLES', this.settings);
+
+  const { tracks } = this.mediaTypes.SUBTITLES;
+
+  assert.equal(tracks['en (subtitle)'].kind, 'subtitles', 'subtitles');
+  assert.equal(
+    tracks['en (subtitle, hard-of-hearing)'].kind,
+    'captions',
+    'hard of hearing subtitles are captions'
+  );
+
+  done();
+});
+
 QUnit.test('initialize subtitles correctly uses vhs-json source type', function(assert) {
   const manifestString = manifests.subtitles;
   const subtitlesPlaylist = parseManifest({ manifestString });
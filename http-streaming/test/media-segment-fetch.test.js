@@ -0,0 +1,1117 @@
+import QUnit from 'qunit';
+import window from 'global/window';
+import mp4probe from 'mux.js/lib/mp4/probe';
+import {
+  mediaSegmentFetch,
+  findLastTopIsoBoxCompleted,
+  estimateBurstBandwidth,
+  parseProducerReferenceTime,
+  parseEmsgBoxes
+} from '../src/media-segment-fetch';
+import { REQUEST_ERRORS } from '../src/media-segment-request';
+import xhrFactory from '../src/xhr';
+// needed for plugin registration
+import '../src/videojs-http-streaming';
+import {
+  mp4Video,
+  mp4VideoInit,
+  video as videoTs
+} from 'create-test-data!segments';
+
+// a fetch Response-like object whose body streams the provided chunks
+const fakeResponse = (chunks) => {
+  const response = {
+    ok: true,
+    status: 200,
+    headers: new Map(),
+    arrayBuffer() {
+      return Promise.resolve(chunks[0].buffer);
+    },
+    body: {
+      getReader() {
+        let i = 0;
+
+        return {
+          read() {
+            if (i < chunks.length) {
+              return Promise.resolve({ value: chunks[i++], done: false });
+            }
+            return Promise.resolve({ done: true });
+          },
+          cancel() {
+            response.canceled = true;
+            return Promise.resolve();
+          }
+        };
+      }
+    }
+  };
+
+  return response;
+};
+
+// a map as it would be stored in the SegmentLoader's init segment cache
+const cachedMap = () => {
+  const tracks = {};
+  const timescales = {};
+
+  mp4probe.tracks(mp4VideoInit).forEach((track) => {
+    tracks[track.type] = track;
+    timescales[track.id] = track.timescale;
+  });
+
+  return { resolvedUri: 'init.mp4', bytes: mp4VideoInit, tracks, timescales };
+};
+
+// a version 1 prft box
+const prftBox = ({ trackId, ntpSeconds, ntpFraction, mediaTime }) => {
+  const box = new Uint8Array(32);
+  const view = new DataView(box.buffer);
+
+  view.setUint32(0, 32);
+  box.set([0x70, 0x72, 0x66, 0x74], 4);
+  box[8] = 1;
+  view.setUint32(12, trackId);
+  view.setUint32(16, ntpSeconds);
+  view.setUint32(20, ntpFraction);
+  view.setUint32(24, Math.floor(mediaTime / Math.pow(2, 32)));
+  view.setUint32(28, mediaTime % Math.pow(2, 32));
+
+  return box;
+};
+
+const stringBytes = (string) => string.split('').map((c) => c.charCodeAt(0)).concat(0);
+
+// an emsg box of the provided version
+const emsgBox = ({
+  version,
+  schemeIdUri,
+  value,
+  timescale,
+  presentationTime,
+  duration,
+  id,
+  messageData
+}) => {
+  const strings = stringBytes(schemeIdUri).concat(stringBytes(value));
+  const fields = version === 0 ? 16 : 20;
+  const box = new Uint8Array(12 + strings.length + fields + messageData.length);
+  const view = new DataView(box.buffer);
+  let offset = 12;
+
+  view.setUint32(0, box.length);
+  box.set([0x65, 0x6d, 0x73, 0x67], 4);
+  box[8] = version;
+
+  if (version === 0) {
+    box.set(strings, offset);
+    offset += strings.length;
+    view.setUint32(offset, timescale);
+    view.setUint32(offset + 4, presentationTime);
+    offset += 8;
+  } else {
+    view.setUint32(offset, timescale);
+    view.setUint32(offset + 4, Math.floor(presentationTime / Math.pow(2, 32)));
+    view.setUint32(offset + 8, presentationTime % Math.pow(2, 32));
+    offset += 12;
+  }
+
+  view.setUint32(offset, duration);
+  view.setUint32(offset + 4, id);
+  offset += 8;
+
+  if (version !== 0) {
+    box.set(strings, offset);
+    offset += strings.length;
+  }
+
+  box.set(messageData, offset);
+
+  return box;
+};
+
+// a transmuxer that records the bytes pushed to it, and responds to each flush with the
+// bytes pushed since the last one as transmuxed data
+const mockTransmuxer = () => {
+  let bytes = 0;
+
+  return {
+    pushed: [],
+    flushes: [],
+    postMessage(message) {
+      if (message.action === 'push') {
+        this.pushed.push(message.byteLength);
+        bytes += message.byteLength;
+      }
+
+      if (message.action !== 'partialFlush' && message.action !== 'flush') {
+        return;
+      }
+
+      this.flushes.push(message.action);
+
+      if (bytes) {
+        this.onmessage({ data: { action: 'data', segment: {
+          type: 'video',
+          data: new ArrayBuffer(bytes),
+          initSegment: { data: new ArrayBuffer(8), byteOffset: 0, byteLength: 8 }
+        } } });
+        bytes = 0;
+      }
+
+      this.onmessage({ data: { action: 'done', type: 'transmuxed' } });
+    }
+  };
+};
+
+// reads the words of an iv or key from a transferable message
+const messageWords = ({ bytes, byteOffset, byteLength }) =>
+  Array.prototype.slice.call(new Uint32Array(bytes, byteOffset, byteLength / 4));
+
+QUnit.module('Media Segment Fetch', {
+  beforeEach() {
+    this.realFetch = window.fetch;
+    this.xhr = xhrFactory();
+    this.fetchedUris = [];
+    this.fetchOptions = [];
+    this.responses = {};
+    window.fetch = (uri, options) => {
+      this.fetchedUris.push(uri);
+      this.fetchOptions.push(options);
+      return Promise.resolve(this.responses[uri]);
+    };
+
+    // a decrypter that records its messages and responds with the bytes unchanged
+    this.decrypter = {
+      messages: [],
+      listeners: [],
+      postMessage(message) {
+        this.messages.push(message);
+        this.listeners.forEach((fn) => fn({
+          data: { source: message.source, decrypted: message.encrypted }
+        }));
+      },
+      addEventListener(event, listener) {
+        this.listeners.push(listener);
+      },
+      removeEventListener(event, listener) {
+        this.listeners = this.listeners.filter((fn) => fn !== listener);
+      }
+    };
+
+    this.calls = { trackInfo: [], timingInfo: [], chunk: [], data: [], done: [] };
+    this.callbacks = {
+      trackInfoFn: (segment, trackInfo) => this.calls.trackInfo.push(trackInfo),
+      timingInfoFn: (segment, mediaType, timeType, time) => {
+        this.calls.timingInfo.push({ mediaType, timeType, time });
+      },
+      chunkFn: (segment, result, isFirstChunk) => {
+        this.calls.chunk.push({ result, isFirstChunk });
+      },
+      dataFn: (segment, result) => this.calls.data.push(result),
+      doneFn: (error, segment) => this.calls.done.push({ error, segment })
+    };
+  },
+  afterEach() {
+    window.fetch = this.realFetch;
+  }
+});
+
+QUnit.test('estimates bandwidth from chunk bursts', function(assert) {
+  assert.ok(isNaN(estimateBurstBandwidth([])), 'NaN without bursts');
+  assert.ok(
+    isNaN(estimateBurstBandwidth([{ bytes: 1000, duration: 0 }])),
+    'NaN when bursts are too short to measure'
+  );
+  assert.equal(
+    estimateBurstBandwidth([
+      { bytes: 1000, duration: 10 },
+      { bytes: 1000, duration: 0 },
+      { bytes: 3000, duration: 30 }
+    ]),
+    800000,
+    'ignores unmeasurable bursts and combines the rest'
+  );
+});
+
+QUnit.test('finds the last complete top level box', function(assert) {
+  // ftyp (36) + moov (756) + moof (120) + mdat (5219)
+  const mdatEnd = 36 + 756 + 120 + 5219;
+
+  let boxInfo = findLastTopIsoBoxCompleted(['mdat'], mp4Video.subarray(0, mdatEnd));
+
+  assert.ok(boxInfo.found, 'found the mdat');
+  assert.equal(boxInfo.lastCompletedOffset + boxInfo.size, mdatEnd, 'ends with the mdat');
+
+  boxInfo = findLastTopIsoBoxCompleted(['mdat'], mp4Video.subarray(0, mdatEnd - 1));
+
+  assert.notOk(boxInfo.found, 'incomplete mdat is not found');
+  assert.equal(
+    boxInfo.lastCompletedOffset,
+    36 + 756 + 120,
+    'reports the end of the last complete box'
+  );
+});
+
+QUnit.test('streams complete chunks and finishes', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: { resolvedUri: 'init.mp4' }
+  };
+
+  this.responses['init.mp4'] = fakeResponse([mp4VideoInit]);
+  // split the segment mid-mdat
+  this.responses['video.mp4'] =
+    fakeResponse([mp4Video.subarray(0, 2000), mp4Video.subarray(2000)]);
+
+  this.callbacks.doneFn = (error, doneSegment) => {
+    assert.equal(error, null, 'no error');
+    assert.deepEqual(this.fetchedUris, ['init.mp4', 'video.mp4'], 'fetched init and media');
+    assert.ok(segment.map.bytes, 'saved init segment bytes');
+    assert.ok(segment.map.tracks.video, 'probed tracks from the init segment');
+    assert.ok(segment.isFmp4, 'fmp4 segment');
+    assert.equal(this.calls.trackInfo.length, 1, 'reported track info once');
+    assert.ok(this.calls.trackInfo[0].isFmp4, 'track info is fmp4');
+    assert.ok(this.calls.trackInfo[0].hasVideo, 'track info has video');
+    assert.equal(this.calls.timingInfo.length, 1, 'reported timing info once');
+    assert.equal(this.calls.chunk.length, 1, 'one complete chunk');
+    assert.ok(this.calls.chunk[0].isFirstChunk, 'marked as first chunk');
+    assert.equal(this.calls.chunk[0].result.type, 'video', 'chunk is video');
+    assert.equal(this.calls.data.length, 1, 'called dataFn');
+    assert.equal(this.calls.data[0].data.byteLength, 67, 'left over bytes passed to dataFn');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('streams fmp4 segments without an init segment', function(assert) {
+  const done = assert.async();
+  const segment = { resolvedUri: 'video.mp4', transmuxer: mockTransmuxer() };
+
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+
+  this.callbacks.transmuxingFn = () => assert.ok(false, 'fmp4 is not transmuxed');
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error, null, 'no error');
+    assert.ok(segment.isFmp4, 'detected fmp4');
+    assert.equal(this.calls.trackInfo.length, 1, 'reported track info');
+    assert.ok(this.calls.trackInfo[0].isFmp4, 'track info is fmp4');
+    assert.equal(this.calls.chunk.length, 1, 'one complete chunk');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('does not mark ts segments as fmp4', function(assert) {
+  const done = assert.async();
+  const segment = { resolvedUri: 'video.ts' };
+
+  this.responses['video.ts'] = fakeResponse([videoTs]);
+
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error, null, 'no error');
+    assert.strictEqual(segment.isFmp4, false, 'not fmp4');
+    assert.equal(this.calls.chunk.length, 0, 'no fmp4 chunks');
+    assert.equal(this.calls.data[0].data.byteLength, videoTs.length, 'passed the bytes along');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('requests byte ranges with Range headers', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    byterange: { offset: 1000, length: mp4Video.length },
+    map: {
+      resolvedUri: 'video.mp4',
+      byterange: { offset: 0, length: mp4VideoInit.length }
+    }
+  };
+  const responses = [fakeResponse([mp4VideoInit]), fakeResponse([mp4Video])];
+
+  window.fetch = (uri, options) => {
+    this.fetchOptions.push(options);
+    return Promise.resolve(responses.shift());
+  };
+
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error, null, 'no error');
+    assert.deepEqual(
+      this.fetchOptions.map(({ headers }) => headers),
+      [
+        { Range: `bytes=0-${mp4VideoInit.length - 1}` },
+        { Range: `bytes=1000-${1000 + mp4Video.length - 1}` }
+      ],
+      'requested the init segment and media byte ranges'
+    );
+    assert.ok(this.fetchOptions[0].signal, 'init request can be aborted');
+    assert.ok(this.fetchOptions[1].signal, 'media request can be aborted');
+    assert.equal(this.calls.chunk.length, 1, 'one complete chunk');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('requests the rest of the resource for open ended byte ranges', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    byterange: { offset: 1000 },
+    map: cachedMap()
+  };
+
+  window.fetch = (uri, options) => {
+    this.fetchOptions.push(options);
+    return Promise.resolve(fakeResponse([mp4Video]));
+  };
+
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error, null, 'no error');
+    assert.deepEqual(
+      this.fetchOptions.map(({ headers }) => headers),
+      [{ Range: 'bytes=1000-' }],
+      'requested the rest of the resource'
+    );
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('makes requests through the request hooks', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+
+  this.responses['video.mp4?token=1'] = fakeResponse([mp4Video]);
+  this.xhr.beforeRequest = (options) => {
+    options.uri += '?token=1';
+    options.headers.Authorization = 'Bearer 1';
+    return options;
+  };
+
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error, null, 'no error');
+    assert.deepEqual(this.fetchedUris, ['video.mp4?token=1'], 'modified the uri');
+    assert.deepEqual(
+      this.fetchOptions[0].headers,
+      { Authorization: 'Bearer 1' },
+      'modified the headers'
+    );
+    assert.equal(this.fetchOptions[0].credentials, 'include', 'sent credentials');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({
+    xhr: this.xhr,
+    xhrOptions: { withCredentials: true },
+    segment
+  }, this.callbacks));
+});
+
+QUnit.test('parses prft boxes', function(assert) {
+  const box = prftBox({
+    trackId: 1,
+    // 2020-08-20T12:00:00.5Z
+    ntpSeconds: 1597924800 + 2208988800,
+    ntpFraction: Math.pow(2, 31),
+    mediaTime: 90000 * Math.pow(2, 32)
+  });
+
+  assert.deepEqual(parseProducerReferenceTime(box, { 1: 90000 }), {
+    trackId: 1,
+    wallClockTime: 1597924800.5,
+    presentationTime: Math.pow(2, 32)
+  }, 'parsed the prft box');
+  assert.equal(parseProducerReferenceTime(box, { 2: 90000 }), null, 'unknown track');
+  assert.equal(
+    parseProducerReferenceTime(mp4Video, { 1: 90000 }),
+    null,
+    'no prft box'
+  );
+});
+
+QUnit.test('reports the prft box of a chunk', function(assert) {
+  const done = assert.async();
+  const map = cachedMap();
+  const trackId = parseInt(Object.keys(map.timescales)[0], 10);
+  const timescale = map.timescales[trackId];
+  const segment = { resolvedUri: 'video.mp4', map };
+  const prft = prftBox({
+    trackId,
+    ntpSeconds: 1597924800 + 2208988800,
+    ntpFraction: 0,
+    mediaTime: timescale * 10
+  });
+  // moof and mdat, after ftyp (36) and moov (756)
+  const media = mp4Video.subarray(36 + 756);
+  const chunk = new Uint8Array(prft.length + media.length);
+  const producerReferenceTimes = [];
+
+  chunk.set(prft);
+  chunk.set(media, prft.length);
+  this.responses['video.mp4'] = fakeResponse([chunk]);
+
+  this.callbacks.producerReferenceTimeFn = (seg, producerReferenceTime) => {
+    producerReferenceTimes.push(producerReferenceTime);
+  };
+  this.callbacks.doneFn = () => {
+    assert.deepEqual(producerReferenceTimes, [{
+      trackId,
+      wallClockTime: 1597924800,
+      presentationTime: 10
+    }], 'reported the prft box');
+    assert.equal(this.calls.chunk.length, 1, 'streamed the chunk');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('parses emsg boxes', function(assert) {
+  const v0 = emsgBox({
+    version: 0,
+    schemeIdUri: 'urn:scte:scte35:2013:bin',
+    value: '1',
+    timescale: 1000,
+    presentationTime: 500,
+    duration: 0xFFFFFFFF,
+    id: 7,
+    messageData: [1, 2]
+  });
+  const v1 = emsgBox({
+    version: 1,
+    schemeIdUri: 'urn:custom',
+    value: '',
+    timescale: 90000,
+    presentationTime: 90000 * 20,
+    duration: 180000,
+    id: 8,
+    messageData: [3]
+  });
+  const data = new Uint8Array(v0.length + v1.length);
+
+  data.set(v0);
+  data.set(v1, v0.length);
+
+  assert.deepEqual(parseEmsgBoxes(data, 10), [{
+    schemeIdUri: 'urn:scte:scte35:2013:bin',
+    value: '1',
+    id: 7,
+    start: 10.5,
+    end: Infinity,
+    messageData: new Uint8Array([1, 2])
+  }, {
+    schemeIdUri: 'urn:custom',
+    value: '',
+    id: 8,
+    start: 20,
+    end: 22,
+    messageData: new Uint8Array([3])
+  }], 'parsed both versions');
+  assert.deepEqual(parseEmsgBoxes(mp4Video, 0), [], 'no emsg boxes');
+});
+
+QUnit.test('reports the emsg boxes of a chunk', function(assert) {
+  const done = assert.async();
+  const map = cachedMap();
+  const segment = { resolvedUri: 'video.mp4', map };
+  const emsg = emsgBox({
+    version: 0,
+    schemeIdUri: 'urn:custom',
+    value: '',
+    timescale: 1,
+    presentationTime: 1,
+    duration: 1,
+    id: 1,
+    messageData: []
+  });
+  // moof and mdat, after ftyp (36) and moov (756)
+  const media = mp4Video.subarray(36 + 756);
+  const chunk = new Uint8Array(emsg.length + media.length);
+  const startTime = mp4probe.startTime(map.timescales, media);
+  const reported = [];
+
+  chunk.set(emsg);
+  chunk.set(media, emsg.length);
+  this.responses['video.mp4'] = fakeResponse([chunk]);
+
+  this.callbacks.emsgFn = (seg, events) => reported.push(events);
+  this.callbacks.doneFn = () => {
+    assert.equal(reported.length, 1, 'reported the events of the chunk');
+    assert.equal(reported[0][0].start, startTime + 1, 'relative to the segment start');
+    assert.equal(this.calls.chunk.length, 1, 'streamed the chunk');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('does not fetch a cached init segment', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+
+  this.callbacks.doneFn = () => {
+    assert.deepEqual(this.fetchedUris, ['video.mp4'], 'only fetched media');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('returns a function that aborts the request', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: { resolvedUri: 'init.mp4' }
+  };
+  let aborts = 0;
+
+  this.responses['init.mp4'] = fakeResponse([mp4VideoInit]);
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+  this.callbacks.abortFn = () => aborts++;
+
+  const abort = mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+
+  assert.equal(typeof abort, 'function', 'returned an abort function');
+  abort();
+
+  assert.equal(aborts, 1, 'called abortFn');
+  assert.equal(this.calls.done.length, 1, 'finished the request');
+  assert.equal(this.calls.done[0].error.code, REQUEST_ERRORS.ABORTED, 'aborted error');
+  assert.ok(this.fetchOptions[0].signal.aborted, 'aborted the fetch');
+
+  window.setTimeout(() => {
+    assert.equal(this.calls.trackInfo.length, 0, 'no track info after abort');
+    assert.equal(this.calls.chunk.length, 0, 'no chunks after abort');
+    assert.equal(this.calls.done.length, 1, 'not finished again after abort');
+    assert.equal(aborts, 1, 'abortFn only called once');
+    done();
+  }, 10);
+});
+
+QUnit.test('cancels the stream when aborted mid-segment', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+  let abort;
+
+  this.responses['video.mp4'] = fakeResponse([mp4Video, mp4Video]);
+  this.callbacks.chunkFn = () => {
+    this.calls.chunk.push(true);
+    abort();
+  };
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error.code, REQUEST_ERRORS.ABORTED, 'aborted error');
+    assert.equal(this.calls.chunk.length, 1, 'no chunks after abort');
+    assert.ok(this.responses['video.mp4'].canceled, 'canceled the reader');
+    done();
+  };
+
+  abort = mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('times out when no bytes arrive', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+  const response = fakeResponse([]);
+
+  // a chunked transfer that never sends anything
+  response.body.getReader = () => ({
+    read: () => new Promise(() => {}),
+    cancel() {
+      response.canceled = true;
+      return Promise.resolve();
+    }
+  });
+  this.responses['video.mp4'] = response;
+  this.callbacks.stallTimeout = 5;
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error.code, REQUEST_ERRORS.TIMEOUT, 'timeout error');
+    assert.equal(error.xhr.uri, 'video.mp4', 'includes request info');
+    assert.ok(response.canceled, 'canceled the reader');
+    assert.ok(this.fetchOptions[0].signal.aborted, 'aborted the fetch');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('measures bandwidth over chunk bursts', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+  const response = fakeResponse([]);
+  const realNow = Date.now;
+  // read times, in ms, with a long wait on the server before the chunk is sent
+  const reads = [
+    { time: 0, value: mp4Video.subarray(0, 0) },
+    { time: 1000, value: mp4Video.subarray(0, 2000) },
+    { time: 1100, value: mp4Video.subarray(2000) }
+  ];
+  let now = 0;
+
+  Date.now = () => now;
+  response.body.getReader = () => ({
+    read() {
+      const read = reads.shift();
+
+      if (!read) {
+        return Promise.resolve({ done: true });
+      }
+      now = read.time;
+      return Promise.resolve({ value: read.value, done: false });
+    }
+  });
+  this.responses['video.mp4'] = response;
+  this.callbacks.doneFn = (error, doneSegment) => {
+    Date.now = realNow;
+    assert.equal(error, null, 'no error');
+    assert.equal(doneSegment.stats.bytesReceived, mp4Video.byteLength, 'counted all bytes');
+    assert.equal(doneSegment.stats.roundTripTime, 1100, 'round trip time is total time');
+    // the bytes of the chunk, less the trailing mfra box, from the response start
+    assert.equal(
+      doneSegment.stats.bandwidth,
+      Math.floor((mp4Video.byteLength - 67) / 1100 * 8000),
+      'counted the bytes of every read of the chunk'
+    );
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('measures bandwidth of chunks that arrive in a single read', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+  const response = fakeResponse([]);
+  const realNow = Date.now;
+  // ftyp (36) + moov (756) + moof (120) + mdat (5219)
+  const mdatEnd = 36 + 756 + 120 + 5219;
+  const firstChunk = mp4Video.subarray(0, mdatEnd);
+  const secondChunk = mp4Video.subarray(36 + 756, mdatEnd);
+  // read times, in ms, with the server idle after the last chunk
+  const reads = [
+    { time: 500, value: firstChunk },
+    { time: 800, value: secondChunk },
+    { time: 2000 }
+  ];
+  let now = 0;
+
+  Date.now = () => now;
+  response.body.getReader = () => ({
+    read() {
+      const read = reads.shift();
+
+      now = read.time;
+      if (!read.value) {
+        return Promise.resolve({ done: true });
+      }
+      return Promise.resolve({ value: read.value, done: false });
+    }
+  });
+  this.responses['video.mp4'] = response;
+  this.callbacks.doneFn = (error, doneSegment) => {
+    Date.now = realNow;
+    assert.equal(error, null, 'no error');
+    assert.equal(doneSegment.stats.roundTripTime, 2000, 'round trip time is total time');
+    // each chunk is timed from the end of the chunk before it, or the response start
+    assert.equal(
+      doneSegment.stats.bandwidth,
+      Math.floor((firstChunk.length + secondChunk.length) / 800 * 8000),
+      'measured the bandwidth over the chunks'
+    );
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('reports an error for an unsuccessful media response', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+  const response = fakeResponse([mp4Video]);
+
+  response.ok = false;
+  response.status = 404;
+  this.responses['video.mp4'] = response;
+  this.callbacks.doneFn = (error, doneSegment) => {
+    assert.equal(error.code, REQUEST_ERRORS.FAILURE, 'failure error');
+    assert.equal(error.status, 404, 'includes the status');
+    assert.equal(error.xhr.uri, 'video.mp4', 'includes the uri');
+    assert.equal(doneSegment, segment, 'passes along the segment');
+    assert.equal(this.calls.chunk.length, 0, 'did not stream the error body');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('reports an error for an unsuccessful init segment response', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: { resolvedUri: 'init.mp4' }
+  };
+  const response = fakeResponse([mp4VideoInit]);
+
+  response.ok = false;
+  response.status = 500;
+  this.responses['init.mp4'] = response;
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+  this.callbacks.doneFn = (error) => {
+    this.calls.done.push(error);
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+
+  window.setTimeout(() => {
+    assert.equal(this.calls.done.length, 1, 'finished once');
+    assert.equal(this.calls.done[0].code, REQUEST_ERRORS.FAILURE, 'failure error');
+    assert.equal(this.calls.done[0].status, 500, 'includes the status');
+    assert.equal(this.calls.done[0].xhr.uri, 'init.mp4', 'includes the init uri');
+    assert.equal(this.calls.chunk.length, 0, 'no chunks');
+    assert.ok(this.fetchOptions[1].signal.aborted, 'aborted the media request');
+    done();
+  }, 10);
+});
+
+QUnit.test('reports an error when the fetch fails', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+
+  window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error.code, REQUEST_ERRORS.FAILURE, 'failure error');
+    assert.equal(error.status, 0, 'no status');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('reports an error when reading the stream fails', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+  const response = fakeResponse([]);
+
+  response.body.getReader = () => ({
+    read: () => Promise.reject(new TypeError('network error')),
+    cancel: () => Promise.resolve()
+  });
+  this.responses['video.mp4'] = response;
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error.code, REQUEST_ERRORS.FAILURE, 'failure error');
+    assert.equal(error.status, 200, 'includes the status');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('reports an error when handling the bytes throws', function(assert) {
+  const done = assert.async();
+  const segment = {
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  };
+
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+  this.callbacks.chunkFn = () => {
+    throw new Error('append failed');
+  };
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error.code, REQUEST_ERRORS.FAILURE, 'failure error');
+    assert.equal(error.xhr.uri, 'video.mp4', 'includes request info');
+    assert.ok(this.fetchOptions[0].signal.aborted, 'aborted the fetch');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
+
+QUnit.test('keeps state per request', function(assert) {
+  const done = assert.async();
+  const segments = [{
+    resolvedUri: 'video.mp4',
+    map: cachedMap()
+  }, {
+    resolvedUri: 'video2.mp4',
+    map: cachedMap()
+  }];
+
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+  this.responses['video2.mp4'] = fakeResponse([mp4Video]);
+
+  this.callbacks.doneFn = (error, segment) => {
+    assert.equal(error, null, 'no error');
+    this.calls.done.push(segment);
+
+    if (this.calls.done.length < 2) {
+      return;
+    }
+
+    assert.equal(this.calls.trackInfo.length, 2, 'track info reported for each request');
+    assert.ok(this.calls.chunk[0].isFirstChunk, 'first request first chunk');
+    assert.ok(this.calls.chunk[1].isFirstChunk, 'second request first chunk');
+    done();
+  };
+
+  segments.forEach((segment) => {
+    mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+  });
+});
+
+QUnit.test('decrypts AES-128 segments as their blocks arrive', function(assert) {
+  const done = assert.async();
+  const segment = {
+    requestId: 'video-1',
+    resolvedUri: 'video.mp4',
+    map: cachedMap(),
+    key: { resolvedUri: 'key.php', iv: new Uint32Array([0, 0, 0, 5]) }
+  };
+  const keyBytes = new Uint8Array(16).map((byte, i) => i);
+  // the last block of the first bytes sent, as big-endian words
+  const lastBlock = new DataView(mp4Video.buffer, mp4Video.byteOffset + 1984, 16);
+
+  this.responses['key.php'] = fakeResponse([keyBytes]);
+  // the first complete chunk ends at 6131
+  this.responses['video.mp4'] = fakeResponse([
+    mp4Video.subarray(0, 2010),
+    mp4Video.subarray(2010, 6160),
+    mp4Video.subarray(6160)
+  ]);
+
+  this.callbacks.chunkFn = (chunkSegment, result, isFirstChunk) => {
+    this.calls.chunk.push({ result, isFirstChunk });
+    assert.equal(this.decrypter.messages.length, 2, 'chunk streamed before the end');
+  };
+  this.callbacks.doneFn = (error) => {
+    const messages = this.decrypter.messages;
+
+    assert.equal(error, null, 'no error');
+    assert.deepEqual(this.fetchedUris, ['key.php', 'video.mp4'], 'fetched the key');
+    assert.deepEqual(
+      Array.prototype.slice.call(segment.key.bytes),
+      [0x00010203, 0x04050607, 0x08090a0b, 0x0c0d0e0f],
+      'saved the key'
+    );
+    assert.deepEqual(
+      messages.map(({ encrypted, partial }) => [encrypted.byteLength, partial]),
+      [[2000, true], [4144, true], [48, true], [6, undefined]],
+      'sent complete blocks, holding back the last block until the end'
+    );
+    assert.deepEqual(messageWords(messages[0].iv), [0, 0, 0, 5], 'started with the iv');
+    assert.deepEqual(
+      messageWords(messages[1].iv),
+      [0, 4, 8, 12].map((offset) => lastBlock.getUint32(offset)),
+      'continued with the last block sent'
+    );
+    assert.deepEqual(
+      messageWords(messages[3].key),
+      Array.prototype.slice.call(segment.key.bytes),
+      'sent the key'
+    );
+    assert.equal(this.calls.chunk.length, 1, 'one complete chunk');
+    assert.equal(this.calls.data[0].data.byteLength, 67, 'left over bytes passed to dataFn');
+    assert.equal(this.decrypter.listeners.length, 0, 'removed the decrypter listener');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({
+    xhr: this.xhr,
+    decryptionWorker: this.decrypter,
+    segment
+  }, this.callbacks));
+});
+
+QUnit.test('does not fetch a cached key', function(assert) {
+  const done = assert.async();
+  const segment = {
+    requestId: 'video-1',
+    resolvedUri: 'video.mp4',
+    map: cachedMap(),
+    key: {
+      resolvedUri: 'key.php',
+      bytes: new Uint32Array([1, 2, 3, 4]),
+      iv: new Uint32Array([0, 0, 0, 5])
+    }
+  };
+
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error, null, 'no error');
+    assert.deepEqual(this.fetchedUris, ['video.mp4'], 'only fetched media');
+    assert.equal(this.decrypter.messages.length, 2, 'decrypted the segment');
+    assert.equal(this.calls.chunk.length, 1, 'one complete chunk');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({
+    xhr: this.xhr,
+    decryptionWorker: this.decrypter,
+    segment
+  }, this.callbacks));
+});
+
+QUnit.test('reports an error for an invalid key', function(assert) {
+  const done = assert.async();
+  const segment = {
+    requestId: 'video-1',
+    resolvedUri: 'video.mp4',
+    map: cachedMap(),
+    key: { resolvedUri: 'key.php', iv: new Uint32Array([0, 0, 0, 5]) }
+  };
+
+  this.responses['key.php'] = fakeResponse([new Uint8Array(15)]);
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error.code, REQUEST_ERRORS.FAILURE, 'failure error');
+    assert.equal(error.message, 'Invalid HLS key at URL: key.php', 'invalid key message');
+    assert.equal(this.decrypter.messages.length, 0, 'did not decrypt');
+    assert.equal(this.calls.chunk.length, 0, 'did not stream the segment');
+    assert.equal(this.decrypter.listeners.length, 0, 'removed the decrypter listener');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({
+    xhr: this.xhr,
+    decryptionWorker: this.decrypter,
+    segment
+  }, this.callbacks));
+});
+
+QUnit.test('reports an error when the key request fails before the media request', function(assert) {
+  const segment = {
+    requestId: 'video-1',
+    resolvedUri: 'video.mp4',
+    map: cachedMap(),
+    key: { resolvedUri: 'key.php', iv: new Uint32Array([0, 0, 0, 5]) }
+  };
+  // an xhr that fails requests as soon as they are made
+  const xhr = {
+    fetch: (options, callback) => {
+      const request = { uri: options.uri, status: 0, abort() {} };
+
+      callback(new Error('blocked'), request);
+      return request;
+    }
+  };
+
+  this.callbacks.doneFn = (error) => this.calls.done.push(error);
+
+  mediaSegmentFetch(Object.assign({
+    xhr,
+    decryptionWorker: this.decrypter,
+    segment
+  }, this.callbacks));
+
+  assert.equal(this.calls.done.length, 1, 'finished once');
+  assert.equal(this.calls.done[0].code, REQUEST_ERRORS.FAILURE, 'failure error');
+  assert.equal(this.calls.done[0].xhr.uri, 'key.php', 'includes the key uri');
+});
+
+QUnit.test('leaves SAMPLE-AES segments to EME', function(assert) {
+  const done = assert.async();
+  const segment = {
+    requestId: 'video-1',
+    resolvedUri: 'video.mp4',
+    map: cachedMap(),
+    key: { method: 'SAMPLE-AES', resolvedUri: 'key.php' }
+  };
+
+  this.responses['video.mp4'] = fakeResponse([mp4Video]);
+
+  this.callbacks.doneFn = (error) => {
+    assert.equal(error, null, 'no error');
+    assert.deepEqual(this.fetchedUris, ['video.mp4'], 'did not fetch the key');
+    assert.equal(this.decrypter.messages.length, 0, 'did not decrypt');
+    assert.equal(this.calls.chunk.length, 1, 'one complete chunk');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({
+    xhr: this.xhr,
+    decryptionWorker: this.decrypter,
+    segment
+  }, this.callbacks));
+});
+
+QUnit.test('transmuxes ts segments as they arrive', function(assert) {
+  const done = assert.async();
+  const segment = {
+    requestId: 'video-1',
+    resolvedUri: 'video.ts',
+    transmuxer: mockTransmuxer()
+  };
+
+  this.responses['video.ts'] =
+    fakeResponse([videoTs.subarray(0, 1000), videoTs.subarray(1000)]);
+
+  const transmuxing = [];
+
+  this.callbacks.transmuxingFn = (transmuxedSegment) => {
+    transmuxing.push(transmuxedSegment.transmuxer.pushed.length);
+  };
+  this.callbacks.doneFn = (error, doneSegment, result) => {
+    assert.equal(error, null, 'no error');
+    assert.deepEqual(transmuxing, [0], 'reported transmuxing before pushing bytes');
+    assert.equal(segment.container, 'ts', 'detected the container');
+    assert.notOk(segment.isFmp4, 'not fmp4');
+    assert.deepEqual(
+      segment.transmuxer.pushed,
+      [1000, videoTs.length - 1000],
+      'pushed the bytes as they arrived'
+    );
+    assert.deepEqual(
+      segment.transmuxer.flushes,
+      ['partialFlush', 'partialFlush', 'flush'],
+      'flushed each push, and the segment at the end'
+    );
+    assert.deepEqual(
+      this.calls.data.map(({ type, data }) => [type, data.byteLength]),
+      [['video', 1000], ['video', videoTs.length - 1000]],
+      'passed along the transmuxed data'
+    );
+    assert.equal(this.calls.chunk.length, 0, 'no fmp4 chunks');
+    assert.strictEqual(result.isPartial, false, 'passed along the transmux result');
+    assert.equal(segment.stats.bytesReceived, videoTs.length, 'recorded stats');
+    done();
+  };
+
+  mediaSegmentFetch(Object.assign({ xhr: this.xhr, segment }, this.callbacks));
+});
@@ -0,0 +1,196 @@
+import QUnit from 'qunit';
+import sinon from 'sinon';
+import videojs from 'video.js';
+import {
+  default as MetricsController,
+  producerReferenceTimeWallClock,
+  programDateTimeWallClock,
+  availabilityStartTimeWallClock
+} from '../src/metrics-controller';
+import Config from '../src/config';
+
+QUnit.module('MetricsController', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers(100000);
+    this.currentTime = 10;
+    this.master = {};
+    this.media = { endList: false, segments: [] };
+    this.timestampOffset = null;
+    this.clientOffset = 0;
+    this.liveEdgeLatency = 4;
+    this.mediaChunksDropped = 0;
+    this.tech = {
+      currentTime: () => this.currentTime,
+      buffered: () => videojs.createTimeRanges([[0, 12]]),
+      playbackRate: () => 1.05
+    };
+    this.metricsController = new MetricsController({
+      tech: this.tech,
+      master: () => this.master,
+      media: () => this.media,
+      timestampOffset: () => this.timestampOffset,
+      clientOffset: () => this.clientOffset,
+      liveEdgeLatency: () => this.liveEdgeLatency,
+      mediaChunksDropped: () => this.mediaChunksDropped
+    });
+  },
+  afterEach() {
+    this.metricsController.dispose();
+    this.clock.restore();
+  }
+});
+
+QUnit.test('latency is null for VOD', function(assert) {
+  this.media.endList = true;
+
+  assert.equal(this.metricsController.latency(), null, 'no latency');
+});
+
+QUnit.test('latency falls back to the distance from the live edge', function(assert) {
+  assert.equal(this.metricsController.latency(), 4, 'live edge latency');
+});
+
+QUnit.test('latency uses program date time of appended segments', function(assert) {
+  this.media.segments = [{
+    start: 8,
+    end: 12,
+    dateTimeObject: new Date(95000)
+  }];
+
+  assert.equal(this.metricsController.latency(), 3, 'latency from program date time');
+
+  this.clientOffset = 1000;
+  assert.equal(this.metricsController.latency(), 4, 'accounts for client offset');
+});
+
+QUnit.test('latency prefers producer reference time', function(assert) {
+  this.master.availabilityStartTime = 50;
+  this.timestampOffset = -35;
+  this.media.producerReferenceTime = {
+    wallClockTime: 90,
+    presentationTime: 40
+  };
+
+  assert.equal(this.metricsController.latency(), 5, 'latency from manifest prft');
+
+  this.media.segments = [{
+    start: 8,
+    end: 12,
+    producerReferenceTime: {
+      wallClockTime: 92,
+      presentationTime: 43
+    }
+  }];
+
+  assert.equal(this.metricsController.latency(), 6, 'latency from segment prft');
+});
+
+QUnit.test('latency uses availabilityStartTime', function(assert) {
+  this.master.availabilityStartTime = 50;
+  this.timestampOffset = -35;
+
+  assert.equal(this.metricsController.latency(), 5, 'latency from availabilityStartTime');
+});
+
+QUnit.test('metrics include buffer level, dropped chunks and rate', function(assert) {
+  this.mediaChunksDropped = 2;
+
+  assert.deepEqual(this.metricsController.metrics(), {
+    latency: 4,
+    bufferLevel: 2,
+    mediaChunksDropped: 2,
+    playbackRate: 1.05,
+    timestamp: 100000
+  }, 'metrics');
+});
+
+QUnit.test('calls registered reporters until removed or disposed', function(assert) {
+  const reports = [];
+  const otherReports = [];
+  const reporter = (metrics) => reports.push(metrics);
+  const otherReporter = (metrics) => otherReports.push(metrics);
+
+  this.metricsController.addReporter(reporter);
+  this.metricsController.addReporter(reporter);
+  this.metricsController.addReporter(otherReporter);
+  this.clock.tick(Config.METRICS_REPORT_INTERVAL);
+
+  assert.equal(reports.length, 1, 'reported once');
+  assert.equal(reports[0].latency, 4, 'reported metrics');
+  assert.equal(otherReports.length, 1, 'reported once');
+
+  this.metricsController.removeReporter(reporter);
+  this.clock.tick(Config.METRICS_REPORT_INTERVAL);
+
+  assert.equal(reports.length, 1, 'removed reporter not called');
+  assert.equal(otherReports.length, 2, 'reported again');
+
+  this.metricsController.dispose();
+  this.clock.tick(Config.METRICS_REPORT_INTERVAL);
+
+  assert.equal(otherReports.length, 2, 'not called after dispose');
+});
+
+QUnit.test('a reporter that throws does not stop other reporters', function(assert) {
+  const reports = [];
+
+  this.metricsController.addReporter(() => {
+    throw new Error('reporter error');
+  });
+  this.metricsController.addReporter((metrics) => reports.push(metrics));
+  this.clock.tick(Config.METRICS_REPORT_INTERVAL);
+
+  assert.equal(reports.length, 1, 'reported');
+});
+
+QUnit.module('wallclock mappings');
+
+QUnit.test('programDateTimeWallClock requires an appended segment', function(assert) {
+  const playlist = {
+    segments: [{
+      duration: 4,
+      dateTimeObject: new Date(1000)
+    }, {
+      start: 4,
+      end: 8,
+      dateTimeObject: new Date(5000)
+    }]
+  };
+
+  assert.equal(programDateTimeWallClock(playlist, 2), null, 'segment not appended');
+  assert.equal(programDateTimeWallClock(playlist, 6), 7000, 'maps from segment start');
+  assert.equal(programDateTimeWallClock(playlist, 9), null, 'time not in a segment');
+});
+
+QUnit.test('producerReferenceTimeWallClock maps from media time', function(assert) {
+  const playlist = {
+    producerReferenceTime: { wallClockTime: 100, presentationTime: 20 },
+    segments: []
+  };
+
+  assert.equal(producerReferenceTimeWallClock(playlist, 5, null), null, 'no offset');
+  assert.equal(producerReferenceTimeWallClock({}, 5, 0), null, 'no prft');
+  assert.equal(
+    producerReferenceTimeWallClock(playlist, 5, -20),
+    105000,
+    'maps media time relative to the prft'
+  );
+});
+
+QUnit.test('availabilityStartTimeWallClock requires a timestamp offset', function(assert) {
+  assert.equal(
+    availabilityStartTimeWallClock({ availabilityStartTime: 10 }, 5, null),
+    null,
+    'no timestamp offset'
+  );
+  assert.equal(
+    availabilityStartTimeWallClock({}, 5, 0),
+    null,
+    'no availabilityStartTime'
+  );
+  assert.equal(
+    availabilityStartTimeWallClock({ availabilityStartTime: 10 }, 5, 2),
+    13000,
+    'maps media time from availabilityStartTime'
+  );
+});
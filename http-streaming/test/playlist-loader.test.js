@@ -3,7 +3,9 @@ import {
   default as PlaylistLoader,
   updateSegments,
   updateMaster,
-  refreshDelay
+  refreshDelay,
+  addDeliveryDirectives,
+  restoreSkippedSegments
 } from '../src/playlist-loader';
 import xhrFactory from '../src/xhr';
 import { useFakeEnvironment, urlTo } from './test-helpers';
@@ -1278,6 +1280,227 @@ QUnit.test(
   }
 );
 
+QUnit.test('uses the part target duration for low latency refresh delays', function(assert) {
+  const media = {
+    targetDuration: 4,
+    partTargetDuration: 1,
+    serverControl: { canBlockReload: true },
+    segments: [{ duration: 4 }]
+  };
+
+  assert.equal(refreshDelay(media, true), 0, 'refreshes blocking reloads immediately');
+  assert.equal(refreshDelay(media, false), 500, 'used half part target when unchanged');
+
+  media.serverControl.canBlockReload = false;
+  assert.equal(refreshDelay(media, true), 1000, 'used part target when not blocking');
+});
+
+QUnit.test('updateMaster considers added parts a playlist change', function(assert) {
+  const media = {
+    mediaSequence: 0,
+    attributes: {},
+    id: 'playlist-0-uri',
+    uri: 'playlist-0-uri',
+    resolvedUri: urlTo('playlist-0-uri'),
+    segments: [{ duration: 4, uri: '0.mp4' }],
+    preloadSegment: {
+      parts: [{ duration: 1, uri: 'part-1.0.mp4' }],
+      preloadHints: []
+    }
+  };
+  const master = { playlists: [media] };
+
+  master.playlists[media.id] = media;
+
+  const update = updateMaster(master, Object.assign({}, media, {
+    preloadSegment: {
+      parts: [
+        { duration: 1, uri: 'part-1.0.mp4' },
+        { duration: 1, uri: 'part-1.1.mp4' }
+      ],
+      preloadHints: [{ type: 'PART', uri: 'part-1.2.mp4' }]
+    }
+  }));
+
+  assert.ok(update, 'updated the master');
+  assert.deepEqual(
+    update.playlists[media.id].preloadSegment.parts.map(({ resolvedUri }) => resolvedUri),
+    [urlTo('part-1.0.mp4'), urlTo('part-1.1.mp4')],
+    'replaced the parts and resolved their URIs'
+  );
+  assert.equal(
+    update.playlists[media.id].preloadSegment.preloadHints[0].resolvedUri,
+    urlTo('part-1.2.mp4'),
+    'resolved the preload hint URI'
+  );
+
+  const completed = updateMaster(update, Object.assign({}, media, {
+    segments: [{ duration: 4, uri: '0.mp4' }, { duration: 4, uri: '1.mp4' }],
+    preloadSegment: void 0
+  }));
+
+  assert.notOk(
+    completed.playlists[media.id].preloadSegment,
+    'removed the preload segment once it completed'
+  );
+});
+
+QUnit.test('addDeliveryDirectives asks for the next part and a delta update', function(assert) {
+  const media = {
+    mediaSequence: 10,
+    partTargetDuration: 1,
+    serverControl: { canBlockReload: true, canSkipUntil: 24 },
+    segments: [{}, {}],
+    preloadSegment: { parts: [{}, {}], preloadHints: [] }
+  };
+
+  assert.equal(
+    addDeliveryDirectives('live.m3u8', media),
+    'live.m3u8?_HLS_msn=12&_HLS_part=2&_HLS_skip=YES',
+    'asked for the next part of the segment being produced'
+  );
+  assert.equal(
+    addDeliveryDirectives('live.m3u8?token=1', media, false),
+    'live.m3u8?token=1&_HLS_msn=12&_HLS_part=2',
+    'appended to the query without asking for a delta update'
+  );
+
+  delete media.preloadSegment;
+  delete media.partTargetDuration;
+  assert.equal(
+    addDeliveryDirectives('live.m3u8', media, false),
+    'live.m3u8?_HLS_msn=12',
+    'asked for the next segment when there are no parts'
+  );
+
+  delete media.serverControl;
+  assert.equal(addDeliveryDirectives('live.m3u8', media), 'live.m3u8', 'no directives');
+});
+
+QUnit.test('restoreSkippedSegments restores segments from the previous playlist', function(assert) {
+  const original = {
+    mediaSequence: 0,
+    segments: [
+      { uri: '0.ts', timeline: 0 },
+      { uri: '1.ts', timeline: 0 },
+      { uri: '2.ts', timeline: 1, discontinuity: true },
+      { uri: '3.ts', timeline: 1 }
+    ]
+  };
+  const update = {
+    mediaSequence: 1,
+    skip: { skippedSegments: 2 },
+    discontinuityStarts: [1],
+    segments: [
+      { uri: '3.ts', timeline: 0 },
+      { uri: '4.ts', timeline: 1, discontinuity: true }
+    ]
+  };
+
+  assert.ok(restoreSkippedSegments(original, update), 'restored the segments');
+  assert.deepEqual(
+    update.segments.map(({ uri, timeline }) => [uri, timeline]),
+    [['1.ts', 0], ['2.ts', 1], ['3.ts', 1], ['4.ts', 2]],
+    'restored the skipped segments and corrected the timelines'
+  );
+  assert.deepEqual(update.discontinuityStarts, [1, 3], 'corrected discontinuity starts');
+  assert.notOk(update.skip, 'removed the skip');
+
+  assert.notOk(
+    restoreSkippedSegments(original, {
+      mediaSequence: 3,
+      skip: { skippedSegments: 2 },
+      segments: []
+    }),
+    'can not restore segments that are not in the previous playlist'
+  );
+});
+
+QUnit.test('blocks low latency playlist reloads and applies delta updates', function(assert) {
+  const loader = new PlaylistLoader('live.m3u8', this.fakeVhs);
+
+  loader.load();
+
+  this.requests.pop().respond(
+    200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,CAN-SKIP-UNTIL=24,PART-HOLD-BACK=3\n' +
+    '#EXT-X-PART-INF:PART-TARGET=1\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXTINF:4,\n' +
+    '0.mp4\n' +
+    '#EXTINF:4,\n' +
+    '1.mp4\n' +
+    '#EXT-X-PART:DURATION=1,URI="part-2.0.mp4",INDEPENDENT=YES\n' +
+    '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="part-2.1.mp4"\n'
+  );
+
+  assert.deepEqual(
+    loader.serviceDescription(),
+    { latency: { target: 3 } },
+    'used the part hold back as the target latency'
+  );
+
+  this.clock.tick(1);
+
+  assert.equal(
+    this.requests[0].url,
+    urlTo('live.m3u8?_HLS_msn=2&_HLS_part=1&_HLS_skip=YES'),
+    'requested the next part with a delta update'
+  );
+
+  this.requests.shift().respond(
+    200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,CAN-SKIP-UNTIL=24,PART-HOLD-BACK=3\n' +
+    '#EXT-X-PART-INF:PART-TARGET=1\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXT-X-SKIP:SKIPPED-SEGMENTS=1\n' +
+    '#EXTINF:4,\n' +
+    '1.mp4\n' +
+    '#EXT-X-PART:DURATION=1,URI="part-2.0.mp4",INDEPENDENT=YES\n' +
+    '#EXT-X-PART:DURATION=1,URI="part-2.1.mp4"\n' +
+    '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="part-2.2.mp4"\n'
+  );
+
+  assert.deepEqual(
+    loader.media().segments.map(({ uri }) => uri),
+    ['0.mp4', '1.mp4'],
+    'restored the skipped segment'
+  );
+  assert.equal(loader.media().preloadSegment.parts.length, 2, 'added the new part');
+
+  this.clock.tick(1);
+
+  assert.equal(
+    this.requests[0].url,
+    urlTo('live.m3u8?_HLS_msn=2&_HLS_part=2&_HLS_skip=YES'),
+    'requested the next part'
+  );
+
+  this.requests.shift().respond(
+    200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,CAN-SKIP-UNTIL=24\n' +
+    '#EXT-X-PART-INF:PART-TARGET=1\n' +
+    '#EXT-X-MEDIA-SEQUENCE:5\n' +
+    '#EXT-X-SKIP:SKIPPED-SEGMENTS=1\n' +
+    '#EXTINF:4,\n' +
+    '6.mp4\n'
+  );
+
+  this.clock.tick(1);
+
+  assert.equal(
+    this.requests[0].url,
+    urlTo('live.m3u8?_HLS_msn=2&_HLS_part=2'),
+    'reloaded the full playlist when the skipped segments are unknown'
+  );
+});
+
 QUnit.test('returns to HAVE_METADATA after refreshing the playlist', function(assert) {
   const loader = new PlaylistLoader('live.m3u8', this.fakeVhs);
 
@@ -3,6 +3,7 @@ import document from 'global/document';
 import {
   simpleSelector,
   movingAverageBandwidthSelector,
+  lowLatencyHeuristicSelector,
   minRebufferMaxBandwidthSelector,
   lowestBitrateCompatibleVariantSelector
 } from '../src/playlist-selectors';
@@ -210,3 +211,152 @@ test('simpleSelector can not limit based on resolution information', function(as
 
   assert.equal(selectedPlaylist, master.playlists[4], 'selected a playlist based solely on bandwidth');
 });
+
+module('Low Latency Playlist Selector', {
+  beforeEach(assert) {
+    const video = document.createElement('video');
+
+    this.bufferLevel = 3;
+    this.playbackRate = 1;
+    this.vhs = {
+      tech_: {
+        el: () => video,
+        currentTime: () => 10,
+        buffered: () => ({
+          length: 1,
+          start: () => 0,
+          end: () => 10 + this.bufferLevel
+        }),
+        playbackRate: () => this.playbackRate
+      },
+      targetLatency: 3,
+      playlists: {
+        master: {
+          playlists: [
+            { attributes: { BANDWIDTH: 1000 } },
+            { attributes: { BANDWIDTH: 2000 } },
+            { attributes: { BANDWIDTH: 4000 } }
+          ]
+        }
+      }
+    };
+    // enough bandwidth for each playlist with a full buffer
+    this.enough = (bitrate) => bitrate * Config.BANDWIDTH_VARIANCE + 1;
+  }
+});
+
+test('throws for an invalid decay', function(assert) {
+  assert.throws(() => lowLatencyHeuristicSelector({ fastDecay: 2 }), 'fast decay');
+  assert.throws(() => lowLatencyHeuristicSelector({ slowDecay: -1 }), 'slow decay');
+});
+
+test('reacts quickly to bandwidth drops and slowly to increases', function(assert) {
+  const selector = lowLatencyHeuristicSelector();
+  // a simulated throughput trace, one sample per segment, with the expected selection
+  const trace = [
+    [this.enough(1000), 1000],
+    [this.enough(1000), 1000],
+    // a single good sample is not enough to switch up
+    [this.enough(4000) * 2, 1000],
+    [this.enough(1000), 1000]
+  ];
+
+  // sustained higher bandwidth eventually switches up
+  for (let i = 0; i < 20; i++) {
+    trace.push([this.enough(4000) * 1.5, i < 19 ? null : 4000]);
+  }
+
+  // a sudden drop is followed immediately
+  trace.push([this.enough(1000), 2000]);
+
+  trace.forEach(([bandwidth, expected], i) => {
+    this.vhs.systemBandwidth = bandwidth;
+
+    const playlist = selector.call(this.vhs);
+
+    if (expected) {
+      assert.equal(playlist.attributes.BANDWIDTH, expected, `selected ${expected} at sample ${i}`);
+    }
+  });
+});
+
+test('uses less of the bandwidth as the buffer drains', function(assert) {
+  const selector = lowLatencyHeuristicSelector();
+
+  this.vhs.systemBandwidth = this.enough(4000);
+  assert.equal(selector.call(this.vhs).attributes.BANDWIDTH, 4000, 'full buffer');
+
+  // at half the target latency the full bandwidth is still available
+  this.bufferLevel = 1.5;
+  assert.equal(selector.call(this.vhs).attributes.BANDWIDTH, 4000, 'half buffer');
+
+  this.bufferLevel = 0.75;
+  assert.equal(selector.call(this.vhs).attributes.BANDWIDTH, 2000, 'low buffer');
+
+  this.bufferLevel = 0;
+  assert.equal(
+    selector.call(this.vhs).attributes.BANDWIDTH,
+    2000,
+    'empty buffer uses the minimum share of bandwidth'
+  );
+
+  this.vhs.systemBandwidth = this.enough(2000);
+  selector.call(this.vhs);
+  assert.equal(selector.call(this.vhs).attributes.BANDWIDTH, 1000, 'empty buffer');
+});
+
+test('switches around half of the target latency', function(assert) {
+  const selector = lowLatencyHeuristicSelector();
+
+  this.vhs.systemBandwidth = this.enough(4000);
+
+  this.bufferLevel = 1.6;
+  assert.equal(
+    selector.call(this.vhs).attributes.BANDWIDTH,
+    4000,
+    'keeps the rendition with more than half of the target latency buffered'
+  );
+
+  this.bufferLevel = 1.4;
+  assert.equal(
+    selector.call(this.vhs).attributes.BANDWIDTH,
+    2000,
+    'switches down with less than half of the target latency buffered'
+  );
+
+  this.bufferLevel = 1.6;
+  assert.equal(
+    selector.call(this.vhs).attributes.BANDWIDTH,
+    4000,
+    'switches back up once the buffer recovers'
+  );
+
+  this.vhs.latencyController_ = { targetLatency: 6 };
+  assert.equal(
+    selector.call(this.vhs).attributes.BANDWIDTH,
+    2000,
+    'uses the target latency of the latency controller'
+  );
+
+  this.bufferLevel = 3;
+  assert.equal(
+    selector.call(this.vhs).attributes.BANDWIDTH,
+    4000,
+    'switches up with half of the higher target latency buffered'
+  );
+});
+
+test('accounts for catching up with a higher playback rate', function(assert) {
+  const selector = lowLatencyHeuristicSelector();
+
+  this.vhs.systemBandwidth = this.enough(4000);
+  this.playbackRate = 1.5;
+  assert.equal(selector.call(this.vhs).attributes.BANDWIDTH, 2000, 'leaves headroom');
+
+  this.playbackRate = 0.9;
+  assert.equal(
+    selector.call(this.vhs).attributes.BANDWIDTH,
+    4000,
+    'does not assume extra bandwidth when slowing down'
+  );
+});
@@ -2,6 +2,7 @@ import Playlist from '../src/playlist';
 import PlaylistLoader from '../src/playlist-loader';
 import QUnit from 'qunit';
 import xhrFactory from '../src/xhr';
+import SyncController from '../src/sync-controller';
 import { useFakeEnvironment } from './test-helpers';
 // needed for plugin registration
 import '../src/videojs-http-streaming';
@@ -1430,3 +1431,73 @@ QUnit.test(
     );
   }
 );
+
+QUnit.module('Playlist Media Info For Synced Time');
+
+QUnit.test('maps live positions with the sync points of the playback', function(assert) {
+  const syncController = new SyncController();
+  const playlist = {
+    mediaSequence: 10,
+    targetDuration: 10,
+    segments: [
+      { duration: 10, timeline: 0 },
+      { duration: 10, timeline: 0 },
+      { duration: 10, timeline: 0 },
+      { duration: 10, timeline: 0 }
+    ]
+  };
+
+  assert.strictEqual(
+    Playlist.getMediaInfoForSyncedTime(playlist, 135, syncController, Infinity, 0),
+    null,
+    'live positions can not be mapped without a sync point'
+  );
+
+  playlist.segments[1].start = 120;
+  playlist.segments[1].end = 130;
+
+  assert.deepEqual(
+    Playlist.getMediaInfoForSyncedTime(playlist, 135, syncController, Infinity, 0),
+    { mediaIndex: 2, startTime: 130 },
+    'mapped the position from the timed segment'
+  );
+
+  syncController.dispose();
+});
+
+QUnit.test('maps live DASH positions with the availability of chunked segments', function(assert) {
+  const syncController = new SyncController();
+  const playlist = {
+    segments: [
+      { duration: 2, timeline: 0 },
+      { duration: 2, timeline: 0 },
+      { duration: 2, timeline: 0 }
+    ]
+  };
+
+  // produced from 100 to 106 seconds past the epoch
+  playlist.segments.forEach((segment, i) => {
+    segment.availabilityStartTime = 100 + (i + 1) * 2;
+  });
+
+  assert.deepEqual(
+    Playlist.getMediaInfoForSyncedTime(playlist, 50, syncController, Infinity, 0, 101000),
+    { mediaIndex: 0, startTime: 49 },
+    'mapped the position to the segment produced at its wallclock time'
+  );
+
+  // chunked segments are available 1.5 seconds before they are completely produced
+  playlist.segments.forEach((segment) => {
+    segment.availabilityStartTime -= 1.5;
+    segment.availabilityTimeOffset = 1.5;
+    segment.availabilityTimeComplete = false;
+  });
+
+  assert.deepEqual(
+    Playlist.getMediaInfoForSyncedTime(playlist, 50, syncController, Infinity, 0, 101000),
+    { mediaIndex: 0, startTime: 49 },
+    'the availability time offset does not shift the segment start'
+  );
+
+  syncController.dispose();
+});
@@ -431,3 +431,66 @@ QUnit.test('codecs attribute gets codecs from master', function(assert) {
 
   assert.deepEqual(renditions[0].codecs, {audio: 'mp4a.40.2'}, 'rendition 1 has correct codec');
 });
+
+QUnit.test('returns I-frame representations', function(assert) {
+  const vhsHandler = makeMockVhsHandler([{ bandwidth: 5000000, uri: 'media0.m3u8' }]);
+  const mpc = vhsHandler.masterPlaylistController_;
+  const iFramePlaylist = {
+    id: '0-placeholder-uri-iframe-0',
+    attributes: {
+      BANDWIDTH: 100000,
+      CODECS: 'avc1.4d400d',
+      RESOLUTION: { width: 320, height: 180 }
+    },
+    iFramesOnly: true,
+    trickModeFor: '1',
+    segments: [{
+      resolvedUri: 'https://example.com/trick/0.m4s',
+      duration: 10,
+      map: { resolvedUri: 'https://example.com/trick/init.mp4' }
+    }, {
+      resolvedUri: 'https://example.com/trick/1.m4s',
+      duration: 10,
+      map: { resolvedUri: 'https://example.com/trick/init.mp4' }
+    }]
+  };
+
+  mpc.duration = () => 20;
+  mpc.mainSegmentLoader_ = { currentTimeline_: 0 };
+  mpc.syncController_ = {
+    getSyncPoint: () => ({ time: 0, segmentIndex: 0 })
+  };
+  mpc.metricsController_ = {
+    wallClockTime: () => null
+  };
+
+  RenditionMixin(vhsHandler);
+
+  assert.deepEqual(vhsHandler.iFrameRepresentations(), [], 'no I-frame playlists');
+
+  vhsHandler.playlists.master.iFramePlaylists = [iFramePlaylist];
+
+  const iFrameRepresentations = vhsHandler.iFrameRepresentations();
+
+  assert.equal(vhsHandler.representations().length, 1, 'not a representation');
+  assert.equal(iFrameRepresentations.length, 1, 'one I-frame representation');
+  assert.equal(iFrameRepresentations[0].width, 320, 'width');
+  assert.equal(iFrameRepresentations[0].height, 180, 'height');
+  assert.equal(iFrameRepresentations[0].bandwidth, 100000, 'bandwidth');
+  assert.deepEqual(iFrameRepresentations[0].codecs, { video: 'avc1.4d400d' }, 'codecs');
+  assert.equal(iFrameRepresentations[0].trickModeFor, '1', 'main AdaptationSet id');
+  assert.deepEqual(iFrameRepresentations[0].segmentForTime(15), {
+    uri: 'https://example.com/trick/1.m4s',
+    start: 10,
+    duration: 10,
+    map: { uri: 'https://example.com/trick/init.mp4', byterange: undefined }
+  }, 'segment for the time');
+
+  mpc.syncController_.getSyncPoint = () => null;
+
+  assert.equal(
+    iFrameRepresentations[0].segmentForTime(15),
+    null,
+    'no segment without a sync point'
+  );
+});
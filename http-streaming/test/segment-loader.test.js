@@ -4,7 +4,8 @@ import {
   illegalMediaSwitch,
   safeBackBufferTrimTime,
   timestampOffsetForSegment,
-  shouldWaitForTimelineChange
+  shouldWaitForTimelineChange,
+  segmentAvailabilityDelay
 } from '../src/segment-loader';
 import segmentTransmuxer from '../src/segment-transmuxer';
 import videojs from 'video.js';
@@ -36,6 +37,49 @@ import {
 import sinon from 'sinon';
 import { timeRangesEqual } from './custom-assertions.js';
 
+const partsOf = (mediaIndex, count) => {
+  const parts = [];
+
+  for (let i = 0; i < count; i++) {
+    parts.push({
+      uri: `${mediaIndex}.${i}.ts`,
+      resolvedUri: `${mediaIndex}.${i}.ts`,
+      duration: 2
+    });
+  }
+
+  return parts;
+};
+
+/**
+ * Creates a live low latency HLS playlist whose last segment lists its five parts,
+ * followed by a preload segment with two parts and the preload hint of its third.
+ *
+ * @param {number} time
+ *        duration of the complete segments
+ * @param {Object} conf
+ *        configuration for `playlistWithDuration`
+ * @return {Object}
+ *         the playlist
+ */
+const lowLatencyPlaylist = (time, conf) => {
+  const playlist = playlistWithDuration(time, videojs.mergeOptions({ endList: false }, conf));
+  const lastIndex = playlist.segments.length - 1;
+
+  playlist.partTargetDuration = 2;
+  playlist.segments[lastIndex].parts = partsOf(lastIndex, 5);
+  playlist.preloadSegment = {
+    parts: partsOf(lastIndex + 1, 2),
+    preloadHints: [{
+      type: 'PART',
+      uri: `${lastIndex + 1}.2.ts`,
+      resolvedUri: `${lastIndex + 1}.2.ts`
+    }]
+  };
+
+  return playlist;
+};
+
 /* TODO
 // noop addSegmentMetadataCue_ since most test segments dont have real timing information
 // save the original function to a variable to patch it back in for the metadata cue
@@ -467,6 +511,38 @@ QUnit.test('uses current time when seekable range is well before current time',
   );
 });
 
+QUnit.module('segmentAvailabilityDelay', {
+  beforeEach() {
+    this.clock = sinon.useFakeTimers(10000);
+  },
+  afterEach() {
+    this.clock.restore();
+  }
+});
+
+QUnit.test('segments without an availability time are available', function(assert) {
+  assert.equal(segmentAvailabilityDelay({}), 0, 'available');
+  assert.equal(segmentAvailabilityDelay(null), 0, 'available');
+});
+
+QUnit.test('returns the time until a segment is available', function(assert) {
+  assert.equal(
+    segmentAvailabilityDelay({ availabilityStartTime: 9 }),
+    0,
+    'available in the past'
+  );
+  assert.equal(
+    segmentAvailabilityDelay({ availabilityStartTime: 12.5 }),
+    2500,
+    'available in the future'
+  );
+  assert.equal(
+    segmentAvailabilityDelay({ availabilityStartTime: 12.5 }, 1000),
+    1500,
+    'uses the server clock'
+  );
+});
+
 QUnit.module('SegmentLoader', function(hooks) {
   hooks.beforeEach(LoaderCommonHooks.beforeEach);
   hooks.afterEach(LoaderCommonHooks.afterEach);
@@ -517,6 +593,58 @@ QUnit.module('SegmentLoader', function(hooks) {
       assert.equal(loader.state, 'WAITING', 'transitioned states');
     });
 
+    QUnit.test('waits until a segment is available to request it', function(assert) {
+      const playlist = playlistWithDuration(10);
+
+      playlist.segments[0].availabilityStartTime = (Date.now() + 2000) / 1000;
+      loader.playlist(playlist);
+      loader.load();
+      this.clock.tick(1);
+
+      assert.equal(this.requests.length, 0, 'did not request an unavailable segment');
+
+      this.clock.tick(1998);
+      assert.equal(this.requests.length, 0, 'did not request an unavailable segment');
+
+      this.clock.tick(1);
+      assert.equal(this.requests.length, 1, 'requested the segment once available');
+    });
+
+    QUnit.test('retries a failed segment from the next BaseURL', function(assert) {
+      const errors = [];
+      const playlist = playlistWithDuration(10);
+
+      loader.excludeBaseUrl_ = (failedPlaylist) => {
+        if (failedPlaylist.activeBaseUrl) {
+          return false;
+        }
+
+        failedPlaylist.activeBaseUrl = 'https://cdn2.com/';
+        failedPlaylist.segments[0].resolvedUri = 'https://cdn2.com/0.ts';
+        return true;
+      };
+      loader.on('error', (error) => errors.push(error));
+      loader.playlist(playlist);
+      loader.load();
+      this.clock.tick(1);
+
+      this.requests.shift().respond(404, null, '');
+      this.clock.tick(1);
+
+      assert.equal(errors.length, 0, 'did not trigger an error');
+      assert.equal(this.requests.length, 1, 'retried the segment');
+      assert.equal(
+        this.requests[0].uri,
+        'https://cdn2.com/0.ts',
+        'requested the segment from the next BaseURL'
+      );
+
+      this.requests.shift().respond(404, null, '');
+
+      assert.equal(errors.length, 1, 'triggered an error without another BaseURL');
+      assert.ok(loader.paused(), 'paused the loader');
+    });
+
     QUnit.test('only appends one segment at a time', function(assert) {
       return setupMediaSource(loader.mediaSource_, loader.sourceUpdater_).then(() => {
 
@@ -3286,6 +3414,183 @@ QUnit.module('SegmentLoader', function(hooks) {
         );
       });
     });
+
+    QUnit.test('loads the parts of the segment being produced at the live edge', function(assert) {
+      const playlist = lowLatencyPlaylist(40);
+      const buffered = videojs.createTimeRanges([[0, 40]]);
+      const syncPoint = { segmentIndex: 0, time: 0 };
+
+      loader.useFetch = true;
+      loader.playlist(playlist);
+
+      let segmentInfo = loader.checkBuffer_(buffered, playlist, 3, true, 35, syncPoint);
+
+      assert.equal(segmentInfo.uri, '4.0.ts', 'requested the first part');
+      assert.equal(segmentInfo.mediaIndex, 4, 'part belongs to the preload segment');
+      assert.equal(segmentInfo.partIndex, 0, 'first part of the segment');
+      assert.equal(segmentInfo.startOfSegment, 40, 'part starts at the end of the buffer');
+      assert.equal(segmentInfo.segment.timeline, 0, 'part uses the timeline of the segment');
+
+      loader.partIndex = 2;
+      segmentInfo = loader.checkBuffer_(buffered, playlist, 3, true, 35, syncPoint);
+
+      assert.equal(segmentInfo.uri, '4.2.ts', 'requested the preload hinted part');
+      assert.equal(segmentInfo.segment.duration, 2, 'hinted part has the part target duration');
+
+      loader.partIndex = 3;
+
+      assert.notOk(
+        loader.checkBuffer_(buffered, playlist, 3, true, 35, syncPoint),
+        'waits for the next part to be listed'
+      );
+    });
+
+    QUnit.test('moves on from the preload segment once its parts are appended', function(assert) {
+      const playlist = lowLatencyPlaylist(40);
+      const syncPoint = { segmentIndex: 0, time: 0 };
+      const appendPart = (uri, start, end) => {
+        const segmentInfo = loader.checkBuffer_(
+          videojs.createTimeRanges([[0, start]]),
+          loader.playlist_,
+          loader.mediaIndex,
+          true,
+          35,
+          syncPoint
+        );
+
+        assert.equal(segmentInfo.uri, uri, `requested ${uri}`);
+        segmentInfo.timingInfo = { start, end };
+        loader.pendingSegment_ = segmentInfo;
+        loader.handleAppendsDone_();
+      };
+
+      loader.useFetch = true;
+      loader.playlist(playlist);
+      loader.mediaIndex = 3;
+      // the segments before the preload segment mapped the timeline
+      loader.currentTimeline_ = 0;
+      this.syncController.timelines[0] = { time: 0, mapping: 0 };
+
+      appendPart('4.0.ts', 40, 42);
+      appendPart('4.1.ts', 42, 44);
+
+      assert.equal(loader.mediaIndex, 3, 'still loading the segment after the last one');
+      assert.equal(loader.partIndex, 2, 'moved on to the next part');
+
+      const refreshed = lowLatencyPlaylist(50);
+
+      loader.playlist(refreshed);
+
+      assert.equal(loader.partIndex, 2, 'parts of the completed segment are left');
+
+      appendPart('4.2.ts', 44, 46);
+      appendPart('4.3.ts', 46, 48);
+      appendPart('4.4.ts', 48, 50);
+
+      assert.equal(loader.mediaIndex, 4, 'moved on to the next segment');
+      assert.equal(loader.partIndex, null, 'no longer loading parts');
+      assert.equal(refreshed.segments[4].start, 40, 'saved the start of the segment');
+      assert.equal(refreshed.segments[4].end, 50, 'saved the end of the segment');
+    });
+
+    QUnit.test('loads the completed segment whole when it no longer lists its parts', function(assert) {
+      const refreshed = lowLatencyPlaylist(50);
+
+      loader.useFetch = true;
+      loader.playlist(lowLatencyPlaylist(40));
+      loader.mediaIndex = 3;
+      loader.partIndex = 1;
+      loader.partialSegmentTiming_ = { start: 40, end: 42 };
+
+      delete refreshed.segments[4].parts;
+      loader.playlist(refreshed);
+
+      assert.equal(loader.mediaIndex, 3, 'did not move on to the next segment');
+      assert.equal(loader.partIndex, null, 'no longer loading parts');
+
+      const segmentInfo = loader.checkBuffer_(
+        videojs.createTimeRanges([[0, 42]]),
+        refreshed,
+        loader.mediaIndex,
+        true,
+        35,
+        { segmentIndex: 0, time: 0 }
+      );
+
+      assert.equal(segmentInfo.uri, '4.ts', 'requested the whole segment');
+      assert.notOk(segmentInfo.part, 'not a part');
+    });
+
+    QUnit.test('does not load the parts of AES-128 encrypted segments', function(assert) {
+      const playlist = lowLatencyPlaylist(40, { isEncrypted: true });
+      const refreshed = lowLatencyPlaylist(50, { isEncrypted: true });
+
+      loader.useFetch = true;
+      loader.playlist(playlist);
+
+      assert.notOk(
+        loader.checkBuffer_(
+          videojs.createTimeRanges([[0, 40]]),
+          playlist,
+          3,
+          true,
+          35,
+          { segmentIndex: 0, time: 0 }
+        ),
+        'waits for the segment to be completed'
+      );
+
+      loader.mediaIndex = 3;
+      loader.partIndex = 1;
+      loader.playlist(refreshed);
+
+      assert.equal(loader.mediaIndex, 3, 'did not move on to the next segment');
+      assert.equal(loader.partIndex, null, 'loads the completed segment whole');
+    });
+
+    QUnit.test('resyncLoader clears the part being loaded', function(assert) {
+      loader.useFetch = true;
+      loader.playlist(lowLatencyPlaylist(40));
+      loader.mediaIndex = 3;
+      loader.partIndex = 2;
+      loader.partialSegmentTiming_ = { start: 40, end: 44 };
+
+      loader.resyncLoader();
+
+      assert.equal(loader.mediaIndex, null, 'reset mediaIndex');
+      assert.equal(loader.partIndex, null, 'reset partIndex');
+      assert.equal(loader.partialSegmentTiming_, null, 'reset the timing of the parts');
+    });
+
+    QUnit.test('handles partial data once a streamed segment is transmuxed', function(assert) {
+      const messages = [];
+
+      loader.useFetch = true;
+      loader.transmuxer_.postMessage = (message) => messages.push(message);
+      loader.pendingSegment_ = { requestId: 'video-1', timestampOffset: 10 };
+
+      assert.notOk(loader.handlePartialData_, 'does not handle partial data by default');
+
+      loader.handleTransmuxing_({ requestId: 'video-0' });
+
+      assert.notOk(loader.handlePartialData_, 'ignored an aborted request');
+      assert.equal(messages.length, 0, 'did not update the transmuxer');
+
+      loader.handleTransmuxing_({ requestId: 'video-1' });
+
+      assert.ok(loader.handlePartialData_, 'handles partial data');
+      assert.deepEqual(
+        messages.map(({ action }) => action),
+        ['init', 'setTimestampOffset'],
+        'started the transmuxer over'
+      );
+      assert.ok(messages[0].options.handlePartialData, 'transmuxes partial data');
+      assert.equal(messages[1].timestampOffset, 10, 'set the timestamp offset of the segment');
+
+      loader.handleTransmuxing_({ requestId: 'video-1' });
+
+      assert.equal(messages.length, 2, 'only started the transmuxer over once');
+    });
   });
 });
 
@@ -4,7 +4,9 @@ import {
   createCaptionsTrackIfNotExists,
   addCaptionData,
   createMetadataTrackIfNotExists,
-  addMetadata
+  addMetadata,
+  createEventStreamTrackIfNotExists,
+  addEventStreamCues
 } from '../src/util/text-tracks';
 
 const { module, test } = Qunit;
@@ -302,3 +304,107 @@ test('adds cues for each metadata frame seen', function(assert) {
     'ended at duration 20'
   );
 });
+
+test('creates an event stream track if it does not exist yet', function(assert) {
+  const tech = new MockTech();
+  const inbandTextTracks = {};
+
+  createEventStreamTrackIfNotExists(inbandTextTracks, tech);
+  const eventStreamTrack = inbandTextTracks.eventStreamTrack_;
+
+  assert.ok(eventStreamTrack, 'created the eventStreamTrack');
+
+  createEventStreamTrackIfNotExists(inbandTextTracks, tech);
+  assert.strictEqual(
+    inbandTextTracks.eventStreamTrack_,
+    eventStreamTrack,
+    'kept the existing track'
+  );
+});
+
+test('adds a cue for each new event', function(assert) {
+  const tech = new MockTech();
+  const inbandTextTracks = {};
+  const messageData = new Uint8Array([1, 2, 3]);
+  const events = [{
+    schemeIdUri: 'urn:custom',
+    value: 'ad',
+    id: '1',
+    start: 2,
+    end: 4,
+    messageData: 'hello'
+  }, {
+    schemeIdUri: 'urn:scte:scte35:2013:bin',
+    value: '',
+    id: 1,
+    start: 3,
+    end: Infinity,
+    messageData
+  }];
+
+  addEventStreamCues({ inbandTextTracks, events, timestampOffset: 10 });
+  assert.strictEqual(Object.keys(inbandTextTracks).length, 0, 'no event stream track');
+
+  createEventStreamTrackIfNotExists(inbandTextTracks, tech);
+  addEventStreamCues({ inbandTextTracks, events, timestampOffset: 10 });
+
+  const cues = inbandTextTracks.eventStreamTrack_.cues;
+
+  assert.strictEqual(cues.length, 2, 'added a cue per event');
+  assert.strictEqual(cues[0].startTime, 12, 'offset the start time');
+  assert.strictEqual(cues[0].endTime, 14, 'offset the end time');
+  assert.strictEqual(cues[0].text, 'hello', 'used the message data as text');
+  assert.strictEqual(cues[0].value, events[0], 'the event is the cue value');
+  assert.strictEqual(cues[1].startTime, 13, 'offset the start time');
+  assert.strictEqual(cues[1].endTime, Number.MAX_VALUE, 'unknown duration');
+  assert.strictEqual(cues[1].value.messageData, messageData, 'kept binary message data');
+
+  addEventStreamCues({
+    inbandTextTracks,
+    events: [Object.assign({}, events[0]), { schemeIdUri: 'urn:custom', id: '2', start: 5, end: 5 }],
+    timestampOffset: 10
+  });
+
+  assert.strictEqual(cues.length, 3, 'only added the new event');
+  assert.strictEqual(cues[2].value.id, '2', 'added the new event');
+});
+
+test('remembers the events that were added', function(assert) {
+  const tech = new MockTech();
+  const inbandTextTracks = {};
+  const events = [];
+
+  for (let i = 0; i < 100; i++) {
+    events.push({ schemeIdUri: 'urn:custom', value: 'ad', id: i, start: i, end: i + 1 });
+  }
+
+  createEventStreamTrackIfNotExists(inbandTextTracks, tech);
+  addEventStreamCues({ inbandTextTracks, events, timestampOffset: 0 });
+  addEventStreamCues({ inbandTextTracks, events, timestampOffset: 0 });
+
+  assert.strictEqual(
+    inbandTextTracks.eventStreamTrack_.cues.length,
+    100,
+    'added a cue per event once'
+  );
+  assert.strictEqual(
+    Object.keys(inbandTextTracks.eventStreamEvents_).length,
+    100,
+    'remembered each event'
+  );
+
+  addEventStreamCues({
+    inbandTextTracks,
+    events: [
+      { schemeIdUri: 'urn:custom', value: 'ad', id: '1', start: 1, end: 2 },
+      { schemeIdUri: 'urn:custom', value: 'ad', id: '1', start: 1, end: 2 }
+    ],
+    timestampOffset: 0
+  });
+
+  assert.strictEqual(
+    inbandTextTracks.eventStreamTrack_.cues.length,
+    101,
+    'added an event with a new id once'
+  );
+});
@@ -0,0 +1,113 @@
+import QUnit from 'qunit';
+import Thumbnails from '../src/thumbnails.js';
+
+const makeImagePlaylist = (bandwidth, segmentProperties = []) => ({
+  attributes: {
+    NAME: `thumbs-${bandwidth}`,
+    BANDWIDTH: bandwidth,
+    RESOLUTION: { width: 640, height: 360 }
+  },
+  tiles: { columns: 2, rows: 2, width: 320, height: 180 },
+  segments: [0, 1].map((i) => Object.assign({
+    resolvedUri: `https://example.com/thumbs-${bandwidth}/${i}.jpg`,
+    duration: 10
+  }, segmentProperties[i]))
+});
+
+QUnit.module('Thumbnails', {
+  beforeEach() {
+    this.mpc = {
+      duration: () => 20,
+      mainSegmentLoader_: { currentTimeline_: 0 },
+      syncController_: {
+        getSyncPoint: () => ({ time: 0, segmentIndex: 0 })
+      },
+      metricsController_: {
+        wallClockTime: () => null
+      }
+    };
+    this.vhsHandler = {
+      masterPlaylistController_: this.mpc,
+      playlists: { master: { playlists: [] } }
+    };
+    this.thumbnails = new Thumbnails(this.vhsHandler);
+  }
+});
+
+QUnit.test('returns null without thumbnail playlists', function(assert) {
+  assert.equal(this.thumbnails.playlist(), null, 'no playlist');
+  assert.equal(this.thumbnails.getThumbnailAt(5), null, 'no thumbnail');
+});
+
+QUnit.test('uses the most detailed thumbnail playlist', function(assert) {
+  const playlists = [makeImagePlaylist(1000), makeImagePlaylist(3000)];
+
+  this.vhsHandler.playlists.master.imagePlaylists = playlists;
+
+  assert.equal(this.thumbnails.playlist(), playlists[1], 'highest bandwidth');
+});
+
+QUnit.test('returns the tile of the image for a time', function(assert) {
+  this.vhsHandler.playlists.master.imagePlaylists = [makeImagePlaylist(1000)];
+
+  assert.deepEqual(this.thumbnails.getThumbnailAt(1), {
+    uri: 'https://example.com/thumbs-1000/0.jpg',
+    start: 0,
+    duration: 2.5,
+    x: 0,
+    y: 0,
+    width: 320,
+    height: 180
+  }, 'first tile of the first image');
+  assert.deepEqual(this.thumbnails.getThumbnailAt(18), {
+    uri: 'https://example.com/thumbs-1000/1.jpg',
+    start: 17.5,
+    duration: 2.5,
+    x: 320,
+    y: 180,
+    width: 320,
+    height: 180
+  }, 'last tile of the second image');
+
+  this.mpc.syncController_.getSyncPoint = () => null;
+
+  assert.equal(this.thumbnails.getThumbnailAt(1), null, 'no thumbnail without sync');
+});
+
+QUnit.test('leaves out the crop rectangle without an image size', function(assert) {
+  const playlist = makeImagePlaylist(1000);
+
+  playlist.tiles = { columns: 1, rows: 1 };
+  this.vhsHandler.playlists.master.imagePlaylists = [playlist];
+
+  assert.deepEqual(this.thumbnails.getThumbnailAt(12), {
+    uri: 'https://example.com/thumbs-1000/1.jpg',
+    start: 10,
+    duration: 10
+  }, 'whole image');
+});
+
+QUnit.test('finds live thumbnails by their availability', function(assert) {
+  // the images of live streams become available once their time has passed
+  this.vhsHandler.playlists.master.imagePlaylists = [makeImagePlaylist(1000, [
+    { availabilityStartTime: 1010 },
+    { availabilityStartTime: 1020 }
+  ])];
+  this.mpc.syncController_.getSyncPoint = () => null;
+  this.mpc.metricsController_.wallClockTime = (time) => (1000 + time) * 1000;
+
+  assert.deepEqual(this.thumbnails.getThumbnailAt(17), {
+    uri: 'https://example.com/thumbs-1000/1.jpg',
+    start: 15,
+    duration: 2.5,
+    x: 0,
+    y: 180,
+    width: 320,
+    height: 180
+  }, 'mapped the time through wallclock time');
+  assert.equal(
+    this.thumbnails.getThumbnailAt(25),
+    null,
+    'no thumbnail past the available images'
+  );
+});
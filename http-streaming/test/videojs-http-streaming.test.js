@@ -5514,6 +5514,28 @@ QUnit.test(
   }
 );
 
+QUnit.test(
+  'uses the low latency playlist selector if experimentalLowLatencyDash is set',
+  function(assert) {
+    const origLowLatencySelector = Vhs.lowLatencyHeuristicSelector;
+    let lowLatencySelectPlaylistCount = 0;
+
+    Vhs.lowLatencyHeuristicSelector = () => () => lowLatencySelectPlaylistCount++;
+
+    const vhs = VhsSourceHandler.handleSource({
+      src: 'manifest/master.mpd',
+      type: 'application/dash+xml',
+      experimentalLowLatencyDash: true
+    }, this.tech);
+
+    vhs.masterPlaylistController_.selectPlaylist();
+    assert.equal(lowLatencySelectPlaylistCount, 1, 'uses low latency playlist selector');
+
+    Vhs.lowLatencyHeuristicSelector = origLowLatencySelector;
+    vhs.dispose();
+  }
+);
+
 QUnit.module('HLS - Encryption', {
   beforeEach(assert) {
     this.env = useFakeEnvironment(assert);
@@ -5742,6 +5764,23 @@ QUnit.test('emeKeySystems overwrites content types', function(assert) {
   );
 });
 
+QUnit.test('emeKeySystems uses license urls from the manifest', function(assert) {
+  const contentProtection = {
+    keySystem1: { laurl: 'manifest-1' },
+    keySystem2: { laurl: 'manifest-2' },
+    keySystem3: { laurl: 'manifest-3' }
+  };
+  const keySystems = emeKeySystems(
+    { keySystem1: {}, keySystem2: 'source-2', keySystem3: { licenseUri: 'source-3' } },
+    { attributes: { CODECS: 'avc1.420015, mp4a.40.2c' }, contentProtection }
+  );
+
+  assert.equal(keySystems.keySystem1.url, 'manifest-1', 'used the manifest url');
+  assert.equal(keySystems.keySystem2.url, 'source-2', 'kept the source url');
+  assert.equal(keySystems.keySystem3.url, undefined, 'kept the source license uri');
+  assert.equal(keySystems.keySystem3.licenseUri, 'source-3', 'kept the source license uri');
+});
+
 QUnit.test('expandDataUri parses JSON for VHS media type', function(assert) {
   const manifestObject = {
     test: 'manifest',
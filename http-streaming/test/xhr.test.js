@@ -2,6 +2,7 @@ import QUnit from 'qunit';
 import xhrFactory from '../src/xhr';
 import { useFakeEnvironment } from './test-helpers.js';
 import videojs from 'video.js';
+import window from 'global/window';
 // needed for plugin registration
 import '../src/videojs-http-streaming';
 
@@ -11,8 +12,10 @@ QUnit.module('xhr', {
     this.clock = this.env.clock;
     this.requests = this.env.requests;
     this.xhr = xhrFactory();
+    this.realFetch = window.fetch;
   },
   afterEach() {
+    window.fetch = this.realFetch;
     this.env.restore();
   }
 });
@@ -46,3 +49,80 @@ QUnit.test('xhr respects beforeRequest', function(assert) {
   this.xhr(defaultOptions);
   assert.equal(this.requests.shift().url, 'global', 'url changed with global override');
 });
+
+QUnit.test('fetch respects beforeRequest and exposes the response', function(assert) {
+  const done = assert.async();
+  let fetched;
+
+  window.fetch = (uri, options) => {
+    fetched = { uri, options };
+    return Promise.resolve({
+      ok: true,
+      status: 206,
+      statusText: 'Partial Content',
+      url: 'https://example.com/segment.mp4?token=1',
+      headers: new Map([['content-type', 'video/mp4']])
+    });
+  };
+  this.xhr.beforeRequest = (options) => {
+    options.uri += '?token=1';
+    options.headers.Authorization = 'Bearer 1';
+    return options;
+  };
+
+  const request = this.xhr.fetch({
+    uri: 'https://example.com/segment.mp4',
+    headers: { Range: 'bytes=0-99' },
+    withCredentials: true
+  }, (error, callbackRequest, response) => {
+    assert.equal(error, null, 'no error');
+    assert.equal(callbackRequest, request, 'passed the request');
+    assert.equal(response.status, 206, 'passed the response');
+    assert.equal(fetched.uri, 'https://example.com/segment.mp4?token=1', 'modified the uri');
+    assert.deepEqual(
+      fetched.options.headers,
+      { Range: 'bytes=0-99', Authorization: 'Bearer 1' },
+      'modified the headers'
+    );
+    assert.equal(fetched.options.credentials, 'include', 'sent credentials');
+    assert.equal(request.uri, 'https://example.com/segment.mp4?token=1', 'request uri');
+    assert.equal(request.status, 206, 'request status');
+    assert.deepEqual(
+      request.responseHeaders,
+      { 'content-type': 'video/mp4' },
+      'response headers'
+    );
+    assert.equal(typeof request.requestTime, 'number', 'request time');
+    assert.equal(typeof request.responseTime, 'number', 'response time');
+    done();
+  });
+});
+
+QUnit.test('fetch times out waiting for the response', function(assert) {
+  const errors = [];
+
+  window.fetch = (uri, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+
+  const request = this.xhr.fetch({ uri: 'segment.mp4', timeout: 1000 }, (error) => {
+    errors.push(error);
+  });
+
+  this.clock.tick(999);
+  assert.equal(errors.length, 0, 'waiting for the response');
+
+  this.clock.tick(1);
+  assert.equal(errors.length, 1, 'called back');
+  assert.equal(errors[0].code, 'ETIMEDOUT', 'timed out');
+  assert.ok(request.timedout, 'marked the request');
+
+  const aborted = this.xhr.fetch({ uri: 'segment.mp4', timeout: 1000 }, (error) => {
+    errors.push(error);
+  });
+
+  aborted.abort();
+  this.clock.tick(1000);
+  assert.ok(aborted.aborted, 'aborted the request');
+  assert.equal(errors.length, 1, 'aborted requests do not call back');
+});
@@ -0,0 +1,180 @@
+import {DOMParser} from 'xmldom';
+import { from } from './utils/list';
+import { findChildren, getPeriodId } from './utils/xml';
+import errors from './errors';
+
+/**
+ * Parses an MPD Patch document, as referenced by the PatchLocation of a dynamic MPD
+ *
+ * @param {string} patchString
+ *        XML string of the MPD Patch document
+ * @return {Node}
+ *         The Patch node
+ */
+export const stringToPatchXml = (patchString) => {
+  let patch;
+
+  try {
+    const xml = new DOMParser().parseFromString(patchString, 'application/xml');
+
+    patch = xml && xml.documentElement.tagName === 'Patch' ? xml.documentElement : null;
+  } catch (e) {
+    // ie 11 throws on invalid xml
+  }
+
+  if (!patch || patch.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(errors.DASH_INVALID_PATCH);
+  }
+
+  return patch;
+};
+
+/**
+ * Selects the single node matched by the `sel` of a patch operation. Only the subset of
+ * XPath used by MPD Patches is supported: an absolute path of element names, each with
+ * optional `[@attribute='value']` and `[position]` predicates, that may end with an
+ * `@attribute` step.
+ *
+ * @param {Node} mpd
+ *        The MPD node the selector is evaluated against
+ * @param {string} sel
+ *        The selector of the patch operation
+ * @return {Object}
+ *         The selected `element`, and the `attribute` name when the selector ends
+ *         with an attribute step
+ */
+export const selectNode = (mpd, sel) => {
+  const steps = (sel || '').split('/');
+  const selected = {};
+
+  // the selector is an absolute path, so it must start from the MPD node
+  if (steps.shift() !== '' || steps.shift() !== mpd.tagName) {
+    throw new Error(errors.DASH_INVALID_PATCH);
+  }
+
+  selected.element = mpd;
+
+  steps.forEach((step, i) => {
+    if (step.charAt(0) === '@' && i === steps.length - 1) {
+      selected.attribute = step.slice(1);
+      return;
+    }
+
+    const name = step.split('[')[0];
+    const predicates = step.match(/\[[^\]]*\]/g) || [];
+    let elements = findChildren(selected.element, name);
+
+    predicates.forEach((predicate) => {
+      const position = predicate.match(/^\[(\d+)\]$/);
+      const attribute = predicate.match(/^\[@([\w:-]+)=(['"])(.*)\2\]$/);
+
+      if (position) {
+        elements = elements.slice(position[1] - 1, position[1]);
+      } else if (attribute) {
+        elements = elements.filter((element) =>
+          element.getAttribute(attribute[1]) === attribute[3]);
+      } else {
+        throw new Error(errors.DASH_INVALID_PATCH);
+      }
+    });
+
+    // a selector must match exactly one node
+    if (elements.length !== 1) {
+      throw new Error(errors.DASH_INVALID_PATCH);
+    }
+
+    selected.element = elements[0];
+  });
+
+  return selected;
+};
+
+/**
+ * Applies the add, replace and remove operations of an MPD Patch document to the MPD it
+ * was generated for. Cached inheritAttributes results of the Periods that are changed
+ * are removed from the period cache, so only those Periods have to be parsed again.
+ *
+ * @param {Node} mpd
+ *        The MPD node to patch, which is modified in place
+ * @param {string} patchString
+ *        XML string of the MPD Patch document
+ * @param {Object} [periodCache={}]
+ *        Cache of inheritAttributes results by Period@id
+ * @return {Node}
+ *         The patched MPD node
+ */
+export const applyPatch = (mpd, patchString, periodCache = {}) => {
+  const patch = stringToPatchXml(patchString);
+  const originalPublishTime = patch.getAttribute('originalPublishTime');
+
+  // a patch can only be applied to the exact MPD it was generated for, check before
+  // changing anything so that the MPD is left intact
+  if (patch.getAttribute('mpdId') !== mpd.getAttribute('id') ||
+      Date.parse(originalPublishTime) !== Date.parse(mpd.getAttribute('publishTime'))) {
+    throw new Error(errors.DASH_PATCH_MISMATCH);
+  }
+
+  const doc = mpd.ownerDocument;
+
+  from(patch.childNodes).filter(({ tagName }) => tagName).forEach((operation) => {
+    const { element, attribute } = selectNode(mpd, operation.getAttribute('sel'));
+    const type = operation.getAttribute('type');
+    const pos = operation.getAttribute('pos');
+    const nodes = from(operation.childNodes)
+      .filter(({ tagName }) => tagName)
+      .map((node) => doc.importNode(node, true));
+    const periodId = getPeriodId(element);
+
+    switch (operation.tagName) {
+    case 'add':
+      if (attribute) {
+        throw new Error(errors.DASH_INVALID_PATCH);
+      }
+
+      if (type && type.charAt(0) === '@') {
+        element.setAttribute(type.slice(1), operation.textContent.trim());
+      } else if (pos === 'before' || pos === 'after') {
+        const reference = pos === 'before' ? element : element.nextSibling;
+
+        nodes.forEach((node) => element.parentNode.insertBefore(node, reference));
+      } else if (pos === 'prepend') {
+        const firstChild = element.firstChild;
+
+        nodes.forEach((node) => element.insertBefore(node, firstChild));
+      } else {
+        nodes.forEach((node) => element.appendChild(node));
+      }
+      break;
+    case 'replace':
+      if (attribute) {
+        element.setAttribute(attribute, operation.textContent.trim());
+      } else if (nodes.length === 1 && element !== mpd) {
+        element.parentNode.replaceChild(nodes[0], element);
+      } else {
+        throw new Error(errors.DASH_INVALID_PATCH);
+      }
+      break;
+    case 'remove':
+      if (attribute) {
+        element.removeAttribute(attribute);
+      } else if (element !== mpd) {
+        element.parentNode.removeChild(element);
+      } else {
+        throw new Error(errors.DASH_INVALID_PATCH);
+      }
+      break;
+    default:
+      throw new Error(errors.DASH_INVALID_PATCH);
+    }
+
+    if (periodId) {
+      delete periodCache[periodId];
+    }
+  });
+
+  if (patch.getAttribute('publishTime')) {
+    mpd.setAttribute('publishTime', patch.getAttribute('publishTime'));
+  }
+
+  return mpd;
+};
@@ -2,8 +2,12 @@ export default {
   INVALID_NUMBER_OF_PERIOD: 'INVALID_NUMBER_OF_PERIOD',
   DASH_EMPTY_MANIFEST: 'DASH_EMPTY_MANIFEST',
   DASH_INVALID_XML: 'DASH_INVALID_XML',
+  DASH_INVALID_PATCH: 'DASH_INVALID_PATCH',
+  DASH_PATCH_MISMATCH: 'DASH_PATCH_MISMATCH',
+  DASH_INVALID_XLINK: 'DASH_INVALID_XLINK',
   NO_BASE_URL: 'NO_BASE_URL',
   MISSING_SEGMENT_INFORMATION: 'MISSING_SEGMENT_INFORMATION',
   SEGMENT_TIME_UNSPECIFIED: 'SEGMENT_TIME_UNSPECIFIED',
+  // @deprecated no longer thrown, unsupported UTCTiming schemes are skipped
   UNSUPPORTED_UTC_TIMING_SCHEME: 'UNSUPPORTED_UTC_TIMING_SCHEME'
 };
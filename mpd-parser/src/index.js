@@ -3,28 +3,68 @@ import { toM3u8 } from './toM3u8';
 import { toPlaylists } from './toPlaylists';
 import { inheritAttributes } from './inheritAttributes';
 import { stringToMpdXml } from './stringToMpdXml';
-import { parseUTCTimingScheme } from './parseUTCTimingScheme';
+import { applyPatch } from './applyPatch';
+import {
+  findRemoteElements,
+  resolveRemoteElement,
+  keepLocalElement,
+  RESOLVE_TO_ZERO
+} from './remoteElements';
+import { parseUTCTimingScheme, parseUTCTimingSchemes } from './parseUTCTimingScheme';
+import { parseDate } from './utils/time';
 import {addSegmentsToPlaylist} from './segment/segmentBase.js';
 
 const VERSION = version;
 
-const parse = (manifestString, options = {}) => {
-  const parsedManifestInfo = inheritAttributes(stringToMpdXml(manifestString), options);
+/**
+ * Parses an MPD manifest into a master playlist object
+ *
+ * @param {string|Node} manifest
+ *        XML string of the MPD manifest, or an MPD node that was already parsed, e.g.
+ *        one that MPD Patches have been applied to
+ * @param {Object} options
+ *        Options for inheritAttributes and toM3u8
+ * @return {Object}
+ *         The master playlist object
+ */
+const parse = (manifest, options = {}) => {
+  const mpd = typeof manifest === 'string' ? stringToMpdXml(manifest) : manifest;
+  const parsedManifestInfo = inheritAttributes(mpd, options);
   const playlists = toPlaylists(parsedManifestInfo.representationInfo);
 
-  return toM3u8(playlists, parsedManifestInfo.availabilityStartTime, parsedManifestInfo.locations, options.sidxMapping);
+  return toM3u8(
+    playlists,
+    parsedManifestInfo.availabilityStartTime,
+    parsedManifestInfo.locations,
+    options.sidxMapping,
+    parsedManifestInfo.eventStream,
+    parsedManifestInfo.patchLocation
+  );
 };
 
 /**
  * Parses the manifest for a UTCTiming node, returning the nodes attributes if found
  *
- * @param {string} manifestString
- *        XML string of the MPD manifest
+ * @param {string|Node} manifest
+ *        XML string of the MPD manifest, or an MPD node that was already parsed
  * @return {Object|null}
- *         Attributes of UTCTiming node specified in the manifest. Null if none found
+ *         Attributes of the first supported UTCTiming node specified in the manifest.
+ *         Null if none found
+ */
+const parseUTCTiming = (manifest) =>
+  parseUTCTimingScheme(typeof manifest === 'string' ? stringToMpdXml(manifest) : manifest);
+
+/**
+ * Parses the manifest for all UTCTiming nodes with supported schemes, in the order the
+ * client should fall back through them
+ *
+ * @param {string|Node} manifest
+ *        XML string of the MPD manifest, or an MPD node that was already parsed
+ * @return {Object[]}
+ *         Attributes of the supported UTCTiming nodes specified in the manifest
  */
-const parseUTCTiming = (manifestString) =>
-  parseUTCTimingScheme(stringToMpdXml(manifestString));
+const parseUTCTimings = (manifest) =>
+  parseUTCTimingSchemes(typeof manifest === 'string' ? stringToMpdXml(manifest) : manifest);
 
 const addSidxSegmentsToPlaylist = addSegmentsToPlaylist;
 
@@ -32,7 +72,14 @@ export {
   VERSION,
   parse,
   parseUTCTiming,
+  parseUTCTimings,
+  parseDate,
   stringToMpdXml,
+  applyPatch,
+  findRemoteElements,
+  resolveRemoteElement,
+  keepLocalElement,
+  RESOLVE_TO_ZERO,
   inheritAttributes,
   toPlaylists,
   toM3u8,
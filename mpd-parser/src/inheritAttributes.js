@@ -1,5 +1,5 @@
 import window from 'global/window';
-import { flatten } from './utils/list';
+import { flatten, from } from './utils/list';
 import { merge } from './utils/object';
 import { findChildren, getContent } from './utils/xml';
 import { parseAttributes } from './parseAttributes';
@@ -9,20 +9,67 @@ import decodeB64ToUint8Array from '@videojs/vhs-utils/dist/decode-b64-to-uint8-a
 
 const keySystemsMap = {
   'urn:uuid:1077efec-c0b2-4d02-ace3-3c1e52e2fb4b': 'org.w3.clearkey',
+  'urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e': 'org.w3.clearkey',
   'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed': 'com.widevine.alpha',
   'urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95': 'com.microsoft.playready',
-  'urn:uuid:f239e769-efa3-4850-9c16-a903c6932efb': 'com.adobe.primetime'
+  'urn:uuid:f239e769-efa3-4850-9c16-a903c6932efb': 'com.adobe.primetime',
+  'urn:uuid:94ce86fb-07ff-4f43-adb8-93d2fa968ca2': 'com.apple.fps.1_0'
+};
+
+const MP4_PROTECTION_SCHEME = 'urn:mpeg:dash:mp4protection:2011';
+const CENC_NAMESPACE = 'urn:mpeg:cenc:2013';
+
+/**
+ * Contains a resolved base url and the attributes of the BaseURL node it came from
+ *
+ * @typedef {Object} BaseUrl
+ * @property {string} baseUrl
+ *           The resolved base url
+ * @property {string|undefined} serviceLocation
+ *           Identifies the location, e.g. a CDN, that serves the base url
+ * @property {number|undefined} priority
+ *           The dvb:priority of the base url, lower values are preferred
+ * @property {number|undefined} weight
+ *           The dvb:weight of the base url among base urls of the same priority
+ */
+
+/**
+ * Returns the serviceLocation, dvb:priority and dvb:weight attributes of a BaseURL node
+ *
+ * @param {Node} baseUrlElement
+ *        BaseURL node from the mpd
+ * @return {Object}
+ *         The BaseURL attributes that are present on the node
+ */
+const getBaseUrlAttributes = (baseUrlElement) => {
+  const attributes = parseAttributes(baseUrlElement);
+  const baseUrlAttributes = {};
+
+  if (attributes.serviceLocation) {
+    baseUrlAttributes.serviceLocation = attributes.serviceLocation;
+  }
+
+  if (typeof attributes['dvb:priority'] === 'number') {
+    baseUrlAttributes.priority = attributes['dvb:priority'];
+  }
+
+  if (typeof attributes['dvb:weight'] === 'number') {
+    baseUrlAttributes.weight = attributes['dvb:weight'];
+  }
+
+  return baseUrlAttributes;
 };
 
 /**
- * Builds a list of urls that is the product of the reference urls and BaseURL values
+ * Builds a list of base urls that is the product of the reference base urls and BaseURL
+ * values. Attributes of a BaseURL node override the ones inherited from its reference.
  *
- * @param {string[]} referenceUrls
- *        List of reference urls to resolve to
+ * @param {BaseUrl[]} referenceUrls
+ *        List of reference base urls to resolve to
  * @param {Node[]} baseUrlElements
  *        List of BaseURL nodes from the mpd
- * @return {string[]}
- *         List of resolved urls
+ * @return {BaseUrl[]}
+ *         List of resolved base urls
  */
 export const buildBaseUrls = (referenceUrls, baseUrlElements) => {
   if (!baseUrlElements.length) {
@@ -31,11 +78,35 @@ export const buildBaseUrls = (referenceUrls, baseUrlElements) => {
 
   return flatten(referenceUrls.map(function(reference) {
     return baseUrlElements.map(function(baseUrlElement) {
-      return resolveUrl(reference, getContent(baseUrlElement));
+      return merge(reference, getBaseUrlAttributes(baseUrlElement), {
+        baseUrl: resolveUrl(reference.baseUrl, getContent(baseUrlElement))
+      });
     });
   }));
 };
 
+/**
+ * Orders alternative base urls by their dvb:priority, and base urls of the same priority
+ * by descending dvb:weight, so that the first base url is the preferred one. Base urls
+ * without these attributes keep their document order, using the DVB default of 1.
+ *
+ * @param {BaseUrl[]} baseUrls
+ *        List of resolved base urls
+ * @return {BaseUrl[]}
+ *         A sorted copy of the list
+ */
+export const sortBaseUrls = (baseUrls) => {
+  return baseUrls
+    .map((baseUrl, index) => ({ baseUrl, index }))
+    .sort((a, b) => {
+      const { priority: aPriority = 1, weight: aWeight = 1 } = a.baseUrl;
+      const { priority: bPriority = 1, weight: bWeight = 1 } = b.baseUrl;
+
+      return (aPriority - bPriority) || (bWeight - aWeight) || (a.index - b.index);
+    })
+    .map(({ baseUrl }) => baseUrl);
+};
+
 /**
  * Contains all Segment information for its containing AdaptationSet
  *
@@ -78,11 +149,6 @@ export const getSegmentInformation = (adaptationSet) => {
   // the node, as this interaction is not defined in the spec.
   const template = segmentTemplate && parseAttributes(segmentTemplate);
 
-  /*if (template && template.availabilityTimeOffset && template.availabilityTimeOffset)
-  {
-  	console.log("mpd-parser: availabilityTimeOffset: " + template.availabilityTimeOffset + " availabilityTimeComplete: " + template.availabilityTimeComplete);
-  }*/
-
   if (template && segmentInitialization) {
     template.initialization =
       (segmentInitialization && parseAttributes(segmentInitialization));
@@ -118,6 +184,277 @@ export const getSegmentInformation = (adaptationSet) => {
   return segmentInfo;
 };
 
+/**
+ * Returns the attributes of the first ProducerReferenceTime node contained within the
+ * provided node, if any
+ *
+ * @param {Node} node
+ *        The AdaptationSet or Representation node to search
+ * @return {Object}
+ *         An object with the ProducerReferenceTime attributes as `producerReferenceTime`,
+ *         or an empty object if there is no ProducerReferenceTime node
+ */
+export const getProducerReferenceTime = (node) => {
+  const producerReferenceTime = findChildren(node, 'ProducerReferenceTime')[0];
+
+  if (!producerReferenceTime) {
+    return {};
+  }
+
+  return { producerReferenceTime: parseAttributes(producerReferenceTime) };
+};
+
+/**
+ * Returns the scheme and value of each InbandEventStream node contained within the
+ * provided node, which signal the schemes of the emsg boxes carried in the media
+ *
+ * @param {Node} node
+ *        The AdaptationSet or Representation node to search
+ * @return {Object}
+ *         An object with the list of InbandEventStream attributes as
+ *         `inbandEventStreams`, or an empty object if there are no InbandEventStream nodes
+ */
+export const getInbandEventStreams = (node) => {
+  const inbandEventStreams = findChildren(node, 'InbandEventStream');
+
+  if (!inbandEventStreams.length) {
+    return {};
+  }
+
+  return {
+    inbandEventStreams: inbandEventStreams.map((inbandEventStream) => {
+      const { schemeIdUri, value } = parseAttributes(inbandEventStream);
+
+      return { schemeIdUri, value };
+    })
+  };
+};
+
+/**
+ * Returns the scheme and value of each EssentialProperty node contained within the
+ * provided node. Essential properties change how the content must be used, e.g. for
+ * trick-mode playback only.
+ *
+ * @param {Node} node
+ *        The AdaptationSet or Representation node to search
+ * @return {Object}
+ *         An object with the list of EssentialProperty attributes as
+ *         `essentialProperties`, or an empty object if there are no EssentialProperty
+ *         nodes
+ */
+export const getEssentialProperties = (node) => {
+  const essentialProperties = findChildren(node, 'EssentialProperty');
+
+  if (!essentialProperties.length) {
+    return {};
+  }
+
+  return {
+    essentialProperties: essentialProperties.map((essentialProperty) => {
+      const { schemeIdUri, value } = parseAttributes(essentialProperty);
+
+      return { schemeIdUri, value };
+    })
+  };
+};
+
+/**
+ * Returns the Role, Accessibility, Label and AudioChannelConfiguration nodes contained
+ * within the provided node, which describe the purpose of its content so that tracks in
+ * the same language can be told apart
+ *
+ * @param {Node} node
+ *        The AdaptationSet or Representation node to search
+ * @return {Object}
+ *         An object with the scheme and value of each Role and Accessibility node as
+ *         `roles` and `accessibility`, the content of the first Label node as `label` and
+ *         the scheme and value of the first AudioChannelConfiguration node as
+ *         `audioChannelConfiguration`, each only if the node is present
+ */
+export const getTrackDescriptors = (node) => {
+  const toDescriptor = (element) => {
+    const { schemeIdUri, value } = parseAttributes(element);
+
+    return { schemeIdUri, value };
+  };
+  const roles = findChildren(node, 'Role');
+  const accessibility = findChildren(node, 'Accessibility');
+  const label = findChildren(node, 'Label')[0];
+  const audioChannelConfiguration = findChildren(node, 'AudioChannelConfiguration')[0];
+  const descriptors = {};
+
+  if (roles.length) {
+    descriptors.roles = roles.map(toDescriptor);
+  }
+
+  if (accessibility.length) {
+    descriptors.accessibility = accessibility.map(toDescriptor);
+  }
+
+  if (label && getContent(label)) {
+    descriptors.label = getContent(label);
+  }
+
+  if (audioChannelConfiguration) {
+    descriptors.audioChannelConfiguration = toDescriptor(audioChannelConfiguration);
+  }
+
+  return descriptors;
+};
+
+/**
+ * Contains an event signalled by an EventStream node
+ *
+ * @typedef {Object} Event
+ * @property {string} schemeIdUri
+ *           The scheme of the EventStream
+ * @property {string|undefined} value
+ *           The value of the EventStream
+ * @property {string|undefined} id
+ *           The id of the Event, which identifies repeated signalling of the same event
+ * @property {number} start
+ *           The start of the Event on the presentation timeline, in seconds
+ * @property {number} end
+ *           The end of the Event on the presentation timeline, in seconds
+ * @property {string|undefined} messageData
+ *           The content of the Event, or its @messageData if it has no content
+ */
+
+/**
+ * Parses the Event nodes of each EventStream node contained within a Period
+ *
+ * @param {Node} period
+ *        Period node from the mpd
+ * @param {number} [periodStart=0]
+ *        The start of the Period in seconds
+ * @return {Event[]}
+ *         List of the Period's events
+ */
+export const toEventStream = (period, periodStart = 0) =>
+  flatten(findChildren(period, 'EventStream').map((eventStream) => {
+    const {
+      schemeIdUri,
+      value,
+      timescale = 1,
+      presentationTimeOffset = 0
+    } = parseAttributes(eventStream);
+
+    return findChildren(eventStream, 'Event').map((event) => {
+      const {
+        id,
+        presentationTime = 0,
+        duration = 0,
+        messageData
+      } = parseAttributes(event);
+      const start = periodStart + (presentationTime - presentationTimeOffset) / timescale;
+
+      return {
+        schemeIdUri,
+        value,
+        id,
+        start,
+        end: start + duration / timescale,
+        messageData: getContent(event) || messageData
+      };
+    });
+  }));
+
+/**
+ * Returns the content of the first child element with a local name, whatever namespace
+ * prefix the mpd uses for it, e.g. `cenc:pssh`, `mspr:pro` or `dashif:laurl`
+ *
+ * @param {Node} element
+ *        The element to search the children of
+ * @param {string} localName
+ *        The lowercase local name of the child element
+ * @return {string|undefined}
+ *         The trimmed content of the child element, if it has any
+ */
+const getChildContent = (element, localName) => {
+  const child = from(element.childNodes).filter((node) =>
+    node.localName && node.localName.toLowerCase() === localName)[0];
+
+  return (child && getContent(child)) || undefined;
+};
+
+/**
+ * Returns the cenc:default_KID of a content protection node
+ *
+ * @param {Node} node
+ *        Content protection node
+ * @return {string|undefined}
+ *         The lowercase key id, if the node has one
+ */
+const getDefaultKid = (node) => {
+  const defaultKid = node.getAttributeNS(CENC_NAMESPACE, 'default_KID') ||
+    node.getAttribute('cenc:default_KID');
+
+  return defaultKid ? defaultKid.trim().toLowerCase() : undefined;
+};
+
+/**
+ * Tranforms a series of content protection nodes to an object containing the key
+ * system information by key system. Key systems without a known name are keyed by
+ * their scheme. Content protection nodes of Representations add to the information of
+ * their AdaptationSet, which is passed as the inherited key systems.
+ *
+ * @param {Node[]} contentProtectionNodes
+ *        Content protection nodes
+ * @param {Object} [inheritedKeySystems={}]
+ *        Key system information inherited from the parent element
+ * @return {Object}
+ *        Object containing the `attributes` of the content protection node and, when
+ *        signalled, the `pssh`, the PlayReady Object as `pro`, the license server
+ *        `laurl` and the `defaultKid` by key system
+ */
+const generateKeySystemInformation = (contentProtectionNodes, inheritedKeySystems = {}) => {
+  // the default_KID of the common encryption scheme applies to every key system
+  const commonKid = contentProtectionNodes
+    .filter((node) => parseAttributes(node).schemeIdUri === MP4_PROTECTION_SCHEME)
+    .map(getDefaultKid)
+    .filter((defaultKid) => defaultKid)[0];
+  const keySystems = {};
+
+  Object.keys(inheritedKeySystems).forEach((keySystem) => {
+    keySystems[keySystem] = merge(
+      inheritedKeySystems[keySystem],
+      commonKid ? { defaultKid: commonKid } : {}
+    );
+  });
+
+  return contentProtectionNodes.reduce((acc, node) => {
+    const attributes = parseAttributes(node);
+    const schemeIdUri = (attributes.schemeIdUri || '').toLowerCase();
+
+    if (schemeIdUri.indexOf('urn:uuid:') !== 0) {
+      return acc;
+    }
+
+    const keySystem = keySystemsMap[schemeIdUri] || schemeIdUri;
+    const inherited = acc[keySystem] || {};
+    const pssh = getChildContent(node, 'pssh');
+    const pro = getChildContent(node, 'pro');
+    const laurl = getChildContent(node, 'laurl');
+    const defaultKid = getDefaultKid(node) || commonKid || inherited.defaultKid;
+
+    // typed arrays are not merged, as merge would turn them into plain objects
+    acc[keySystem] = { attributes };
+
+    [
+      ['pssh', pssh ? decodeB64ToUint8Array(pssh) : inherited.pssh],
+      ['pro', pro ? decodeB64ToUint8Array(pro) : inherited.pro],
+      ['laurl', laurl || inherited.laurl],
+      ['defaultKid', defaultKid]
+    ].forEach(([key, value]) => {
+      if (value) {
+        acc[keySystem][key] = value;
+      }
+    });
+
+    return acc;
+  }, keySystems);
+};
+
 /**
  * Contains Segment information and attributes needed to construct a Playlist object
  * from a Representation
@@ -146,7 +483,7 @@ export const getSegmentInformation = (adaptationSet) => {
  *
  * @param {Object} adaptationSetAttributes
  *        Contains attributes inherited by the AdaptationSet
- * @param {string[]} adaptationSetBaseUrls
+ * @param {BaseUrl[]} adaptationSetBaseUrls
  *        Contains list of resolved base urls inherited by the AdaptationSet
  * @param {SegmentInformation} adaptationSetSegmentInfo
  *        Contains Segment information for the AdaptationSet
@@ -158,47 +495,40 @@ export const inheritBaseUrls =
   (representation) => {
     const repBaseUrlElements = findChildren(representation, 'BaseURL');
     const repBaseUrls = buildBaseUrls(adaptationSetBaseUrls, repBaseUrlElements);
-    const attributes = merge(adaptationSetAttributes, parseAttributes(representation));
+    const attributes = merge(
+      adaptationSetAttributes,
+      parseAttributes(representation),
+      getProducerReferenceTime(representation),
+      getInbandEventStreams(representation),
+      getTrackDescriptors(representation),
+      getEssentialProperties(representation)
+    );
+    const contentProtection = generateKeySystemInformation(
+      findChildren(representation, 'ContentProtection'),
+      adaptationSetAttributes.contentProtection
+    );
     const representationSegmentInfo = getSegmentInformation(representation);
+    const urls = repBaseUrls.map(({ baseUrl }) => baseUrl);
+    // an absolute BaseURL resolves to the same url for every reference url
+    const baseUrls = sortBaseUrls(repBaseUrls.filter(({ baseUrl }, i) =>
+      urls.indexOf(baseUrl) === i));
+
+    // alternative BaseURLs, e.g. on different CDNs, serve the same representation, so
+    // they are kept as an ordered list to fail over between instead of as duplicates
+    if (baseUrls.length > 1) {
+      attributes.baseUrls = baseUrls;
+    }
 
-    return repBaseUrls.map(baseUrl => {
-      return {
-        segmentInfo: merge(adaptationSetSegmentInfo, representationSegmentInfo),
-        attributes: merge(attributes, { baseUrl })
-      };
-    });
-  };
-
-/**
- * Tranforms a series of content protection nodes to
- * an object containing pssh data by key system
- *
- * @param {Node[]} contentProtectionNodes
- *        Content protection nodes
- * @return {Object}
- *        Object containing pssh data by key system
- */
-const generateKeySystemInformation = (contentProtectionNodes) => {
-  return contentProtectionNodes.reduce((acc, node) => {
-    const attributes = parseAttributes(node);
-    const keySystem = keySystemsMap[attributes.schemeIdUri];
-
-    if (keySystem) {
-      acc[keySystem] = { attributes };
-
-      const psshNode = findChildren(node, 'cenc:pssh')[0];
-
-      if (psshNode) {
-        const pssh = getContent(psshNode);
-        const psshBuffer = pssh && decodeB64ToUint8Array(pssh);
-
-        acc[keySystem].pssh = psshBuffer;
-      }
+    // keys may differ per quality, so Representations can have their own protection
+    if (Object.keys(contentProtection).length) {
+      attributes.contentProtection = contentProtection;
     }
 
-    return acc;
-  }, {});
-};
+    return {
+      segmentInfo: merge(adaptationSetSegmentInfo, representationSegmentInfo),
+      attributes: merge(attributes, { baseUrl: baseUrls[0].baseUrl })
+    };
+  };
 
 /**
  * Maps an AdaptationSet node to a list of Representation information objects
@@ -217,7 +547,7 @@ const generateKeySystemInformation = (contentProtectionNodes) => {
  *
  * @param {Object} periodAttributes
  *        Contains attributes inherited by the Period
- * @param {string[]} periodBaseUrls
+ * @param {BaseUrl[]} periodBaseUrls
  *        Contains list of resolved base urls inherited by the Period
  * @param {string[]} periodSegmentInfo
  *        Contains Segment Information at the period level
@@ -237,7 +567,11 @@ export const toRepresentations =
   let attrs = merge(
     periodAttributes,
     adaptationSetAttributes,
-    roleAttributes
+    roleAttributes,
+    getProducerReferenceTime(adaptationSet),
+    getInbandEventStreams(adaptationSet),
+    getTrackDescriptors(adaptationSet),
+    getEssentialProperties(adaptationSet)
   );
 
   const contentProtection = generateKeySystemInformation(findChildren(adaptationSet, 'ContentProtection'));
@@ -250,7 +584,39 @@ export const toRepresentations =
   const representations = findChildren(adaptationSet, 'Representation');
   const adaptationSetSegmentInfo = merge(periodSegmentInfo, segmentInfo);
 
-  return flatten(representations.map(inheritBaseUrls(attrs, adaptationSetBaseUrls, adaptationSetSegmentInfo)));
+  return representations.map(inheritBaseUrls(attrs, adaptationSetBaseUrls, adaptationSetSegmentInfo));
+};
+
+/**
+ * Returns the start of each Period of the mpd relative to the start of the presentation.
+ * A Period without a @start begins when the previous Period ends, and the first Period
+ * begins at 0. The start of a Period that follows one without a @duration cannot be
+ * known, so it is null.
+ *
+ * @param {Node[]} periods
+ *        Period nodes from the mpd
+ * @return {Array<number|null>}
+ *         The start of each Period in seconds
+ */
+export const getPeriodStarts = (periods) => {
+  let previous = null;
+
+  return periods.map((period, index) => {
+    const { start, duration } = parseAttributes(period);
+    let periodStart = null;
+
+    if (typeof start === 'number') {
+      periodStart = start;
+    } else if (index === 0) {
+      periodStart = 0;
+    } else if (typeof previous.start === 'number' && typeof previous.duration === 'number') {
+      periodStart = previous.start + previous.duration;
+    }
+
+    previous = { start: periodStart, duration };
+
+    return periodStart;
+  });
 };
 
 /**
@@ -261,36 +627,181 @@ export const toRepresentations =
  * @function
  * @param {Node} period
  *        Period node from the mpd
- * @param {number} periodIndex
- *        Index of the Period within the mpd
+ * @param {number} periodStart
+ *        Start of the Period in seconds, which is also the timeline of its segments
  * @return {RepresentationInformation[]}
  *         List of objects containing Representaion information
  */
 
 /**
- * Returns a callback for Array.prototype.map for mapping Period nodes to a list of
- * Representation information objects
+ * Returns a callback for mapping Period nodes to a list of Representation information
+ * objects
  *
  * @param {Object} mpdAttributes
  *        Contains attributes inherited by the mpd
- * @param {string[]} mpdBaseUrls
+ * @param {BaseUrl[]} mpdBaseUrls
  *        Contains list of resolved base urls inherited by the mpd
  * @return {toAdaptationSetsCallback}
  *         Callback map function
  */
-export const toAdaptationSets = (mpdAttributes, mpdBaseUrls) => (period, index) => {
+export const toAdaptationSets = (mpdAttributes, mpdBaseUrls) => (period, periodStart) => {
   const periodBaseUrls = buildBaseUrls(mpdBaseUrls, findChildren(period, 'BaseURL'));
-  const periodAtt = parseAttributes(period);
-  const parsedPeriodId = parseInt(periodAtt.id, 10);
-  // fallback to mapping index if Period@id is not a number
-  const periodIndex = window.isNaN(parsedPeriodId) ? index : parsedPeriodId;
-  const periodAttributes = merge(mpdAttributes, { periodIndex });
+  const periodAttributes = merge(mpdAttributes, { periodStart });
   const adaptationSets = findChildren(period, 'AdaptationSet');
   const periodSegmentInfo = getSegmentInformation(period);
 
   return flatten(adaptationSets.map(toRepresentations(periodAttributes, periodBaseUrls, periodSegmentInfo)));
 };
 
+/**
+ * Contains the latency and playback rate targets the content provider expects clients
+ * to use during playback
+ *
+ * @typedef {Object} ServiceDescription
+ * @property {Object|undefined} latency
+ *           Contains the target, min and max latency in seconds
+ * @property {Object|undefined} playbackRate
+ *           Contains the min and max playback rate
+ */
+
+/**
+ * Parses the Latency and PlaybackRate nodes of the first ServiceDescription node
+ * contained within the mpd
+ *
+ * @param {Node} mpd
+ *        The root node of the mpd
+ * @return {ServiceDescription|undefined}
+ *         The service description, or undefined if the mpd contains none
+ */
+export const getServiceDescription = (mpd) => {
+  const serviceDescription = findChildren(mpd, 'ServiceDescription')[0];
+
+  if (!serviceDescription) {
+    return;
+  }
+
+  const latencyAttributes = parseAttributes(findChildren(serviceDescription, 'Latency')[0]);
+  const playbackRateAttributes =
+    parseAttributes(findChildren(serviceDescription, 'PlaybackRate')[0]);
+  const result = {};
+  const latency = {};
+  const playbackRate = {};
+
+  // Latency values are signalled in milliseconds
+  ['target', 'min', 'max'].forEach((key) => {
+    const value = parseFloat(latencyAttributes[key]);
+
+    if (!window.isNaN(value)) {
+      latency[key] = value / 1000;
+    }
+  });
+
+  ['min', 'max'].forEach((key) => {
+    const value = parseFloat(playbackRateAttributes[key]);
+
+    if (!window.isNaN(value)) {
+      playbackRate[key] = value;
+    }
+  });
+
+  if (Object.keys(latency).length) {
+    result.latency = latency;
+  }
+
+  if (Object.keys(playbackRate).length) {
+    result.playbackRate = playbackRate;
+  }
+
+  return result;
+};
+
+/**
+ * Mpd attributes that change on every parse without affecting how a Period is parsed.
+ * They are excluded when deciding whether a cached Period can be reused, and are updated
+ * on the reused Representation information instead.
+ */
+const VOLATILE_MPD_ATTRIBUTES = ['NOW', 'clientOffset', 'publishTime'];
+
+/**
+ * Returns a callback for mapping Period nodes to a list of Representation information
+ * objects like toAdaptationSets, reusing the results cached for Periods that have not
+ * changed since they were last parsed. Periods are cached by their @id, so Periods
+ * without one are always parsed.
+ *
+ * @param {Object} mpdAttributes
+ *        Contains attributes inherited by the mpd
+ * @param {BaseUrl[]} mpdBaseUrls
+ *        Contains list of resolved base urls inherited by the mpd
+ * @param {Object} periodCache
+ *        Cache of Representation information by Period@id, updated in place
+ * @return {toAdaptationSetsCallback}
+ *         Callback map function
+ */
+export const toCachedAdaptationSets = (mpdAttributes, mpdBaseUrls, periodCache) => {
+  const stableAttributes = merge(mpdAttributes);
+  const volatileAttributes = {};
+
+  VOLATILE_MPD_ATTRIBUTES.forEach((name) => {
+    if (name in mpdAttributes) {
+      volatileAttributes[name] = mpdAttributes[name];
+    }
+    delete stableAttributes[name];
+  });
+
+  // the cached objects are handed out as copies, as later steps modify attributes
+  const copy = (representationInfo) => representationInfo.map(({ segmentInfo, attributes }) => ({
+    segmentInfo,
+    attributes: merge(attributes, volatileAttributes)
+  }));
+
+  return (period, periodStart) => {
+    const id = period.getAttribute('id');
+
+    if (!id) {
+      return toAdaptationSets(mpdAttributes, mpdBaseUrls)(period, periodStart);
+    }
+
+    const key = JSON.stringify([stableAttributes, mpdBaseUrls, periodStart]);
+
+    if (!periodCache[id] || periodCache[id].key !== key) {
+      periodCache[id] = {
+        key,
+        representationInfo: toAdaptationSets(mpdAttributes, mpdBaseUrls)(period, periodStart)
+      };
+    }
+
+    return copy(periodCache[id].representationInfo);
+  };
+};
+
+/**
+ * Contains the location of the MPD Patch documents that update a dynamic mpd
+ *
+ * @typedef {Object} PatchLocation
+ * @property {string} uri
+ *           The uri of the Patch document
+ * @property {number|undefined} ttl
+ *           The number of seconds after MPD@publishTime for which the uri can be used
+ */
+
+/**
+ * Returns the first PatchLocation of the mpd, if any
+ *
+ * @param {Node} mpd
+ *        The root node of the mpd
+ * @return {PatchLocation|undefined}
+ *         The patch location
+ */
+export const getPatchLocation = (mpd) => {
+  const patchLocation = findChildren(mpd, 'PatchLocation')[0];
+
+  if (!patchLocation) {
+    return;
+  }
+
+  return merge(parseAttributes(patchLocation), { uri: getContent(patchLocation) });
+};
+
 /**
  * Traverses the mpd xml tree to generate a list of Representation information objects
  * that have inherited attributes from parent nodes
@@ -305,6 +816,9 @@ export const toAdaptationSets = (mpdAttributes, mpdBaseUrls) => (period, index)
  *        Current time per DASH IOP.  Default is current time in ms since epoch
  * @param {number} options.clientOffset
  *        Client time difference from NOW (in milliseconds)
+ * @param {Object} [options.periodCache]
+ *        Cache of Representation information by Period@id to reuse for Periods that
+ *        have not changed, e.g. when parsing an mpd again after applying an MPD Patch
  * @return {RepresentationInformation[]}
  *         List of objects containing Representation information
  */
@@ -312,7 +826,8 @@ export const inheritAttributes = (mpd, options = {}) => {
   const {
     manifestUri = '',
     NOW = Date.now(),
-    clientOffset = 0
+    clientOffset = 0,
+    periodCache
   } = options;
   const periods = findChildren(mpd, 'Period');
 
@@ -323,7 +838,7 @@ export const inheritAttributes = (mpd, options = {}) => {
   const locations = findChildren(mpd, 'Location');
 
   const mpdAttributes = parseAttributes(mpd);
-  const mpdBaseUrls = buildBaseUrls([ manifestUri ], findChildren(mpd, 'BaseURL'));
+  const mpdBaseUrls = buildBaseUrls([{ baseUrl: manifestUri }], findChildren(mpd, 'BaseURL'));
 
   mpdAttributes.sourceDuration = mpdAttributes.mediaPresentationDuration || 0;
   mpdAttributes.NOW = NOW;
@@ -333,9 +848,49 @@ export const inheritAttributes = (mpd, options = {}) => {
     mpdAttributes.locations = locations.map(getContent);
   }
 
-  return {
+  const serviceDescription = getServiceDescription(mpd);
+
+  if (serviceDescription) {
+    mpdAttributes.serviceDescription = serviceDescription;
+  }
+
+  const periodStarts = getPeriodStarts(periods);
+  // Periods that cannot be placed on the presentation timeline are left out
+  const timedPeriods = periods.filter((period, index) => periodStarts[index] !== null);
+  const timedPeriodStarts = periodStarts.filter((start) => start !== null);
+  const periodToAdaptationSets = periodCache ?
+    toCachedAdaptationSets(mpdAttributes, mpdBaseUrls, periodCache) :
+    toAdaptationSets(mpdAttributes, mpdBaseUrls);
+
+  const manifestInfo = {
     locations: mpdAttributes.locations,
-    representationInfo: flatten(periods.map(toAdaptationSets(mpdAttributes, mpdBaseUrls))),
-	availabilityStartTime: mpdAttributes.availabilityStartTime
+    representationInfo: flatten(timedPeriods.map((period, index) =>
+      periodToAdaptationSets(period, timedPeriodStarts[index]))),
+    availabilityStartTime: mpdAttributes.availabilityStartTime
   };
+
+  if (periodCache) {
+    const periodIds = periods.map((period) => period.getAttribute('id'));
+
+    // forget Periods that are no longer in the mpd
+    Object.keys(periodCache).forEach((id) => {
+      if (periodIds.indexOf(id) === -1) {
+        delete periodCache[id];
+      }
+    });
+  }
+
+  const patchLocation = getPatchLocation(mpd);
+
+  if (patchLocation) {
+    manifestInfo.patchLocation = patchLocation;
+  }
+  const eventStream = flatten(timedPeriods.map((period, index) =>
+    toEventStream(period, timedPeriodStarts[index])));
+
+  if (eventStream.length) {
+    manifestInfo.eventStream = eventStream;
+  }
+
+  return manifestInfo;
 };
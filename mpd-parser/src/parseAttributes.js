@@ -30,12 +30,47 @@ export const parsers = {
     return parseDate(value) / 1000;
   },
 
+  /**
+   * Specifies the wall-clock time when the MPD was generated and published. Format is a
+   * date string as specified in ISO 8601
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {number}
+   *         The date as seconds from unix epoch
+   */
+  publishTime(value) {
+    return parseDate(value) / 1000;
+  },
+
+  /**
+   * Specifies how many seconds earlier than their normal availability time Segments
+   * become available. The value may be "INF" to signal that all Segments are available
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {number}
+   *         The offset in seconds
+   */
   availabilityTimeOffset(value) {
-	return parseFloat(value);
+    if (value === 'INF') {
+      return Infinity;
+    }
+
+    return parseFloat(value);
   },
 
+  /**
+   * Specifies whether Segments are complete once available. When false, Segments may be
+   * requested while still being produced and are delivered in chunks
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {boolean}
+   *         Whether Segments are complete when available
+   */
   availabilityTimeComplete(value) {
-	return value === "true"? true : false;
+    return value === 'true';
   },
 
   /**
@@ -163,6 +198,56 @@ export const parsers = {
     return parseInt(value, 10);
   },
 
+  /**
+   * Specifies the media time, in @timescale units, that maps to the start of the Period
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {number}
+   *         The parsed presentation time offset
+   */
+  presentationTimeOffset(value) {
+    return parseInt(value, 10);
+  },
+
+  /**
+   * Specifies the presentation time, in @timescale units, that a ProducerReferenceTime
+   * maps to wallclock time
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {number}
+   *         The parsed presentation time
+   */
+  presentationTime(value) {
+    return parseInt(value, 10);
+  },
+
+  /**
+   * Specifies the wallclock time of a ProducerReferenceTime. Format is a date string as
+   * specified in ISO 8601
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {number}
+   *         The date as seconds from unix epoch
+   */
+  wallClockTime(value) {
+    return parseDate(value) / 1000;
+  },
+
+  /**
+   * Specifies whether a ProducerReferenceTime is also carried in the media segments
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {boolean}
+   *         Whether the ProducerReferenceTime is inband
+   */
+  inband(value) {
+    return value === 'true';
+  },
+
   /**
    * Specifies the constant approximate Segment duration
    * NOTE: The <Period> element also contains an @duration attribute. This duration
@@ -223,6 +308,44 @@ export const parsers = {
     return parseInt(value, 10);
   },
 
+  /**
+   * Specifies the number of seconds after MPD@publishTime that a PatchLocation may be
+   * used to request a Patch document
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {number}
+   *         The parsed time to live in seconds
+   */
+  ttl(value) {
+    return parseFloat(value);
+  },
+
+  /**
+   * Specifies the priority of a BaseURL as an alternative location, lower values are
+   * preferred
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {number}
+   *         The parsed priority
+   */
+  'dvb:priority'(value) {
+    return parseInt(value, 10);
+  },
+
+  /**
+   * Specifies the weight of a BaseURL among alternative locations of the same priority
+   *
+   * @param {string} value
+   *        value of attribute as a string
+   * @return {number}
+   *         The parsed weight
+   */
+  'dvb:weight'(value) {
+    return parseInt(value, 10);
+  },
+
   /**
    * Default parser for all other attributes. Acts as a no-op and just returns the value
    * as a string
@@ -1,22 +1,17 @@
 import { findChildren } from './utils/xml';
 import { parseAttributes } from './parseAttributes';
-import errors from './errors';
+import { parseDate } from './utils/time';
 
 /**
- * Parses the manifest for a UTCTiming node, returning the nodes attributes if found
+ * Parses the attributes of a UTCTiming node, adding the `method` used to get the server
+ * time. NTP schemes can't be used by browsers and are not supported.
  *
- * @param {string} mpd
- *        XML string of the MPD manifest
+ * @param {Node} UTCTimingNode
+ *        A UTCTiming node of the MPD
  * @return {Object|null}
- *         Attributes of UTCTiming node specified in the manifest. Null if none found
+ *         Attributes of the UTCTiming node. Null if its scheme is not supported
  */
-export const parseUTCTimingScheme = (mpd) => {
-  const UTCTimingNode = findChildren(mpd, 'UTCTiming')[0];
-
-  if (!UTCTimingNode) {
-    return null;
-  }
-
+const parseUTCTimingNode = (UTCTimingNode) => {
   const attributes = parseAttributes(UTCTimingNode);
 
   switch (attributes.schemeIdUri) {
@@ -33,14 +28,39 @@ export const parseUTCTimingScheme = (mpd) => {
   case 'urn:mpeg:dash:utc:direct:2014':
   case 'urn:mpeg:dash:utc:direct:2012':
     attributes.method = 'DIRECT';
-    attributes.value = Date.parse(attributes.value);
+    attributes.value = parseDate(attributes.value);
     break;
   case 'urn:mpeg:dash:utc:http-ntp:2014':
   case 'urn:mpeg:dash:utc:ntp:2014':
   case 'urn:mpeg:dash:utc:sntp:2014':
   default:
-    throw new Error(errors.UNSUPPORTED_UTC_TIMING_SCHEME);
+    return null;
   }
 
   return attributes;
 };
+
+/**
+ * Parses the manifest for UTCTiming nodes with supported schemes, returning their
+ * attributes in the order of the manifest, which is the order they should be tried in
+ *
+ * @param {Node} mpd
+ *        The MPD node
+ * @return {Object[]}
+ *         Attributes of the supported UTCTiming nodes specified in the manifest
+ */
+export const parseUTCTimingSchemes = (mpd) =>
+  findChildren(mpd, 'UTCTiming')
+    .map(parseUTCTimingNode)
+    .filter((attributes) => attributes);
+
+/**
+ * Parses the manifest for a UTCTiming node, returning the nodes attributes if found
+ *
+ * @param {Node} mpd
+ *        The MPD node
+ * @return {Object|null}
+ *         Attributes of the first supported UTCTiming node specified in the manifest.
+ *         Null if none found
+ */
+export const parseUTCTimingScheme = (mpd) => parseUTCTimingSchemes(mpd)[0] || null;
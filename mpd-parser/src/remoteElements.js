@@ -0,0 +1,152 @@
+import {DOMParser} from 'xmldom';
+import { from } from './utils/list';
+import { getPeriodId } from './utils/xml';
+import errors from './errors';
+
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+/**
+ * The xlink:href of remote elements that are removed from the MPD without a request
+ */
+export const RESOLVE_TO_ZERO = 'urn:mpeg:dash:resolve-to-zero:2013';
+
+/**
+ * Returns an xlink attribute of an element, also when the MPD did not declare the
+ * xlink namespace
+ *
+ * @param {Node} element
+ *        A node of the MPD
+ * @param {string} name
+ *        The local name of the xlink attribute
+ * @return {string}
+ *         The value of the attribute, or an empty string if it is not set
+ */
+const getXlinkAttribute = (element, name) =>
+  element.getAttributeNS(XLINK_NAMESPACE, name) || element.getAttribute(`xlink:${name}`);
+
+/**
+ * Whether an element must be resolved before the MPD is parsed, which is the case for
+ * elements with an xlink:href and an xlink:actuate of onLoad
+ *
+ * @param {Node} element
+ *        A node of the MPD
+ * @return {boolean}
+ *         Whether the element is a remote element to resolve on load
+ */
+const isRemoteElement = (element) =>
+  !!getXlinkAttribute(element, 'href') && getXlinkAttribute(element, 'actuate') === 'onLoad';
+
+/**
+ * Returns the remote elements of an MPD that must be resolved before it is parsed, in
+ * document order. Remote elements within other remote elements are left out, as they
+ * are replaced along with the element that contains them.
+ *
+ * @param {Node} mpd
+ *        The MPD node
+ * @return {Object[]}
+ *         The remote `element`s, with the `href` of the content they resolve to
+ */
+export const findRemoteElements = (mpd) =>
+  from(mpd.getElementsByTagName('*'))
+    .filter((element) => {
+      if (!isRemoteElement(element)) {
+        return false;
+      }
+
+      for (let node = element.parentNode; node && node !== mpd; node = node.parentNode) {
+        if (isRemoteElement(node)) {
+          return false;
+        }
+      }
+
+      return true;
+    })
+    .map((element) => ({ element, href: getXlinkAttribute(element, 'href') }));
+
+/**
+ * Parses the content of a remote element, which may be any number of elements
+ *
+ * @param {string} contentString
+ *        XML string of the remote content
+ * @return {Node[]}
+ *         The elements of the remote content
+ */
+const stringToRemoteElements = (contentString) => {
+  // the content may have an xml declaration, and is wrapped so that it always has a
+  // single root element
+  const content = contentString.replace(/^\s*<\?xml[^>]*\?>/, '');
+  let root;
+
+  // the wrapper would otherwise make xmldom recover from errors in the content
+  const throwError = (message) => {
+    throw new Error(message);
+  };
+
+  try {
+    const xml = new DOMParser({
+      errorHandler: { warning() {}, error: throwError, fatalError: throwError }
+    }).parseFromString(
+      `<RemoteElements xmlns="urn:mpeg:dash:schema:mpd:2011" xmlns:xlink="${XLINK_NAMESPACE}">` +
+      `${content}</RemoteElements>`,
+      'application/xml'
+    );
+
+    root = xml && xml.documentElement.tagName === 'RemoteElements' ? xml.documentElement : null;
+  } catch (e) {
+    // ie 11 and the error handler throw on invalid xml
+  }
+
+  if (!root || root.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(errors.DASH_INVALID_XLINK);
+  }
+
+  return from(root.childNodes).filter(({ tagName }) => tagName);
+};
+
+/**
+ * Replaces a remote element of the MPD with the elements it resolves to. Elements that
+ * resolve to `urn:mpeg:dash:resolve-to-zero:2013`, or to no elements of their type, are
+ * removed. Cached inheritAttributes results of the Periods that are changed are removed
+ * from the period cache.
+ *
+ * @param {Object} remoteElement
+ *        A remote element, as returned by findRemoteElements
+ * @param {string} [contentString='']
+ *        XML string of the remote content
+ * @param {Object} [periodCache={}]
+ *        Cache of inheritAttributes results by Period@id
+ * @return {Node[]}
+ *         The elements that replaced the remote element
+ */
+export const resolveRemoteElement = ({ element, href }, contentString = '', periodCache = {}) => {
+  const nodes = href === RESOLVE_TO_ZERO ? [] : stringToRemoteElements(contentString)
+    .filter(({ tagName }) => tagName === element.tagName)
+    .map((node) => element.ownerDocument.importNode(node, true));
+  const parent = element.parentNode;
+
+  // new Periods may take the place of cached Periods with the same id
+  [element].concat(nodes).forEach((node) => {
+    const periodId = getPeriodId(node);
+
+    if (periodId) {
+      delete periodCache[periodId];
+    }
+  });
+
+  nodes.forEach((node) => parent.insertBefore(node, element));
+  parent.removeChild(element);
+
+  return nodes;
+};
+
+/**
+ * Keeps a remote element that could not be resolved in the MPD with its local content,
+ * and stops it from being resolved again
+ *
+ * @param {Object} remoteElement
+ *        A remote element, as returned by findRemoteElements
+ */
+export const keepLocalElement = ({ element }) => {
+  element.removeAttributeNS(XLINK_NAMESPACE, 'href');
+  element.removeAttribute('xlink:href');
+};
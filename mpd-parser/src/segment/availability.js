@@ -0,0 +1,72 @@
+/**
+ * Returns the number of seconds before their normal availability time that segments may
+ * be requested. Following DASH-IF IOP, an @availabilityTimeOffset only makes segments
+ * available early when @availabilityTimeComplete is false, meaning segments are
+ * delivered in chunks while they are still being produced. An infinite offset makes
+ * segments available as soon as they start being produced, a segment duration early.
+ *
+ * @param {Object} attributes
+ *        Inherited MPD attributes
+ * @param {number} segmentDuration
+ *        Duration of the segments in seconds
+ * @return {number}
+ *         The availability time offset in seconds
+ */
+export const getAvailabilityTimeOffset = (attributes, segmentDuration) => {
+  const {
+    availabilityTimeOffset = 0,
+    availabilityTimeComplete = true
+  } = attributes;
+
+  if (availabilityTimeComplete !== false || !(availabilityTimeOffset > 0)) {
+    return 0;
+  }
+
+  if (availabilityTimeOffset === Infinity) {
+    return segmentDuration;
+  }
+
+  return availabilityTimeOffset;
+};
+
+/**
+ * Adds the wallclock time from which a segment of a dynamic MPD may be requested. A
+ * segment is normally available once it has been completely produced, at the end of its
+ * media time, and chunked segments are available @availabilityTimeOffset seconds earlier.
+ *
+ * @param {Object} attributes
+ *        Inherited MPD attributes
+ * @param {Object} segment
+ *        Segment timing info
+ * @param {number} segment.duration
+ *        Duration of the segment in seconds
+ * @param {number} startTime
+ *        Start of the segment relative to the start of the period, in seconds
+ * @return {Object}
+ *         The segment, with availabilityStartTime in seconds from unix epoch and, for
+ *         chunked segments, availabilityTimeComplete set to false and the
+ *         availabilityTimeOffset applied, in seconds
+ */
+export const addSegmentAvailability = (attributes, segment, startTime) => {
+  const {
+    type = 'static',
+    availabilityStartTime,
+    periodStart = 0
+  } = attributes;
+
+  if (type !== 'dynamic' || typeof availabilityStartTime !== 'number') {
+    return segment;
+  }
+
+  const availabilityTimeOffset = getAvailabilityTimeOffset(attributes, segment.duration);
+
+  segment.availabilityStartTime = availabilityStartTime + periodStart + startTime +
+    segment.duration - availabilityTimeOffset;
+
+  if (availabilityTimeOffset) {
+    segment.availabilityTimeComplete = false;
+    segment.availabilityTimeOffset = availabilityTimeOffset;
+  }
+
+  return segment;
+};
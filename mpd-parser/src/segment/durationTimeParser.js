@@ -1,4 +1,5 @@
 import { range } from '../utils/list';
+import { getAvailabilityTimeOffset, addSegmentAvailability } from './availability';
 
 /**
  * Functions for calculating the range of available segments in static and dynamic
@@ -41,19 +42,20 @@ export const segmentRange = {
       availabilityStartTime,
       timescale = 1,
       duration,
-      start = 0,
+      periodStart = 0,
       minimumUpdatePeriod = 0,
       timeShiftBufferDepth = Infinity
     } = attributes;
     const now = (NOW + clientOffset) / 1000;
-	//console.log("mpd-parser: availabilityTimeOffset: " + attributes.availabilityTimeOffset);
-    const periodStartWC = availabilityStartTime + start - attributes.availabilityTimeOffset + 0.5;
-    const periodEndWC = now + minimumUpdatePeriod;
+    // chunked segments may be requested while they are still being produced
+    const availableNow = now + getAvailabilityTimeOffset(attributes, duration / timescale);
+    const periodStartWC = availabilityStartTime + periodStart;
+    const periodEndWC = availableNow + minimumUpdatePeriod;
     const periodDuration = periodEndWC - periodStartWC;
     const segmentCount = Math.ceil(periodDuration * timescale / duration);
     const availableStart =
       Math.floor((now - periodStartWC - timeShiftBufferDepth) * timescale / duration);
-    const availableEnd = Math.floor((now - periodStartWC) * timescale / duration);
+    const availableEnd = Math.floor((availableNow - periodStartWC) * timescale / duration);
 
     return {
       start: Math.max(0, availableStart),
@@ -89,16 +91,18 @@ export const toSegments = (attributes) => (number, index) => {
   const {
     duration,
     timescale = 1,
-    periodIndex,
+    periodStart,
     startNumber = 1
   } = attributes;
 
-  return {
+  const segment = {
     number: startNumber + number,
     duration: duration / timescale,
-    timeline: periodIndex,
+    timeline: periodStart,
     time: index * duration
   };
+
+  return addSegmentAvailability(attributes, segment, number * duration / timescale);
 };
 
 /**
@@ -101,7 +101,7 @@ export const addSegmentsToPlaylist = (playlist, sidx, baseUrl) => {
       timescale,
       timeline,
       // this is used in parseByDuration
-      periodIndex: timeline,
+      periodStart: timeline,
       duration,
       sourceDuration,
       indexRange
@@ -79,6 +79,16 @@ export const segmentsFromList = (attributes, segmentTimeline) => {
       segment.timeline = segmentTime.timeline;
       segment.duration = segmentTime.duration;
       segment.number = segmentTime.number;
+
+      if (typeof segmentTime.availabilityStartTime === 'number') {
+        segment.availabilityStartTime = segmentTime.availabilityStartTime;
+      }
+
+      if (segmentTime.availabilityTimeComplete === false) {
+        segment.availabilityTimeComplete = false;
+        segment.availabilityTimeOffset = segmentTime.availabilityTimeOffset;
+      }
+
       return segment;
     }
     // Since we're mapping we should get rid of any blank segments (in case
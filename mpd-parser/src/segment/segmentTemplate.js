@@ -113,7 +113,7 @@ export const parseTemplateInfo = (attributes, segmentTimeline) => {
       number: attributes.startNumber || 1,
       duration: attributes.sourceDuration,
       time: 0,
-      timeline: attributes.periodIndex
+      timeline: attributes.periodStart
     }];
   }
 
@@ -158,7 +158,7 @@ export const segmentsFromTemplate = (attributes, segmentTimeline) => {
 
     const uri = constructTemplateUrl(attributes.media || '', templateValues);
 
-    return {
+    const templateSegment = {
       uri,
       timeline: segment.timeline,
       duration: segment.duration,
@@ -166,5 +166,16 @@ export const segmentsFromTemplate = (attributes, segmentTimeline) => {
       map: mapSegment,
       number: segment.number
     };
+
+    if (typeof segment.availabilityStartTime === 'number') {
+      templateSegment.availabilityStartTime = segment.availabilityStartTime;
+    }
+
+    if (segment.availabilityTimeComplete === false) {
+      templateSegment.availabilityTimeComplete = false;
+      templateSegment.availabilityTimeOffset = segment.availabilityTimeOffset;
+    }
+
+    return templateSegment;
   });
 };
@@ -1,3 +1,5 @@
+import { getAvailabilityTimeOffset, addSegmentAvailability } from './availability';
+
 /**
  * Calculates the R (repetition) value for a live stream (for the final segment
  * in a manifest where the r value is negative 1)
@@ -19,12 +21,14 @@ const getLiveRValue = (attributes, time, duration) => {
     clientOffset,
     availabilityStartTime,
     timescale = 1,
-    start = 0,
+    periodStart = 0,
     minimumUpdatePeriod = 0
   } = attributes;
   const now = (NOW + clientOffset) / 1000;
-  const periodStartWC = availabilityStartTime + start;
-  const periodEndWC = now + minimumUpdatePeriod;
+  const periodStartWC = availabilityStartTime + periodStart;
+  // chunked segments may be requested while they are still being produced
+  const periodEndWC = now + getAvailabilityTimeOffset(attributes, duration / timescale) +
+    minimumUpdatePeriod;
   const periodDuration = periodEndWC - periodStartWC;
 
   return Math.ceil(((periodDuration * timescale) - time) / duration);
@@ -51,7 +55,8 @@ export const parseByTimeline = (attributes, segmentTimeline) => {
     sourceDuration,
     timescale = 1,
     startNumber = 1,
-    periodIndex: timeline
+    presentationTimeOffset = 0,
+    periodStart: timeline
   } = attributes;
   const segments = [];
   let time = -1;
@@ -119,7 +124,13 @@ export const parseByTimeline = (attributes, segmentTimeline) => {
     let number = startNumber + segments.length;
 
     while (number < end) {
-      segments.push({ number, duration: duration / timescale, time, timeline });
+      const segment = { number, duration: duration / timescale, time, timeline };
+
+      segments.push(addSegmentAvailability(
+        attributes,
+        segment,
+        (time - presentationTimeOffset) / timescale
+      ));
       time += duration;
       number++;
     }
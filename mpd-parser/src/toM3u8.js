@@ -3,43 +3,6 @@ import { findIndexes } from './utils/list';
 import { addSegmentsToPlaylist } from './segment/segmentBase';
 import { byteRangeToString } from './segment/urlType';
 
-const mergeDiscontiguousPlaylists = playlists => {
-  const mergedPlaylists = values(playlists.reduce((acc, playlist) => {
-    // assuming playlist IDs are the same across periods
-    // TODO: handle multiperiod where representation sets are not the same
-    // across periods
-    const name = playlist.attributes.id + (playlist.attributes.lang || '');
-
-    // Periods after first
-    if (acc[name]) {
-      // first segment of subsequent periods signal a discontinuity
-      if (playlist.segments[0]) {
-        playlist.segments[0].discontinuity = true;
-      }
-      acc[name].segments.push(...playlist.segments);
-
-      // bubble up contentProtection, this assumes all DRM content
-      // has the same contentProtection
-      if (playlist.attributes.contentProtection) {
-        acc[name].attributes.contentProtection =
-          playlist.attributes.contentProtection;
-      }
-    } else {
-      // first Period
-      acc[name] = playlist;
-    }
-
-    return acc;
-  }, {}));
-
-  return mergedPlaylists.map(playlist => {
-    playlist.discontinuityStarts =
-        findIndexes(playlist.segments, 'discontinuity');
-
-    return playlist;
-  });
-};
-
 const addSegmentInfoFromSidx = (playlists, sidxMapping = {}) => {
   if (!Object.keys(sidxMapping).length) {
     return playlists;
@@ -64,6 +27,28 @@ const addSegmentInfoFromSidx = (playlists, sidxMapping = {}) => {
   return playlists;
 };
 
+/**
+ * Converts the ProducerReferenceTime attributes of a Representation to a mapping from
+ * media time to wallclock time
+ *
+ * @param {Object} attributes
+ *        The Representation attributes
+ * @return {Object}
+ *         The ProducerReferenceTime with `presentationTime` converted to seconds
+ */
+const formatProducerReferenceTime = ({ producerReferenceTime, timescale = 1 }) => {
+  const { id, type = 'encoder', wallClockTime, presentationTime, inband = false } =
+    producerReferenceTime;
+
+  return {
+    id,
+    type,
+    inband,
+    wallClockTime,
+    presentationTime: presentationTime / timescale
+  };
+};
+
 export const formatAudioPlaylist = ({ attributes, segments, sidx }) => {
   const playlist = {
     attributes: {
@@ -74,7 +59,7 @@ export const formatAudioPlaylist = ({ attributes, segments, sidx }) => {
     },
     uri: '',
     endList: (attributes.type || 'static') === 'static',
-    timeline: attributes.periodIndex,
+    timeline: attributes.periodStart,
     resolvedUri: '',
     targetDuration: attributes.duration,
     segments,
@@ -85,6 +70,18 @@ export const formatAudioPlaylist = ({ attributes, segments, sidx }) => {
     playlist.contentProtection = attributes.contentProtection;
   }
 
+  if (attributes.producerReferenceTime) {
+    playlist.producerReferenceTime = formatProducerReferenceTime(attributes);
+  }
+
+  if (attributes.inbandEventStreams) {
+    playlist.inbandEventStreams = attributes.inbandEventStreams;
+  }
+
+  if (attributes.baseUrls) {
+    playlist.baseUrls = attributes.baseUrls;
+  }
+
   if (sidx) {
     playlist.sidx = sidx;
   }
@@ -97,7 +94,7 @@ export const formatVttPlaylist = ({ attributes, segments }) => {
     // vtt tracks may use single file in BaseURL
     segments = [{
       uri: attributes.baseUrl,
-      timeline: attributes.periodIndex,
+      timeline: attributes.periodStart,
       resolvedUri: attributes.baseUrl || '',
       duration: attributes.sourceDuration,
       number: 0
@@ -115,32 +112,237 @@ export const formatVttPlaylist = ({ attributes, segments }) => {
   if (attributes.codecs) {
     m3u8Attributes.CODECS = attributes.codecs;
   }
-  return {
+  const playlist = {
     attributes: m3u8Attributes,
     uri: '',
     endList: (attributes.type || 'static') === 'static',
-    timeline: attributes.periodIndex,
+    timeline: attributes.periodStart,
     resolvedUri: attributes.baseUrl || '',
     targetDuration: attributes.duration,
     segments,
     mediaSequence: segments.length ? segments[0].number : 1
   };
+
+  if (attributes.baseUrls) {
+    playlist.baseUrls = attributes.baseUrls;
+  }
+
+  return playlist;
+};
+
+const ROLE_SCHEME = 'urn:mpeg:dash:role:2011';
+const AUDIO_PURPOSE_SCHEME = 'urn:tva:metadata:cs:AudioPurposeCS:2007';
+
+// TV-Anytime audio purposes, also used by DVB for hard of hearing subtitles
+const audioPurposes = {
+  1: 'description',
+  2: 'hard-of-hearing'
+};
+
+// HLS CHARACTERISTICS for the DASH purposes that have an equivalent
+const purposeCharacteristics = {
+  'description': ['public.accessibility.describes-video'],
+  'caption': [
+    'public.accessibility.transcribes-spoken-dialog',
+    'public.accessibility.describes-music-and-sound'
+  ],
+  'hard-of-hearing': [
+    'public.accessibility.transcribes-spoken-dialog',
+    'public.accessibility.describes-music-and-sound'
+  ],
+  'enhanced-audio-intelligibility': ['public.accessibility.enhances-speech-intelligibility']
+};
+
+// channel counts of the ISO/IEC 23001-8 ChannelConfiguration values
+const cicpChannels = {
+  1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 8, 9: 3, 10: 4, 11: 7, 12: 8, 13: 24, 14: 8,
+  15: 12, 16: 10, 17: 12, 18: 14, 19: 12, 20: 14
+};
+
+const channelParsers = {
+  'urn:mpeg:dash:23003:3:audio_channel_configuration:2011': (value) => parseInt(value, 10),
+  'urn:mpeg:mpegB:cicp:ChannelConfiguration': (value) => cicpChannels[value],
+  // a 16 bit mask of speaker positions, where some bits stand for a pair of speakers
+  'tag:dolby.com,2014:dash:audio_channel_configuration:2011': (value) => {
+    const mask = parseInt(value, 16);
+    const pairs = [5, 6, 9, 10, 11, 13];
+    let channels = 0;
+
+    for (let i = 0; i < 16; i++) {
+      if (mask & (0x8000 >> i)) {
+        channels += pairs.indexOf(i) >= 0 ? 2 : 1;
+      }
+    }
+
+    return channels;
+  }
+};
+
+/**
+ * Returns the values of the Role descriptors of a Representation that use the DASH role
+ * scheme
+ *
+ * @param {Object} attributes
+ *        The Representation attributes
+ * @return {string[]}
+ *         The distinct role values
+ */
+const getRoles = ({ roles = [] }) => {
+  const roleValues = roles
+    .filter(({ schemeIdUri, value }) =>
+      value && (!schemeIdUri || schemeIdUri === ROLE_SCHEME))
+    .map(({ value }) => value);
+
+  return roleValues.filter((value, i) => roleValues.indexOf(value) === i);
+};
+
+/**
+ * Returns the purposes of a Representation, which are its role values and the values of
+ * Accessibility descriptors that use either the DASH role scheme or the TV-Anytime audio
+ * purpose scheme
+ *
+ * @param {Object} attributes
+ *        The Representation attributes
+ * @return {string[]}
+ *         The distinct purposes, as DASH role values
+ */
+export const getPurposes = ({ roles = [], accessibility = [] }) => {
+  const purposes = getRoles({ roles: roles.concat(accessibility) });
+
+  accessibility.forEach(({ schemeIdUri, value }) => {
+    if (schemeIdUri === AUDIO_PURPOSE_SCHEME && audioPurposes[value]) {
+      purposes.push(audioPurposes[value]);
+    }
+  });
+
+  return purposes.filter((purpose, i) => purposes.indexOf(purpose) === i);
+};
+
+/**
+ * Converts purposes to the equivalent HLS CHARACTERISTICS, so that tracks of either
+ * format can be handled the same way
+ *
+ * @param {string[]} purposes
+ *        The purposes of a Representation
+ * @return {string|undefined}
+ *         Comma separated characteristics, or undefined if there are none
+ */
+export const toCharacteristics = (purposes) => {
+  const characteristics = [];
+
+  purposes.forEach((purpose) => {
+    (purposeCharacteristics[purpose] || []).forEach((characteristic) => {
+      if (characteristics.indexOf(characteristic) < 0) {
+        characteristics.push(characteristic);
+      }
+    });
+  });
+
+  return characteristics.length ? characteristics.join(',') : undefined;
+};
+
+/**
+ * Returns the number of audio channels signalled by the AudioChannelConfiguration of a
+ * Representation
+ *
+ * @param {Object} attributes
+ *        The Representation attributes
+ * @return {number|undefined}
+ *         The number of channels, or undefined if unknown
+ */
+export const getChannels = ({ audioChannelConfiguration }) => {
+  const parseChannels = audioChannelConfiguration &&
+    channelParsers[audioChannelConfiguration.schemeIdUri];
+  const channels = parseChannels && parseChannels(audioChannelConfiguration.value);
+
+  return channels > 0 ? channels : undefined;
+};
+
+/**
+ * Describes a number of audio channels for a track label. Stereo is the common case and
+ * is not described.
+ *
+ * @param {number|undefined} channels
+ *        The number of channels
+ * @return {string|undefined}
+ *         The description, if any
+ */
+const describeChannels = (channels) => {
+  if (!channels || channels === 2) {
+    return;
+  }
+
+  if (channels === 1) {
+    return 'mono';
+  }
+
+  if (channels === 6 || channels === 8) {
+    return `${channels - 1}.1`;
+  }
+
+  return `${channels} channels`;
+};
+
+/**
+ * Returns the label of a track, which is the content of its Label, or its language
+ * followed by the descriptions that set it apart from other tracks in that language
+ *
+ * @param {string} language
+ *        The language of the track
+ * @param {string[]} descriptions
+ *        Purposes and other descriptions of the track
+ * @param {string|undefined} label
+ *        The content of the Label of the track, if any
+ * @return {string}
+ *         The label
+ */
+const toLabel = (language, descriptions, label) => {
+  if (label) {
+    return label;
+  }
+
+  return descriptions.length ? `${language} (${descriptions.join(', ')})` : language;
+};
+
+/**
+ * Adds the roles and accessibility characteristics of a track to its media group
+ * properties, if it has any
+ *
+ * @param {Object} properties
+ *        The media group properties of the track
+ * @param {string[]} roles
+ *        The role values of the track
+ * @param {string[]} purposes
+ *        The purposes of the track
+ */
+const addTrackDescriptors = (properties, roles, purposes) => {
+  const characteristics = toCharacteristics(purposes);
+
+  if (roles.length) {
+    properties.roles = roles;
+  }
+
+  if (characteristics) {
+    properties.characteristics = characteristics;
+  }
 };
 
 export const organizeAudioPlaylists = (playlists, sidxMapping = {}) => {
   let mainPlaylist;
 
   const formattedPlaylists = playlists.reduce((a, playlist) => {
-    const role = playlist.attributes.role &&
-      playlist.attributes.role.value || '';
+    const roles = getRoles(playlist.attributes);
+    const purposes = getPurposes(playlist.attributes);
+    const channels = getChannels(playlist.attributes);
     const language = playlist.attributes.lang || '';
+    const main = roles.indexOf('main') >= 0;
 
-    let label = 'main';
+    let label = playlist.attributes.label || 'main';
 
     if (language) {
-      const roleLabel = role ? ` (${role})` : '';
+      const descriptions = purposes.concat(describeChannels(channels) || []);
 
-      label = `${playlist.attributes.lang}${roleLabel}`;
+      label = toLabel(language, descriptions, playlist.attributes.label);
     }
 
     // skip if we already have the highest quality audio for a language
@@ -153,7 +355,7 @@ export const organizeAudioPlaylists = (playlists, sidxMapping = {}) => {
     a[label] = {
       language,
       autoselect: true,
-      default: role === 'main',
+      default: main,
       playlists: addSegmentInfoFromSidx(
         [formatAudioPlaylist(playlist)],
         sidxMapping
@@ -161,7 +363,13 @@ export const organizeAudioPlaylists = (playlists, sidxMapping = {}) => {
       uri: ''
     };
 
-    if (typeof mainPlaylist === 'undefined' && role === 'main') {
+    addTrackDescriptors(a[label], roles, purposes);
+
+    if (channels) {
+      a[label].channels = channels;
+    }
+
+    if (typeof mainPlaylist === 'undefined' && main) {
       mainPlaylist = playlist;
       mainPlaylist.default = true;
     }
@@ -181,7 +389,10 @@ export const organizeAudioPlaylists = (playlists, sidxMapping = {}) => {
 
 export const organizeVttPlaylists = (playlists, sidxMapping = {}) => {
   return playlists.reduce((a, playlist) => {
-    const label = playlist.attributes.lang || 'text';
+    const roles = getRoles(playlist.attributes);
+    const purposes = getPurposes(playlist.attributes);
+    const language = playlist.attributes.lang || 'text';
+    const label = toLabel(language, purposes, playlist.attributes.label);
 
     // skip if we already have subtitles
     if (a[label]) {
@@ -189,7 +400,7 @@ export const organizeVttPlaylists = (playlists, sidxMapping = {}) => {
     }
 
     a[label] = {
-      language: label,
+      language,
       default: false,
       autoselect: false,
       playlists: addSegmentInfoFromSidx(
@@ -199,6 +410,14 @@ export const organizeVttPlaylists = (playlists, sidxMapping = {}) => {
       uri: ''
     };
 
+    addTrackDescriptors(a[label], roles, purposes);
+
+    // like forced HLS subtitles, these only cover foreign language dialog and are not
+    // offered as a track of their own
+    if (purposes.indexOf('forced-subtitle') >= 0) {
+      a[label].forced = true;
+    }
+
     return a;
   }, {});
 };
@@ -219,7 +438,7 @@ export const formatVideoPlaylist = ({ attributes, segments, sidx }) => {
     },
     uri: '',
     endList: (attributes.type || 'static') === 'static',
-    timeline: attributes.periodIndex,
+    timeline: attributes.periodStart,
     resolvedUri: '',
     targetDuration: attributes.duration,
     segments,
@@ -230,6 +449,18 @@ export const formatVideoPlaylist = ({ attributes, segments, sidx }) => {
     playlist.contentProtection = attributes.contentProtection;
   }
 
+  if (attributes.producerReferenceTime) {
+    playlist.producerReferenceTime = formatProducerReferenceTime(attributes);
+  }
+
+  if (attributes.inbandEventStreams) {
+    playlist.inbandEventStreams = attributes.inbandEventStreams;
+  }
+
+  if (attributes.baseUrls) {
+    playlist.baseUrls = attributes.baseUrls;
+  }
+
   if (sidx) {
     playlist.sidx = sidx;
   }
@@ -237,7 +468,281 @@ export const formatVideoPlaylist = ({ attributes, segments, sidx }) => {
   return playlist;
 };
 
-export const toM3u8 = (dashPlaylists, availabilityStartTime, locations, sidxMapping = {}) => {
+/**
+ * Returns what a playlist must share with the playlists of other Periods to continue
+ * them: its type of content, codecs, language and roles. Representation ids are not
+ * enough, as they often differ between Periods, for instance for inserted ads.
+ *
+ * @param {Object} playlist
+ *        The Representation playlist
+ * @return {string}
+ *         The key of the content of the playlist
+ */
+const getContentKey = ({ attributes }) => {
+  const type = (attributes.mimeType || attributes.contentType || '').split('/')[0];
+  const codecs = (attributes.codecs || '').split(',')
+    .map((codec) => codec.trim().split('.')[0])
+    .sort();
+
+  return JSON.stringify([type, codecs, attributes.lang || '', getRoles(attributes)]);
+};
+
+/**
+ * Returns the playlist of a Period that best continues a playlist of a previous Period.
+ * It must have the same content key, and the playlist with the same id or otherwise the
+ * closest bandwidth is preferred.
+ *
+ * @param {Object} reference
+ *        The playlist to continue
+ * @param {Object[]} periodPlaylists
+ *        The playlists of the Period
+ * @return {Object|undefined}
+ *         The playlist that continues the reference playlist, if any
+ */
+const findPeriodMatch = (reference, periodPlaylists) => {
+  const key = getContentKey(reference);
+  const bandwidth = reference.attributes.bandwidth || 0;
+
+  return periodPlaylists
+    .filter((playlist) => getContentKey(playlist) === key)
+    .reduce((best, playlist) => {
+      if (!best || playlist.attributes.id === reference.attributes.id) {
+        return playlist;
+      }
+
+      if (best.attributes.id === reference.attributes.id) {
+        return best;
+      }
+
+      return Math.abs((playlist.attributes.bandwidth || 0) - bandwidth) <
+        Math.abs((best.attributes.bandwidth || 0) - bandwidth) ? playlist : best;
+    }, undefined);
+};
+
+/**
+ * Joins the playlists of all Periods into continuous playlists. The Period with the most
+ * playlists decides which playlists there are, and the playlists of every Period are
+ * matched to them by content, so an ad with its own bitrate ladder continues the playlists
+ * closest to its bitrates. The first segment of each Period after the first one is
+ * marked as a discontinuity, and the segments of each Period are on a timeline of the
+ * Period start, so the timestamp offset is updated at each Period boundary.
+ *
+ * @param {Object[]} playlists
+ *        The Representation playlists of all Periods, in Period order
+ * @return {Object[]}
+ *         The continuous playlists
+ */
+const mergeDiscontiguousPlaylists = playlists => {
+  const periods = values(playlists.reduce((acc, playlist) => {
+    const periodStart = playlist.attributes.periodStart;
+
+    acc[periodStart] = acc[periodStart] || { periodStart, playlists: [] };
+    acc[periodStart].playlists.push(playlist);
+
+    return acc;
+  }, {})).sort((a, b) => a.periodStart - b.periodStart);
+
+  if (!periods.length) {
+    return [];
+  }
+
+  const referencePeriod = periods.reduce((best, period) =>
+    period.playlists.length > best.playlists.length ? period : best);
+  const references = referencePeriod.playlists.slice();
+  const contentKeys = references.map(getContentKey);
+
+  // content only found in other Periods, for instance a language that is added later,
+  // is kept in playlists of its own
+  periods.forEach((period) => {
+    const periodKeys = [];
+
+    period.playlists.forEach((playlist) => {
+      const key = getContentKey(playlist);
+
+      if (contentKeys.indexOf(key) === -1 || periodKeys.indexOf(key) !== -1) {
+        references.push(playlist);
+        periodKeys.push(key);
+      }
+    });
+    contentKeys.push(...periodKeys);
+  });
+
+  const mergedPlaylists = references.map((reference) => {
+    let merged;
+
+    periods.forEach((period) => {
+      const match = findPeriodMatch(reference, period.playlists);
+
+      if (!match) {
+        return;
+      }
+
+      // several playlists may continue with the same playlist of a Period
+      const segments = (match.segments || []).map((segment) => Object.assign({}, segment));
+
+      if (!merged) {
+        // the playlist starts on the timeline of the first Period it is in
+        merged = Object.assign({}, match, {
+          attributes: Object.assign({}, reference.attributes, {
+            periodStart: match.attributes.periodStart
+          }),
+          segments
+        });
+        return;
+      }
+
+      // first segment of subsequent periods signal a discontinuity
+      if (segments[0]) {
+        segments[0].discontinuity = true;
+      }
+      merged.segments.push(...segments);
+
+      // bubble up contentProtection, this assumes all DRM content
+      // has the same contentProtection
+      if (match.attributes.contentProtection) {
+        merged.attributes.contentProtection = match.attributes.contentProtection;
+      }
+    });
+
+    return merged;
+  });
+
+  return mergedPlaylists.map(playlist => {
+    playlist.discontinuityStarts =
+        findIndexes(playlist.segments, 'discontinuity');
+
+    return playlist;
+  });
+};
+
+const TRICK_MODE_SCHEME = 'http://dashif.org/guidelines/trickmode';
+
+/**
+ * Returns the id of the AdaptationSet that a trick-mode Representation provides fast
+ * forward and rewind for, as signalled by its trick-mode EssentialProperty
+ *
+ * @param {Object} attributes
+ *        The Representation attributes
+ * @return {string|undefined}
+ *         The id of the main AdaptationSet, or undefined if the Representation is not
+ *         for trick-mode playback
+ */
+export const getTrickModeFor = ({ essentialProperties = [] }) => {
+  const trickMode = essentialProperties.filter(({ schemeIdUri }) =>
+    schemeIdUri === TRICK_MODE_SCHEME)[0];
+
+  return trickMode && (trickMode.value || '');
+};
+
+/**
+ * Formats a trick-mode Representation, which usually only contains I-frames, as an
+ * I-frame playlist. These playlists are not suitable for regular playback, so they are
+ * kept apart from the master playlists.
+ *
+ * @param {Object} playlist
+ *        The trick-mode Representation playlist
+ * @return {Object}
+ *         The I-frame playlist
+ */
+export const formatIFramePlaylist = (playlist) => {
+  const iFramePlaylist = formatVideoPlaylist(playlist);
+
+  iFramePlaylist.iFramesOnly = true;
+  iFramePlaylist.trickModeFor = getTrickModeFor(playlist.attributes);
+
+  return iFramePlaylist;
+};
+
+const THUMBNAIL_TILE_SCHEMES = [
+  'http://dashif.org/thumbnail_tile',
+  'http://dashif.org/guidelines/thumbnail_tile'
+];
+
+/**
+ * Returns the grid of thumbnails each image of a thumbnail Representation is made of,
+ * as signalled by its thumbnail tile EssentialProperty
+ *
+ * @param {Object} attributes
+ *        The Representation attributes
+ * @return {Object}
+ *         The number of columns and rows of thumbnails in each image
+ */
+export const getThumbnailTiles = ({ essentialProperties = [] }) => {
+  const tile = essentialProperties.filter(({ schemeIdUri }) =>
+    THUMBNAIL_TILE_SCHEMES.indexOf(schemeIdUri) !== -1)[0];
+  const match = tile && (/^(\d+)x(\d+)$/).exec(tile.value || '');
+
+  if (!match || !parseInt(match[1], 10) || !parseInt(match[2], 10)) {
+    return { columns: 1, rows: 1 };
+  }
+
+  return {
+    columns: parseInt(match[1], 10),
+    rows: parseInt(match[2], 10)
+  };
+};
+
+/**
+ * Formats an image Representation as a thumbnail playlist. Each segment is an image of
+ * tiled thumbnails that evenly split the duration of the segment between them.
+ *
+ * @param {Object} playlist
+ *        The image Representation playlist
+ * @return {Object}
+ *         The thumbnail playlist
+ */
+export const formatImagePlaylist = ({ attributes, segments }) => {
+  const m3u8Attributes = {
+    NAME: attributes.id,
+    BANDWIDTH: attributes.bandwidth
+  };
+
+  if (attributes.width && attributes.height) {
+    m3u8Attributes.RESOLUTION = {
+      width: attributes.width,
+      height: attributes.height
+    };
+  }
+
+  if (attributes.codecs) {
+    m3u8Attributes.CODECS = attributes.codecs;
+  }
+
+  const tiles = getThumbnailTiles(attributes);
+
+  if (m3u8Attributes.RESOLUTION) {
+    tiles.width = attributes.width / tiles.columns;
+    tiles.height = attributes.height / tiles.rows;
+  }
+
+  const playlist = {
+    attributes: m3u8Attributes,
+    uri: '',
+    endList: (attributes.type || 'static') === 'static',
+    timeline: attributes.periodStart,
+    resolvedUri: '',
+    targetDuration: attributes.duration,
+    segments,
+    mediaSequence: segments.length ? segments[0].number : 1,
+    mimeType: attributes.mimeType,
+    tiles
+  };
+
+  if (attributes.baseUrls) {
+    playlist.baseUrls = attributes.baseUrls;
+  }
+
+  return playlist;
+};
+
+export const toM3u8 = (
+  dashPlaylists,
+  availabilityStartTime,
+  locations,
+  sidxMapping = {},
+  eventStream,
+  patchLocation
+) => {
   if (!dashPlaylists.length) {
     return {};
   }
@@ -247,7 +752,9 @@ export const toM3u8 = (dashPlaylists, availabilityStartTime, locations, sidxMapp
     sourceDuration: duration,
     type = 'static',
     suggestedPresentationDelay,
-    minimumUpdatePeriod
+    minimumUpdatePeriod,
+    publishTime,
+    serviceDescription
   } = dashPlaylists[0].attributes;
 
   const videoOnly = ({ attributes }) =>
@@ -256,10 +763,20 @@ export const toM3u8 = (dashPlaylists, availabilityStartTime, locations, sidxMapp
     attributes.mimeType === 'audio/mp4' || attributes.mimeType === 'audio/webm' || attributes.contentType === 'audio';
   const vttOnly = ({ attributes }) =>
     attributes.mimeType === 'text/vtt' || attributes.contentType === 'text';
+  const imageOnly = ({ attributes }) =>
+    (/^image\//).test(attributes.mimeType) || attributes.contentType === 'image';
+
+  const isTrickMode = ({ attributes }) => typeof getTrickModeFor(attributes) === 'string';
 
-  const videoPlaylists = mergeDiscontiguousPlaylists(dashPlaylists.filter(videoOnly)).map(formatVideoPlaylist);
+  const videoPlaylists = mergeDiscontiguousPlaylists(dashPlaylists.filter((playlist) =>
+    videoOnly(playlist) && !isTrickMode(playlist))).map(formatVideoPlaylist);
+  const iFramePlaylists = mergeDiscontiguousPlaylists(dashPlaylists.filter((playlist) =>
+    videoOnly(playlist) && isTrickMode(playlist))).map(formatIFramePlaylist);
   const audioPlaylists = mergeDiscontiguousPlaylists(dashPlaylists.filter(audioOnly));
   const vttPlaylists = dashPlaylists.filter(vttOnly);
+  // thumbnails are only supported as segmented images
+  const imagePlaylists = mergeDiscontiguousPlaylists(dashPlaylists.filter((playlist) =>
+    imageOnly(playlist) && playlist.segments)).map(formatImagePlaylist);
 
   const master = {
     allowCache: true,
@@ -289,6 +806,30 @@ export const toM3u8 = (dashPlaylists, availabilityStartTime, locations, sidxMapp
     master.suggestedPresentationDelay = suggestedPresentationDelay;
   }
 
+  if (publishTime) {
+    master.publishTime = publishTime;
+  }
+
+  if (serviceDescription) {
+    master.serviceDescription = serviceDescription;
+  }
+
+  if (eventStream && eventStream.length) {
+    master.eventStream = eventStream;
+  }
+
+  if (patchLocation) {
+    master.patchLocation = patchLocation;
+  }
+
+  if (iFramePlaylists.length) {
+    master.iFramePlaylists = addSegmentInfoFromSidx(iFramePlaylists, sidxMapping);
+  }
+
+  if (imagePlaylists.length) {
+    master.imagePlaylists = imagePlaylists;
+  }
+
   if (audioPlaylists.length) {
     master.mediaGroups.AUDIO.audio = organizeAudioPlaylists(audioPlaylists, sidxMapping);
   }
@@ -29,6 +29,12 @@ export const parseDate = (str) => {
   // YYY-MM-DDThh:mm:ss.ssssss
   const dateRegex = /^\d+-\d+-\d+T\d+:\d+:\d+(\.\d+)?$/;
 
+  // Time servers may respond with whitespace around the date, a space between the date
+  // and time, or more fractional digits than every browser can parse
+  str = str.trim()
+    .replace(/^(\d+-\d+-\d+) (\d)/, '$1T$2')
+    .replace(/(:\d+\.\d{3})\d+/, '$1');
+
   // If the date string does not specifiy a timezone, we must specifiy UTC. This is
   // expressed by ending with 'Z'
   if (dateRegex.test(str)) {
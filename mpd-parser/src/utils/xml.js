@@ -4,3 +4,19 @@ export const findChildren = (element, name) =>
   from(element.childNodes).filter(({tagName}) => tagName === name);
 
 export const getContent = element => element.textContent.trim();
+
+/**
+ * Returns the @id of the Period node that contains the provided node, if any
+ *
+ * @param {Node} node
+ *        A node of the MPD
+ * @return {string|null}
+ *         The id of the Period, or null if the node is not part of a Period
+ */
+export const getPeriodId = (node) => {
+  while (node && node.tagName !== 'Period') {
+    node = node.parentNode;
+  }
+
+  return node ? node.getAttribute('id') : null;
+};
@@ -0,0 +1,184 @@
+import { applyPatch, selectNode, stringToPatchXml } from '../src/applyPatch';
+import { stringToMpdXml } from '../src/stringToMpdXml';
+import { findChildren } from '../src/utils/xml';
+import { parse } from '../src';
+import errors from '../src/errors';
+import QUnit from 'qunit';
+
+const mpdString = `
+  <MPD id="live" type="dynamic" publishTime="2021-01-01T00:00:00Z"
+    availabilityStartTime="2021-01-01T00:00:00Z" minimumUpdatePeriod="PT2S">
+    <PatchLocation ttl="60">patch.mpd</PatchLocation>
+    <Period id="p0" start="PT0S">
+      <AdaptationSet id="1" mimeType="video/mp4">
+        <SegmentTemplate timescale="1" media="$Time$.m4s">
+          <SegmentTimeline>
+            <S t="0" d="2" r="1" />
+          </SegmentTimeline>
+        </SegmentTemplate>
+        <Representation id="v1" bandwidth="1000" width="640" height="360" />
+      </AdaptationSet>
+    </Period>
+    <Period id="p1" start="PT4S">
+      <AdaptationSet id="1" mimeType="video/mp4">
+        <SegmentTemplate timescale="1" media="$Time$.m4s" presentationTimeOffset="4">
+          <SegmentTimeline>
+            <S t="4" d="2" />
+          </SegmentTimeline>
+        </SegmentTemplate>
+        <Representation id="v1" bandwidth="1000" width="640" height="360" />
+      </AdaptationSet>
+    </Period>
+  </MPD>
+`;
+
+const patchString = (operations, originalPublishTime = '2021-01-01T00:00:00Z') => `
+  <Patch xmlns="urn:mpeg:dash:schema:mpd-patch:2020" mpdId="live"
+    originalPublishTime="${originalPublishTime}" publishTime="2021-01-01T00:00:02Z">
+    ${operations}
+  </Patch>
+`;
+
+const timeline = (mpd, periodId) =>
+  findChildren(selectNode(
+    mpd,
+    `/MPD/Period[@id='${periodId}']/AdaptationSet[1]/SegmentTemplate/SegmentTimeline`
+  ).element, 'S');
+
+QUnit.module('stringToPatchXml');
+
+QUnit.test('returns the Patch node', function(assert) {
+  assert.equal(stringToPatchXml(patchString('')).tagName, 'Patch', 'parsed the patch');
+});
+
+QUnit.test('throws on invalid patches', function(assert) {
+  assert.throws(() => stringToPatchXml('<test'), new RegExp(errors.DASH_INVALID_PATCH));
+  assert.throws(() => stringToPatchXml('<MPD />'), new RegExp(errors.DASH_INVALID_PATCH));
+});
+
+QUnit.module('selectNode');
+
+QUnit.test('selects elements and attributes', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+
+  assert.equal(selectNode(mpd, '/MPD').element, mpd, 'selects the MPD');
+  assert.equal(
+    selectNode(mpd, '/MPD/Period[@id="p1"]').element.getAttribute('start'),
+    'PT4S',
+    'selects by attribute'
+  );
+  assert.equal(
+    selectNode(mpd, '/MPD/Period[2]').element.getAttribute('id'),
+    'p1',
+    'selects by position'
+  );
+  assert.deepEqual(
+    selectNode(mpd, "/MPD/Period[@id='p0']/@start"),
+    { element: findChildren(mpd, 'Period')[0], attribute: 'start' },
+    'selects an attribute'
+  );
+});
+
+QUnit.test('throws when the selector does not match one element', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+  const error = new RegExp(errors.DASH_INVALID_PATCH);
+
+  assert.throws(() => selectNode(mpd, 'MPD/Period[1]'), error, 'relative path');
+  assert.throws(() => selectNode(mpd, '/MPD/Period'), error, 'multiple matches');
+  assert.throws(() => selectNode(mpd, '/MPD/Period[@id="p2"]'), error, 'no match');
+  assert.throws(() => selectNode(mpd, '/MPD/Period[last()]'), error, 'unsupported');
+});
+
+QUnit.module('applyPatch');
+
+QUnit.test('adds, replaces and removes nodes and attributes', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+
+  applyPatch(mpd, patchString(`
+    <add sel="/MPD/Period[@id='p1']/AdaptationSet[1]/SegmentTemplate/SegmentTimeline">
+      <S t="6" d="2" />
+    </add>
+    <add sel="/MPD/Period[@id='p1']/AdaptationSet[1]/SegmentTemplate/SegmentTimeline/S[1]"
+      pos="before"><S t="2" d="2" /></add>
+    <add sel="/MPD/Period[@id='p1']" type="@duration">PT6S</add>
+    <replace sel="/MPD/@minimumUpdatePeriod">PT4S</replace>
+    <replace sel="/MPD/PatchLocation"><PatchLocation>patch2.mpd</PatchLocation></replace>
+    <remove sel="/MPD/Period[@id='p0']/AdaptationSet[1]/SegmentTemplate/SegmentTimeline/S[1]/@r" />
+  `));
+
+  assert.deepEqual(
+    timeline(mpd, 'p1').map((s) => s.getAttribute('t')),
+    ['2', '4', '6'],
+    'added the segments'
+  );
+  assert.equal(
+    findChildren(mpd, 'Period')[1].getAttribute('duration'),
+    'PT6S',
+    'added the attribute'
+  );
+  assert.equal(mpd.getAttribute('minimumUpdatePeriod'), 'PT4S', 'replaced the attribute');
+  assert.equal(
+    findChildren(mpd, 'PatchLocation')[0].textContent,
+    'patch2.mpd',
+    'replaced the element'
+  );
+  assert.notOk(timeline(mpd, 'p0')[0].hasAttribute('r'), 'removed the attribute');
+  assert.equal(mpd.getAttribute('publishTime'), '2021-01-01T00:00:02Z', 'updated publishTime');
+
+  applyPatch(mpd, patchString(
+    '<remove sel="/MPD/Period[@id=\'p0\']" />',
+    '2021-01-01T00:00:02Z'
+  ));
+
+  assert.equal(findChildren(mpd, 'Period').length, 1, 'removed the Period');
+});
+
+QUnit.test('throws without changes when the patch is for another mpd', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+  const patch = patchString(
+    '<remove sel="/MPD/Period[@id=\'p0\']" />',
+    '2021-01-01T00:00:02Z'
+  );
+
+  assert.throws(() => applyPatch(mpd, patch), new RegExp(errors.DASH_PATCH_MISMATCH));
+  assert.equal(findChildren(mpd, 'Period').length, 2, 'did not change the mpd');
+});
+
+QUnit.test('reparses only the changed Periods', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+  const periodCache = {};
+  const NOW = Date.parse('2021-01-01T00:00:10Z');
+
+  parse(mpd, { periodCache, NOW });
+
+  const unchanged = periodCache.p0;
+
+  assert.deepEqual(Object.keys(periodCache), ['p0', 'p1'], 'cached both Periods');
+
+  applyPatch(mpd, patchString(`
+    <add sel="/MPD/Period[@id='p1']/AdaptationSet[1]/SegmentTemplate/SegmentTimeline">
+      <S t="6" d="2" />
+    </add>
+  `), periodCache);
+
+  assert.deepEqual(Object.keys(periodCache), ['p0'], 'dropped the changed Period');
+
+  const patched = parse(mpd, { periodCache, NOW });
+
+  assert.equal(periodCache.p0, unchanged, 'reused the unchanged Period');
+  assert.deepEqual(
+    patched,
+    parse(mpd.toString(), { NOW }),
+    'same result as parsing the patched mpd'
+  );
+  assert.deepEqual(
+    patched.patchLocation,
+    { ttl: 60, uri: 'patch.mpd' },
+    'includes the patch location'
+  );
+  assert.equal(
+    patched.publishTime,
+    Date.parse('2021-01-01T00:00:02Z') / 1000,
+    'includes the publish time of the patch'
+  );
+});
@@ -1,4 +1,4 @@
-import { parse, VERSION } from '../src';
+import { parse, parseUTCTiming, parseUTCTimings, VERSION } from '../src';
 import QUnit from 'qunit';
 
 QUnit.dump.maxDepth = Infinity;
@@ -95,3 +95,66 @@ QUnit.test('has parse', function(assert) {
     assert.deepEqual(actual, expected);
   });
 });
+
+const utcTimingMpd = `
+  <MPD>
+    <UTCTiming schemeIdUri="urn:mpeg:dash:utc:ntp:2014" value="time.example.com" />
+    <UTCTiming schemeIdUri="urn:mpeg:dash:utc:http-head:2014"
+      value="https://example.com/head" />
+    <UTCTiming schemeIdUri="urn:mpeg:dash:utc:http-xsdate:2014"
+      value="https://example.com/xsdate" />
+    <UTCTiming schemeIdUri="urn:mpeg:dash:utc:direct:2014"
+      value="2021-01-01T00:00:00" />
+  </MPD>
+`;
+
+QUnit.test('parseUTCTimings: parses supported UTCTimings in order', function(assert) {
+  assert.deepEqual(parseUTCTimings(utcTimingMpd), [{
+    schemeIdUri: 'urn:mpeg:dash:utc:http-head:2014',
+    value: 'https://example.com/head',
+    method: 'HEAD'
+  }, {
+    schemeIdUri: 'urn:mpeg:dash:utc:http-xsdate:2014',
+    value: 'https://example.com/xsdate',
+    method: 'GET'
+  }, {
+    schemeIdUri: 'urn:mpeg:dash:utc:direct:2014',
+    value: 1609459200000,
+    method: 'DIRECT'
+  }], 'skipped the ntp scheme');
+  assert.deepEqual(parseUTCTimings('<MPD></MPD>'), [], 'no UTCTimings');
+});
+
+QUnit.test('parseUTCTiming: parses the first supported UTCTiming', function(assert) {
+  assert.equal(parseUTCTiming(utcTimingMpd).method, 'HEAD', 'skipped the ntp scheme');
+  assert.strictEqual(parseUTCTiming('<MPD></MPD>'), null, 'no UTCTiming');
+});
+
+QUnit.test('parses chunked segments with an infinite availabilityTimeOffset', function(assert) {
+  const manifest = parse(`
+    <MPD type="dynamic" availabilityStartTime="1970-01-01T00:00:00Z"
+      minimumUpdatePeriod="PT0S" timeShiftBufferDepth="PT10S">
+      <Period id="0" start="PT0S">
+        <AdaptationSet mimeType="video/mp4">
+          <SegmentTemplate media="$Number$.m4s" initialization="init.mp4" duration="2"
+            startNumber="1" availabilityTimeOffset="INF"
+            availabilityTimeComplete="false" />
+          <Representation id="v0" bandwidth="1000" width="640" height="360"
+            codecs="avc1.4d401e" />
+        </AdaptationSet>
+      </Period>
+    </MPD>
+  `, { NOW: 61000, clientOffset: 0 });
+  const segments = manifest.playlists[0].segments;
+
+  assert.deepEqual(
+    segments.map(({ number }) => number),
+    [26, 27, 28, 29, 30, 31],
+    'the live window ends with the segment being produced'
+  );
+  assert.equal(
+    segments[segments.length - 1].availabilityStartTime,
+    60,
+    'the segment being produced is available from its start'
+  );
+});
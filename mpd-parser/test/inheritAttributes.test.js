@@ -1,9 +1,18 @@
 import {
   inheritAttributes,
   buildBaseUrls,
-  getSegmentInformation
+  sortBaseUrls,
+  getSegmentInformation,
+  getServiceDescription,
+  getProducerReferenceTime,
+  getInbandEventStreams,
+  getEssentialProperties,
+  getTrackDescriptors,
+  getPeriodStarts,
+  toEventStream
 } from '../src/inheritAttributes';
 import { stringToMpdXml } from '../src/stringToMpdXml';
+import { findChildren } from '../src/utils/xml';
 import errors from '../src/errors';
 import QUnit from 'qunit';
 import { toPlaylists } from '../src/toPlaylists';
@@ -11,23 +20,26 @@ import { toPlaylists } from '../src/toPlaylists';
 QUnit.module('buildBaseUrls');
 
 QUnit.test('returns reference urls when no BaseURL nodes', function(assert) {
-  const reference = ['https://example.com/', 'https://foo.com/'];
+  const reference = [{ baseUrl: 'https://example.com/' }, { baseUrl: 'https://foo.com/' }];
 
   assert.deepEqual(buildBaseUrls(reference, []), reference, 'returns reference urls');
 });
 
 QUnit.test('single reference url with single BaseURL node', function(assert) {
-  const reference = ['https://example.com'];
+  const reference = [{ baseUrl: 'https://example.com' }];
   const node = [{ textContent: 'bar/' }];
-  const expected = ['https://example.com/bar/'];
+  const expected = [{ baseUrl: 'https://example.com/bar/' }];
 
   assert.deepEqual(buildBaseUrls(reference, node), expected, 'builds base url');
 });
 
 QUnit.test('multiple reference urls with single BaseURL node', function(assert) {
-  const reference = ['https://example.com/', 'https://foo.com/'];
+  const reference = [{ baseUrl: 'https://example.com/' }, { baseUrl: 'https://foo.com/' }];
   const node = [{ textContent: 'bar/' }];
-  const expected = ['https://example.com/bar/', 'https://foo.com/bar/'];
+  const expected = [
+    { baseUrl: 'https://example.com/bar/' },
+    { baseUrl: 'https://foo.com/bar/' }
+  ];
 
   assert.deepEqual(
     buildBaseUrls(reference, node), expected,
@@ -36,36 +48,43 @@ QUnit.test('multiple reference urls with single BaseURL node', function(assert)
 });
 
 QUnit.test('multiple BaseURL nodes with single reference url', function(assert) {
-  const reference = ['https://example.com/'];
+  const reference = [{ baseUrl: 'https://example.com/' }];
   const nodes = [{ textContent: 'bar/' }, { textContent: 'baz/' }];
-  const expected = ['https://example.com/bar/', 'https://example.com/baz/'];
+  const expected = [
+    { baseUrl: 'https://example.com/bar/' },
+    { baseUrl: 'https://example.com/baz/' }
+  ];
 
   assert.deepEqual(buildBaseUrls(reference, nodes), expected, 'base url for each node');
 });
 
 QUnit.test('multiple reference urls with multiple BaseURL nodes', function(assert) {
-  const reference = ['https://example.com/', 'https://foo.com/', 'http://example.com'];
+  const reference = [
+    { baseUrl: 'https://example.com/' },
+    { baseUrl: 'https://foo.com/' },
+    { baseUrl: 'http://example.com' }
+  ];
   const nodes =
     [{ textContent: 'bar/' }, { textContent: 'baz/' }, { textContent: 'buzz/' }];
   const expected = [
-    'https://example.com/bar/',
-    'https://example.com/baz/',
-    'https://example.com/buzz/',
-    'https://foo.com/bar/',
-    'https://foo.com/baz/',
-    'https://foo.com/buzz/',
-    'http://example.com/bar/',
-    'http://example.com/baz/',
-    'http://example.com/buzz/'
+    { baseUrl: 'https://example.com/bar/' },
+    { baseUrl: 'https://example.com/baz/' },
+    { baseUrl: 'https://example.com/buzz/' },
+    { baseUrl: 'https://foo.com/bar/' },
+    { baseUrl: 'https://foo.com/baz/' },
+    { baseUrl: 'https://foo.com/buzz/' },
+    { baseUrl: 'http://example.com/bar/' },
+    { baseUrl: 'http://example.com/baz/' },
+    { baseUrl: 'http://example.com/buzz/' }
   ];
 
   assert.deepEqual(buildBaseUrls(reference, nodes), expected, 'creates all base urls');
 });
 
 QUnit.test('absolute BaseURL overwrites reference', function(assert) {
-  const reference = ['https://example.com'];
+  const reference = [{ baseUrl: 'https://example.com' }];
   const node = [{ textContent: 'https://foo.com/bar/' }];
-  const expected = ['https://foo.com/bar/'];
+  const expected = [{ baseUrl: 'https://foo.com/bar/' }];
 
   assert.deepEqual(
     buildBaseUrls(reference, node), expected,
@@ -73,6 +92,50 @@ QUnit.test('absolute BaseURL overwrites reference', function(assert) {
   );
 });
 
+QUnit.test('parses serviceLocation, dvb:priority and dvb:weight', function(assert) {
+  const reference = [{ baseUrl: 'https://example.com/', serviceLocation: 'a', priority: 1 }];
+  const nodes = findChildren(stringToMpdXml(`
+    <MPD xmlns:dvb="urn:dvb:dash:dash-extensions:2014-1">
+      <BaseURL serviceLocation="b" dvb:priority="2" dvb:weight="10">bar/</BaseURL>
+      <BaseURL>baz/</BaseURL>
+    </MPD>
+  `), 'BaseURL');
+  const expected = [{
+    baseUrl: 'https://example.com/bar/',
+    serviceLocation: 'b',
+    priority: 2,
+    weight: 10
+  }, {
+    baseUrl: 'https://example.com/baz/',
+    serviceLocation: 'a',
+    priority: 1
+  }];
+
+  assert.deepEqual(
+    buildBaseUrls(reference, nodes), expected,
+    'BaseURL attributes override inherited ones'
+  );
+});
+
+QUnit.module('sortBaseUrls');
+
+QUnit.test('orders base urls by priority then weight', function(assert) {
+  const baseUrls = [
+    { baseUrl: 'https://a.com/', priority: 2 },
+    { baseUrl: 'https://b.com/', priority: 1, weight: 1 },
+    { baseUrl: 'https://c.com/' },
+    { baseUrl: 'https://d.com/', priority: 1, weight: 5 }
+  ];
+
+  assert.deepEqual(sortBaseUrls(baseUrls).map(({ baseUrl }) => baseUrl), [
+    'https://d.com/',
+    'https://b.com/',
+    'https://c.com/',
+    'https://a.com/'
+  ], 'sorted base urls');
+  assert.equal(baseUrls[0].baseUrl, 'https://a.com/', 'does not modify the list');
+});
+
 QUnit.module('getSegmentInformation');
 
 QUnit.test('undefined Segment information when no Segment nodes', function(assert) {
@@ -174,6 +237,439 @@ QUnit.test('gets SegmentTemplate and SegmentTimeline attributes', function(asser
   );
 });
 
+QUnit.module('getServiceDescription');
+
+QUnit.test('undefined when there is no ServiceDescription', function(assert) {
+  const mpd = stringToMpdXml('<MPD><Period></Period></MPD>');
+
+  assert.equal(getServiceDescription(mpd), undefined, 'no service description');
+});
+
+QUnit.test('gets Latency and PlaybackRate in seconds and rates', function(assert) {
+  const mpd = stringToMpdXml(`
+    <MPD>
+      <ServiceDescription id="0">
+        <Latency target="3500" min="2000" max="6000" referenceId="0"/>
+        <PlaybackRate min="0.96" max="1.04"/>
+      </ServiceDescription>
+      <Period></Period>
+    </MPD>
+  `);
+
+  assert.deepEqual(getServiceDescription(mpd), {
+    latency: { target: 3.5, min: 2, max: 6 },
+    playbackRate: { min: 0.96, max: 1.04 }
+  }, 'service description');
+});
+
+QUnit.test('ignores missing and invalid values', function(assert) {
+  const mpd = stringToMpdXml(`
+    <MPD>
+      <ServiceDescription>
+        <Latency target="3000" max="foo"/>
+      </ServiceDescription>
+      <Period></Period>
+    </MPD>
+  `);
+
+  assert.deepEqual(getServiceDescription(mpd), {
+    latency: { target: 3 }
+  }, 'service description');
+});
+
+QUnit.test('is inherited by every Representation', function(assert) {
+  const actual = inheritAttributes(stringToMpdXml(`
+    <MPD>
+      <ServiceDescription>
+        <Latency target="3000"/>
+      </ServiceDescription>
+      <Period>
+        <AdaptationSet mimeType="video/mp4">
+          <Representation id="1" bandwidth="1"></Representation>
+        </AdaptationSet>
+      </Period>
+    </MPD>
+  `));
+
+  assert.deepEqual(
+    actual.representationInfo[0].attributes.serviceDescription,
+    { latency: { target: 3 } },
+    'service description is an mpd attribute'
+  );
+});
+
+QUnit.module('getProducerReferenceTime');
+
+QUnit.test('empty object when there is no ProducerReferenceTime', function(assert) {
+  const mpd = stringToMpdXml('<MPD></MPD>');
+
+  assert.deepEqual(getProducerReferenceTime(mpd), {}, 'no attributes');
+});
+
+QUnit.test('parses ProducerReferenceTime attributes', function(assert) {
+  const mpd = stringToMpdXml(`
+    <MPD>
+      <ProducerReferenceTime id="0" inband="true" type="encoder"
+        wallClockTime="2020-08-20T12:00:00Z" presentationTime="90000">
+        <UTCTiming schemeIdUri="urn:mpeg:dash:utc:http-xsdate:2014"
+          value="https://time.akamai.com/?iso"/>
+      </ProducerReferenceTime>
+    </MPD>
+  `);
+
+  assert.deepEqual(getProducerReferenceTime(mpd), {
+    producerReferenceTime: {
+      id: '0',
+      inband: true,
+      type: 'encoder',
+      wallClockTime: 1597924800,
+      presentationTime: 90000
+    }
+  }, 'parsed attributes');
+});
+
+QUnit.test('Representation ProducerReferenceTime overrides AdaptationSet', function(assert) {
+  const actual = inheritAttributes(stringToMpdXml(`
+    <MPD>
+      <Period>
+        <AdaptationSet mimeType="video/mp4">
+          <ProducerReferenceTime id="0" wallClockTime="2020-08-20T12:00:00Z"
+            presentationTime="0"/>
+          <Representation id="1" bandwidth="1">
+            <ProducerReferenceTime id="1" wallClockTime="2020-08-20T12:00:10Z"
+              presentationTime="10"/>
+          </Representation>
+          <Representation id="2" bandwidth="2"></Representation>
+        </AdaptationSet>
+      </Period>
+    </MPD>
+  `));
+
+  assert.deepEqual(
+    actual.representationInfo[0].attributes.producerReferenceTime,
+    { id: '1', wallClockTime: 1597924810, presentationTime: 10 },
+    'Representation ProducerReferenceTime'
+  );
+  assert.deepEqual(
+    actual.representationInfo[1].attributes.producerReferenceTime,
+    { id: '0', wallClockTime: 1597924800, presentationTime: 0 },
+    'inherited AdaptationSet ProducerReferenceTime'
+  );
+});
+
+QUnit.module('getInbandEventStreams');
+
+QUnit.test('parses InbandEventStream schemes', function(assert) {
+  const mpd = stringToMpdXml(`
+    <MPD>
+      <InbandEventStream schemeIdUri="urn:scte:scte35:2013:bin"/>
+      <InbandEventStream schemeIdUri="urn:mpeg:dash:event:2012" value="1"/>
+    </MPD>
+  `);
+
+  assert.deepEqual(getInbandEventStreams(stringToMpdXml('<MPD></MPD>')), {}, 'none');
+  assert.deepEqual(getInbandEventStreams(mpd), {
+    inbandEventStreams: [
+      { schemeIdUri: 'urn:scte:scte35:2013:bin', value: undefined },
+      { schemeIdUri: 'urn:mpeg:dash:event:2012', value: '1' }
+    ]
+  }, 'parsed schemes');
+});
+
+QUnit.module('getEssentialProperties');
+
+QUnit.test('parses EssentialProperty schemes', function(assert) {
+  const mpd = stringToMpdXml(`
+    <MPD>
+      <EssentialProperty schemeIdUri="http://dashif.org/guidelines/trickmode" value="1"/>
+    </MPD>
+  `);
+
+  assert.deepEqual(getEssentialProperties(stringToMpdXml('<MPD></MPD>')), {}, 'none');
+  assert.deepEqual(getEssentialProperties(mpd), {
+    essentialProperties: [
+      { schemeIdUri: 'http://dashif.org/guidelines/trickmode', value: '1' }
+    ]
+  }, 'parsed schemes');
+});
+
+QUnit.module('getTrackDescriptors');
+
+QUnit.test('parses Role, Accessibility, Label and AudioChannelConfiguration', function(assert) {
+  const mpd = stringToMpdXml(`
+    <MPD>
+      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="alternate"/>
+      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="dub"/>
+      <Accessibility schemeIdUri="urn:tva:metadata:cs:AudioPurposeCS:2007" value="1"/>
+      <Label>English (described)</Label>
+      <AudioChannelConfiguration
+        schemeIdUri="urn:mpeg:mpegB:cicp:ChannelConfiguration" value="6"/>
+    </MPD>
+  `);
+
+  assert.deepEqual(getTrackDescriptors(stringToMpdXml('<MPD></MPD>')), {}, 'none');
+  assert.deepEqual(getTrackDescriptors(mpd), {
+    roles: [
+      { schemeIdUri: 'urn:mpeg:dash:role:2011', value: 'alternate' },
+      { schemeIdUri: 'urn:mpeg:dash:role:2011', value: 'dub' }
+    ],
+    accessibility: [
+      { schemeIdUri: 'urn:tva:metadata:cs:AudioPurposeCS:2007', value: '1' }
+    ],
+    label: 'English (described)',
+    audioChannelConfiguration: {
+      schemeIdUri: 'urn:mpeg:mpegB:cicp:ChannelConfiguration',
+      value: '6'
+    }
+  }, 'parsed descriptors');
+});
+
+QUnit.test('Representations add to the descriptors of the AdaptationSet', function(assert) {
+  const actual = inheritAttributes(stringToMpdXml(`
+    <MPD>
+      <Period>
+        <AdaptationSet mimeType="audio/mp4" lang="en">
+          <Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/>
+          <AudioChannelConfiguration
+            schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="2"/>
+          <Representation id="1" bandwidth="1">
+            <Role schemeIdUri="urn:mpeg:dash:role:2011" value="commentary"/>
+            <AudioChannelConfiguration
+              schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="6"/>
+          </Representation>
+        </AdaptationSet>
+      </Period>
+    </MPD>
+  `));
+  const { roles, audioChannelConfiguration } = actual.representationInfo[0].attributes;
+
+  assert.deepEqual(
+    roles.map(({ value }) => value),
+    ['main', 'commentary'],
+    'roles of both'
+  );
+  assert.equal(audioChannelConfiguration.value, '6', 'Representation channels');
+});
+
+QUnit.module('ContentProtection');
+
+QUnit.test('parses key ids, pssh, PlayReady Objects and license urls', function(assert) {
+  const actual = inheritAttributes(stringToMpdXml(`
+    <MPD xmlns:cenc="urn:mpeg:cenc:2013" xmlns:mspr="urn:microsoft:playready"
+      xmlns:dashif="https://dashif.org/CPS">
+      <Period>
+        <AdaptationSet mimeType="video/mp4">
+          <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc"
+            cenc:default_KID="10000000-1000-1000-1000-10000000000A"/>
+          <ContentProtection schemeIdUri="urn:uuid:EDEF8BA9-79D6-4ACE-A3C8-27DCD51D21ED">
+            <cenc:pssh>AQID</cenc:pssh>
+          </ContentProtection>
+          <ContentProtection schemeIdUri="urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95">
+            <mspr:pro>BAUG</mspr:pro>
+          </ContentProtection>
+          <ContentProtection schemeIdUri="urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e">
+            <dashif:Laurl>https://example.com/clearkey</dashif:Laurl>
+          </ContentProtection>
+          <ContentProtection schemeIdUri="urn:uuid:00000000-0000-0000-0000-000000000000"/>
+          <Representation id="1" bandwidth="1"/>
+        </AdaptationSet>
+      </Period>
+    </MPD>
+  `));
+  const { contentProtection } = actual.representationInfo[0].attributes;
+  const defaultKid = '10000000-1000-1000-1000-10000000000a';
+
+  assert.deepEqual(
+    Object.keys(contentProtection),
+    [
+      'com.widevine.alpha',
+      'com.microsoft.playready',
+      'org.w3.clearkey',
+      'urn:uuid:00000000-0000-0000-0000-000000000000'
+    ],
+    'keyed by key system or scheme'
+  );
+  assert.deepEqual(
+    contentProtection['com.widevine.alpha'].pssh,
+    new Uint8Array([1, 2, 3]),
+    'pssh'
+  );
+  assert.deepEqual(
+    contentProtection['com.microsoft.playready'].pro,
+    new Uint8Array([4, 5, 6]),
+    'PlayReady Object'
+  );
+  assert.equal(
+    contentProtection['org.w3.clearkey'].laurl,
+    'https://example.com/clearkey',
+    'license url'
+  );
+  Object.keys(contentProtection).forEach((keySystem) => {
+    assert.equal(contentProtection[keySystem].defaultKid, defaultKid, `${keySystem} key id`);
+  });
+});
+
+QUnit.test('Representations add to the protection of the AdaptationSet', function(assert) {
+  const actual = inheritAttributes(stringToMpdXml(`
+    <MPD xmlns:cenc="urn:mpeg:cenc:2013">
+      <Period>
+        <AdaptationSet mimeType="video/mp4">
+          <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc"
+            cenc:default_KID="10000000-1000-1000-1000-100000000001"/>
+          <ContentProtection schemeIdUri="urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed">
+            <cenc:pssh>AQID</cenc:pssh>
+          </ContentProtection>
+          <Representation id="1" bandwidth="1"/>
+          <Representation id="2" bandwidth="2">
+            <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc"
+              cenc:default_KID="10000000-1000-1000-1000-100000000002"/>
+            <ContentProtection schemeIdUri="urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed">
+              <cenc:pssh>BAUG</cenc:pssh>
+            </ContentProtection>
+          </Representation>
+          <Representation id="3" bandwidth="3">
+            <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc"
+              cenc:default_KID="10000000-1000-1000-1000-100000000003"/>
+          </Representation>
+        </AdaptationSet>
+      </Period>
+    </MPD>
+  `));
+  const widevine = actual.representationInfo.map(({ attributes }) =>
+    attributes.contentProtection['com.widevine.alpha']);
+
+  assert.deepEqual(
+    widevine.map(({ defaultKid }) => defaultKid),
+    [
+      '10000000-1000-1000-1000-100000000001',
+      '10000000-1000-1000-1000-100000000002',
+      '10000000-1000-1000-1000-100000000003'
+    ],
+    'key id of each Representation'
+  );
+  assert.deepEqual(
+    widevine.map(({ pssh }) => pssh),
+    [new Uint8Array([1, 2, 3]), new Uint8Array([4, 5, 6]), new Uint8Array([1, 2, 3])],
+    'pssh of each Representation'
+  );
+});
+
+QUnit.module('toEventStream');
+
+QUnit.test('parses the events of each EventStream', function(assert) {
+  const period = stringToMpdXml(`
+    <MPD>
+      <EventStream schemeIdUri="urn:scte:scte35:2014:xml+bin" timescale="90000"
+        presentationTimeOffset="90000">
+        <Event presentationTime="270000" duration="180000" id="1">
+          <Signal><Binary>/DAlAAAAAAAAAP/wFAUAAAABf+/+</Binary></Signal>
+        </Event>
+      </EventStream>
+      <EventStream schemeIdUri="urn:custom" value="ad">
+        <Event presentationTime="5" id="2" messageData="hello"/>
+      </EventStream>
+    </MPD>
+  `);
+
+  assert.deepEqual(toEventStream(period, 10), [{
+    schemeIdUri: 'urn:scte:scte35:2014:xml+bin',
+    value: undefined,
+    id: '1',
+    start: 12,
+    end: 14,
+    messageData: '/DAlAAAAAAAAAP/wFAUAAAABf+/+'
+  }, {
+    schemeIdUri: 'urn:custom',
+    value: 'ad',
+    id: '2',
+    start: 15,
+    end: 15,
+    messageData: 'hello'
+  }], 'parsed events relative to the period start');
+});
+
+QUnit.test('inheritAttributes collects the events of every Period', function(assert) {
+  const actual = inheritAttributes(stringToMpdXml(`
+    <MPD>
+      <Period start="PT0S">
+        <EventStream schemeIdUri="urn:custom">
+          <Event presentationTime="1" id="1"/>
+        </EventStream>
+        <AdaptationSet mimeType="video/mp4">
+          <Representation id="1" bandwidth="1"></Representation>
+        </AdaptationSet>
+      </Period>
+      <Period start="PT30S">
+        <EventStream schemeIdUri="urn:custom">
+          <Event presentationTime="1" id="2"/>
+        </EventStream>
+        <AdaptationSet mimeType="video/mp4">
+          <InbandEventStream schemeIdUri="urn:mpeg:dash:event:2012"/>
+          <Representation id="2" bandwidth="1"></Representation>
+        </AdaptationSet>
+      </Period>
+    </MPD>
+  `));
+
+  assert.deepEqual(
+    actual.eventStream.map(({ id, start }) => ({ id, start })),
+    [{ id: '1', start: 1 }, { id: '2', start: 31 }],
+    'events of both periods'
+  );
+  assert.deepEqual(
+    actual.representationInfo[1].attributes.inbandEventStreams,
+    [{ schemeIdUri: 'urn:mpeg:dash:event:2012', value: undefined }],
+    'InbandEventStream inherited from the AdaptationSet'
+  );
+});
+
+QUnit.module('getPeriodStarts');
+
+QUnit.test('uses Period@start or the end of the previous Period', function(assert) {
+  const periods = findChildren(stringToMpdXml(`
+    <MPD>
+      <Period duration="PT10S"></Period>
+      <Period duration="PT5.5S"></Period>
+      <Period start="PT30S"></Period>
+      <Period></Period>
+    </MPD>
+  `), 'Period');
+
+  assert.deepEqual(
+    getPeriodStarts(periods),
+    [0, 10, 30, null],
+    'starts of the Periods'
+  );
+});
+
+QUnit.test('inheritAttributes leaves out Periods without a known start', function(assert) {
+  const actual = inheritAttributes(stringToMpdXml(`
+    <MPD>
+      <Period id="main" duration="PT30S">
+        <AdaptationSet mimeType="video/mp4">
+          <Representation id="1" bandwidth="1"></Representation>
+        </AdaptationSet>
+      </Period>
+      <Period id="ad">
+        <AdaptationSet mimeType="video/mp4">
+          <Representation id="2" bandwidth="1"></Representation>
+        </AdaptationSet>
+      </Period>
+      <Period id="unknown">
+        <AdaptationSet mimeType="video/mp4">
+          <Representation id="3" bandwidth="1"></Representation>
+        </AdaptationSet>
+      </Period>
+    </MPD>
+  `));
+
+  assert.deepEqual(
+    actual.representationInfo.map(({ attributes }) => attributes.periodStart),
+    [0, 30],
+    'Period starts of the Representations'
+  );
+});
+
 QUnit.module('inheritAttributes');
 
 QUnit.test('needs at least one Period', function(assert) {
@@ -221,10 +717,14 @@ QUnit.test('end to end - basic', function(assert) {
         id: 'test',
         mediaPresentationDuration: 30,
         mimeType: 'video/mp4',
-        periodIndex: 0,
+        periodStart: 0,
         role: {
           value: 'main'
         },
+        roles: [{
+          schemeIdUri: undefined,
+          value: 'main'
+        }],
         sourceDuration: 30,
         width: 720,
         NOW,
@@ -241,7 +741,7 @@ QUnit.test('end to end - basic', function(assert) {
         lang: 'en',
         mediaPresentationDuration: 30,
         mimeType: 'text/vtt',
-        periodIndex: 0,
+        periodStart: 0,
         role: {},
         sourceDuration: 30,
         NOW,
@@ -297,10 +797,14 @@ QUnit.test('end to end - inherits BaseURL from all levels', function(assert) {
         id: 'test',
         mediaPresentationDuration: 30,
         mimeType: 'video/mp4',
-        periodIndex: 0,
+        periodStart: 0,
         role: {
           value: 'main'
         },
+        roles: [{
+          schemeIdUri: undefined,
+          value: 'main'
+        }],
         sourceDuration: 30,
         width: 720,
         NOW
@@ -316,7 +820,7 @@ QUnit.test('end to end - inherits BaseURL from all levels', function(assert) {
         lang: 'en',
         mediaPresentationDuration: 30,
         mimeType: 'text/vtt',
-        periodIndex: 0,
+        periodStart: 0,
         role: {},
         sourceDuration: 30,
         NOW,
@@ -365,78 +869,25 @@ QUnit.test('end to end - alternate BaseURLs', function(assert) {
       attributes: {
         bandwidth: 5000000,
         baseUrl: 'https://www.example.com/base/segments/',
+        baseUrls: [
+          { baseUrl: 'https://www.example.com/base/segments/' },
+          { baseUrl: 'https://www.example.com/base/media/' },
+          { baseUrl: 'https://www.test.com/base/segments/' },
+          { baseUrl: 'https://www.test.com/base/media/' }
+        ],
         codecs: 'avc1.64001e',
         height: 404,
         id: 'test',
         mediaPresentationDuration: 30,
         mimeType: 'video/mp4',
-        periodIndex: 0,
+        periodStart: 0,
         role: {
           value: 'main'
         },
-        sourceDuration: 30,
-        width: 720,
-        NOW,
-        clientOffset: 0
-      },
-      segmentInfo: {
-        template: {}
-      }
-    }, {
-      attributes: {
-        bandwidth: 5000000,
-        baseUrl: 'https://www.example.com/base/media/',
-        codecs: 'avc1.64001e',
-        height: 404,
-        id: 'test',
-        mediaPresentationDuration: 30,
-        mimeType: 'video/mp4',
-        periodIndex: 0,
-        role: {
+        roles: [{
+          schemeIdUri: undefined,
           value: 'main'
-        },
-        sourceDuration: 30,
-        width: 720,
-        NOW,
-        clientOffset: 0
-      },
-      segmentInfo: {
-        template: {}
-      }
-    }, {
-      attributes: {
-        bandwidth: 5000000,
-        baseUrl: 'https://www.test.com/base/segments/',
-        codecs: 'avc1.64001e',
-        height: 404,
-        id: 'test',
-        mediaPresentationDuration: 30,
-        mimeType: 'video/mp4',
-        periodIndex: 0,
-        role: {
-          value: 'main'
-        },
-        sourceDuration: 30,
-        width: 720,
-        NOW,
-        clientOffset: 0
-      },
-      segmentInfo: {
-        template: {}
-      }
-    }, {
-      attributes: {
-        bandwidth: 5000000,
-        baseUrl: 'https://www.test.com/base/media/',
-        codecs: 'avc1.64001e',
-        height: 404,
-        id: 'test',
-        mediaPresentationDuration: 30,
-        mimeType: 'video/mp4',
-        periodIndex: 0,
-        role: {
-          value: 'main'
-        },
+        }],
         sourceDuration: 30,
         width: 720,
         NOW,
@@ -453,22 +904,7 @@ QUnit.test('end to end - alternate BaseURLs', function(assert) {
         lang: 'en',
         mediaPresentationDuration: 30,
         mimeType: 'text/vtt',
-        periodIndex: 0,
-        role: {},
-        sourceDuration: 30,
-        NOW,
-        clientOffset: 0
-      },
-      segmentInfo: {}
-    }, {
-      attributes: {
-        bandwidth: 256,
-        baseUrl: 'https://example.com/en.vtt',
-        id: 'en',
-        lang: 'en',
-        mediaPresentationDuration: 30,
-        mimeType: 'text/vtt',
-        periodIndex: 0,
+        periodStart: 0,
         role: {},
         sourceDuration: 30,
         NOW,
@@ -478,7 +914,7 @@ QUnit.test('end to end - alternate BaseURLs', function(assert) {
     }]
   };
 
-  assert.equal(actual.representationInfo.length, 6);
+  assert.equal(actual.representationInfo.length, 2);
   assert.deepEqual(actual, expected);
 });
 
@@ -531,10 +967,14 @@ QUnit.test(
           id: 'test',
           mediaPresentationDuration: 30,
           mimeType: 'video/mp6',
-          periodIndex: 0,
+          periodStart: 0,
           role: {
             value: 'main'
           },
+          roles: [{
+            schemeIdUri: undefined,
+            value: 'main'
+          }],
           sourceDuration: 30,
           width: 720,
           NOW,
@@ -554,11 +994,15 @@ QUnit.test(
           baseUrl: 'https://www.example.com/base/',
           mediaPresentationDuration: 30,
           mimeType: 'video/mp4',
-          periodIndex: 0,
+          periodStart: 0,
           height: 545,
           role: {
             value: 'main'
           },
+          roles: [{
+            schemeIdUri: undefined,
+            value: 'main'
+          }],
           sourceDuration: 30,
           NOW,
           clientOffset: 0
@@ -580,7 +1024,7 @@ QUnit.test(
           lang: 'en',
           mediaPresentationDuration: 30,
           mimeType: 'text/vtt',
-          periodIndex: 0,
+          periodStart: 0,
           role: {},
           sourceDuration: 30,
           NOW,
@@ -640,10 +1084,14 @@ QUnit.test(
           id: 'test',
           mediaPresentationDuration: 30,
           mimeType: 'video/mp6',
-          periodIndex: 0,
+          periodStart: 0,
           role: {
             value: 'main'
           },
+          roles: [{
+            schemeIdUri: undefined,
+            value: 'main'
+          }],
           sourceDuration: 30,
           width: 720,
           NOW,
@@ -663,11 +1111,15 @@ QUnit.test(
           baseUrl: 'https://www.example.com/base/',
           mediaPresentationDuration: 30,
           mimeType: 'video/mp4',
-          periodIndex: 0,
+          periodStart: 0,
           height: 545,
           role: {
             value: 'main'
           },
+          roles: [{
+            schemeIdUri: undefined,
+            value: 'main'
+          }],
           sourceDuration: 30,
           NOW,
           clientOffset: 0
@@ -689,7 +1141,7 @@ QUnit.test(
           lang: 'en',
           mediaPresentationDuration: 30,
           mimeType: 'text/vtt',
-          periodIndex: 0,
+          periodStart: 0,
           role: {},
           sourceDuration: 30,
           NOW,
@@ -757,10 +1209,14 @@ QUnit.test(
           id: 'test',
           mediaPresentationDuration: 30,
           mimeType: 'video/mp6',
-          periodIndex: 0,
+          periodStart: 0,
           role: {
             value: 'main'
           },
+          roles: [{
+            schemeIdUri: undefined,
+            value: 'main'
+          }],
           sourceDuration: 30,
           width: 720,
           NOW,
@@ -781,11 +1237,15 @@ QUnit.test(
           baseUrl: 'https://www.example.com/base/',
           mediaPresentationDuration: 30,
           mimeType: 'video/mp4',
-          periodIndex: 0,
+          periodStart: 0,
           height: 545,
           role: {
             value: 'main'
           },
+          roles: [{
+            schemeIdUri: undefined,
+            value: 'main'
+          }],
           sourceDuration: 30,
           NOW,
           clientOffset: 0
@@ -807,7 +1267,7 @@ QUnit.test(
           lang: 'en',
           mediaPresentationDuration: 30,
           mimeType: 'text/vtt',
-          periodIndex: 0,
+          periodStart: 0,
           role: {},
           sourceDuration: 30,
           NOW,
@@ -885,12 +1345,16 @@ QUnit.test(
         lang: 'es',
         mediaPresentationDuration: 30,
         mimeType: 'video/mp6',
-        periodIndex: 0,
+        periodStart: 0,
         startNumber: 0,
         timescale: 48000,
         role: {
           value: 'main'
         },
+        roles: [{
+          schemeIdUri: undefined,
+          value: 'main'
+        }],
         clientOffset: 0,
         initialization: {
           sourceURL: '$RepresentationID$/es/init.m4f'
@@ -1072,10 +1536,14 @@ QUnit.test(
         id: '125000',
         mediaPresentationDuration: 30,
         mimeType: 'video/mp4',
-        periodIndex: 0,
+        periodStart: 0,
         role: {
           value: 'main'
         },
+        roles: [{
+          schemeIdUri: undefined,
+          value: 'main'
+        }],
         segmentAlignment: 'true',
         sourceDuration: 30,
         startWithSAP: '1',
@@ -1319,10 +1787,14 @@ QUnit.test('Test to check use of either Segment Template or Segment List when bo
       lang: 'es',
       mediaPresentationDuration: 30,
       mimeType: 'video/mp6',
-      periodIndex: 0,
+      periodStart: 0,
       role: {
         value: 'main'
       },
+      roles: [{
+        schemeIdUri: undefined,
+        value: 'main'
+      }],
       segmentAlignment: 'true',
       sourceDuration: 30,
       width: 720,
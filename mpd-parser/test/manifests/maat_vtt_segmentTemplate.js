@@ -10,6 +10,7 @@ export const parsedManifest = {
           autoselect: true,
           default: true,
           language: 'en',
+          roles: ['main'],
           playlists: [{
             attributes: {
               BANDWIDTH: 125000,
@@ -22,7 +23,8 @@ export const parsedManifest = {
                 attributes: {
                   schemeIdUri: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'
                 },
-                pssh: new Uint8Array([181, 235, 45])
+                pssh: new Uint8Array([181, 235, 45]),
+                defaultKid: 'aaa'
               }
             },
             endList: true,
@@ -91,7 +93,8 @@ export const parsedManifest = {
                 attributes: {
                   schemeIdUri: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'
                 },
-                pssh: new Uint8Array([181, 235, 45])
+                pssh: new Uint8Array([181, 235, 45]),
+                defaultKid: 'aaa'
               }
             },
             endList: true,
@@ -223,7 +226,8 @@ export const parsedManifest = {
         attributes: {
           schemeIdUri: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'
         },
-        pssh: new Uint8Array([181, 235, 45])
+        pssh: new Uint8Array([181, 235, 45]),
+        defaultKid: 'aaa'
       }
     },
     endList: true,
@@ -291,7 +295,8 @@ export const parsedManifest = {
         attributes: {
           schemeIdUri: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'
         },
-        pssh: new Uint8Array([181, 235, 45])
+        pssh: new Uint8Array([181, 235, 45]),
+        defaultKid: 'aaa'
       }
     },
     endList: true,
@@ -8,6 +8,7 @@ export const parsedManifest = {
       audio: {
         'en (main)': {
           language: 'en',
+          roles: ['main'],
           autoselect: true,
           default: true,
           playlists: [{
@@ -54,7 +55,7 @@ export const parsedManifest = {
               number: 2
             }, {
               uri: 'https://example.com/default_audio128_2/segment3.m4f',
-              timeline: 1,
+              timeline: 5.972633333,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment3.m4f',
               map: {
@@ -65,7 +66,7 @@ export const parsedManifest = {
               discontinuity: true
             }, {
               uri: 'https://example.com/default_audio128_2/segment4.m4f',
-              timeline: 1,
+              timeline: 5.972633333,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment4.m4f',
               map: {
@@ -75,7 +76,7 @@ export const parsedManifest = {
               number: 4
             }, {
               uri: 'https://example.com/default_audio128_2/segment5.m4f',
-              timeline: 1,
+              timeline: 5.972633333,
               duration: 0.8591383219954648,
               resolvedUri: 'https://example.com/default_audio128_2/segment5.m4f',
               map: {
@@ -85,7 +86,7 @@ export const parsedManifest = {
               number: 5
             }, {
               uri: 'https://example.com/default_audio128_2/segment6.m4f',
-              timeline: 2,
+              timeline: 10.810799998,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment6.m4f',
               map: {
@@ -96,7 +97,7 @@ export const parsedManifest = {
               discontinuity: true
             }, {
               uri: 'https://example.com/default_audio128_2/segment7.m4f',
-              timeline: 2,
+              timeline: 10.810799998,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment7.m4f',
               map: {
@@ -106,7 +107,7 @@ export const parsedManifest = {
               number: 7
             }, {
               uri: 'https://example.com/default_audio128_2/segment8.m4f',
-              timeline: 2,
+              timeline: 10.810799998,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment8.m4f',
               map: {
@@ -116,7 +117,7 @@ export const parsedManifest = {
               number: 8
             }, {
               uri: 'https://example.com/default_audio128_2/segment9.m4f',
-              timeline: 2,
+              timeline: 10.810799998,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment9.m4f',
               map: {
@@ -126,7 +127,7 @@ export const parsedManifest = {
               number: 9
             }, {
               uri: 'https://example.com/default_audio128_2/segment10.m4f',
-              timeline: 2,
+              timeline: 10.810799998,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment10.m4f',
               map: {
@@ -136,7 +137,7 @@ export const parsedManifest = {
               number: 10
             }, {
               uri: 'https://example.com/default_audio128_2/segment11.m4f',
-              timeline: 2,
+              timeline: 10.810799998,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment11.m4f',
               map: {
@@ -146,7 +147,7 @@ export const parsedManifest = {
               number: 11
             }, {
               uri: 'https://example.com/default_audio128_2/segment12.m4f',
-              timeline: 2,
+              timeline: 10.810799998,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment12.m4f',
               map: {
@@ -156,7 +157,7 @@ export const parsedManifest = {
               number: 12
             }, {
               uri: 'https://example.com/default_audio128_2/segment13.m4f',
-              timeline: 2,
+              timeline: 10.810799998,
               duration: 0.023219954648526078,
               resolvedUri: 'https://example.com/default_audio128_2/segment13.m4f',
               map: {
@@ -166,7 +167,7 @@ export const parsedManifest = {
               number: 13
             }, {
               uri: 'https://example.com/default_audio128_2/segment14.m4f',
-              timeline: 3,
+              timeline: 24.791433331,
               duration: 1.1609977324263039,
               resolvedUri: 'https://example.com/default_audio128_2/segment14.m4f',
               map: {
@@ -177,7 +178,7 @@ export const parsedManifest = {
               discontinuity: true
             }, {
               uri: 'https://example.com/default_audio128_2/segment15.m4f',
-              timeline: 3,
+              timeline: 24.791433331,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment15.m4f',
               map: {
@@ -187,7 +188,7 @@ export const parsedManifest = {
               number: 15
             }, {
               uri: 'https://example.com/default_audio128_2/segment16.m4f',
-              timeline: 4,
+              timeline: 27.949347162000002,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment16.m4f',
               map: {
@@ -198,7 +199,7 @@ export const parsedManifest = {
               discontinuity: true
             }, {
               uri: 'https://example.com/default_audio128_2/segment17.m4f',
-              timeline: 4,
+              timeline: 27.949347162000002,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment17.m4f',
               map: {
@@ -208,7 +209,7 @@ export const parsedManifest = {
               number: 17
             }, {
               uri: 'https://example.com/default_audio128_2/segment18.m4f',
-              timeline: 4,
+              timeline: 27.949347162000002,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment18.m4f',
               map: {
@@ -218,7 +219,7 @@ export const parsedManifest = {
               number: 18
             }, {
               uri: 'https://example.com/default_audio128_2/segment19.m4f',
-              timeline: 4,
+              timeline: 27.949347162000002,
               duration: 1.9969160997732427,
               resolvedUri: 'https://example.com/default_audio128_2/segment19.m4f',
               map: {
@@ -233,7 +234,8 @@ export const parsedManifest = {
                 attributes: {
                   schemeIdUri: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'
                 },
-                pssh: new Uint8Array([181, 235, 45])
+                pssh: new Uint8Array([181, 235, 45]),
+                defaultKid: 'aaa'
               }
             }
           }],
@@ -297,7 +299,7 @@ export const parsedManifest = {
       number: 2
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment3.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment3.m4f',
       map: {
@@ -308,7 +310,7 @@ export const parsedManifest = {
       discontinuity: true
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment4.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment4.m4f',
       map: {
@@ -318,7 +320,7 @@ export const parsedManifest = {
       number: 4
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment5.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 0.9676333333333333,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment5.m4f',
       map: {
@@ -328,7 +330,7 @@ export const parsedManifest = {
       number: 5
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment6.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment6.m4f',
       map: {
@@ -340,7 +342,7 @@ export const parsedManifest = {
     },
     {
       uri: 'https://example.com/default_video2000_0_1280x720/segment7.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment7.m4f',
       map: {
@@ -350,7 +352,7 @@ export const parsedManifest = {
       number: 7
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment8.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment8.m4f',
       map: {
@@ -360,7 +362,7 @@ export const parsedManifest = {
       number: 8
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment9.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment9.m4f',
       map: {
@@ -370,7 +372,7 @@ export const parsedManifest = {
       number: 9
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment10.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment10.m4f',
       map: {
@@ -380,7 +382,7 @@ export const parsedManifest = {
       number: 10
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment11.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment11.m4f',
       map: {
@@ -390,7 +392,7 @@ export const parsedManifest = {
       number: 11
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment12.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 1.9686333333333332,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment12.m4f',
       map: {
@@ -400,7 +402,7 @@ export const parsedManifest = {
       number: 12
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment13.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 0.9676333333333333,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment13.m4f',
       map: {
@@ -411,7 +413,7 @@ export const parsedManifest = {
       discontinuity: true
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment14.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment14.m4f',
       map: {
@@ -421,7 +423,7 @@ export const parsedManifest = {
       number: 14
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment15.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 0.26693333333333336,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment15.m4f',
       map: {
@@ -431,7 +433,7 @@ export const parsedManifest = {
       number: 15
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment16.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment16.m4f',
       map: {
@@ -442,7 +444,7 @@ export const parsedManifest = {
       discontinuity: true
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment17.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment17.m4f',
       map: {
@@ -452,7 +454,7 @@ export const parsedManifest = {
       number: 17
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment18.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment18.m4f',
       map: {
@@ -462,7 +464,7 @@ export const parsedManifest = {
       number: 18
     }, {
       uri: 'https://example.com/default_video2000_0_1280x720/segment19.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 1.9686333333333332,
       resolvedUri: 'https://example.com/default_video2000_0_1280x720/segment19.m4f',
       map: {
@@ -477,7 +479,8 @@ export const parsedManifest = {
         attributes: {
           schemeIdUri: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'
         },
-        pssh: new Uint8Array([181, 235, 45])
+        pssh: new Uint8Array([181, 235, 45]),
+        defaultKid: 'aaa'
       }
     }
   }, {
@@ -530,7 +533,7 @@ export const parsedManifest = {
       number: 2
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment3.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment3.m4f',
       map: {
@@ -542,7 +545,7 @@ export const parsedManifest = {
     },
     {
       uri: 'https://example.com/default_video1200_1_960x540/segment4.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment4.m4f',
       map: {
@@ -552,7 +555,7 @@ export const parsedManifest = {
       number: 4
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment5.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 0.9676333333333333,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment5.m4f',
       map: {
@@ -562,7 +565,7 @@ export const parsedManifest = {
       number: 5
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment6.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment6.m4f',
       map: {
@@ -574,7 +577,7 @@ export const parsedManifest = {
     },
     {
       uri: 'https://example.com/default_video1200_1_960x540/segment7.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment7.m4f',
       map: {
@@ -584,7 +587,7 @@ export const parsedManifest = {
       number: 7
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment8.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment8.m4f',
       map: {
@@ -594,7 +597,7 @@ export const parsedManifest = {
       number: 8
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment9.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment9.m4f',
       map: {
@@ -604,7 +607,7 @@ export const parsedManifest = {
       number: 9
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment10.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment10.m4f',
       map: {
@@ -614,7 +617,7 @@ export const parsedManifest = {
       number: 10
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment11.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment11.m4f',
       map: {
@@ -624,7 +627,7 @@ export const parsedManifest = {
       number: 11
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment12.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 1.9686333333333332,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment12.m4f',
       map: {
@@ -634,7 +637,7 @@ export const parsedManifest = {
       number: 12
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment13.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 0.9676333333333333,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment13.m4f',
       map: {
@@ -645,7 +648,7 @@ export const parsedManifest = {
       discontinuity: true
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment14.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment14.m4f',
       map: {
@@ -655,7 +658,7 @@ export const parsedManifest = {
       number: 14
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment15.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 0.26693333333333336,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment15.m4f',
       map: {
@@ -665,7 +668,7 @@ export const parsedManifest = {
       number: 15
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment16.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment16.m4f',
       map: {
@@ -676,7 +679,7 @@ export const parsedManifest = {
       discontinuity: true
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment17.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment17.m4f',
       map: {
@@ -686,7 +689,7 @@ export const parsedManifest = {
       number: 17
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment18.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment18.m4f',
       map: {
@@ -696,7 +699,7 @@ export const parsedManifest = {
       number: 18
     }, {
       uri: 'https://example.com/default_video1200_1_960x540/segment19.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 1.9686333333333332,
       resolvedUri: 'https://example.com/default_video1200_1_960x540/segment19.m4f',
       map: {
@@ -711,7 +714,8 @@ export const parsedManifest = {
         attributes: {
           schemeIdUri: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'
         },
-        pssh: new Uint8Array([181, 235, 45])
+        pssh: new Uint8Array([181, 235, 45]),
+        defaultKid: 'aaa'
       }
     }
   }, {
@@ -764,7 +768,7 @@ export const parsedManifest = {
       number: 2
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment3.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment3.m4f',
       map: {
@@ -776,7 +780,7 @@ export const parsedManifest = {
     },
     {
       uri: 'https://example.com/default_video900_1_640x360/segment4.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment4.m4f',
       map: {
@@ -786,7 +790,7 @@ export const parsedManifest = {
       number: 4
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment5.m4f',
-      timeline: 1,
+      timeline: 5.972633333,
       duration: 0.9676333333333333,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment5.m4f',
       map: {
@@ -796,7 +800,7 @@ export const parsedManifest = {
       number: 5
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment6.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment6.m4f',
       map: {
@@ -807,7 +811,7 @@ export const parsedManifest = {
       discontinuity: true
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment7.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment7.m4f',
       map: {
@@ -817,7 +821,7 @@ export const parsedManifest = {
       number: 7
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment8.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment8.m4f',
       map: {
@@ -827,7 +831,7 @@ export const parsedManifest = {
       number: 8
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment9.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment9.m4f',
       map: {
@@ -837,7 +841,7 @@ export const parsedManifest = {
       number: 9
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment10.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment10.m4f',
       map: {
@@ -847,7 +851,7 @@ export const parsedManifest = {
       number: 10
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment11.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment11.m4f',
       map: {
@@ -857,7 +861,7 @@ export const parsedManifest = {
       number: 11
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment12.m4f',
-      timeline: 2,
+      timeline: 10.810799998,
       duration: 1.9686333333333332,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment12.m4f',
       map: {
@@ -867,7 +871,7 @@ export const parsedManifest = {
       number: 12
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment13.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 0.9676333333333333,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment13.m4f',
       map: {
@@ -878,7 +882,7 @@ export const parsedManifest = {
       discontinuity: true
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment14.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 1.9352666666666667,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment14.m4f',
       map: {
@@ -888,7 +892,7 @@ export const parsedManifest = {
       number: 14
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment15.m4f',
-      timeline: 3,
+      timeline: 24.791433331,
       duration: 0.26693333333333336,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment15.m4f',
       map: {
@@ -898,7 +902,7 @@ export const parsedManifest = {
       number: 15
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment16.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment16.m4f',
       map: {
@@ -909,7 +913,7 @@ export const parsedManifest = {
       discontinuity: true
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment17.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment17.m4f',
       map: {
@@ -919,7 +923,7 @@ export const parsedManifest = {
       number: 17
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment18.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 2.002,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment18.m4f',
       map: {
@@ -929,7 +933,7 @@ export const parsedManifest = {
       number: 18
     }, {
       uri: 'https://example.com/default_video900_1_640x360/segment19.m4f',
-      timeline: 4,
+      timeline: 27.949347162000002,
       duration: 1.9686333333333332,
       resolvedUri: 'https://example.com/default_video900_1_640x360/segment19.m4f',
       map: {
@@ -944,7 +948,8 @@ export const parsedManifest = {
         attributes: {
           schemeIdUri: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed'
         },
-        pssh: new Uint8Array([181, 235, 45])
+        pssh: new Uint8Array([181, 235, 45]),
+        defaultKid: 'aaa'
       }
     }
   }]
@@ -8,6 +8,7 @@ export const parsedManifest = {
       audio: {
         en: {
           language: 'en',
+          channels: 2,
           autoselect: true,
           default: true,
           playlists: [
@@ -20,13 +21,13 @@ export const parsedManifest = {
               },
               uri: '',
               endList: true,
-              timeline: 1,
+              timeline: 0,
               resolvedUri: '',
               targetDuration: 4,
               segments: [
                 {
                   uri: 'audio/segment_0.chk',
-                  timeline: 1,
+                  timeline: 0,
                   duration: 4,
                   resolvedUri: 'https://www.example.com/audio/segment_0.chk',
                   map: {
@@ -37,7 +38,7 @@ export const parsedManifest = {
                 },
                 {
                   uri: 'audio/segment_1.chk',
-                  timeline: 1,
+                  timeline: 0,
                   duration: 4,
                   resolvedUri: 'https://www.example.com/audio/segment_1.chk',
                   map: {
@@ -48,7 +49,7 @@ export const parsedManifest = {
                 },
                 {
                   uri: 'audio/segment_2.chk',
-                  timeline: 1,
+                  timeline: 0,
                   duration: 4,
                   resolvedUri: 'https://www.example.com/audio/segment_2.chk',
                   map: {
@@ -59,7 +60,7 @@ export const parsedManifest = {
                 },
                 {
                   uri: 'audio/segment_3.chk',
-                  timeline: 1,
+                  timeline: 0,
                   duration: 4,
                   resolvedUri: 'https://www.example.com/audio/segment_3.chk',
                   map: {
@@ -98,13 +99,13 @@ export const parsedManifest = {
       },
       uri: '',
       endList: true,
-      timeline: 1,
+      timeline: 0,
       resolvedUri: '',
       targetDuration: 4,
       segments: [
         {
           uri: 'video/segment_0.chk',
-          timeline: 1,
+          timeline: 0,
           duration: 4,
           resolvedUri: 'https://www.example.com/video/segment_0.chk',
           map: {
@@ -115,7 +116,7 @@ export const parsedManifest = {
         },
         {
           uri: 'video/segment_1.chk',
-          timeline: 1,
+          timeline: 0,
           duration: 4,
           resolvedUri: 'https://www.example.com/video/segment_1.chk',
           map: {
@@ -126,7 +127,7 @@ export const parsedManifest = {
         },
         {
           uri: 'video/segment_2.chk',
-          timeline: 1,
+          timeline: 0,
           duration: 4,
           resolvedUri: 'https://www.example.com/video/segment_2.chk',
           map: {
@@ -137,7 +138,7 @@ export const parsedManifest = {
         },
         {
           uri: 'video/segment_3.chk',
-          timeline: 1,
+          timeline: 0,
           duration: 4,
           resolvedUri: 'https://www.example.com/video/segment_3.chk',
           map: {
@@ -0,0 +1,142 @@
+import {
+  findRemoteElements,
+  resolveRemoteElement,
+  keepLocalElement,
+  RESOLVE_TO_ZERO
+} from '../src/remoteElements';
+import { stringToMpdXml } from '../src/stringToMpdXml';
+import { findChildren } from '../src/utils/xml';
+import { parse } from '../src';
+import errors from '../src/errors';
+import QUnit from 'qunit';
+
+const adaptationSet = (id) => `
+  <AdaptationSet id="${id}" mimeType="video/mp4">
+    <SegmentTemplate timescale="1" media="$Number$.m4s" duration="2" />
+    <Representation id="v${id}" bandwidth="1000" width="640" height="360" />
+  </AdaptationSet>
+`;
+
+const mpdString = `
+  <MPD xmlns="urn:mpeg:dash:schema:mpd:2011" xmlns:xlink="http://www.w3.org/1999/xlink"
+    type="static" mediaPresentationDuration="PT12S">
+    <Period id="p0" duration="PT4S">
+      ${adaptationSet(1)}
+    </Period>
+    <Period id="ad" duration="PT4S" xlink:href="https://example.com/ad.xml"
+      xlink:actuate="onLoad">
+      <AdaptationSet id="1" xlink:href="nested.xml" xlink:actuate="onLoad" />
+    </Period>
+    <Period id="p1" duration="PT4S">
+      <AdaptationSet xlink:href="${RESOLVE_TO_ZERO}" xlink:actuate="onLoad" />
+      <AdaptationSet xlink:href="later.xml" xlink:actuate="onRequest" />
+      ${adaptationSet(2)}
+    </Period>
+  </MPD>
+`;
+
+const ids = (mpd, tagName) =>
+  Array.prototype.map.call(mpd.getElementsByTagName(tagName), (node) =>
+    node.getAttribute('id'));
+
+QUnit.module('findRemoteElements');
+
+QUnit.test('returns the outermost elements to resolve on load', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+  const remoteElements = findRemoteElements(mpd);
+
+  assert.deepEqual(
+    remoteElements.map(({ href }) => href),
+    ['https://example.com/ad.xml', RESOLVE_TO_ZERO],
+    'found the remote elements'
+  );
+  assert.equal(remoteElements[0].element.getAttribute('id'), 'ad', 'includes the element');
+  assert.deepEqual(
+    findRemoteElements(stringToMpdXml(`<MPD>${adaptationSet(1)}</MPD>`)),
+    [],
+    'no remote elements'
+  );
+});
+
+QUnit.module('resolveRemoteElement');
+
+QUnit.test('replaces the element with the remote elements', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+  const nodes = resolveRemoteElement(findRemoteElements(mpd)[0], `<?xml version="1.0"?>
+    <Period id="ad-0" duration="PT2S">${adaptationSet(3)}</Period>
+    <Period id="ad-1" duration="PT2S">${adaptationSet(4)}</Period>
+    <EventStream />
+  `);
+
+  assert.deepEqual(
+    nodes.map((node) => node.getAttribute('id')),
+    ['ad-0', 'ad-1'],
+    'only the elements of the same type'
+  );
+  assert.deepEqual(ids(mpd, 'Period'), ['p0', 'ad-0', 'ad-1', 'p1'], 'spliced in place');
+  assert.deepEqual(
+    findChildren(nodes[1], 'AdaptationSet')[0].getAttribute('id'),
+    '4',
+    'with the content of the remote elements'
+  );
+});
+
+QUnit.test('removes elements that resolve to zero', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+  const remoteElements = findRemoteElements(mpd);
+
+  resolveRemoteElement(remoteElements[1]);
+  resolveRemoteElement(remoteElements[0], '<AdaptationSet />');
+
+  assert.deepEqual(ids(mpd, 'Period'), ['p0', 'p1'], 'removed the empty Period');
+  assert.deepEqual(
+    parse(mpd).playlists[0].segments
+      .map(({ timeline }) => timeline)
+      .filter((timeline, i, timelines) => timelines.indexOf(timeline) === i),
+    [0, 4],
+    'parses without the removed elements'
+  );
+});
+
+QUnit.test('throws on invalid remote content', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+
+  assert.throws(
+    () => resolveRemoteElement(findRemoteElements(mpd)[0], '<Period'),
+    new RegExp(errors.DASH_INVALID_XLINK)
+  );
+  assert.deepEqual(ids(mpd, 'Period'), ['p0', 'ad', 'p1'], 'did not change the mpd');
+});
+
+QUnit.test('reparses only the changed Periods', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+  const periodCache = { p0: {}, ad: {}, p1: {} };
+  const remoteElements = findRemoteElements(mpd);
+
+  resolveRemoteElement(
+    remoteElements[0],
+    `<Period id="ad">${adaptationSet(3)}</Period>`,
+    periodCache
+  );
+
+  assert.deepEqual(Object.keys(periodCache), ['p0', 'p1'], 'dropped the replaced Period');
+
+  resolveRemoteElement(remoteElements[1], '', periodCache);
+
+  assert.deepEqual(Object.keys(periodCache), ['p0'], 'dropped the changed Period');
+});
+
+QUnit.module('keepLocalElement');
+
+QUnit.test('keeps the local content of the element', function(assert) {
+  const mpd = stringToMpdXml(mpdString);
+
+  findRemoteElements(mpd).forEach(keepLocalElement);
+
+  assert.deepEqual(
+    findRemoteElements(mpd).map(({ href }) => href),
+    ['nested.xml'],
+    'only the nested element is left to resolve'
+  );
+  assert.deepEqual(ids(mpd, 'Period'), ['p0', 'ad', 'p1'], 'kept the elements');
+});
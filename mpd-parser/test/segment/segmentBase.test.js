@@ -78,7 +78,7 @@ QUnit.test('sets duration based on @duration', function(assert) {
     sourceDuration: 20,
     baseUrl: 'http://www.example.com/i.fmp4',
     initialization: { sourceURL: 'http://www.example.com/init.fmp4' },
-    periodIndex: 0
+    periodStart: 0
   };
 
   assert.deepEqual(segmentsFromBase(inputAttributes), [{
@@ -101,7 +101,7 @@ QUnit.test('sets duration based on @duration and @timescale', function(assert) {
     timescale: 5,
     baseUrl: 'http://www.example.com/i.fmp4',
     initialization: { sourceURL: 'http://www.example.com/init.fmp4' },
-    periodIndex: 0
+    periodStart: 0
   };
 
   assert.deepEqual(segmentsFromBase(inputAttributes), [{
@@ -127,7 +127,7 @@ QUnit.test('translates ranges in <Initialization> node', function(assert) {
       sourceURL: 'http://www.example.com/init.fmp4',
       range: '121-125'
     },
-    periodIndex: 0
+    periodStart: 0
   };
 
   assert.deepEqual(segmentsFromBase(inputAttributes), [{
@@ -20,7 +20,7 @@ QUnit.test('uses segmentTimeline to set segments', function(assert) {
       media: '5.fmp4'
     }],
     initialization: { sourceURL: 'init.fmp4' },
-    periodIndex: 0,
+    periodStart: 0,
     startNumber: 1,
     baseUrl: 'http://example.com/'
   };
@@ -100,7 +100,7 @@ QUnit.test(
         media: '5.fmp4'
       }],
       initialization: { sourceURL: 'init.fmp4' },
-      periodIndex: 0,
+      periodStart: 0,
       startNumber: 1,
       baseUrl: 'http://example.com/'
     };
@@ -151,7 +151,7 @@ QUnit.test(
         media: '5.fmp4'
       }],
       initialization: { sourceURL: 'init.fmp4' },
-      periodIndex: 0,
+      periodStart: 0,
       startNumber: 1,
       baseUrl: 'http://example.com/'
     };
@@ -231,7 +231,7 @@ QUnit.test('uses duration to set segments', function(assert) {
     }],
     initialization: { sourceURL: 'init.fmp4' },
     duration: 10,
-    periodIndex: 0,
+    periodStart: 0,
     startNumber: 1,
     sourceDuration: 50,
     baseUrl: 'http://example.com/'
@@ -306,7 +306,7 @@ QUnit.test('uses timescale to set segment duration', function(assert) {
     initialization: { sourceURL: 'init.fmp4' },
     duration: 10,
     timescale: 2,
-    periodIndex: 0,
+    periodStart: 0,
     startNumber: 1,
     sourceDuration: 25,
     baseUrl: 'http://example.com/'
@@ -375,7 +375,7 @@ QUnit.test('timescale sets duration of last segment correctly', function(assert)
     initialization: { sourceURL: 'init.fmp4' },
     duration: 10,
     timescale: 1,
-    periodIndex: 0,
+    periodStart: 0,
     startNumber: 1,
     sourceDuration: 15,
     baseUrl: 'http://example.com/'
@@ -416,7 +416,7 @@ QUnit.test('segmentUrl translates ranges correctly', function(assert) {
     initialization: { sourceURL: 'init.fmp4' },
     duration: 10,
     timescale: 1,
-    periodIndex: 0,
+    periodStart: 0,
     startNumber: 1,
     sourceDuration: 20,
     baseUrl: 'http://example.com/'
@@ -465,7 +465,7 @@ QUnit.test(
       duration: 10,
       initialization: { sourceURL: 'init.fmp4' },
       timescale: 1,
-      periodIndex: 0,
+      periodStart: 0,
       startNumber: 1,
       sourceDuration: 20,
       baseUrl: 'http://example.com/'
@@ -493,7 +493,7 @@ QUnit.test('throws error if timeline and duration are both defined', function(as
     }],
     initialization: { sourceURL: 'init.fmp4' },
     timescale: 1,
-    periodIndex: 0,
+    periodStart: 0,
     startNumber: 1,
     sourceDuration: 20,
     baseUrl: 'http://example.com/'
@@ -515,7 +515,7 @@ QUnit.test('translates ranges in <Initialization> node', function(assert) {
     initialization: { sourceURL: 'init.fmp4', range: '121-125' },
     duration: 10,
     timescale: 1,
-    periodIndex: 0,
+    periodStart: 0,
     startNumber: 1,
     sourceDuration: 20,
     baseUrl: 'http://example.com/'
@@ -121,7 +121,7 @@ QUnit.test(
       startNumber: 3,
       timescale: 1000,
       sourceDuration: 42,
-      periodIndex: 1
+      periodStart: 1
     };
 
     assert.deepEqual(
@@ -138,7 +138,7 @@ QUnit.test('uses @duration attribute when present', function(assert) {
     timescale: 1000,
     sourceDuration: 16,
     duration: 6000,
-    periodIndex: 1
+    periodStart: 1
   };
 
   assert.deepEqual(
@@ -173,7 +173,7 @@ QUnit.test('parseByDuration allows non zero startNumber', function(assert) {
     timescale: 1000,
     sourceDuration: 16,
     duration: 6000,
-    periodIndex: 1
+    periodStart: 1
   };
 
   assert.deepEqual(
@@ -206,7 +206,7 @@ QUnit.test('parseByDuration defaults 1 for startNumber and timescale', function(
   const attributes = {
     sourceDuration: 11,
     duration: '4',
-    periodIndex: 1
+    periodStart: 1
   };
 
   assert.deepEqual(
@@ -240,7 +240,7 @@ QUnit.test('uses SegmentTimeline info when no @duration attribute', function(ass
     startNumber: 0,
     sourceDuration: 16,
     timescale: 1000,
-    periodIndex: 1
+    periodStart: 1
   };
   const segmentTimeline = [
     {
@@ -295,7 +295,7 @@ QUnit.test('parseByTimeline allows non zero startNumber', function(assert) {
     startNumber: 101,
     sourceDuration: 16,
     timescale: 1000,
-    periodIndex: 1
+    periodStart: 1
   };
   const segmentTimeline = [
     {
@@ -348,7 +348,7 @@ QUnit.test('parseByTimeline allows non zero startNumber', function(assert) {
 QUnit.test('parseByTimeline defaults 1 for startNumber and timescale', function(assert) {
   const attributes = {
     sourceDuration: 11,
-    periodIndex: 1
+    periodStart: 1
   };
   const segmentTimeline = [
     {
@@ -403,7 +403,7 @@ QUnit.test('defaults SegmentTimeline.S@t to 0 for first segment', function(asser
     startNumber: 0,
     sourceDuration: 16,
     timescale: 1000,
-    periodIndex: 1
+    periodStart: 1
   };
   const segmentTimeline = [
     {
@@ -457,7 +457,7 @@ QUnit.test('allows non zero starting SegmentTimeline.S@t value', function(assert
     startNumber: 0,
     sourceDuration: 16,
     timescale: 1000,
-    periodIndex: 1
+    periodStart: 1
   };
   const segmentTimeline = [
     {
@@ -512,7 +512,7 @@ QUnit.test('honors @r repeat attribute for SegmentTimeline.S', function(assert)
     startNumber: 0,
     sourceDuration: 16,
     timescale: 1000,
-    periodIndex: 1
+    periodStart: 1
   };
   const segmentTimeline = [
     {
@@ -586,7 +586,7 @@ QUnit.test('correctly handles negative @r repeat value', function(assert) {
     startNumber: 0,
     sourceDuration: 16,
     timescale: 1000,
-    periodIndex: 1
+    periodStart: 1
   };
   const segmentTimeline = [
     {
@@ -661,7 +661,7 @@ QUnit.test('correctly handles negative @r repeat value for last S', function(ass
     startNumber: 0,
     sourceDuration: 15,
     timescale: 1000,
-    periodIndex: 1
+    periodStart: 1
   };
   const segmentTimeline = [
     {
@@ -727,12 +727,13 @@ QUnit.test('correctly handles duration', function(assert) {
     availabilityStartTime: 0,
     startNumber: 1,
     duration: 2,
-    periodIndex: 1
+    periodStart: 0
   };
 
   assert.deepEqual(
     segmentsFromTemplate(basicAttributes, []),
     [{
+      availabilityStartTime: 2,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -740,9 +741,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 1,
       resolvedUri: 'http://www.example.com/n-1.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-1.m4s'
     }, {
+      availabilityStartTime: 4,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -750,9 +752,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 2,
       resolvedUri: 'http://www.example.com/n-2.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-2.m4s'
     }, {
+      availabilityStartTime: 6,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -760,9 +763,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 3,
       resolvedUri: 'http://www.example.com/n-3.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-3.m4s'
     }, {
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -770,9 +774,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 4,
       resolvedUri: 'http://www.example.com/n-4.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-4.m4s'
     }, {
+      availabilityStartTime: 10,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -780,7 +785,7 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 5,
       resolvedUri: 'http://www.example.com/n-5.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-5.m4s'
     }],
     'segments correctly with basic settings'
@@ -789,6 +794,7 @@ QUnit.test('correctly handles duration', function(assert) {
   assert.deepEqual(
     segmentsFromTemplate(Object.assign({}, basicAttributes, { startNumber: 10 }), []),
     [{
+      availabilityStartTime: 2,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -796,9 +802,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 10,
       resolvedUri: 'http://www.example.com/n-10.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-10.m4s'
     }, {
+      availabilityStartTime: 4,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -806,9 +813,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 11,
       resolvedUri: 'http://www.example.com/n-11.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-11.m4s'
     }, {
+      availabilityStartTime: 6,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -816,9 +824,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 12,
       resolvedUri: 'http://www.example.com/n-12.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-12.m4s'
     }, {
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -826,9 +835,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 13,
       resolvedUri: 'http://www.example.com/n-13.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-13.m4s'
     }, {
+      availabilityStartTime: 10,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -836,7 +846,7 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 14,
       resolvedUri: 'http://www.example.com/n-14.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-14.m4s'
     }],
     'segments adjusted correctly based on @startNumber'
@@ -848,6 +858,7 @@ QUnit.test('correctly handles duration', function(assert) {
       { availabilityStartTime: 4 }
     ), []),
     [{
+      availabilityStartTime: 6,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -855,9 +866,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 1,
       resolvedUri: 'http://www.example.com/n-1.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-1.m4s'
     }, {
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -865,9 +877,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 2,
       resolvedUri: 'http://www.example.com/n-2.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-2.m4s'
     }, {
+      availabilityStartTime: 10,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -875,7 +888,7 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 3,
       resolvedUri: 'http://www.example.com/n-3.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-3.m4s'
     }],
     'segments correct with @availabilityStartTime set'
@@ -884,9 +897,10 @@ QUnit.test('correctly handles duration', function(assert) {
   assert.deepEqual(
     segmentsFromTemplate(Object.assign(
       {}, basicAttributes,
-      { availabilityStartTime: 2, start: 4 }
+      { availabilityStartTime: 2, periodStart: 4 }
     ), []),
     [{
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -894,9 +908,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 1,
       resolvedUri: 'http://www.example.com/n-1.m4s',
-      timeline: 1,
+      timeline: 4,
       uri: 'n-1.m4s'
     }, {
+      availabilityStartTime: 10,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -904,10 +919,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 2,
       resolvedUri: 'http://www.example.com/n-2.m4s',
-      timeline: 1,
+      timeline: 4,
       uri: 'n-2.m4s'
     }],
-    'segments correct with @availabilityStartTime and @start set'
+    'segments correct with @availabilityStartTime and Period start set'
   );
 
   assert.deepEqual(
@@ -916,6 +931,7 @@ QUnit.test('correctly handles duration', function(assert) {
       { timeShiftBufferDepth: 4 }, []
     )),
     [{
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -923,9 +939,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 4,
       resolvedUri: 'http://www.example.com/n-4.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-4.m4s'
     }, {
+      availabilityStartTime: 10,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -933,7 +950,7 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 5,
       resolvedUri: 'http://www.example.com/n-5.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-5.m4s'
     }],
     'segments correct with @timeShiftBufferDepth set'
@@ -945,6 +962,7 @@ QUnit.test('correctly handles duration', function(assert) {
       { clientOffset: -2000 }, []
     )),
     [{
+      availabilityStartTime: 2,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -952,9 +970,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 1,
       resolvedUri: 'http://www.example.com/n-1.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-1.m4s'
     }, {
+      availabilityStartTime: 4,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -962,9 +981,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 2,
       resolvedUri: 'http://www.example.com/n-2.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-2.m4s'
     }, {
+      availabilityStartTime: 6,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -972,9 +992,10 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 3,
       resolvedUri: 'http://www.example.com/n-3.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-3.m4s'
     }, {
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -982,7 +1003,7 @@ QUnit.test('correctly handles duration', function(assert) {
       },
       number: 4,
       resolvedUri: 'http://www.example.com/n-4.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-4.m4s'
     }],
     'segments correct with given clientOffset'
@@ -1000,7 +1021,7 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
     clientOffset: 0,
     availabilityStartTime: 0,
     startNumber: 1,
-    periodIndex: 1
+    periodStart: 0
   };
 
   const segmentTimeline = [
@@ -1018,6 +1039,7 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
   assert.deepEqual(
     segmentsFromTemplate(basicAttributes, segmentTimeline),
     [{
+      availabilityStartTime: 2,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1025,9 +1047,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 1,
       resolvedUri: 'http://www.example.com/n-1.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-1.m4s'
     }, {
+      availabilityStartTime: 4,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1035,9 +1058,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 2,
       resolvedUri: 'http://www.example.com/n-2.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-2.m4s'
     }, {
+      availabilityStartTime: 6,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1045,9 +1069,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 3,
       resolvedUri: 'http://www.example.com/n-3.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-3.m4s'
     }, {
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1055,9 +1080,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 4,
       resolvedUri: 'http://www.example.com/n-4.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-4.m4s'
     }, {
+      availabilityStartTime: 10,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1065,7 +1091,7 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 5,
       resolvedUri: 'http://www.example.com/n-5.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-5.m4s'
     }],
     'segments should fill until current time when r = -1 and @minimumUpdatePeriod > 0'
@@ -1074,6 +1100,7 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
   assert.deepEqual(
     segmentsFromTemplate(Object.assign({}, basicAttributes, {clientOffset: -2000}), segmentTimeline),
     [{
+      availabilityStartTime: 2,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1081,9 +1108,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 1,
       resolvedUri: 'http://www.example.com/n-1.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-1.m4s'
     }, {
+      availabilityStartTime: 4,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1091,9 +1119,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 2,
       resolvedUri: 'http://www.example.com/n-2.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-2.m4s'
     }, {
+      availabilityStartTime: 6,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1101,9 +1130,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 3,
       resolvedUri: 'http://www.example.com/n-3.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-3.m4s'
     }, {
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1111,7 +1141,7 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 4,
       resolvedUri: 'http://www.example.com/n-4.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-4.m4s'
     }],
     'segments should fill correctly when taking client offset into account'
@@ -1132,6 +1162,7 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
   assert.deepEqual(
     segmentsFromTemplate(basicAttributes, segmentTimelineShifted),
     [{
+      availabilityStartTime: 4,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1139,9 +1170,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 1,
       resolvedUri: 'http://www.example.com/n-1.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-1.m4s'
     }, {
+      availabilityStartTime: 6,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1149,9 +1181,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 2,
       resolvedUri: 'http://www.example.com/n-2.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-2.m4s'
     }, {
+      availabilityStartTime: 8,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1159,9 +1192,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 3,
       resolvedUri: 'http://www.example.com/n-3.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-3.m4s'
     }, {
+      availabilityStartTime: 10,
       duration: 2,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1169,7 +1203,7 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 4,
       resolvedUri: 'http://www.example.com/n-4.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-4.m4s'
     }],
     'segments take into account different time value for first segment'
@@ -1181,6 +1215,7 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       segmentTimelineShifted
     ),
     [{
+      availabilityStartTime: 2,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1188,9 +1223,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 1,
       resolvedUri: 'http://www.example.com/n-1.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-1.m4s'
     }, {
+      availabilityStartTime: 3,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1198,9 +1234,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 2,
       resolvedUri: 'http://www.example.com/n-2.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-2.m4s'
     }, {
+      availabilityStartTime: 4,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1208,9 +1245,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 3,
       resolvedUri: 'http://www.example.com/n-3.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-3.m4s'
     }, {
+      availabilityStartTime: 5,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1218,9 +1256,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 4,
       resolvedUri: 'http://www.example.com/n-4.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-4.m4s'
     }, {
+      availabilityStartTime: 6,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1228,9 +1267,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 5,
       resolvedUri: 'http://www.example.com/n-5.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-5.m4s'
     }, {
+      availabilityStartTime: 7,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1238,9 +1278,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 6,
       resolvedUri: 'http://www.example.com/n-6.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-6.m4s'
     }, {
+      availabilityStartTime: 8,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1248,9 +1289,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 7,
       resolvedUri: 'http://www.example.com/n-7.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-7.m4s'
     }, {
+      availabilityStartTime: 9,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1258,9 +1300,10 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 8,
       resolvedUri: 'http://www.example.com/n-8.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-8.m4s'
     }, {
+      availabilityStartTime: 10,
       duration: 1,
       map: {
         resolvedUri: 'http://www.example.com/',
@@ -1268,13 +1311,159 @@ QUnit.test('correctly handles duration with segmentTimeline', function(assert) {
       },
       number: 9,
       resolvedUri: 'http://www.example.com/n-9.m4s',
-      timeline: 1,
+      timeline: 0,
       uri: 'n-9.m4s'
     }],
     'segments take into account different time value for first segment with timescale'
   );
 });
 
+QUnit.test('uses @availabilityTimeOffset only for chunked segments', function(assert) {
+  const basicAttributes = {
+    baseUrl: 'http://www.example.com/',
+    type: 'dynamic',
+    media: 'n-$Number$.m4s',
+    minimumUpdatePeriod: 0,
+    timescale: 1,
+    NOW: 9000,
+    clientOffset: 0,
+    availabilityStartTime: 0,
+    startNumber: 1,
+    duration: 2,
+    periodStart: 0,
+    availabilityTimeOffset: 1.5
+  };
+  const availability = (segments) => segments.map(({
+    number,
+    availabilityStartTime,
+    availabilityTimeComplete
+  }) => ({ number, availabilityStartTime, availabilityTimeComplete }));
+
+  assert.deepEqual(
+    availability(segmentsFromTemplate(basicAttributes, [])),
+    [
+      { number: 1, availabilityStartTime: 2, availabilityTimeComplete: undefined },
+      { number: 2, availabilityStartTime: 4, availabilityTimeComplete: undefined },
+      { number: 3, availabilityStartTime: 6, availabilityTimeComplete: undefined },
+      { number: 4, availabilityStartTime: 8, availabilityTimeComplete: undefined }
+    ],
+    'complete segments are not available early'
+  );
+
+  assert.deepEqual(
+    availability(segmentsFromTemplate(Object.assign(
+      {},
+      basicAttributes,
+      { availabilityTimeComplete: false }
+    ), [])),
+    [
+      { number: 1, availabilityStartTime: 0.5, availabilityTimeComplete: false },
+      { number: 2, availabilityStartTime: 2.5, availabilityTimeComplete: false },
+      { number: 3, availabilityStartTime: 4.5, availabilityTimeComplete: false },
+      { number: 4, availabilityStartTime: 6.5, availabilityTimeComplete: false },
+      { number: 5, availabilityStartTime: 8.5, availabilityTimeComplete: false }
+    ],
+    'chunked segments are available early'
+  );
+
+  assert.deepEqual(
+    availability(segmentsFromTemplate(Object.assign(
+      {},
+      basicAttributes,
+      { availabilityTimeComplete: false, duration: undefined, minimumUpdatePeriod: 2 }
+    ), [{ t: 0, d: 2, r: -1 }])).slice(-2),
+    [
+      { number: 6, availabilityStartTime: 10.5, availabilityTimeComplete: false },
+      { number: 7, availabilityStartTime: 12.5, availabilityTimeComplete: false }
+    ],
+    'chunked segments of a SegmentTimeline are available early'
+  );
+});
+
+QUnit.test('makes segments available as they are produced for an infinite @availabilityTimeOffset', function(assert) {
+  const attributes = {
+    baseUrl: 'http://www.example.com/',
+    type: 'dynamic',
+    media: 'n-$Number$.m4s',
+    minimumUpdatePeriod: 0,
+    timescale: 1,
+    NOW: 9000,
+    clientOffset: 0,
+    availabilityStartTime: 0,
+    startNumber: 1,
+    duration: 2,
+    periodStart: 0,
+    availabilityTimeOffset: Infinity,
+    availabilityTimeComplete: false
+  };
+
+  assert.deepEqual(
+    segmentsFromTemplate(attributes, []).map(({ number, availabilityStartTime }) =>
+      ({ number, availabilityStartTime })),
+    [
+      { number: 1, availabilityStartTime: 0 },
+      { number: 2, availabilityStartTime: 2 },
+      { number: 3, availabilityStartTime: 4 },
+      { number: 4, availabilityStartTime: 6 },
+      { number: 5, availabilityStartTime: 8 }
+    ],
+    'segments are available from their start'
+  );
+
+  assert.deepEqual(
+    segmentsFromTemplate(Object.assign(
+      {},
+      attributes,
+      { duration: undefined, minimumUpdatePeriod: 2 }
+    ), [{ t: 0, d: 2, r: -1 }]).slice(-1).map(({ number, availabilityStartTime }) =>
+      ({ number, availabilityStartTime })),
+    [{ number: 7, availabilityStartTime: 12 }],
+    'segments of a SegmentTimeline are available from their start'
+  );
+});
+
+QUnit.test('keeps the applied @availabilityTimeOffset on chunked segments', function(assert) {
+  const attributes = {
+    baseUrl: 'http://www.example.com/',
+    type: 'dynamic',
+    media: 'n-$Number$.m4s',
+    minimumUpdatePeriod: 0,
+    timescale: 1,
+    NOW: 9000,
+    clientOffset: 0,
+    availabilityStartTime: 0,
+    startNumber: 1,
+    duration: 2,
+    periodStart: 0,
+    availabilityTimeOffset: 1.5,
+    availabilityTimeComplete: false
+  };
+
+  assert.deepEqual(
+    segmentsFromTemplate(attributes, []).map((segment) => segment.availabilityTimeOffset),
+    [1.5, 1.5, 1.5, 1.5, 1.5],
+    'the offset is kept on each segment'
+  );
+  assert.deepEqual(
+    segmentsFromTemplate(Object.assign(
+      {},
+      attributes,
+      { availabilityTimeOffset: Infinity }
+    ), []).map((segment) => segment.availabilityTimeOffset).slice(-1),
+    [2],
+    'an infinite offset is kept as the segment duration'
+  );
+  assert.strictEqual(
+    segmentsFromTemplate(Object.assign(
+      {},
+      attributes,
+      { availabilityTimeComplete: true }
+    ), [])[0].availabilityTimeOffset,
+    undefined,
+    'complete segments have no offset'
+  );
+});
+
 QUnit.module('segmentTemplate - segmentsFromTemplate');
 
 QUnit.test('constructs simple segment list and resolves uris', function(assert) {
@@ -1289,7 +1478,7 @@ QUnit.test('constructs simple segment list and resolves uris', function(assert)
       sourceURL: '$RepresentationID$/$Bandwidth$/init.mp4'
     },
     media: '$RepresentationID$/$Bandwidth$/$Number%03d$-$Time%05d$.mp4',
-    periodIndex: 1,
+    periodStart: 1,
     baseUrl: 'https://example.com/'
   };
   const segments = [
@@ -1347,7 +1536,7 @@ QUnit.test('constructs simple segment list and with <Initialization> node', func
       range: '121-125'
     },
     media: '$RepresentationID$/$Bandwidth$/$Number%03d$-$Time%05d$.mp4',
-    periodIndex: 1,
+    periodStart: 1,
     baseUrl: 'https://example.com/'
   };
   const segments = [
@@ -11,7 +11,7 @@ QUnit.test('playlists', function(assert) {
       sourceDuration: 100,
       duration: 0,
       bandwidth: 20000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'audio/mp4'
     },
     segments: []
@@ -22,7 +22,7 @@ QUnit.test('playlists', function(assert) {
       sourceDuration: 100,
       duration: 0,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'audio/mp4'
     },
     segments: []
@@ -35,7 +35,7 @@ QUnit.test('playlists', function(assert) {
       codecs: 'foo;bar',
       duration: 0,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'video/mp4'
     },
     segments: []
@@ -44,7 +44,7 @@ QUnit.test('playlists', function(assert) {
       sourceDuration: 100,
       id: '1',
       bandwidth: 20000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'text/vtt',
       baseUrl: 'https://www.example.com/vtt'
     }
@@ -53,7 +53,7 @@ QUnit.test('playlists', function(assert) {
       sourceDuration: 100,
       id: '1',
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'text/vtt',
       baseUrl: 'https://www.example.com/vtt'
     }
@@ -159,7 +159,7 @@ QUnit.test('playlists with segments', function(assert) {
       duration: 2,
       sourceDuration: 100,
       bandwidth: 20000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'audio/mp4'
     },
     segments: [{
@@ -190,7 +190,7 @@ QUnit.test('playlists with segments', function(assert) {
       sourceDuration: 100,
       duration: 2,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'audio/mp4'
     },
     segments: [{
@@ -223,7 +223,7 @@ QUnit.test('playlists with segments', function(assert) {
       height: 600,
       codecs: 'foo;bar',
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'video/mp4'
     },
     segments: [{
@@ -253,7 +253,7 @@ QUnit.test('playlists with segments', function(assert) {
       id: '1',
       duration: 2,
       bandwidth: 20000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'text/vtt',
       baseUrl: 'https://www.example.com/vtt'
     },
@@ -284,7 +284,7 @@ QUnit.test('playlists with segments', function(assert) {
       duration: 2,
       id: '1',
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'text/vtt',
       baseUrl: 'https://www.example.com/vtt'
     },
@@ -467,7 +467,7 @@ QUnit.test('playlists with sidx and sidxMapping', function(assert) {
       codecs: 'foo;bar',
       duration: 0,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'video/mp4'
     },
     segments: [],
@@ -555,7 +555,7 @@ QUnit.test('playlists without minimumUpdatePeriod dont assign default value', fu
       codecs: 'foo;bar',
       duration: 0,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'video/mp4'
     },
     segments: [],
@@ -584,7 +584,7 @@ QUnit.test('playlists with minimumUpdatePeriod = 0', function(assert) {
       codecs: 'foo;bar',
       duration: 0,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'video/mp4',
       minimumUpdatePeriod: 0
     },
@@ -614,7 +614,7 @@ QUnit.test('playlists with integer value for minimumUpdatePeriod', function(asse
       codecs: 'foo;bar',
       duration: 0,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'video/mp4',
       minimumUpdatePeriod: 2
     },
@@ -638,6 +638,452 @@ QUnit.test('no playlists', function(assert) {
   assert.deepEqual(toM3u8([]), {});
 });
 
+QUnit.test('playlists with serviceDescription', function(assert) {
+  const serviceDescription = {
+    latency: { target: 3, min: 2, max: 6 },
+    playbackRate: { min: 0.96, max: 1.04 }
+  };
+  const input = [{
+    attributes: {
+      id: '1',
+      width: 800,
+      height: 600,
+      codecs: 'foo;bar',
+      sourceDuration: 100,
+      duration: 0,
+      bandwidth: 10000,
+      periodStart: 1,
+      mimeType: 'video/mp4',
+      type: 'dynamic',
+      serviceDescription
+    },
+    segments: []
+  }];
+
+  const output = toM3u8(input);
+
+  assert.deepEqual(output.serviceDescription, serviceDescription, 'has service description');
+});
+
+QUnit.test('playlists with producerReferenceTime', function(assert) {
+  const producerReferenceTime = {
+    id: '0',
+    wallClockTime: 1597924800,
+    presentationTime: 90000
+  };
+  const input = [{
+    attributes: {
+      id: '1',
+      width: 800,
+      height: 600,
+      codecs: 'foo;bar',
+      sourceDuration: 100,
+      duration: 0,
+      bandwidth: 10000,
+      periodStart: 1,
+      mimeType: 'video/mp4',
+      timescale: 90000,
+      producerReferenceTime
+    },
+    segments: []
+  }, {
+    attributes: {
+      id: '2',
+      codecs: 'foo;bar',
+      sourceDuration: 100,
+      duration: 0,
+      bandwidth: 10000,
+      periodStart: 1,
+      mimeType: 'audio/mp4',
+      producerReferenceTime
+    },
+    segments: []
+  }];
+
+  const output = toM3u8(input);
+
+  assert.deepEqual(output.playlists[0].producerReferenceTime, {
+    id: '0',
+    type: 'encoder',
+    inband: false,
+    wallClockTime: 1597924800,
+    presentationTime: 1
+  }, 'presentation time is in seconds');
+  assert.equal(
+    output.mediaGroups.AUDIO.audio.main.playlists[0].producerReferenceTime.presentationTime,
+    90000,
+    'timescale defaults to 1'
+  );
+});
+
+QUnit.test('playlists with events', function(assert) {
+  const inbandEventStreams = [{ schemeIdUri: 'urn:mpeg:dash:event:2012', value: '1' }];
+  const eventStream = [{
+    schemeIdUri: 'urn:custom',
+    value: 'ad',
+    id: '1',
+    start: 10,
+    end: 20,
+    messageData: 'hello'
+  }];
+  const input = [{
+    attributes: {
+      id: '1',
+      codecs: 'foo;bar',
+      sourceDuration: 100,
+      duration: 0,
+      bandwidth: 10000,
+      periodStart: 1,
+      mimeType: 'video/mp4',
+      inbandEventStreams
+    },
+    segments: []
+  }];
+
+  const output = toM3u8(input, null, null, {}, eventStream);
+
+  assert.deepEqual(output.eventStream, eventStream, 'has events');
+  assert.deepEqual(
+    output.playlists[0].inbandEventStreams,
+    inbandEventStreams,
+    'has inband event streams'
+  );
+  assert.notOk(toM3u8(input).hasOwnProperty('eventStream'), 'no events');
+});
+
+QUnit.test('playlists with alternative base urls', function(assert) {
+  const baseUrls = [
+    { baseUrl: 'https://cdn1.com/', serviceLocation: 'cdn1', priority: 1 },
+    { baseUrl: 'https://cdn2.com/', serviceLocation: 'cdn2', priority: 2 }
+  ];
+  const input = [{
+    attributes: {
+      id: '1',
+      codecs: 'foo;bar',
+      sourceDuration: 100,
+      duration: 0,
+      bandwidth: 10000,
+      periodStart: 1,
+      mimeType: 'video/mp4',
+      baseUrl: 'https://cdn1.com/',
+      baseUrls
+    },
+    segments: []
+  }, {
+    attributes: {
+      id: '2',
+      sourceDuration: 100,
+      bandwidth: 256,
+      periodStart: 1,
+      mimeType: 'text/vtt',
+      lang: 'en',
+      baseUrl: 'https://cdn1.com/en.vtt',
+      baseUrls
+    }
+  }];
+
+  const output = toM3u8(input);
+
+  assert.equal(output.playlists.length, 1, 'one playlist for the representation');
+  assert.deepEqual(output.playlists[0].baseUrls, baseUrls, 'video has base urls');
+  assert.deepEqual(
+    output.mediaGroups.SUBTITLES.subs.en.playlists[0].baseUrls,
+    baseUrls,
+    'vtt has base urls'
+  );
+});
+
+QUnit.test('playlists with roles, accessibility and channels', function(assert) {
+  const role = (value) => ({ schemeIdUri: 'urn:mpeg:dash:role:2011', value });
+  const channels = (value) => ({
+    schemeIdUri: 'urn:mpeg:dash:23003:3:audio_channel_configuration:2011',
+    value
+  });
+  const audio = (id, attributes) => ({
+    attributes: Object.assign({
+      id,
+      bandwidth: 128000,
+      periodStart: 1,
+      mimeType: 'audio/mp4',
+      lang: 'en'
+    }, attributes),
+    segments: []
+  });
+  const text = (id, attributes) => ({
+    attributes: Object.assign({
+      id,
+      bandwidth: 256,
+      periodStart: 1,
+      mimeType: 'text/vtt',
+      lang: 'en',
+      baseUrl: `https://www.example.com/${id}.vtt`
+    }, attributes)
+  });
+  const input = [
+    audio('stereo', {
+      roles: [role('main')],
+      audioChannelConfiguration: channels('2')
+    }),
+    audio('surround', {
+      roles: [role('main')],
+      audioChannelConfiguration: {
+        schemeIdUri: 'tag:dolby.com,2014:dash:audio_channel_configuration:2011',
+        value: 'F801'
+      }
+    }),
+    audio('described', {
+      roles: [role('alternate')],
+      accessibility: [{ schemeIdUri: 'urn:tva:metadata:cs:AudioPurposeCS:2007', value: '1' }]
+    }),
+    audio('dubbed', { roles: [role('dub')], lang: 'fr', label: 'Français (doublage)' }),
+    text('subtitles', { roles: [role('subtitle')] }),
+    text('sdh', {
+      roles: [role('subtitle')],
+      accessibility: [{ schemeIdUri: 'urn:tva:metadata:cs:AudioPurposeCS:2007', value: '2' }]
+    }),
+    text('forced', { roles: [role('forced-subtitle')] })
+  ];
+
+  const { AUDIO, SUBTITLES } = toM3u8(input).mediaGroups;
+
+  assert.deepEqual(
+    Object.keys(AUDIO.audio),
+    ['en (main)', 'en (main, 5.1)', 'en (alternate, description)', 'Français (doublage)'],
+    'audio labels'
+  );
+  assert.equal(AUDIO.audio['en (main)'].channels, 2, 'stereo');
+  assert.equal(AUDIO.audio['en (main, 5.1)'].channels, 6, 'surround');
+  assert.deepEqual(AUDIO.audio['en (main)'].roles, ['main'], 'roles');
+  assert.ok(AUDIO.audio['en (main)'].default, 'main audio is default');
+  assert.equal(
+    AUDIO.audio['en (alternate, description)'].characteristics,
+    'public.accessibility.describes-video',
+    'audio description'
+  );
+  assert.deepEqual(AUDIO.audio['Français (doublage)'].roles, ['dub'], 'dubbed');
+  assert.equal(AUDIO.audio['Français (doublage)'].language, 'fr', 'language');
+
+  assert.deepEqual(
+    Object.keys(SUBTITLES.subs),
+    ['en (subtitle)', 'en (subtitle, hard-of-hearing)', 'en (forced-subtitle)'],
+    'subtitle labels'
+  );
+  assert.notOk(SUBTITLES.subs['en (subtitle)'].characteristics, 'regular subtitles');
+  assert.equal(
+    SUBTITLES.subs['en (subtitle, hard-of-hearing)'].characteristics,
+    'public.accessibility.transcribes-spoken-dialog,' +
+    'public.accessibility.describes-music-and-sound',
+    'hard of hearing subtitles'
+  );
+  assert.ok(SUBTITLES.subs['en (forced-subtitle)'].forced, 'forced subtitles');
+});
+
+QUnit.test('playlists with trick-mode representations', function(assert) {
+  const video = (id, attributes) => ({
+    attributes: Object.assign({
+      id,
+      codecs: 'avc1.64001e',
+      sourceDuration: 100,
+      duration: 10,
+      periodStart: 1,
+      mimeType: 'video/mp4'
+    }, attributes),
+    segments: [{ uri: `${id}.m4s`, resolvedUri: `https://www.example.com/${id}.m4s` }]
+  });
+  const input = [
+    video('main', { bandwidth: 5000000, width: 1280, height: 720 }),
+    video('trick', {
+      bandwidth: 100000,
+      width: 320,
+      height: 180,
+      essentialProperties: [{
+        schemeIdUri: 'http://dashif.org/guidelines/trickmode',
+        value: '1'
+      }]
+    })
+  ];
+
+  const output = toM3u8(input);
+
+  assert.deepEqual(
+    output.playlists.map(({ attributes }) => attributes.NAME),
+    ['main'],
+    'trick-mode representation is not a master playlist'
+  );
+  assert.equal(output.iFramePlaylists.length, 1, 'one I-frame playlist');
+  assert.equal(output.iFramePlaylists[0].attributes.NAME, 'trick', 'named');
+  assert.deepEqual(
+    output.iFramePlaylists[0].attributes.RESOLUTION,
+    { width: 320, height: 180 },
+    'resolution'
+  );
+  assert.ok(output.iFramePlaylists[0].iFramesOnly, 'only I-frames');
+  assert.equal(output.iFramePlaylists[0].trickModeFor, '1', 'main AdaptationSet id');
+  assert.equal(
+    output.iFramePlaylists[0].segments[0].resolvedUri,
+    'https://www.example.com/trick.m4s',
+    'segments'
+  );
+  assert.notOk(toM3u8([input[0]]).iFramePlaylists, 'no I-frame playlists');
+});
+
+QUnit.test('playlists with thumbnail representations', function(assert) {
+  const input = [{
+    attributes: {
+      id: 'main',
+      codecs: 'avc1.64001e',
+      sourceDuration: 100,
+      duration: 10,
+      periodStart: 1,
+      bandwidth: 5000000,
+      width: 1280,
+      height: 720,
+      mimeType: 'video/mp4'
+    },
+    segments: [{ uri: 'main.m4s', resolvedUri: 'https://www.example.com/main.m4s' }]
+  }, {
+    attributes: {
+      id: 'thumbs',
+      sourceDuration: 100,
+      duration: 10,
+      periodStart: 1,
+      bandwidth: 12288,
+      width: 1024,
+      height: 1152,
+      mimeType: 'image/jpeg',
+      contentType: 'image',
+      essentialProperties: [{
+        schemeIdUri: 'http://dashif.org/thumbnail_tile',
+        value: '10x20'
+      }]
+    },
+    segments: [{
+      uri: 'thumbs-1.jpg',
+      resolvedUri: 'https://www.example.com/thumbs-1.jpg',
+      duration: 10,
+      number: 1
+    }]
+  }];
+
+  const output = toM3u8(input);
+
+  assert.deepEqual(
+    output.playlists.map(({ attributes }) => attributes.NAME),
+    ['main'],
+    'thumbnail representation is not a master playlist'
+  );
+  assert.equal(output.imagePlaylists.length, 1, 'one image playlist');
+  assert.deepEqual(output.imagePlaylists[0].attributes, {
+    NAME: 'thumbs',
+    BANDWIDTH: 12288,
+    RESOLUTION: { width: 1024, height: 1152 }
+  }, 'attributes');
+  assert.equal(output.imagePlaylists[0].mimeType, 'image/jpeg', 'mime type');
+  assert.deepEqual(
+    output.imagePlaylists[0].tiles,
+    { columns: 10, rows: 20, width: 102.4, height: 57.6 },
+    'tile grid'
+  );
+  assert.equal(
+    output.imagePlaylists[0].segments[0].resolvedUri,
+    'https://www.example.com/thumbs-1.jpg',
+    'segments'
+  );
+
+  delete input[1].attributes.essentialProperties;
+  delete input[1].attributes.width;
+
+  assert.deepEqual(
+    toM3u8(input).imagePlaylists[0].tiles,
+    { columns: 1, rows: 1 },
+    'a single thumbnail per image without a tile grid'
+  );
+  assert.notOk(toM3u8([input[0]]).imagePlaylists, 'no image playlists');
+});
+
+const periodRepresentation = (id, periodStart, bandwidth, codecs = 'avc1.64001e') => ({
+  attributes: {
+    id,
+    codecs,
+    bandwidth,
+    sourceDuration: 100,
+    duration: 10,
+    periodStart,
+    mimeType: 'video/mp4'
+  },
+  segments: [{
+    uri: `${id}-${periodStart}.m4s`,
+    resolvedUri: `https://www.example.com/${id}-${periodStart}.m4s`,
+    timeline: periodStart,
+    duration: 10
+  }]
+});
+
+QUnit.test('playlists of Periods with different representations', function(assert) {
+  const input = [
+    periodRepresentation('main-hi', 0, 5000000),
+    periodRepresentation('main-lo', 0, 1000000),
+    // ad break with its own representation ids and fewer representations
+    periodRepresentation('ad-1', 10, 4000000),
+    periodRepresentation('main-hi', 20, 5000000),
+    periodRepresentation('main-lo', 20, 1000000),
+    // a codec that cannot continue the other playlists
+    periodRepresentation('hevc', 20, 3000000, 'hvc1.1.6.L93.90')
+  ];
+
+  const output = toM3u8(input);
+  const segmentUris = output.playlists.map(({ attributes, segments }) =>
+    [attributes.NAME].concat(segments.map(({ uri }) => uri)));
+
+  assert.deepEqual(segmentUris, [
+    ['main-hi', 'main-hi-0.m4s', 'ad-1-10.m4s', 'main-hi-20.m4s'],
+    ['main-lo', 'main-lo-0.m4s', 'ad-1-10.m4s', 'main-lo-20.m4s'],
+    ['hevc', 'hevc-20.m4s']
+  ], 'matched the Periods by content');
+  assert.deepEqual(
+    output.playlists[0].segments.map(({ timeline }) => timeline),
+    [0, 10, 20],
+    'Period starts are the timelines'
+  );
+  assert.deepEqual(
+    output.playlists[0].segments.map(({ discontinuity }) => !!discontinuity),
+    [false, true, true],
+    'Period boundaries are discontinuities'
+  );
+  assert.notOk(
+    input[2].segments[0].discontinuity,
+    'segments of a shared representation are copied'
+  );
+  assert.equal(output.playlists[2].timeline, 20, 'timeline of its first Period');
+});
+
+QUnit.test('playlists of Periods with mismatched bitrate ladders', function(assert) {
+  const input = [
+    periodRepresentation('main-hi', 0, 5000000),
+    periodRepresentation('main-mid', 0, 2500000),
+    periodRepresentation('main-lo', 0, 1000000),
+    // ad break with another ladder, and ids of its own
+    periodRepresentation('ad-hi', 10, 4000000),
+    periodRepresentation('ad-lo', 10, 800000),
+    periodRepresentation('main-hi', 20, 5000000),
+    periodRepresentation('main-mid', 20, 2500000),
+    periodRepresentation('main-lo', 20, 1000000)
+  ];
+
+  const output = toM3u8(input);
+
+  assert.deepEqual(
+    output.playlists.map(({ attributes, segments }) =>
+      [attributes.NAME].concat(segments.map(({ uri }) => uri))),
+    [
+      ['main-hi', 'main-hi-0.m4s', 'ad-hi-10.m4s', 'main-hi-20.m4s'],
+      ['main-mid', 'main-mid-0.m4s', 'ad-hi-10.m4s', 'main-mid-20.m4s'],
+      ['main-lo', 'main-lo-0.m4s', 'ad-lo-10.m4s', 'main-lo-20.m4s']
+    ],
+    'the ad continues the playlists of the closest bandwidth'
+  );
+});
+
 QUnit.test('dynamic playlists with suggestedPresentationDelay', function(assert) {
   const input = [{
     attributes: {
@@ -646,7 +1092,7 @@ QUnit.test('dynamic playlists with suggestedPresentationDelay', function(assert)
       sourceDuration: 100,
       duration: 0,
       bandwidth: 20000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'audio/mp4',
       type: 'dynamic',
       suggestedPresentationDelay: 18
@@ -659,7 +1105,7 @@ QUnit.test('dynamic playlists with suggestedPresentationDelay', function(assert)
       sourceDuration: 100,
       duration: 0,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'audio/mp4'
     },
     segments: []
@@ -672,7 +1118,7 @@ QUnit.test('dynamic playlists with suggestedPresentationDelay', function(assert)
       codecs: 'foo;bar',
       duration: 0,
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'video/mp4'
     },
     segments: []
@@ -681,7 +1127,7 @@ QUnit.test('dynamic playlists with suggestedPresentationDelay', function(assert)
       sourceDuration: 100,
       id: '1',
       bandwidth: 20000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'text/vtt',
       baseUrl: 'https://www.example.com/vtt'
     }
@@ -690,7 +1136,7 @@ QUnit.test('dynamic playlists with suggestedPresentationDelay', function(assert)
       sourceDuration: 100,
       id: '1',
       bandwidth: 10000,
-      periodIndex: 1,
+      periodStart: 1,
       mimeType: 'text/vtt',
       baseUrl: 'https://www.example.com/vtt'
     }
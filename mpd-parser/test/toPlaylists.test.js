@@ -11,7 +11,7 @@ QUnit.test('no representations', function(assert) {
 
 QUnit.test('pretty simple', function(assert) {
   const representations = [{
-    attributes: { baseUrl: 'http://example.com/', periodIndex: 0, sourceDuration: 2 },
+    attributes: { baseUrl: 'http://example.com/', periodStart: 0, sourceDuration: 2 },
     segmentInfo: {
       template: { }
     }
@@ -20,7 +20,7 @@ QUnit.test('pretty simple', function(assert) {
   const playlists = [{
     attributes: {
       baseUrl: 'http://example.com/',
-      periodIndex: 0,
+      periodStart: 0,
       sourceDuration: 2,
       duration: 2
     },
@@ -42,7 +42,7 @@ QUnit.test('pretty simple', function(assert) {
 
 QUnit.test('segment base', function(assert) {
   const representations = [{
-    attributes: { baseUrl: 'http://example.com/', periodIndex: 0, sourceDuration: 2 },
+    attributes: { baseUrl: 'http://example.com/', periodStart: 0, sourceDuration: 2 },
     segmentInfo: {
       base: true
     }
@@ -51,7 +51,7 @@ QUnit.test('segment base', function(assert) {
   const playlists = [{
     attributes: {
       baseUrl: 'http://example.com/',
-      periodIndex: 0,
+      periodStart: 0,
       sourceDuration: 2,
       duration: 2
     },
@@ -75,7 +75,7 @@ QUnit.test('segment base with sidx', function(assert) {
   const representations = [{
     attributes: {
       baseUrl: 'http://example.com/',
-      periodIndex: 0,
+      periodStart: 0,
       sourceDuration: 2,
       indexRange: '10-19'
     },
@@ -87,7 +87,7 @@ QUnit.test('segment base with sidx', function(assert) {
   const playlists = [{
     attributes: {
       baseUrl: 'http://example.com/',
-      periodIndex: 0,
+      periodStart: 0,
       sourceDuration: 2,
       duration: 2,
       indexRange: '10-19'
@@ -119,7 +119,7 @@ QUnit.test('segment list', function(assert) {
       baseUrl: 'http://example.com/',
       duration: 10,
       sourceDuration: 11,
-      periodIndex: 0
+      periodStart: 0
     },
     segmentInfo: {
       list: {
@@ -142,7 +142,7 @@ QUnit.test('segment list', function(assert) {
       }, {
         media: '2.fmp4'
       }],
-      periodIndex: 0
+      periodStart: 0
     },
     segments: [{
       duration: 10,
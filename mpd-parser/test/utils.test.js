@@ -1,5 +1,5 @@
 import { merge, values } from '../src/utils/object';
-import { parseDuration } from '../src/utils/time';
+import { parseDuration, parseDate } from '../src/utils/time';
 import { flatten, range, from, findIndexes } from '../src/utils/list';
 import { findChildren, getContent } from '../src/utils/xml';
 import {DOMParser} from 'xmldom';
@@ -137,6 +137,24 @@ QUnit.test('invalid', function(assert) {
   assert.deepEqual(parseDuration('foo'), 0);
 });
 
+QUnit.module('parseDate');
+QUnit.test('date with timezone', function(assert) {
+  assert.deepEqual(parseDate('2021-01-01T01:00:00+01:00'), 1609459200000);
+});
+
+QUnit.test('date without timezone is UTC', function(assert) {
+  assert.deepEqual(parseDate('2021-01-01T00:00:00.5'), 1609459200500);
+});
+
+QUnit.test('date from a time server', function(assert) {
+  assert.deepEqual(parseDate('\n 2021-01-01 00:00:00.123456Z\n'), 1609459200123);
+  assert.deepEqual(parseDate('2021-01-01T00:00:00.123456'), 1609459200123);
+});
+
+QUnit.test('invalid', function(assert) {
+  assert.ok(isNaN(parseDate('foo')));
+});
+
 QUnit.module('range');
 QUnit.test('simple', function(assert) {
   assert.deepEqual(range(1, 4), [1, 2, 3]);